@@ -1,19 +1,172 @@
 /**
  * File-based Communication Protocol for inter-agent messaging
  * Implements the local file system communication using requests/incoming and requests/outgoing directories
+ *
+ * In watch mode (the default) each agent's incoming box is watched through its StorageBackend and
+ * new messages are processed after a short debounce; agents whose storage cannot be watched, or
+ * whose watcher fails, are polled instead. Poll mode polls every agent.
+ *
+ * Messages carry a delivery record ({ status: sent|delivered|processed|failed, attempts, ... }); the
+ * sender's outgoing copy is kept up to date as a receipt. Failed handlers are retried up to the
+ * receiver's messageRetryAttempts setting, then the message is moved to its dead-letter box.
+ *
+ * Task requests are tracked on the requester's outgoing TASK_REQUEST copy as
+ * { state: open|accepted|declined|answered|expired, deadline, ... }; requests still open or accepted
+ * at their deadline expire and the requester is sent a TASK_RESPONSE saying so, as a system notice
+ * (from SYSTEM_SENDER, marked system: true) since the recipient never answered.
+ *
+ * Every message uses the envelope built by createEnvelope, with its payload in data. Payloads are
+ * validated at send time against the JSON Schema the receiving agent lists for the message type in
+ * its mcp_config.json messageTypes (the built-in types from messageSchemas plus any custom types).
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const SchemaValidator = require('../mcp/SchemaValidator');
+const BUILTIN_MESSAGE_TYPES = require('./messageSchemas');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('CommunicationProtocol');
+
+const MODES = ['watch', 'poll'];
+const LATENCY_SAMPLE_SIZE = 500; // Delivery latencies kept for getLatencyStats
+const MAX_RETRY_DELAY_MS = 60000;
+const SYSTEM_SENDER = 'system'; // from_agent_id of notices the protocol itself sends
+
+// Receipts only move forward, so a late write never hides a later outcome
+const DELIVERY_ORDER = { sent: 0, delivered: 1, processed: 2, failed: 2 };
+
+// States a task request can move to from each state; declined, answered and expired are final
+const REQUEST_TRANSITIONS = {
+    open: ['accepted', 'declined', 'answered', 'expired'],
+    accepted: ['declined', 'answered', 'expired']
+};
+
+// Used when an agent's mcp_config does not define its own settings
+const DEFAULT_DELIVERY_SETTINGS = {
+    messageRetryAttempts: 3,
+    messageTimeout: 30000,
+    autoAcknowledge: true
+};
+
+/**
+ * Raised when a message's type is unknown to the receiving agent or its data does not match the type's schema
+ */
+class MessageValidationError extends Error {
+    constructor(message, data = {}) {
+        super(message);
+        this.name = 'MessageValidationError';
+        this.data = data;
+    }
+}
 
 class CommunicationProtocol {
-    constructor() {
+    /**
+     * options.mode: watch|poll (defaults to MCP_MESSAGE_MODE, then watch)
+     * options.pollIntervalMs: interval for polled agents (defaults to MCP_POLL_INTERVAL, then 1000)
+     * options.debounceMs: delay that coalesces bursts of watch events into one pass
+     * options.sweepIntervalMs: how often watched agents are also polled, in case events are dropped
+     * options.retryDelayMs: delay before the first retry of a failed handler, doubled for each attempt
+     * options.requestTimeoutMs: default deadline for task requests (defaults to MCP_REQUEST_TIMEOUT, then 24 hours)
+     */
+    constructor(options = {}) {
         this.registeredAgents = new Map();
         this.messageHandlers = new Map();
         this.isRunning = false;
         this.watchInterval = null;
-        this.pollIntervalMs = 1000; // Check for new messages every second
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.MCP_POLL_INTERVAL, 10) || 1000;
+        this.debounceMs = options.debounceMs ?? 20;
+        this.sweepIntervalMs = options.sweepIntervalMs || 30000;
+        this.retryDelayMs = options.retryDelayMs ?? 1000;
+        this.retryTimers = new Set();
+        this.runningHandlers = new Map(); // "<agentId>:<messageId>" -> handler run, kept until it settles
+        this.requestTimeoutMs = options.requestTimeoutMs || parseInt(process.env.MCP_REQUEST_TIMEOUT, 10) || 24 * 60 * 60 * 1000;
+        this.lastSweepAt = 0;
+        this.mode = (options.mode || process.env.MCP_MESSAGE_MODE || 'watch').toLowerCase();
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Invalid message mode: ${this.mode}. Must be one of: ${MODES.join(', ')}`);
+        }
+
+        this.watchers = new Map(); // agentId -> function that stops watching
+        this.scheduled = new Map(); // agentId -> pending debounce timer
+        this.latencySamples = [];
+    }
+
+    /**
+     * Get the conversation a message belongs to: its thread, or the thread of the task it carries
+     * (a task request with no thread of its own starts one keyed by its task ID)
+     */
+    static getThreadId(message) {
+        return message.thread_id ||
+            message.data?.task?.metadata?.communication_thread ||
+            message.data?.response_task?.metadata?.communication_thread ||
+            (message.type === 'TASK_REQUEST' ? message.data?.task_id : null) ||
+            null;
+    }
+
+    /**
+     * Build a message envelope; options: { threadId, replyTo, topic, publicationId, retained, system }
+     * Topic deliveries carry the topic name and the ID of the publication they copy; system notices
+     * are marked system: true
+     */
+    static createEnvelope(fromAgentId, toAgentId, type, data = {}, options = {}) {
+        return {
+            id: uuidv4(),
+            type,
+            timestamp: new Date().toISOString(),
+            from_agent_id: fromAgentId,
+            to_agent_id: toAgentId,
+            ...(options.threadId && { thread_id: options.threadId }),
+            ...(options.replyTo && { in_reply_to: options.replyTo }),
+            ...(options.topic && { topic: options.topic, publication_id: options.publicationId }),
+            ...(options.retained && { retained: true }),
+            ...(options.system && { system: true }),
+            data
+        };
+    }
+
+    /**
+     * Convert a message written before payloads moved into data (task_data, status, details, ...)
+     * to the current envelope, so messages still in an inbox after an upgrade can be handled
+     */
+    static toEnvelope(message) {
+        if (message.data !== undefined) {
+            return message;
+        }
+
+        const legacyData = {
+            TASK_REQUEST: { task_id: message.task_id, task: message.task_data },
+            TASK_RESPONSE: {
+                reference_task_id: message.reference_task_id || message.original_task_id,
+                state: message.state || 'answered',
+                reason: message.reason || null,
+                response_task: message.response_data || null
+            },
+            STATUS_UPDATE: { task_id: message.task_id, status: message.status, details: message.details }
+        };
+        return { ...message, data: legacyData[message.type] || { details: message.details } };
+    }
+
+    /**
+     * Short form of a message for inbox listings
+     */
+    static summarizeMessage(message) {
+        return {
+            id: message.id,
+            type: message.type,
+            from_agent_id: message.from_agent_id,
+            to_agent_id: message.to_agent_id,
+            timestamp: message.timestamp,
+            thread_id: CommunicationProtocol.getThreadId(message),
+            topic: message.topic || null,
+            system: message.system === true,
+            task_id: message.data?.task_id || message.data?.reference_task_id || null,
+            title: message.data?.task?.title || null,
+            read_at: message.read_at || null,
+            handled_at: message.handled_at || null,
+            acknowledged_at: message.acknowledged_at || null,
+            delivery: message.delivery || null,
+            request: message.request || null
+        };
     }
 
     /**
@@ -23,7 +176,7 @@ class CommunicationProtocol {
         const isExisting = this.registeredAgents.has(agent.agentId);
 
         if (isExisting && !forceUpdate) {
-            console.log(`Agent ${agent.agentId} already registered with communication protocol, skipping`);
+            logger.info(`Agent ${agent.agentId} already registered with communication protocol, skipping`);
             return;
         }
 
@@ -32,17 +185,22 @@ class CommunicationProtocol {
         // Set up default message handlers (safe to call multiple times)
         this.setupDefaultMessageHandlers(agent);
 
-        console.log(`Agent ${agent.agentId} ${isExisting ? 'updated in' : 'registered with'} communication protocol`);
+        if (this.isRunning && this.mode === 'watch') {
+            await this.watchAgent(agent);
+        }
+
+        logger.info(`Agent ${agent.agentId} ${isExisting ? 'updated in' : 'registered with'} communication protocol`);
     }
 
     /**
      * Unregister an agent from the communication protocol
      */
     async unregisterAgent(agent) {
+        await this.unwatchAgent(agent.agentId);
         this.registeredAgents.delete(agent.agentId);
         this.messageHandlers.delete(agent.agentId);
         
-        console.log(`Agent ${agent.agentId} unregistered from communication protocol`);
+        logger.info(`Agent ${agent.agentId} unregistered from communication protocol`);
     }
 
     /**
@@ -64,79 +222,236 @@ class CommunicationProtocol {
 
     /**
      * Send a task request from one agent to another
+     * deadline: ISO date after which the request expires (defaults to requestTimeoutMs from now)
      */
-    async sendTaskRequest(fromAgent, toAgent, task) {
-        const message = {
-            id: uuidv4(),
-            type: 'TASK_REQUEST',
-            timestamp: new Date().toISOString(),
-            from_agent_id: fromAgent.agentId,
-            to_agent_id: toAgent.agentId,
+    async sendTaskRequest(fromAgent, toAgent, task, deadline = null) {
+        const message = CommunicationProtocol.createEnvelope(fromAgent.agentId, toAgent.agentId, 'TASK_REQUEST', {
             task_id: task.id,
-            task_data: task.toJSON()
+            task: task.toJSON()
+        }, { threadId: task.metadata.communication_thread || task.id });
+
+        message.request = {
+            state: 'open',
+            deadline: deadline || new Date(Date.now() + this.requestTimeoutMs).toISOString(),
+            updated_at: new Date().toISOString()
         };
 
-        await this.sendMessage(fromAgent, toAgent, message);
+        return this.sendMessage(fromAgent, toAgent, message);
     }
 
     /**
      * Send a task response from one agent to another
+     * responseTask is null for responses that only accept or decline the request
+     * details: { state: accepted|declined|answered|expired, reason, threadId }
      */
-    async sendTaskResponse(fromAgent, toAgent, responseTask, originalTaskId) {
-        const message = {
-            id: uuidv4(),
-            type: 'TASK_RESPONSE',
-            timestamp: new Date().toISOString(),
-            from_agent_id: fromAgent.agentId,
-            to_agent_id: toAgent.agentId,
-            original_task_id: originalTaskId,
-            response_task_id: responseTask.id,
-            response_data: responseTask.toJSON()
-        };
+    async sendTaskResponse(fromAgent, toAgent, responseTask, originalTaskId, details = {}) {
+        const message = CommunicationProtocol.createEnvelope(fromAgent.agentId, toAgent.agentId, 'TASK_RESPONSE', {
+            reference_task_id: originalTaskId,
+            state: details.state || 'answered',
+            reason: details.reason || null,
+            response_task: responseTask ? responseTask.toJSON() : null
+        }, { threadId: details.threadId || responseTask?.metadata.communication_thread || originalTaskId });
+
+        return this.sendMessage(fromAgent, toAgent, message);
+    }
+
+    /**
+     * Find the TASK_REQUEST message for a request in one of an agent's boxes, or null
+     */
+    async findTaskRequest(agent, box, requestId) {
+        const messages = await agent.storage.listMessages(agent.agentId, box);
+        return messages.find(message => message.type === 'TASK_REQUEST' && message.data?.task_id === requestId) || null;
+    }
+
+    /**
+     * Move a task request tracked in the requester's outgoing box to a new state
+     * details are merged into the request record (e.g. responded_by, reason)
+     * Throws if the request is unknown or its current state does not allow the change
+     */
+    async updateRequestState(requester, requestId, state, details = {}) {
+        return requester.withLock(async () => {
+            const message = await this.findTaskRequest(requester, 'outgoing', requestId);
+            if (!message) {
+                throw new Error(`Task request ${requestId} not found for agent ${requester.agentId}`);
+            }
+
+            const current = message.request?.state || 'open';
+            if (!(REQUEST_TRANSITIONS[current] || []).includes(state)) {
+                throw new Error(`Task request ${requestId} is already ${current}`);
+            }
 
-        await this.sendMessage(fromAgent, toAgent, message);
+            message.request = { ...message.request, ...details, state, updated_at: new Date().toISOString() };
+            await requester.storage.writeMessage(requester.agentId, 'outgoing', message);
+
+            logger.info(`Task request ${requestId} from ${requester.agentId} is now ${state}`);
+            return message;
+        });
+    }
+
+    /**
+     * Expire open and accepted task requests whose deadline has passed, telling each requester
+     * with a TASK_RESPONSE (state expired) in their inbox
+     * Returns the expired requests as { requestId, fromAgentId, toAgentId }
+     */
+    async expireTaskRequests(now = Date.now()) {
+        const expired = [];
+
+        for (const agent of this.registeredAgents.values()) {
+            const outgoing = await agent.storage.listMessages(agent.agentId, 'outgoing');
+            const overdue = outgoing.filter(message => message.type === 'TASK_REQUEST' &&
+                REQUEST_TRANSITIONS[message.request?.state] &&
+                Date.parse(message.request.deadline) <= now);
+
+            for (const request of overdue) {
+                const requestId = request.data.task_id;
+                try {
+                    await this.updateRequestState(agent, requestId, 'expired');
+                } catch (error) {
+                    // Answered or expired by another process in the meantime
+                    continue;
+                }
+
+                const reason = `No response from ${request.to_agent_id} before the deadline ${request.request.deadline}`;
+                const notice = CommunicationProtocol.createEnvelope(SYSTEM_SENDER, agent.agentId, 'TASK_RESPONSE', {
+                    reference_task_id: requestId,
+                    state: 'expired',
+                    reason,
+                    response_task: null
+                }, { threadId: CommunicationProtocol.getThreadId(request), system: true });
+                notice.delivery = { status: 'delivered', attempts: 0, delivered_at: new Date().toISOString() };
+
+                await agent.storage.writeMessage(agent.agentId, 'incoming', notice);
+                this.scheduleProcessing(agent);
+
+                logger.warn(`Task request ${requestId} from ${agent.agentId} to ${request.to_agent_id} expired: ${reason}`);
+                expired.push({ requestId, fromAgentId: agent.agentId, toAgentId: request.to_agent_id });
+            }
+        }
+
+        return expired;
     }
 
     /**
      * Send a status update message
      */
     async sendStatusUpdate(fromAgent, toAgent, taskId, status, details = {}) {
-        const message = {
-            id: uuidv4(),
-            type: 'STATUS_UPDATE',
-            timestamp: new Date().toISOString(),
-            from_agent_id: fromAgent.agentId,
-            to_agent_id: toAgent.agentId,
-            task_id: taskId,
-            status: status,
-            details: details
-        };
+        return this.sendTypedMessage(fromAgent, toAgent, 'STATUS_UPDATE', { task_id: taskId, status, details });
+    }
+
+    /**
+     * Send a message of any type with a data payload
+     * options: { threadId, replyTo } to place the message in a conversation
+     */
+    async sendTypedMessage(fromAgent, toAgent, type, data = {}, options = {}) {
+        const message = CommunicationProtocol.createEnvelope(fromAgent.agentId, toAgent.agentId, type, data, options);
+        return this.sendMessage(fromAgent, toAgent, message);
+    }
+
+    /**
+     * Get the message types an agent accepts, as { TYPE: { description, schema, custom } }
+     * Configs written before schemas were added list type names only; those map to the built-in schemas
+     */
+    async getMessageTypes(agent) {
+        let config = null;
+        try {
+            config = await agent.storage.getMcpConfig(agent.agentId);
+        } catch (error) {
+            logger.error(`Error reading message types for agent ${agent.agentId}:`, error);
+        }
+
+        const messageTypes = config?.messageTypes;
+        if (!messageTypes) {
+            return { ...BUILTIN_MESSAGE_TYPES };
+        }
+        if (Array.isArray(messageTypes)) {
+            return Object.fromEntries(messageTypes
+                .filter(type => BUILTIN_MESSAGE_TYPES[type])
+                .map(type => [type, BUILTIN_MESSAGE_TYPES[type]]));
+        }
+        return messageTypes;
+    }
 
-        await this.sendMessage(fromAgent, toAgent, message);
+    /**
+     * Check a message against the schema the receiving agent lists for its type
+     * Throws MessageValidationError if the type is unknown or the data does not match
+     */
+    async validateMessage(toAgent, message) {
+        const messageTypes = await this.getMessageTypes(toAgent);
+        const messageType = messageTypes[message.type];
+
+        if (!messageType) {
+            throw new MessageValidationError(
+                `Unknown message type ${message.type} for agent ${toAgent.agentId}. Must be one of: ${Object.keys(messageTypes).join(', ')}`,
+                { messageType: message.type, allowed: Object.keys(messageTypes) }
+            );
+        }
+
+        const validation = SchemaValidator.validate(messageType.schema, message.data, 'data');
+        if (!validation.isValid) {
+            throw new MessageValidationError(
+                `Invalid ${message.type} message: ${validation.errors.join(', ')}`,
+                { messageType: message.type, errors: validation.errors }
+            );
+        }
     }
 
     /**
      * Core message sending function
+     * The sender's outgoing copy is the delivery receipt: sent, then delivered once in the receiver's inbox
      */
     async sendMessage(fromAgent, toAgent, message) {
+        await this.validateMessage(toAgent, message);
+
+        message.delivery = { status: 'sent', attempts: 0, sent_at: new Date().toISOString() };
+
         try {
-            // Write to sender's outgoing directory
-            const outgoingPath = path.join(fromAgent.outgoingRequestsPath, `${message.id}.json`);
-            await fs.writeFile(outgoingPath, JSON.stringify(message, null, 2), 'utf8');
+            // Write to sender's outgoing box
+            await fromAgent.storage.writeMessage(fromAgent.agentId, 'outgoing', message);
 
-            // Write to receiver's incoming directory
-            const incomingPath = path.join(toAgent.incomingRequestsPath, `${message.id}.json`);
-            await fs.writeFile(incomingPath, JSON.stringify(message, null, 2), 'utf8');
+            // Write to receiver's incoming box
+            message.delivery = { ...message.delivery, status: 'delivered', delivered_at: new Date().toISOString() };
+            await toAgent.storage.writeMessage(toAgent.agentId, 'incoming', message);
+            await this.updateReceipt(fromAgent.storage, message);
 
-            console.log(`Message ${message.id} sent from ${fromAgent.agentId} to ${toAgent.agentId}`);
+            logger.info(`Message ${message.id} (${message.type}) sent from ${fromAgent.agentId} to ${toAgent.agentId}`);
+            return message;
         } catch (error) {
-            console.error(`Failed to send message from ${fromAgent.agentId} to ${toAgent.agentId}:`, error);
+            logger.error(`Failed to send message from ${fromAgent.agentId} to ${toAgent.agentId}:`, error);
+            message.delivery = { ...message.delivery, status: 'failed', failed_at: new Date().toISOString(), last_error: error.message };
+            await this.updateReceipt(fromAgent.storage, message);
             throw error;
         }
     }
 
     /**
-     * Start the communication protocol (begin polling for messages)
+     * Copy a message's delivery record onto the sender's outgoing copy
+     * options.force: overwrite even a later status (used when replaying dead letters)
+     */
+    async updateReceipt(storage, message, options = {}) {
+        // System notices have no sender copy
+        if (message.system) {
+            return;
+        }
+
+        try {
+            const receipt = await storage.getMessage(message.from_agent_id, 'outgoing', message.id);
+            if (!receipt) {
+                return;
+            }
+
+            const current = DELIVERY_ORDER[receipt.delivery?.status] ?? -1;
+            if (!options.force && current > DELIVERY_ORDER[message.delivery.status]) {
+                return;
+            }
+
+            await storage.writeMessage(message.from_agent_id, 'outgoing', { ...receipt, delivery: message.delivery });
+        } catch (error) {
+            logger.error(`Error updating delivery receipt for message ${message.id}:`, error);
+        }
+    }
+
+    /**
+     * Start the communication protocol (watch or poll every registered agent)
      */
     async start() {
         if (this.isRunning) {
@@ -144,11 +459,19 @@ class CommunicationProtocol {
         }
 
         this.isRunning = true;
+        this.lastSweepAt = Date.now();
+        if (this.mode === 'watch') {
+            for (const agent of this.registeredAgents.values()) {
+                await this.watchAgent(agent);
+            }
+        }
+
+        // Covers poll mode and agents that fell back to polling
         this.watchInterval = setInterval(() => {
             this.pollForMessages();
         }, this.pollIntervalMs);
 
-        console.log('Communication protocol started');
+        logger.info(`Communication protocol started in ${this.mode} mode`);
     }
 
     /**
@@ -165,18 +488,114 @@ class CommunicationProtocol {
             this.watchInterval = null;
         }
 
-        console.log('Communication protocol stopped');
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+
+        for (const agentId of Array.from(this.watchers.keys())) {
+            await this.unwatchAgent(agentId);
+        }
+
+        logger.info('Communication protocol stopped');
+    }
+
+    /**
+     * Watch an agent's incoming box, falling back to polling if its storage cannot be watched
+     */
+    async watchAgent(agent) {
+        if (this.watchers.has(agent.agentId)) {
+            return;
+        }
+
+        let stopWatching = null;
+        try {
+            stopWatching = await agent.storage.watchMessages(
+                agent.agentId,
+                () => this.scheduleProcessing(agent),
+                (error) => this.fallBackToPolling(agent, error)
+            );
+        } catch (error) {
+            logger.warn(`Could not watch messages for agent ${agent.agentId}, polling instead:`, error);
+            return;
+        }
+
+        if (!stopWatching) {
+            logger.info(`${agent.storage.type} storage cannot be watched, polling messages for agent ${agent.agentId}`);
+            return;
+        }
+
+        this.watchers.set(agent.agentId, stopWatching);
+
+        // Pick up anything that arrived before the watcher was ready
+        this.scheduleProcessing(agent);
+    }
+
+    /**
+     * Stop watching an agent's incoming box
+     */
+    async unwatchAgent(agentId) {
+        clearTimeout(this.scheduled.get(agentId));
+        this.scheduled.delete(agentId);
+
+        const stopWatching = this.watchers.get(agentId);
+        this.watchers.delete(agentId);
+        if (stopWatching) {
+            await stopWatching();
+        }
+    }
+
+    /**
+     * Switch an agent to polling after its watcher fails
+     */
+    async fallBackToPolling(agent, error) {
+        logger.warn(`Message watcher failed for agent ${agent.agentId}, falling back to polling:`, error);
+        try {
+            await this.unwatchAgent(agent.agentId);
+        } catch (closeError) {
+            logger.error(`Error closing message watcher for agent ${agent.agentId}:`, closeError);
+        }
+    }
+
+    /**
+     * Process an agent's messages once a burst of watch events has settled
+     */
+    scheduleProcessing(agent) {
+        if (!this.isRunning || this.scheduled.has(agent.agentId)) {
+            return;
+        }
+
+        this.scheduled.set(agent.agentId, setTimeout(async () => {
+            this.scheduled.delete(agent.agentId);
+            try {
+                await this.processIncomingMessages(agent);
+            } catch (error) {
+                logger.error(`Error processing messages for agent ${agent.agentId}:`, error);
+            }
+        }, this.debounceMs));
     }
 
     /**
-     * Poll all agents for new incoming messages
+     * Poll agents that are not being watched for new incoming messages
      */
     async pollForMessages() {
+        // Some filesystems (e.g. Docker bind mounts) drop watch events without reporting an error
+        const sweep = Date.now() - this.lastSweepAt >= this.sweepIntervalMs;
+        if (sweep) {
+            this.lastSweepAt = Date.now();
+
+            try {
+                await this.expireTaskRequests();
+            } catch (error) {
+                logger.error('Error expiring task requests:', error);
+            }
+        }
+
         for (const [agentId, agent] of this.registeredAgents) {
+            if (this.watchers.has(agentId) && !sweep) continue;
+
             try {
                 await this.processIncomingMessages(agent);
             } catch (error) {
-                console.error(`Error processing messages for agent ${agentId}:`, error);
+                logger.error(`Error processing messages for agent ${agentId}:`, error);
             }
         }
     }
@@ -185,79 +604,300 @@ class CommunicationProtocol {
      * Process incoming messages for a specific agent
      */
     async processIncomingMessages(agent) {
-        try {
-            const files = await fs.readdir(agent.incomingRequestsPath);
-            const messageFiles = files.filter(file => file.endsWith('.json'));
+        // Hold the agent lock so processes polling the same agent never handle a message twice
+        return agent.withLock(async () => {
+            let messages;
+            try {
+                messages = await agent.storage.listMessages(agent.agentId, 'incoming');
+            } catch (error) {
+                logger.error(`Error reading incoming messages for agent ${agent.agentId}:`, error);
+                return;
+            }
 
-            for (const messageFile of messageFiles) {
-                const messagePath = path.join(agent.incomingRequestsPath, messageFile);
-                
-                try {
-                    const messageContent = await fs.readFile(messagePath, 'utf8');
-                    const message = JSON.parse(messageContent);
+            const settings = await this.getDeliverySettings(agent);
+            const now = Date.now();
 
-                    // Process the message
-                    await this.handleMessage(agent, message);
+            for (const message of messages) {
+                // Already handled, waiting for the agent to acknowledge it
+                if (message.handled_at) continue;
 
-                    // Move processed message to a processed directory or delete it
-                    await this.archiveMessage(agent, messagePath, message);
+                // Failed earlier and waiting for its next attempt
+                if (message.delivery?.retry_at && Date.parse(message.delivery.retry_at) > now) continue;
 
+                try {
+                    await this.deliverMessage(agent, message, settings);
                 } catch (error) {
-                    console.error(`Error processing message file ${messageFile} for agent ${agent.agentId}:`, error);
+                    logger.error(`Error processing message ${message.id} for agent ${agent.agentId}:`, error);
                 }
             }
+        });
+    }
+
+    /**
+     * Run a message's handler and record the outcome
+     * Processed messages are archived (or left for the agent to acknowledge); failed handlers are
+     * retried after a backoff until messageRetryAttempts is reached, then the message is dead-lettered.
+     * Returns the resulting delivery status: processed, delivered (retry pending) or failed
+     */
+    async deliverMessage(agent, message, settings) {
+        const delivery = { ...message.delivery, attempts: (message.delivery?.attempts || 0) + 1 };
+        delete delivery.retry_at;
+
+        try {
+            await this.handleMessage(agent, message, settings.messageTimeout);
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error(`Error reading incoming messages for agent ${agent.agentId}:`, error);
+            delivery.last_error = error.message;
+            delivery.last_attempt_at = new Date().toISOString();
+
+            if (error.retryable === false || delivery.attempts >= settings.messageRetryAttempts) {
+                message.delivery = { ...delivery, status: 'failed', failed_at: new Date().toISOString() };
+                await this.deadLetter(agent, message);
+            } else {
+                const delayMs = Math.min(this.retryDelayMs * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+                message.delivery = { ...delivery, retry_at: new Date(Date.now() + delayMs).toISOString() };
+                await agent.storage.writeMessage(agent.agentId, 'incoming', message);
+                await this.updateReceipt(agent.storage, message);
+                this.scheduleRetry(agent, delayMs);
+
+                logger.warn(`Message ${message.id} failed for agent ${agent.agentId} (attempt ${delivery.attempts}/${settings.messageRetryAttempts}), retrying in ${delayMs}ms: ${error.message}`);
             }
+            return message.delivery.status;
         }
+
+        this.recordLatency(message);
+        message.delivery = { ...delivery, status: 'processed', processed_at: new Date().toISOString() };
+        message.handled_at = message.delivery.processed_at;
+        await agent.storage.writeMessage(agent.agentId, 'incoming', message);
+
+        // Otherwise leave it in the inbox until the agent acknowledges it
+        if (settings.autoAcknowledge) {
+            await this.archiveMessage(agent, message);
+        }
+
+        await this.updateReceipt(agent.storage, message);
+        return 'processed';
+    }
+
+    /**
+     * Move a message that cannot be handled to the agent's dead-letter box
+     */
+    async deadLetter(agent, message) {
+        await agent.storage.writeMessage(agent.agentId, 'incoming', message);
+        await agent.storage.moveMessage(agent.agentId, 'incoming', 'dead-letter', message.id);
+        await this.updateReceipt(agent.storage, message);
+
+        logger.warn(`Message ${message.id} (${message.type}) for agent ${agent.agentId} moved to dead-letter after ${message.delivery.attempts} attempt(s): ${message.delivery.last_error}`);
+    }
+
+    /**
+     * Move a dead-lettered message back to the inbox with a fresh set of attempts
+     * Returns the message, or null if it is not in the dead-letter box
+     */
+    async replayDeadLetter(agent, messageId) {
+        const message = await agent.withLock(async () => {
+            const deadLetter = await agent.storage.getMessage(agent.agentId, 'dead-letter', messageId);
+            if (!deadLetter) {
+                return null;
+            }
+
+            const { retry_at, failed_at, ...delivery } = deadLetter.delivery || {};
+            deadLetter.delivery = {
+                ...delivery,
+                status: 'delivered',
+                attempts: 0,
+                replays: (delivery.replays || 0) + 1,
+                replayed_at: new Date().toISOString()
+            };
+            delete deadLetter.handled_at;
+
+            await agent.storage.writeMessage(agent.agentId, 'dead-letter', deadLetter);
+            await agent.storage.moveMessage(agent.agentId, 'dead-letter', 'incoming', messageId);
+            await this.updateReceipt(agent.storage, deadLetter, { force: true });
+            return deadLetter;
+        });
+
+        if (message) {
+            logger.info(`Dead-lettered message ${messageId} replayed for agent ${agent.agentId}`);
+            this.scheduleProcessing(agent);
+        }
+        return message;
     }
 
     /**
-     * Handle a received message
+     * Process an agent's messages again once a retry is due
      */
-    async handleMessage(agent, message) {
-        const handlers = this.messageHandlers.get(agent.agentId);
-        if (!handlers) {
-            console.error(`No message handlers found for agent ${agent.agentId}`);
+    scheduleRetry(agent, delayMs) {
+        if (!this.isRunning) {
             return;
         }
 
-        const handler = handlers[message.type];
-        if (!handler) {
-            console.error(`No handler found for message type ${message.type} for agent ${agent.agentId}`);
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.scheduleProcessing(agent);
+        }, delayMs);
+        this.retryTimers.add(timer);
+    }
+
+    /**
+     * Record the time from sending a message to handling it
+     */
+    recordLatency(message) {
+        const sentAt = Date.parse(message.timestamp);
+        if (Number.isNaN(sentAt)) {
             return;
         }
 
+        this.latencySamples.push(Date.now() - sentAt);
+        if (this.latencySamples.length > LATENCY_SAMPLE_SIZE) {
+            this.latencySamples.shift();
+        }
+    }
+
+    /**
+     * Summarize recent delivery latencies (send to handle) in milliseconds
+     */
+    getLatencyStats() {
+        const samples = [...this.latencySamples].sort((a, b) => a - b);
+        if (samples.length === 0) {
+            return { count: 0, averageMs: null, p95Ms: null, maxMs: null };
+        }
+
+        return {
+            count: samples.length,
+            averageMs: Math.round(samples.reduce((sum, sample) => sum + sample, 0) / samples.length),
+            p95Ms: samples[Math.min(samples.length - 1, Math.floor(samples.length * 0.95))],
+            maxMs: samples[samples.length - 1]
+        };
+    }
+
+    /**
+     * Get the delivery mode, which agents are watched or polled, and latency stats
+     */
+    getStatus() {
+        const agentIds = Array.from(this.registeredAgents.keys());
+
+        return {
+            mode: this.mode,
+            running: this.isRunning,
+            watchedAgents: agentIds.filter(agentId => this.watchers.has(agentId)),
+            polledAgents: agentIds.filter(agentId => !this.watchers.has(agentId)),
+            latency: this.getLatencyStats()
+        };
+    }
+
+    /**
+     * Get an agent's delivery settings (messageRetryAttempts, messageTimeout, autoAcknowledge)
+     * from its mcp_config, falling back to the defaults
+     */
+    async getDeliverySettings(agent) {
         try {
-            await handler(agent, message);
-            console.log(`Message ${message.id} processed by agent ${agent.agentId}`);
+            const mcpConfig = await agent.getMcpConfig();
+            return { ...DEFAULT_DELIVERY_SETTINGS, ...mcpConfig.settings };
         } catch (error) {
-            console.error(`Error handling message ${message.id} for agent ${agent.agentId}:`, error);
+            return { ...DEFAULT_DELIVERY_SETTINGS };
         }
     }
 
     /**
-     * Archive a processed message
+     * Get a message from any of an agent's boxes, marking incoming messages as read
      */
-    async archiveMessage(agent, messagePath, message) {
-        try {
-            // Create processed directory if it doesn't exist
-            const processedDir = path.join(agent.incomingRequestsPath, 'processed');
-            await fs.mkdir(processedDir, { recursive: true });
+    async readMessage(agent, messageId, markRead = true) {
+        return agent.withLock(async () => {
+            for (const box of ['incoming', 'processed', 'outgoing', 'dead-letter']) {
+                const message = await agent.storage.getMessage(agent.agentId, box, messageId);
+                if (!message) continue;
+
+                if (box === 'incoming' && markRead && !message.read_at) {
+                    message.read_at = new Date().toISOString();
+                    await agent.storage.writeMessage(agent.agentId, 'incoming', message);
+                }
+                return { ...message, box };
+            }
+            return null;
+        });
+    }
 
-            // Move message to processed directory
-            const processedPath = path.join(processedDir, path.basename(messagePath));
-            await fs.rename(messagePath, processedPath);
+    /**
+     * Acknowledge an incoming message and move it to processed
+     * Messages not yet handled are handled first so their side effects (e.g. queued tasks) are not lost;
+     * throws if that fails (the failure counts towards the message's retry attempts)
+     * Returns the message, or null if it is not in the agent's boxes
+     */
+    async acknowledgeMessage(agent, messageId) {
+        return agent.withLock(async () => {
+            const message = await agent.storage.getMessage(agent.agentId, 'incoming', messageId);
+            if (!message) {
+                // Acknowledging twice is harmless
+                return agent.storage.getMessage(agent.agentId, 'processed', messageId);
+            }
 
-        } catch (error) {
-            console.error(`Error archiving message ${message.id}:`, error);
-            // If archiving fails, just delete the original file
-            try {
-                await fs.unlink(messagePath);
-            } catch (deleteError) {
-                console.error(`Error deleting message file:`, deleteError);
+            if (!message.handled_at) {
+                const settings = await this.getDeliverySettings(agent);
+                const status = await this.deliverMessage(agent, message, { ...settings, autoAcknowledge: false });
+                if (status !== 'processed') {
+                    throw new Error(`Message ${messageId} could not be handled: ${message.delivery.last_error}`);
+                }
             }
+            message.acknowledged_at = new Date().toISOString();
+
+            await agent.storage.writeMessage(agent.agentId, 'incoming', message);
+            await this.archiveMessage(agent, message);
+            return message;
+        });
+    }
+
+    /**
+     * Handle a received message, failing if the handler throws or runs longer than timeoutMs
+     * Custom message types the agent has registered are recorded in its context
+     * Errors for messages no handler can process are marked retryable = false
+     */
+    async handleMessage(agent, message, timeoutMs = DEFAULT_DELIVERY_SETTINGS.messageTimeout) {
+        let handler = this.messageHandlers.get(agent.agentId)?.[message.type];
+        if (!handler && (await this.getMessageTypes(agent))[message.type]?.custom) {
+            handler = this.handleCustomMessage.bind(this);
+        }
+        if (!handler) {
+            const error = new Error(`No handler found for message type ${message.type} for agent ${agent.agentId}`);
+            error.retryable = false;
+            throw error;
+        }
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Handler for message ${message.id} timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+
+        // A timed-out attempt keeps running, so a retry waits for it rather than running alongside it
+        const key = `${agent.agentId}:${message.id}`;
+        const previous = this.runningHandlers.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => handler(agent, CommunicationProtocol.toEnvelope(message)));
+        const forget = () => {
+            if (this.runningHandlers.get(key) === run) {
+                this.runningHandlers.delete(key);
+            }
+        };
+        this.runningHandlers.set(key, run);
+        run.then(forget, forget);
+
+        try {
+            await Promise.race([run, timeout]);
+            logger.info(`Message ${message.id} processed by agent ${agent.agentId}`);
+        } catch (error) {
+            logger.error(`Error handling message ${message.id} for agent ${agent.agentId}:`, error);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Archive a processed message
+     */
+    async archiveMessage(agent, message) {
+        try {
+            await agent.storage.archiveMessage(agent.agentId, message.id);
+        } catch (error) {
+            logger.error(`Error archiving message ${message.id}:`, error);
         }
     }
 
@@ -265,76 +905,138 @@ class CommunicationProtocol {
 
     /**
      * Handle incoming task request
+     * Safe to run again when a delivery is retried: a request already queued is not added twice
      */
     async handleTaskRequest(agent, message) {
         const Task = require('../core/Task');
         
-        // Create task from message data
-        const task = Task.fromJSON(message.task_data);
+        // Create task from message data; bare dependency IDs name the sender's tasks
+        const task = Task.fromJSON(message.data.task);
+        task.dependencies = task.dependencies.map(ref => Task.qualifyDependency(ref, message.from_agent_id));
         
-        // Add to agent's pending queue
-        await agent.taskQueue.addTask(task);
-        
-        // Update agent context
-        await agent.appendToContext(`Received task request: ${task.title} from ${message.from_agent_id}`);
+        // Note the request in the context and add it to the pending queue, unless an earlier attempt
+        // (or one that timed out but kept running) did; the task is queued last, so a queued task
+        // means the request was handled
+        const added = await agent.withLock(async () => {
+            if (await agent.taskQueue.getTaskById(task.id)) {
+                return false;
+            }
+            await agent.appendToContext(`Received task request: ${task.title} from ${message.from_agent_id}`);
+            await agent.taskQueue.addTask(task);
+            return true;
+        });
+        if (!added) {
+            logger.info(`Task request ${task.id} already handled by agent ${agent.agentId}, not handling it again`);
+            return;
+        }
         
-        console.log(`Agent ${agent.agentId} received task request: ${task.title}`);
+        logger.info(`Agent ${agent.agentId} received task request: ${task.title}`);
     }
 
     /**
      * Handle incoming task response
      */
     async handleTaskResponse(agent, message) {
+        const { reference_task_id: requestId, state } = message.data;
+        const reason = message.data.reason ? `: ${message.data.reason}` : '';
+
         // Update agent context with response
-        await agent.appendToContext(`Received task response for task ${message.original_task_id} from ${message.from_agent_id}`);
+        await agent.appendToContext(`Received task response for task ${requestId} from ${message.from_agent_id} (${state})${reason}`);
         
-        console.log(`Agent ${agent.agentId} received task response for task ${message.original_task_id}`);
+        logger.info(`Agent ${agent.agentId} received task response for task ${requestId} (${state})`);
     }
 
     /**
      * Handle status update
      */
     async handleStatusUpdate(agent, message) {
-        await agent.appendToContext(`Status update for task ${message.task_id}: ${message.status} from ${message.from_agent_id}`);
+        const { task_id: taskId, status } = message.data;
+        await agent.appendToContext(`Status update for task ${taskId}: ${status} from ${message.from_agent_id}`);
         
-        console.log(`Agent ${agent.agentId} received status update for task ${message.task_id}: ${message.status}`);
+        logger.info(`Agent ${agent.agentId} received status update for task ${taskId}: ${status}`);
     }
 
     /**
      * Handle dependency notification
      */
     async handleDependencyNotification(agent, message) {
-        await agent.appendToContext(`Dependency notification from ${message.from_agent_id}: ${JSON.stringify(message.details)}`);
-        
-        console.log(`Agent ${agent.agentId} received dependency notification from ${message.from_agent_id}`);
+        await agent.appendToContext(`Dependency notification from ${message.from_agent_id}: ${JSON.stringify(message.data)}`);
+
+        const { task_id: taskId, artifact, impact = 'info', reason } = message.data;
+        if (agent.taskQueue && ['breaking', 'resolved'].includes(impact) && (taskId || artifact)) {
+            const { blocked, unblocked } = await agent.taskQueue.applyDependencyChange({
+                messageId: message.id,
+                fromAgentId: message.from_agent_id,
+                taskId,
+                artifact,
+                impact,
+                reason
+            });
+            if (blocked.length > 0) {
+                await agent.appendToContext(`Blocked by breaking change from ${message.from_agent_id}: ${blocked.map(task => task.title).join(', ')}`);
+            }
+            if (unblocked.length > 0) {
+                await agent.appendToContext(`Breaking change resolved, ready to start: ${unblocked.map(task => task.title).join(', ')}`);
+            }
+        }
+
+        logger.info(`Agent ${agent.agentId} received dependency notification from ${message.from_agent_id}`);
     }
 
     /**
      * Handle integration test request
      */
     async handleIntegrationTest(agent, message) {
-        await agent.appendToContext(`Integration test request from ${message.from_agent_id}: ${JSON.stringify(message.details)}`);
+        await agent.appendToContext(`Integration test request from ${message.from_agent_id}: ${JSON.stringify(message.data)}`);
         
-        console.log(`Agent ${agent.agentId} received integration test request from ${message.from_agent_id}`);
+        logger.info(`Agent ${agent.agentId} received integration test request from ${message.from_agent_id}`);
     }
 
     /**
-     * Handle completion notification
+     * Handle completion notification, unblocking tasks that were waiting on the completed task
      */
     async handleCompletionNotification(agent, message) {
-        await agent.appendToContext(`Task completion notification from ${message.from_agent_id}: ${JSON.stringify(message.details)}`);
-        
-        console.log(`Agent ${agent.agentId} received completion notification from ${message.from_agent_id}`);
+        await agent.appendToContext(`Task completion notification from ${message.from_agent_id}: ${JSON.stringify(message.data)}`);
+
+        if (agent.taskQueue) {
+            const unblocked = await agent.taskQueue.resolveDependencies(message.from_agent_id);
+            if (unblocked.length > 0) {
+                await agent.appendToContext(`Dependencies met, ready to start: ${unblocked.map(task => task.title).join(', ')}`);
+            }
+        }
+
+        logger.info(`Agent ${agent.agentId} received completion notification from ${message.from_agent_id}`);
     }
 
     /**
-     * Handle context sync
+     * Handle context sync: merge the shared sections into the agent's context
      */
     async handleContextSync(agent, message) {
-        await agent.appendToContext(`Context sync from ${message.from_agent_id}: ${JSON.stringify(message.details)}`);
-        
-        console.log(`Agent ${agent.agentId} received context sync from ${message.from_agent_id}`);
+        const { sections } = message.data;
+
+        // Syncs sent before sections were exchanged carry free-form context
+        if (!Array.isArray(sections)) {
+            await agent.appendToContext(`Context sync from ${message.from_agent_id}: ${JSON.stringify(message.data)}`);
+            logger.info(`Agent ${agent.agentId} received context sync from ${message.from_agent_id}`);
+            return;
+        }
+
+        const { updated } = await agent.mergeSharedContext(message.from_agent_id, sections, message.timestamp);
+
+        logger.info(`Agent ${agent.agentId} merged context from ${message.from_agent_id}: ${updated.join(', ') || 'no changes'}`);
+    }
+
+    /**
+     * Handle a message of a custom type registered by the agent
+     */
+    async handleCustomMessage(agent, message) {
+        await agent.appendToContext(`${message.type} from ${message.from_agent_id}: ${JSON.stringify(message.data)}`);
+
+        logger.info(`Agent ${agent.agentId} received ${message.type} from ${message.from_agent_id}`);
     }
 }
 
+CommunicationProtocol.MessageValidationError = MessageValidationError;
+CommunicationProtocol.SYSTEM_SENDER = SYSTEM_SENDER;
+
 module.exports = CommunicationProtocol;
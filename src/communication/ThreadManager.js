@@ -0,0 +1,127 @@
+/**
+ * ThreadManager - conversations across agents, keyed by thread ID
+ * A thread is every message whose thread ID (see CommunicationProtocol.getThreadId) matches, plus every
+ * task whose metadata.communication_thread matches. A request task starts a thread keyed by its own ID,
+ * and a message that others reply to starts one keyed by the message ID.
+ */
+
+const CommunicationProtocol = require('./CommunicationProtocol');
+
+// Boxes scanned for thread messages; the sender's outgoing copy is preferred as it carries the receipt
+const THREAD_BOXES = ['outgoing', 'incoming', 'processed', 'dead-letter'];
+
+// Task history actions shown in a conversation
+const THREAD_TASK_ACTIONS = ['created', 'status_changed'];
+
+class ThreadManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get the thread a task belongs to: its communication_thread, or its own ID for request tasks
+     */
+    static getTaskThreadId(task) {
+        return task.metadata?.communication_thread || (task.type === 'request' ? task.id : null);
+    }
+
+    /**
+     * Get every message in a thread across all agents, oldest first, one copy per message
+     */
+    async getThreadMessages(threadId) {
+        const messages = new Map();
+
+        for (const agentId of await this.storage.listAgents()) {
+            for (const box of THREAD_BOXES) {
+                for (const message of await this.storage.listMessages(agentId, box)) {
+                    if (messages.has(message.id)) continue;
+                    if (message.id === threadId || CommunicationProtocol.getThreadId(message) === threadId) {
+                        messages.set(message.id, message);
+                    }
+                }
+            }
+        }
+
+        return Array.from(messages.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Get every task in a thread as { agentId, task }, keeping the owning agent's copy of each task
+     */
+    async getThreadTasks(threadId) {
+        const tasks = new Map();
+
+        for (const agentId of await this.storage.listAgents()) {
+            for (const queue of ['pending', 'active', 'completed']) {
+                for (const task of await this.storage.getTasks(agentId, queue)) {
+                    if (ThreadManager.getTaskThreadId(task) !== threadId) continue;
+
+                    // Requesters also keep a copy of the tasks they request
+                    const existing = tasks.get(task.id);
+                    if (!existing || agentId === task.agent_id) {
+                        tasks.set(task.id, { agentId, task });
+                    }
+                }
+            }
+        }
+
+        return Array.from(tasks.values());
+    }
+
+    /**
+     * Get a conversation: its messages with the state changes of its tasks interleaved in time order
+     * Returns { threadId, participants, tasks, entries }, or null if nothing belongs to the thread
+     */
+    async getThread(threadId) {
+        const messages = await this.getThreadMessages(threadId);
+        const tasks = await this.getThreadTasks(threadId);
+
+        if (messages.length === 0 && tasks.length === 0) {
+            return null;
+        }
+
+        const entries = messages.map(message => ({
+            kind: 'message',
+            timestamp: message.timestamp,
+            agent_id: message.from_agent_id,
+            message
+        }));
+
+        for (const { agentId, task } of tasks) {
+            for (const event of await this.storage.getTaskHistory(agentId, task.id)) {
+                if (!THREAD_TASK_ACTIONS.includes(event.action)) continue;
+
+                entries.push({
+                    kind: 'task_event',
+                    timestamp: event.timestamp,
+                    agent_id: agentId,
+                    task_id: task.id,
+                    title: task.title,
+                    action: event.action,
+                    actor: event.actor,
+                    status: event.changes.status?.to || task.status,
+                    reason: event.reason || null
+                });
+            }
+        }
+
+        // Stable sort keeps a message ahead of the task it created when both share a timestamp
+        entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        const participants = new Set();
+        messages.forEach(message => {
+            participants.add(message.from_agent_id);
+            participants.add(message.to_agent_id);
+        });
+        tasks.forEach(({ agentId }) => participants.add(agentId));
+
+        return {
+            threadId,
+            participants: Array.from(participants).sort(),
+            tasks: tasks.map(({ agentId, task }) => ({ agent_id: agentId, id: task.id, title: task.title, status: task.status, type: task.type })),
+            entries
+        };
+    }
+}
+
+module.exports = ThreadManager;
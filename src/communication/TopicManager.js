@@ -0,0 +1,138 @@
+/**
+ * TopicManager - publish/subscribe channels shared by all agents (e.g. schema-changes)
+ * A topic records its subscribers and retains its last publication, so agents that
+ * subscribe later still receive the current state. Topics are created on first use.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('TopicManager');
+
+// Topic names double as file names, so keep them to lower case words
+const TOPIC_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+class TopicManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Throw if a topic name is not valid
+     */
+    static assertTopicName(name) {
+        if (!TOPIC_NAME_PATTERN.test(name || '')) {
+            throw new Error(`Invalid topic name: ${name}. Use lower case letters, digits, dots, dashes and underscores (e.g. schema-changes)`);
+        }
+    }
+
+    /**
+     * New, empty topic
+     */
+    static createTopic(name) {
+        return {
+            name,
+            created_at: new Date().toISOString(),
+            subscribers: [],
+            retained: null,
+            published: 0
+        };
+    }
+
+    /**
+     * Short form of a topic for tool results: subscriber IDs and the retained publication's metadata
+     */
+    static summarizeTopic(topic) {
+        return {
+            name: topic.name,
+            subscribers: topic.subscribers.map(subscriber => subscriber.agentId),
+            published: topic.published,
+            retained: topic.retained && {
+                id: topic.retained.id,
+                type: topic.retained.type,
+                from_agent_id: topic.retained.from_agent_id,
+                published_at: topic.retained.published_at
+            }
+        };
+    }
+
+    /**
+     * Get the names of the topics an agent subscribes to
+     */
+    async getSubscriptions(agentId) {
+        const topics = await this.storage.listTopics();
+        return topics
+            .filter(topic => topic.subscribers.some(subscriber => subscriber.agentId === agentId))
+            .map(topic => topic.name);
+    }
+
+    /**
+     * Subscribe an agent to a topic, creating the topic if needed
+     * Returns { topic, subscribed } where subscribed is false if the agent already was
+     */
+    async subscribe(name, agentId) {
+        TopicManager.assertTopicName(name);
+
+        return this.storage.withTopicLock(name, async () => {
+            const topic = await this.storage.getTopic(name) || TopicManager.createTopic(name);
+            if (topic.subscribers.some(subscriber => subscriber.agentId === agentId)) {
+                return { topic, subscribed: false };
+            }
+
+            topic.subscribers.push({ agentId, subscribed_at: new Date().toISOString() });
+            await this.storage.saveTopic(topic);
+
+            logger.info(`Agent ${agentId} subscribed to topic ${name}`);
+            return { topic, subscribed: true };
+        });
+    }
+
+    /**
+     * Unsubscribe an agent from a topic
+     */
+    async unsubscribe(name, agentId) {
+        TopicManager.assertTopicName(name);
+
+        return this.storage.withTopicLock(name, async () => {
+            const topic = await this.storage.getTopic(name);
+            const index = topic ? topic.subscribers.findIndex(subscriber => subscriber.agentId === agentId) : -1;
+            if (index === -1) {
+                throw new Error(`Agent ${agentId} is not subscribed to topic ${name}`);
+            }
+
+            topic.subscribers.splice(index, 1);
+            await this.storage.saveTopic(topic);
+
+            logger.info(`Agent ${agentId} unsubscribed from topic ${name}`);
+            return topic;
+        });
+    }
+
+    /**
+     * Record a publication as the topic's retained message, creating the topic if needed
+     * Returns the topic with the subscribers to deliver the publication to
+     */
+    async retain(name, fromAgentId, type, data) {
+        TopicManager.assertTopicName(name);
+
+        return this.storage.withTopicLock(name, async () => {
+            const topic = await this.storage.getTopic(name) || TopicManager.createTopic(name);
+            topic.retained = {
+                id: uuidv4(),
+                type,
+                from_agent_id: fromAgentId,
+                published_at: new Date().toISOString(),
+                data
+            };
+            topic.published += 1;
+            await this.storage.saveTopic(topic);
+
+            logger.info(`Agent ${fromAgentId} published ${type} to topic ${name}`);
+            return topic;
+        });
+    }
+}
+
+TopicManager.TOPIC_NAME_PATTERN = TOPIC_NAME_PATTERN;
+
+module.exports = TopicManager;
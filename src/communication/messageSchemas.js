@@ -0,0 +1,120 @@
+/**
+ * JSON Schemas for the data payload of each built-in message type
+ * Every message shares one envelope ({ id, type, timestamp, from_agent_id, to_agent_id, thread_id,
+ * in_reply_to, data }); these schemas describe data and are copied into each agent's
+ * mcp_config.json messageTypes, next to any custom types the agent registers.
+ */
+
+const taskSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+        dependencies: { type: 'array', items: { type: 'string' } },
+        deliverables: { type: 'array', items: { type: 'string' } },
+        metadata: { type: 'object' }
+    },
+    required: ['id', 'title']
+};
+
+module.exports = {
+    TASK_REQUEST: {
+        description: 'Ask another agent to take on a task',
+        schema: {
+            type: 'object',
+            properties: {
+                task_id: { type: 'string', minLength: 1 },
+                task: taskSchema
+            },
+            required: ['task_id', 'task']
+        }
+    },
+    TASK_RESPONSE: {
+        description: 'Accept, decline or answer a task request',
+        schema: {
+            type: 'object',
+            properties: {
+                reference_task_id: { type: 'string', minLength: 1 },
+                state: { type: 'string', enum: ['accepted', 'declined', 'answered', 'expired'] },
+                reason: { type: ['string', 'null'] },
+                response_task: { type: ['object', 'null'] }
+            },
+            required: ['reference_task_id', 'state']
+        }
+    },
+    STATUS_UPDATE: {
+        description: 'Report progress on a task',
+        schema: {
+            type: 'object',
+            properties: {
+                task_id: { type: 'string', minLength: 1 },
+                status: { type: 'string', minLength: 1 },
+                details: { type: 'object' }
+            },
+            required: ['status']
+        }
+    },
+    DEPENDENCY_NOTIFICATION: {
+        description: 'Tell an agent about a change to a task or artifact it depends on; ' +
+            'breaking changes block the dependent tasks until resolved',
+        schema: {
+            type: 'object',
+            properties: {
+                task_id: { type: 'string', minLength: 1 },
+                artifact: { type: 'string', minLength: 1 },
+                impact: { type: 'string', enum: ['breaking', 'resolved', 'info'] },
+                reason: { type: 'string' },
+                status: { type: 'string', minLength: 1 },
+                details: { type: 'object' }
+            }
+        }
+    },
+    INTEGRATION_TEST: {
+        description: 'Ask an agent to run or review an integration test',
+        schema: {
+            type: 'object',
+            properties: {
+                test: { type: 'string', minLength: 1 },
+                details: { type: 'object' }
+            }
+        }
+    },
+    COMPLETION_NOTIFICATION: {
+        description: 'Tell dependent agents that a task has completed',
+        schema: {
+            type: 'object',
+            properties: {
+                task_id: { type: 'string', minLength: 1 },
+                title: { type: 'string' },
+                status: { type: 'string', minLength: 1 },
+                deliverables: { type: 'array', items: { type: 'string' } },
+                dependents: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['task_id', 'status']
+        }
+    },
+    CONTEXT_SYNC: {
+        description: 'Share sections of an agent\'s context, merged into the receiver\'s "Shared from <agent>" section',
+        schema: {
+            type: 'object',
+            properties: {
+                sections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            title: { type: 'string', minLength: 1 },
+                            content: { type: 'string' },
+                            version: { type: 'string', minLength: 1 }
+                        },
+                        required: ['title', 'content']
+                    }
+                },
+                context: { type: 'string' },
+                details: { type: 'object' }
+            }
+        }
+    }
+};
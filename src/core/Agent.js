@@ -3,135 +3,95 @@
  * Manages file-based memory, task queues, and MCP communication
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const RelationshipManager = require('./RelationshipManager');
+const ContextDocument = require('./ContextDocument');
+const ContextHistory = require('./ContextHistory');
+const BUILTIN_MESSAGE_TYPES = require('../communication/messageSchemas');
+const { getStorageBackend } = require('../storage');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('Agent');
+
+const MESSAGE_TYPES = Object.keys(BUILTIN_MESSAGE_TYPES);
+
+// Stamp added by updateContext; only the latest one is kept
+const LAST_UPDATED_PATTERN = /(\s*_Last updated: [^_\n]*_\s*)+$/;
+
+// First line of each section merged by a context sync
+const SHARED_VERSION_PATTERN = /^_Version ([^\s,]+)/;
+
+// Context size budget in characters when mcp_config settings do not set contextMaxChars
+const DEFAULT_CONTEXT_MAX_CHARS = 32000;
+
+// Context versions kept in the history when mcp_config settings do not set contextHistoryMaxVersions
+const DEFAULT_CONTEXT_HISTORY_MAX_VERSIONS = 50;
 
 class Agent {
-    constructor(agentId, basePath = './agents') {
+    /**
+     * storage may be a StorageBackend instance or backend options;
+     * by default the backend is selected from MCP_STORAGE for basePath
+     */
+    constructor(agentId, basePath = './agents', storage = null) {
         this.agentId = agentId;
         this.basePath = basePath;
-        this.agentPath = path.join(basePath, agentId);
-        this.contextPath = path.join(this.agentPath, 'context.md');
-        this.tasksPath = path.join(this.agentPath, 'tasks');
-        this.relationshipsPath = path.join(this.agentPath, 'relationships.json');
-        this.mcpConfigPath = path.join(this.agentPath, 'mcp_config.json');
-        
-        // Task file paths
-        this.activeTasksPath = path.join(this.tasksPath, 'active.json');
-        this.pendingTasksPath = path.join(this.tasksPath, 'pending.json');
-        this.completedTasksPath = path.join(this.tasksPath, 'completed.json');
-        this.incomingRequestsPath = path.join(this.tasksPath, 'requests', 'incoming');
-        this.outgoingRequestsPath = path.join(this.tasksPath, 'requests', 'outgoing');
+        this.storage = getStorageBackend(storage || { basePath });
         
         this.isInitialized = false;
         this.relationshipManager = new RelationshipManager(this);
+        this.contextHistory = new ContextHistory(this);
     }
 
     /**
-     * Initialize the agent's file structure
+     * Initialize the agent's storage
+     * options.capabilities are listed in a newly created context
      */
-    async initialize() {
+    async initialize(options = {}) {
         try {
-            // Create directory structure
-            await this.createDirectoryStructure();
-            
-            // Initialize files if they don't exist
-            await this.initializeFiles();
+            // Initialize data that doesn't exist yet
+            await this.initializeFiles(options);
             
             this.isInitialized = true;
-            console.log(`Agent ${this.agentId} initialized successfully`);
+            logger.info(`Agent ${this.agentId} initialized successfully`);
         } catch (error) {
-            console.error(`Failed to initialize agent ${this.agentId}:`, error);
+            logger.error(`Failed to initialize agent ${this.agentId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Create the agent's directory structure
+     * Run fn while holding this agent's storage lock
      */
-    async createDirectoryStructure() {
-        const directories = [
-            this.agentPath,
-            this.tasksPath,
-            this.incomingRequestsPath,
-            this.outgoingRequestsPath
-        ];
-
-        for (const dir of directories) {
-            await fs.mkdir(dir, { recursive: true });
-        }
+    async withLock(fn) {
+        return this.storage.withAgentLock(this.agentId, fn);
     }
 
     /**
-     * Initialize default files
+     * Initialize default context, task queues, relationships and MCP config
      */
-    async initializeFiles() {
-        // Initialize context.md
-        if (!await this.fileExists(this.contextPath)) {
-            const defaultContext = `# Agent ${this.agentId} Context\n\n## Current State\n- Status: Initialized\n- Created: ${new Date().toISOString()}\n\n## Knowledge Base\n\n## Recent Activities\n\n## Notes\n`;
-            await fs.writeFile(this.contextPath, defaultContext, 'utf8');
-        }
-
-        // Initialize task files
-        const taskFiles = [
-            { path: this.activeTasksPath, content: [] },
-            { path: this.pendingTasksPath, content: [] },
-            { path: this.completedTasksPath, content: [] }
-        ];
-
-        for (const file of taskFiles) {
-            if (!await this.fileExists(file.path)) {
-                await fs.writeFile(file.path, JSON.stringify(file.content, null, 2), 'utf8');
+    async initializeFiles(options = {}) {
+        const capabilitiesSection = options.capabilities
+            ? `## Capabilities\n${JSON.stringify(options.capabilities, null, 2)}\n\n`
+            : '';
+        const defaultContext = `# Agent ${this.agentId} Context\n\n## Current State\n- Status: Initialized\n- Created: ${new Date().toISOString()}\n\n${capabilitiesSection}## Knowledge Base\n\n## Recent Activities\n\n## Notes\n`;
+        const defaultMcpConfig = {
+            agentId: this.agentId,
+            mcpEndpoint: null,
+            messageTypes: JSON.parse(JSON.stringify(BUILTIN_MESSAGE_TYPES)), // Payload schemas; custom types are added here
+            settings: {
+                messageRetryAttempts: 3,
+                messageTimeout: 30000,
+                heartbeatInterval: 60000,
+                autoAcknowledge: true, // Archive messages once handled; MCP agents acknowledge their own
+                contextMaxChars: DEFAULT_CONTEXT_MAX_CHARS, // Older activity entries roll over to context.archive.md
+                contextHistoryMaxVersions: DEFAULT_CONTEXT_HISTORY_MAX_VERSIONS // Older context versions are deleted
             }
-        }
+        };
 
-        // Initialize relationships.json
-        if (!await this.fileExists(this.relationshipsPath)) {
-            const defaultRelationships = {
-                consumers: [],
-                producers: [],
-                bidirectional: [],
-                optional: []
-            };
-            await fs.writeFile(this.relationshipsPath, JSON.stringify(defaultRelationships, null, 2), 'utf8');
-        }
-
-        // Initialize mcp_config.json
-        if (!await this.fileExists(this.mcpConfigPath)) {
-            const defaultMcpConfig = {
-                agentId: this.agentId,
-                mcpEndpoint: null,
-                messageTypes: [
-                    "TASK_REQUEST",
-                    "TASK_RESPONSE", 
-                    "STATUS_UPDATE",
-                    "DEPENDENCY_NOTIFICATION",
-                    "INTEGRATION_TEST",
-                    "COMPLETION_NOTIFICATION",
-                    "CONTEXT_SYNC"
-                ],
-                settings: {
-                    messageRetryAttempts: 3,
-                    messageTimeout: 30000,
-                    heartbeatInterval: 60000
-                }
-            };
-            await fs.writeFile(this.mcpConfigPath, JSON.stringify(defaultMcpConfig, null, 2), 'utf8');
-        }
-    }
-
-    /**
-     * Check if a file exists
-     */
-    async fileExists(filePath) {
-        try {
-            await fs.access(filePath);
-            return true;
-        } catch {
-            return false;
-        }
+        await this.storage.initializeAgent(this.agentId, {
+            context: defaultContext,
+            mcpConfig: defaultMcpConfig
+        });
     }
 
     /**
@@ -139,23 +99,30 @@ class Agent {
      */
     async readContext() {
         try {
-            return await fs.readFile(this.contextPath, 'utf8');
+            return await this.storage.readContext(this.agentId);
         } catch (error) {
-            console.error(`Failed to read context for agent ${this.agentId}:`, error);
+            logger.error(`Failed to read context for agent ${this.agentId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Update the agent's context
+     * Update the agent's context, recording the new content as a version in its history
+     * Activity entries that do not fit the context budget are moved to the archive first.
+     * Returns the version entry ({ version, timestamp, reason, lines, size })
      */
-    async updateContext(newContent) {
+    async updateContext(newContent, reason = '') {
         try {
-            const timestamp = new Date().toISOString();
-            const updatedContent = newContent + `\n\n_Last updated: ${timestamp}_\n`;
-            await fs.writeFile(this.contextPath, updatedContent, 'utf8');
+            return await this.withLock(async () => {
+                const timestamp = new Date().toISOString();
+                const content = await this.rollOverContext(newContent.replace(LAST_UPDATED_PATTERN, ''));
+                const updatedContent = content + `\n\n_Last updated: ${timestamp}_\n`;
+                await this.contextHistory.recordBaseline();
+                await this.storage.writeContext(this.agentId, updatedContent);
+                return this.contextHistory.record(updatedContent, reason);
+            });
         } catch (error) {
-            console.error(`Failed to update context for agent ${this.agentId}:`, error);
+            logger.error(`Failed to update context for agent ${this.agentId}:`, error);
             throw error;
         }
     }
@@ -165,25 +132,182 @@ class Agent {
      */
     async appendToContext(content) {
         try {
-            const currentContext = await this.readContext();
-            const timestamp = new Date().toISOString();
-            const newContent = `${currentContext}\n\n## ${timestamp}\n${content}`;
-            await this.updateContext(newContent);
+            await this.withLock(async () => {
+                const currentContext = await this.readContext();
+                const timestamp = new Date().toISOString();
+                const newContent = `${currentContext.replace(LAST_UPDATED_PATTERN, '')}\n\n## ${timestamp}\n${content}`;
+                await this.updateContext(newContent, 'Appended to context');
+            });
         } catch (error) {
-            console.error(`Failed to append to context for agent ${this.agentId}:`, error);
+            logger.error(`Failed to append to context for agent ${this.agentId}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Get the context size budget in characters (mcp_config settings.contextMaxChars)
+     */
+    async getContextBudget() {
+        const config = await this.storage.getMcpConfig(this.agentId);
+        return (config && config.settings && config.settings.contextMaxChars) || DEFAULT_CONTEXT_MAX_CHARS;
+    }
+
+    /**
+     * Get how many context versions the history keeps (mcp_config settings.contextHistoryMaxVersions)
+     */
+    async getContextHistoryLimit() {
+        const config = await this.storage.getMcpConfig(this.agentId);
+        return (config && config.settings && config.settings.contextHistoryMaxVersions) || DEFAULT_CONTEXT_HISTORY_MAX_VERSIONS;
+    }
+
+    /**
+     * Move the oldest "## <timestamp>" activity entries to the context archive until the
+     * content fits the budget; curated sections are never moved, even if they alone exceed it
+     * Returns the remaining content
+     */
+    async rollOverContext(content) {
+        const maxChars = await this.getContextBudget();
+        if (content.length <= maxChars) {
+            return content;
+        }
+
+        const document = new ContextDocument(content);
+        const archived = [];
+        for (const title of document.listActivitySections()) {
+            if (document.toString().length <= maxChars) break;
+            archived.push(`## ${title}\n${document.getSection(title)}\n`);
+            document.removeSection(title);
+        }
+
+        if (archived.length > 0) {
+            // Archive before the context is written, so an interrupted rollover loses nothing
+            const header = await this.storage.readContextArchive(this.agentId)
+                ? ''
+                : `# Agent ${this.agentId} Context Archive\n\nActivity entries rolled over from context.md, oldest first.\n`;
+            await this.storage.appendContextArchive(this.agentId, `${header}\n${archived.join('\n')}`);
+            logger.info(`Rolled ${archived.length} activity entries of agent ${this.agentId} over to the context archive`);
+        }
+        if (document.toString().length > maxChars) {
+            logger.warn(`Context of agent ${this.agentId} exceeds its budget of ${maxChars} characters without activity entries`);
+        }
+
+        return document.toString();
+    }
+
+    /**
+     * Read the context trimmed to at most maxChars characters
+     * The oldest activity entries are left out first; if the rest is still too long it is cut off.
+     * Returns { context, trimmed, omitted } where omitted lists the activity entries left out
+     */
+    async readTrimmedContext(maxChars) {
+        const document = await this.readContextDocument();
+        const omitted = [];
+        const render = () => {
+            const text = document.toString().trimEnd();
+            return omitted.length > 0
+                ? `${text}\n\n_${omitted.length} older activity entries omitted_`
+                : text;
+        };
+
+        for (const title of document.listActivitySections()) {
+            if (render().length <= maxChars) break;
+            omitted.push(title);
+            document.removeSection(title);
+        }
+
+        let context = render();
+        const truncated = context.length > maxChars;
+        if (truncated) {
+            const marker = '\n\n_[truncated]_';
+            context = context.slice(0, Math.max(0, maxChars - marker.length)) + marker;
+        }
+
+        return { context, trimmed: truncated || omitted.length > 0, omitted };
+    }
+
+    /**
+     * Read the context as a ContextDocument, without the "_Last updated_" stamp (which
+     * would otherwise end up in the last section)
+     */
+    async readContextDocument() {
+        return new ContextDocument((await this.readContext()).replace(LAST_UPDATED_PATTERN, '\n'));
+    }
+
+    /**
+     * Get the content of a "## " section of the context, or null if there is no such section
+     */
+    async getContextSection(title) {
+        return (await this.readContextDocument()).getSection(title);
+    }
+
+    /**
+     * Replace the content of a "## " section of the context, adding the section if needed
+     * Returns true if the section was created
+     */
+    async updateContextSection(title, content) {
+        return this.withLock(async () => {
+            const document = await this.readContextDocument();
+            const created = document.getSection(title) === null;
+            document.setSection(title, ContextDocument.nest(content));
+            await this.updateContext(document.toString(), `${created ? 'Added' : 'Updated'} section "${title}"`);
+            return created;
+        });
+    }
+
+    /**
+     * Append to the end of a "## " section of the context, adding the section if needed
+     * Returns true if the section was created
+     */
+    async appendToContextSection(title, content) {
+        return this.withLock(async () => {
+            const document = await this.readContextDocument();
+            const current = document.getSection(title);
+            const appended = ContextDocument.nest(content);
+            document.setSection(title, current ? `${current}\n\n${appended}` : appended);
+            await this.updateContext(document.toString(), `Appended to section "${title}"`);
+            return current === null;
+        });
+    }
+
+    /**
+     * Merge context sections shared by another agent into its "Shared from <agent>" section
+     * Each shared section is a subsection stamped with its version; sections whose version has
+     * not changed are left alone, others replace the previous copy. Returns { updated, unchanged } titles.
+     */
+    async mergeSharedContext(fromAgentId, sections, syncedAt = new Date().toISOString()) {
+        return this.withLock(async () => {
+            const document = await this.readContextDocument();
+            const sharedTitle = `Shared from ${fromAgentId}`;
+            const shared = new ContextDocument(document.getSection(sharedTitle) || '', 3);
+            const result = { updated: [], unchanged: [] };
+
+            for (const { title, content, version = ContextDocument.version(content) } of sections) {
+                const current = shared.getSection(title);
+                if (current && current.match(SHARED_VERSION_PATTERN)?.[1] === version) {
+                    result.unchanged.push(title);
+                    continue;
+                }
+
+                shared.setSection(title, `_Version ${version}, synced ${syncedAt}_\n\n${ContextDocument.demoteHeadings(content, 3)}`);
+                result.updated.push(title);
+            }
+
+            if (result.updated.length > 0) {
+                document.setSection(sharedTitle, shared.toString());
+                await this.updateContext(document.toString(), `Synced context from ${fromAgentId}`);
+            }
+            return result;
+        });
+    }
+
     /**
      * Get agent relationships
      */
     async getRelationships() {
         try {
-            const content = await fs.readFile(this.relationshipsPath, 'utf8');
-            return JSON.parse(content);
+            return await this.storage.getRelationships(this.agentId);
         } catch (error) {
-            console.error(`Failed to read relationships for agent ${this.agentId}:`, error);
+            logger.error(`Failed to read relationships for agent ${this.agentId}:`, error);
             throw error;
         }
     }
@@ -193,9 +317,9 @@ class Agent {
      */
     async updateRelationships(relationships) {
         try {
-            await fs.writeFile(this.relationshipsPath, JSON.stringify(relationships, null, 2), 'utf8');
+            await this.storage.saveRelationships(this.agentId, relationships);
         } catch (error) {
-            console.error(`Failed to update relationships for agent ${this.agentId}:`, error);
+            logger.error(`Failed to update relationships for agent ${this.agentId}:`, error);
             throw error;
         }
     }
@@ -205,10 +329,13 @@ class Agent {
      */
     async getMcpConfig() {
         try {
-            const content = await fs.readFile(this.mcpConfigPath, 'utf8');
-            return JSON.parse(content);
+            const config = await this.storage.getMcpConfig(this.agentId);
+            if (!config) {
+                throw new Error(`MCP config for agent ${this.agentId} not found`);
+            }
+            return config;
         } catch (error) {
-            console.error(`Failed to read MCP config for agent ${this.agentId}:`, error);
+            logger.error(`Failed to read MCP config for agent ${this.agentId}:`, error);
             throw error;
         }
     }
@@ -218,12 +345,16 @@ class Agent {
      */
     async updateMcpConfig(config) {
         try {
-            await fs.writeFile(this.mcpConfigPath, JSON.stringify(config, null, 2), 'utf8');
+            await this.storage.saveMcpConfig(this.agentId, config);
         } catch (error) {
-            console.error(`Failed to update MCP config for agent ${this.agentId}:`, error);
+            logger.error(`Failed to update MCP config for agent ${this.agentId}:`, error);
             throw error;
         }
     }
 }
 
+Agent.MESSAGE_TYPES = MESSAGE_TYPES;
+Agent.DEFAULT_CONTEXT_MAX_CHARS = DEFAULT_CONTEXT_MAX_CHARS;
+Agent.DEFAULT_CONTEXT_HISTORY_MAX_VERSIONS = DEFAULT_CONTEXT_HISTORY_MAX_VERSIONS;
+
 module.exports = Agent;
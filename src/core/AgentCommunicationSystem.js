@@ -0,0 +1,1244 @@
+/**
+ * AgentCommunicationSystem - the domain service shared by every entry point
+ * (library use, stdio MCP server, shared MCP server and HTTP API).
+ * Built on Agent, Task, TaskQueue, RelationshipManager and CommunicationProtocol
+ * so validation and side effects do not depend on how a request arrives.
+ */
+
+const Agent = require('./Agent');
+const ContextDocument = require('./ContextDocument');
+const Task = require('./Task');
+const TaskQueue = require('./TaskQueue');
+const DependencyGraph = require('./DependencyGraph');
+const SearchIndex = require('./SearchIndex');
+const TaskQuery = require('./TaskQuery');
+const TaskTree = require('./TaskTree');
+const CommunicationProtocol = require('../communication/CommunicationProtocol');
+const ThreadManager = require('../communication/ThreadManager');
+const TopicManager = require('../communication/TopicManager');
+const { StorageBackend, getStorageBackend } = require('../storage');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('AgentCommunicationSystem');
+
+// Custom message types follow the naming of the built-in ones
+const MESSAGE_TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+const BROADCAST_TARGETS = ['consumers', 'producers', 'bidirectional', 'tag', 'all'];
+
+// Relationship groups a context section can be shared with, besides "tag:<name>"
+const CONTEXT_AUDIENCES = ['consumers', 'producers', 'bidirectional', 'optional', 'related'];
+
+const RELATIONSHIP_METHODS = {
+    consumer: 'addConsumer',
+    producer: 'addProducer',
+    bidirectional: 'addBidirectionalRelationship',
+    optional: 'addOptionalRelationship'
+};
+
+class AgentCommunicationSystem {
+    /**
+     * options.basePath: default agents directory
+     * options.storage: StorageBackend instance or backend options shared by all agents
+     * (defaults to the MCP_STORAGE backend for each agent's basePath)
+     * options.messaging: CommunicationProtocol options ({ mode, pollIntervalMs, debounceMs })
+     */
+    constructor(options = {}) {
+        this.basePath = options.basePath || './agents';
+        this.storageOptions = options.storage || null;
+        this.storage = getStorageBackend(this.storageOptions || { basePath: this.basePath });
+        this.agents = new Map();
+        this.connectedAgents = new Map(); // Agents registered through an MCP entry point
+        this.loadingAgents = new Map();
+        this.communicationProtocol = new CommunicationProtocol(options.messaging);
+        this.threads = new ThreadManager(this.storage);
+        this.topics = new TopicManager(this.storage);
+        this.searchIndex = new SearchIndex(this.storage);
+    }
+
+    /**
+     * Register a new agent in the system or update existing one
+     * options.capabilities are recorded in the default context of a new agent
+     */
+    async registerAgent(agentId, basePath = this.basePath, forceUpdate = false, options = {}) {
+        if (this.agents.has(agentId)) {
+            if (!forceUpdate) {
+                logger.info(`Agent ${agentId} already exists, skipping re-registration`);
+                return this.agents.get(agentId);
+            }
+
+            logger.info(`Agent ${agentId} already exists, updating registration...`);
+            const existingAgent = this.agents.get(agentId);
+
+            // Re-initialize the agent to ensure it's up to date
+            await existingAgent.initialize(options);
+
+            // Ensure task queue is properly set up
+            if (!existingAgent.taskQueue) {
+                const taskQueue = new TaskQueue(existingAgent);
+                existingAgent.taskQueue = taskQueue;
+            }
+
+            // Re-register with communication protocol to update any handlers
+            await this.communicationProtocol.registerAgent(existingAgent, true);
+
+            logger.info(`Agent ${agentId} registration updated successfully`);
+            return existingAgent;
+        }
+
+        const agent = new Agent(agentId, basePath, this.storageOptions);
+        await agent.initialize(options);
+
+        const taskQueue = new TaskQueue(agent);
+        agent.taskQueue = taskQueue;
+
+        this.agents.set(agentId, agent);
+
+        // Register agent with communication protocol
+        await this.communicationProtocol.registerAgent(agent);
+
+        logger.info(`Agent ${agentId} registered successfully`);
+        return agent;
+    }
+
+    /**
+     * Register an agent connecting through an MCP entry point, recording its capabilities
+     */
+    async connectAgent(agentId, capabilities = {}, forceUpdate = false) {
+        const isExisting = this.connectedAgents.has(agentId);
+
+        if (isExisting && !forceUpdate) {
+            logger.info(`Agent ${agentId} already registered, skipping re-registration`);
+            return {
+                message: `Agent ${agentId} already registered`,
+                wasUpdated: false
+            };
+        }
+
+        logger.info(`${isExisting ? 'Updating' : 'Registering'} agent: ${agentId}`);
+
+        const agent = await this.registerAgent(agentId, this.basePath, true, { capabilities });
+
+        // Record capabilities in the MCP config, preserving the rest of it
+        await agent.withLock(async () => {
+            const mcpConfig = await agent.getMcpConfig();
+            mcpConfig.capabilities = capabilities;
+            // MCP agents read their inbox and acknowledge messages themselves (see message-ack)
+            mcpConfig.settings = { ...mcpConfig.settings, autoAcknowledge: false };
+            if (isExisting) {
+                mcpConfig.lastUpdated = new Date().toISOString();
+            } else {
+                mcpConfig.connectedAt = mcpConfig.connectedAt || new Date().toISOString();
+            }
+            await agent.updateMcpConfig(mcpConfig);
+        });
+
+        // Update agent connection info
+        const existingAgent = this.connectedAgents.get(agentId);
+        this.connectedAgents.set(agentId, {
+            agentId,
+            capabilities,
+            connectedAt: existingAgent ? existingAgent.connectedAt : new Date().toISOString(),
+            lastActivity: new Date().toISOString(),
+            registrationCount: existingAgent ? (existingAgent.registrationCount || 1) + 1 : 1
+        });
+
+        // registerAgent has logged the outcome
+        return {
+            message: `Agent ${agentId} ${isExisting ? 'updated' : 'registered'} successfully`,
+            wasUpdated: isExisting
+        };
+    }
+
+    /**
+     * Get an agent by ID
+     */
+    getAgent(agentId) {
+        return this.agents.get(agentId);
+    }
+
+    /**
+     * Get a registered agent, loading it from storage if another process registered it
+     */
+    async loadAgent(agentId) {
+        if (this.agents.has(agentId)) {
+            return this.agents.get(agentId);
+        }
+
+        // Concurrent callers share a single load
+        if (!this.loadingAgents.has(agentId)) {
+            const loading = (async () => {
+                if (!await this.storage.agentExists(agentId)) {
+                    throw new Error(`Agent ${agentId} not found`);
+                }
+                return this.registerAgent(agentId);
+            })();
+            this.loadingAgents.set(agentId, loading);
+            loading.then(
+                () => this.loadingAgents.delete(agentId),
+                () => this.loadingAgents.delete(agentId)
+            );
+        }
+
+        return this.loadingAgents.get(agentId);
+    }
+
+    /**
+     * Get all registered agents
+     */
+    getAllAgents() {
+        return Array.from(this.agents.values());
+    }
+
+    /**
+     * Remove an agent from the system
+     */
+    async unregisterAgent(agentId) {
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+
+        // Unregister from communication protocol
+        await this.communicationProtocol.unregisterAgent(agent);
+
+        this.agents.delete(agentId);
+        this.connectedAgents.delete(agentId);
+        logger.info(`Agent ${agentId} unregistered successfully`);
+    }
+
+    /**
+     * Record activity for an agent registered through an MCP entry point
+     */
+    touchAgent(agentId) {
+        const agentInfo = this.connectedAgents.get(agentId);
+        if (agentInfo) {
+            agentInfo.lastActivity = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Create a task in an agent's pending queue
+     * taskData.subtasks (each of which may have subtasks of its own) are created under the task;
+     * taskData.parent_task_id adds the task under an existing task of the same agent
+     */
+    async createTask(agentId, taskData, createdBy = null) {
+        const agent = await this.loadAgent(agentId);
+        const { subtasks = [], ...fields } = taskData;
+
+        const task = new Task({
+            ...fields,
+            id: undefined, // IDs are always assigned by the system
+            status: 'pending',
+            agent_id: agentId,
+            created_by: createdBy || taskData.created_by || agentId
+        });
+
+        // Check the whole tree first, so an invalid subtask does not leave a partial tree behind
+        this.assertValidSubtasks(task, subtasks);
+
+        await agent.taskQueue.addTask(task);
+        for (const subtask of subtasks) {
+            await this.createTask(agentId, { ...subtask, parent_task_id: task.id }, createdBy || task.created_by);
+        }
+
+        this.touchAgent(agentId);
+        return task;
+    }
+
+    /**
+     * Throw if any subtask, at any depth, is not a valid task
+     */
+    assertValidSubtasks(parent, subtasks) {
+        if (!Array.isArray(subtasks)) {
+            throw new Error('Subtasks must be an array of tasks');
+        }
+
+        for (const subtaskData of subtasks) {
+            const { subtasks: nested = [], ...fields } = subtaskData || {};
+            const subtask = new Task({ ...fields, agent_id: parent.agent_id, created_by: parent.created_by });
+            const validation = subtask.validate();
+            if (!validation.isValid) {
+                throw new Error(`Invalid subtask "${subtask.title}" of "${parent.title}": ${validation.errors.join(', ')}`);
+            }
+            this.assertValidSubtasks(subtask, nested);
+        }
+    }
+
+    /**
+     * Create a task request from one agent to another
+     */
+    async createTaskRequest(fromAgentId, toAgentId, taskData) {
+        const fromAgent = await this.loadAgent(fromAgentId).catch(() => null);
+        const toAgent = await this.loadAgent(toAgentId).catch(() => null);
+
+        if (!fromAgent) {
+            throw new Error(`Source agent ${fromAgentId} not found`);
+        }
+        if (!toAgent) {
+            throw new Error(`Target agent ${toAgentId} not found`);
+        }
+
+        // Create request task
+        const requestTask = new Task({
+            type: 'request',
+            title: taskData.title,
+            description: taskData.description,
+            priority: taskData.priority || 'medium',
+            agent_id: toAgentId,
+            created_by: fromAgentId,
+            target_agent_id: toAgentId,
+            // Bare task IDs name the requester's tasks; qualify them so the receiver's copy resolves them too
+            dependencies: (taskData.dependencies || []).map(ref => Task.qualifyDependency(ref, fromAgentId)),
+            deliverables: taskData.deliverables || [],
+            metadata: taskData.metadata || {}
+        });
+
+        let deadline = null;
+        if (taskData.deadline) {
+            if (isNaN(Date.parse(taskData.deadline))) {
+                throw new Error('Task request deadline must be an ISO 8601 date');
+            }
+            deadline = new Date(taskData.deadline).toISOString();
+        }
+
+        // Add to requesting agent's outgoing queue
+        await fromAgent.taskQueue.addTask(requestTask);
+
+        // Send via communication protocol
+        await this.communicationProtocol.sendTaskRequest(fromAgent, toAgent, requestTask, deadline);
+        this.touchAgent(fromAgentId);
+
+        logger.info(`Task request ${requestTask.id} sent from ${fromAgentId} to ${toAgentId}`);
+        return requestTask;
+    }
+
+    /**
+     * Accept a task request received by an agent
+     */
+    async acceptTaskRequest(agentId, requestId, note = '') {
+        return this.replyToTaskRequest(agentId, requestId, 'accepted', { reason: note });
+    }
+
+    /**
+     * Decline a task request received by an agent, cancelling the agent's copy of the task
+     */
+    async declineTaskRequest(agentId, requestId, reason) {
+        if (!reason) {
+            throw new Error('A reason is required to decline a task request');
+        }
+        return this.replyToTaskRequest(agentId, requestId, 'declined', { reason });
+    }
+
+    /**
+     * Answer a task request with a response task built from response ({ description, deliverables, metadata })
+     */
+    async respondToTaskRequest(agentId, requestId, response = {}) {
+        return this.replyToTaskRequest(agentId, requestId, 'answered', { response });
+    }
+
+    /**
+     * Move a task request to a new state in the requester's outgoing box and send the requester a
+     * TASK_RESPONSE linked by reference_task_id
+     * Returns { request, responseMessageId, responseTask }
+     */
+    async replyToTaskRequest(agentId, requestId, state, { reason = '', response = null } = {}) {
+        const agent = await this.loadAgent(agentId);
+
+        const requestMessage = await this.communicationProtocol.findTaskRequest(agent, 'incoming', requestId) ||
+            await this.communicationProtocol.findTaskRequest(agent, 'processed', requestId);
+        if (!requestMessage) {
+            throw new Error(`Task request ${requestId} not found for agent ${agentId}`);
+        }
+        const requester = await this.loadAgent(requestMessage.from_agent_id);
+
+        let responseTask = null;
+        if (response) {
+            responseTask = Task.fromJSON(requestMessage.data.task).createResponse(agentId, response);
+            const validation = responseTask.validate();
+            if (!validation.isValid) {
+                throw new Error(`Invalid response: ${validation.errors.join(', ')}`);
+            }
+        }
+
+        const updated = await this.communicationProtocol.updateRequestState(requester, requestId, state, {
+            responded_by: agentId,
+            reason: reason || null,
+            response_task_id: responseTask ? responseTask.id : null
+        });
+        const responseMessage = await this.communicationProtocol.sendTaskResponse(agent, requester, responseTask, requestId, {
+            state,
+            reason,
+            threadId: CommunicationProtocol.getThreadId(requestMessage)
+        });
+
+        if (state === 'declined') {
+            const task = await agent.taskQueue.getTaskById(requestId);
+            if (task && Task.canTransition(task.status, 'cancelled')) {
+                await agent.taskQueue.transitionTask(requestId, 'cancelled', { reason: `Request declined: ${reason}`, actor: agentId });
+            }
+        }
+
+        this.touchAgent(agentId);
+        logger.info(`Task request ${requestId} ${state} by ${agentId}`);
+        return { request: updated.request, responseMessageId: responseMessage.id, responseTask };
+    }
+
+    /**
+     * Move a task to a new lifecycle status (see Task.TRANSITIONS)
+     * Throws Task.InvalidTransitionError for transitions the lifecycle rejects
+     * actorId records who made the change (defaults to the owning agent)
+     */
+    async updateTaskStatus(agentId, taskId, status, deliverables = [], reason = '', actorId = null) {
+        const agent = await this.loadAgent(agentId);
+        const task = await agent.taskQueue.transitionTask(taskId, status, { reason, deliverables, actor: actorId || agentId });
+
+        if (status === 'completed') {
+            await this.notifyDependents(agent, task);
+
+            // Parents completed by this task's completion have dependents too
+            let parent = task.parent_task_id && await agent.taskQueue.getTaskById(task.parent_task_id);
+            while (parent && parent.status === 'completed' && parent.metadata.completedBySubtasks) {
+                await this.notifyDependents(agent, parent);
+                parent = parent.parent_task_id && await agent.taskQueue.getTaskById(parent.parent_task_id);
+            }
+        }
+
+        this.touchAgent(agentId);
+        logger.info(`Task ${taskId} status updated to ${status} for agent ${agentId}`);
+        return task;
+    }
+
+    /**
+     * Send a COMPLETION_NOTIFICATION to every other agent with open tasks depending on a completed task
+     * The receiving agent unblocks those tasks when it processes the notification
+     */
+    async notifyDependents(agent, task) {
+        const notified = [];
+
+        for (const otherAgentId of await this.storage.listAgents()) {
+            if (otherAgentId === agent.agentId) continue;
+
+            const openTasks = [
+                ...await this.storage.getTasks(otherAgentId, 'pending'),
+                ...await this.storage.getTasks(otherAgentId, 'active')
+            ];
+            const dependents = openTasks.filter(openTask => (openTask.dependencies || []).some(ref => {
+                const dependency = Task.parseDependency(ref, otherAgentId);
+                return dependency.agentId === agent.agentId && dependency.taskId === task.id;
+            }));
+
+            if (dependents.length === 0) continue;
+
+            const otherAgent = await this.loadAgent(otherAgentId);
+            await this.communicationProtocol.sendTypedMessage(agent, otherAgent, 'COMPLETION_NOTIFICATION', {
+                task_id: task.id,
+                title: task.title,
+                status: task.status,
+                deliverables: task.deliverables,
+                dependents: dependents.map(dependent => dependent.id)
+            });
+            notified.push(otherAgentId);
+        }
+
+        if (notified.length > 0) {
+            logger.info(`Completion of task ${task.id} notified to dependent agents: ${notified.join(', ')}`);
+        }
+        return notified;
+    }
+
+    /**
+     * Get the dependency tree of a task across agents
+     * Each node reports whether it is met; blocking lists the unmet dependencies with nothing left to wait on
+     */
+    async getTaskDependencies(agentId, taskId) {
+        const root = await this.describeDependency(agentId, taskId, new Set());
+        if (!root.found) {
+            throw new Error(`Task ${taskId} not found for agent ${agentId}`);
+        }
+
+        const blocking = [];
+        const collectBlocking = (node) => {
+            const unmet = node.dependencies.filter(dependency => !dependency.met);
+            unmet.forEach(collectBlocking);
+            if (node !== root && !node.met && !unmet.length && !blocking.some(b => b.ref === node.ref)) {
+                blocking.push({ ref: node.ref, agentId: node.agentId, taskId: node.taskId, title: node.title, status: node.status });
+            }
+        };
+        collectBlocking(root);
+
+        return {
+            ...root,
+            ready: root.dependencies.every(dependency => dependency.met),
+            blocking
+        };
+    }
+
+    /**
+     * Describe a task and, recursively, the tasks it depends on
+     */
+    async describeDependency(agentId, taskId, visiting) {
+        const ref = Task.dependencyRef(agentId, taskId);
+        const agent = await this.storage.agentExists(agentId) ? await this.loadAgent(agentId) : null;
+        const task = agent ? await agent.taskQueue.getTaskById(taskId) : null;
+
+        const node = {
+            ref,
+            agentId,
+            taskId,
+            found: Boolean(task),
+            title: task ? task.title : null,
+            status: task ? task.status : null,
+            met: Boolean(task) && task.status === 'completed',
+            dependencies: []
+        };
+
+        // Stop at missing tasks and at tasks already on the current path
+        if (!task || visiting.has(ref)) {
+            return node;
+        }
+
+        visiting.add(ref);
+        for (const dependencyRef of task.dependencies) {
+            const dependency = Task.parseDependency(dependencyRef, agentId);
+            node.dependencies.push(await this.describeDependency(dependency.agentId, dependency.taskId, visiting));
+        }
+        visiting.delete(ref);
+
+        return node;
+    }
+
+    /**
+     * Get the audit trail of a task, oldest event first
+     */
+    async getTaskHistory(agentId, taskId) {
+        const agent = await this.loadAgent(agentId);
+        const history = await agent.taskQueue.getTaskHistory(taskId);
+
+        // Removed tasks keep their history, so only fail when there is neither
+        if (history.length === 0 && !await agent.taskQueue.getTaskById(taskId)) {
+            throw new Error(`Task ${taskId} not found for agent ${agentId}`);
+        }
+
+        return history;
+    }
+
+    /**
+     * Get an agent's tasks as plain objects, optionally for a single queue
+     */
+    async getTasks(agentId, state = null) {
+        const validStates = ['pending', 'active', 'completed'];
+
+        if (state && !validStates.includes(state)) {
+            throw new Error(`Invalid state: ${state}. Must be one of: ${validStates.join(', ')}`);
+        }
+
+        const agent = await this.loadAgent(agentId);
+        const results = {};
+        for (const queue of state ? [state] : validStates) {
+            results[queue] = (await agent.taskQueue.loadTasks(queue)).map(task => task.toJSON());
+        }
+
+        return state ? results[state] : results;
+    }
+
+    /**
+     * Get an agent's tasks as subtask trees with rolled up progress (see TaskTree.build)
+     * options.state keeps the trees whose root is in that queue; options.taskId returns only the
+     * tree below that task
+     */
+    async getTaskTree(agentId, options = {}) {
+        const { state = null, taskId = null } = options;
+        const tasks = await this.getTasks(agentId);
+        const all = ['pending', 'active', 'completed'].flatMap(queue => tasks[queue].map(task => ({ ...task, queue })));
+
+        if (taskId) {
+            const task = all.find(t => t.id === taskId);
+            if (!task) {
+                throw new Error(`Task ${taskId} not found for agent ${agentId}`);
+            }
+            // Build from the task itself, so it is the root however deep it is
+            return TaskTree.build(all.map(t => t.id === taskId ? { ...t, parent_task_id: null } : t))
+                .find(root => root.id === taskId);
+        }
+
+        const roots = TaskTree.build(all);
+        if (state) {
+            // getTasks has already rejected invalid states
+            return roots.filter(root => root.queue === state);
+        }
+        return roots;
+    }
+
+    /**
+     * Find tasks across agents with filters, sorting and cursor pagination (see TaskQuery)
+     * query.agentIds limits the search to those agents; by default every agent is searched.
+     * Returns { tasks, total, nextCursor }; each task carries the agentId and queue it is in
+     * Throws TaskQuery.InvalidQueryError for invalid filters, sorts, limits, cursors and unknown agents
+     */
+    async queryTasks(query = {}) {
+        const taskQuery = new TaskQuery(query);
+
+        let agentIds = taskQuery.agentIds;
+        if (agentIds) {
+            for (const agentId of agentIds) {
+                if (!await this.storage.agentExists(agentId)) {
+                    throw new TaskQuery.InvalidQueryError(`Agent ${agentId} not found`, 'agentIds');
+                }
+            }
+        } else {
+            agentIds = await this.storage.listAgents();
+        }
+
+        const entries = [];
+        for (const agentId of agentIds) {
+            for (const queue of taskQuery.queues || StorageBackend.TASK_QUEUES) {
+                for (const task of await this.storage.getTasks(agentId, queue)) {
+                    entries.push({ agentId, queue, task });
+                }
+            }
+        }
+
+        return taskQuery.run(entries);
+    }
+
+    /**
+     * Add a relationship between agents
+     * Producer/consumer relationships that close a cycle of agents waiting on each other
+     * are still added, but the cycle is logged and returned as { cycle }
+     * options.tags: group names added to the relationship, used to address broadcasts
+     */
+    async addRelationship(agentId, targetAgentId, relationshipType, options = {}) {
+        const method = RELATIONSHIP_METHODS[relationshipType];
+        if (!method) {
+            throw new Error(`Invalid relationship type: ${relationshipType}. Must be one of: ${Object.keys(RELATIONSHIP_METHODS).join(', ')}`);
+        }
+
+        const agent = await this.loadAgent(agentId);
+
+        // A producer relationship makes this agent depend on the target; a consumer one the reverse
+        let cycle = null;
+        if (relationshipType === 'producer' || relationshipType === 'consumer') {
+            const graph = await DependencyGraph.forAgents(this.storage);
+            cycle = relationshipType === 'producer'
+                ? graph.findCycleThrough(agentId, targetAgentId)
+                : graph.findCycleThrough(targetAgentId, agentId);
+        }
+
+        await agent.relationshipManager[method](targetAgentId);
+        if (options.tags?.length) {
+            await agent.relationshipManager.tagRelationship(targetAgentId, options.tags);
+        }
+        this.touchAgent(agentId);
+
+        if (cycle) {
+            logger.warn(`Relationship ${relationshipType} between ${agentId} and ${targetAgentId} creates a dependency cycle: ${cycle.join(' → ')}`);
+        }
+        logger.info(`Relationship ${relationshipType} added between ${agentId} and ${targetAgentId}`);
+        return { cycle };
+    }
+
+    /**
+     * Replace an agent's context
+     * Returns the entry of the version recorded in the context history
+     */
+    async updateAgentContext(agentId, context, reason = '') {
+        const agent = await this.loadAgent(agentId);
+        const entry = await agent.updateContext(context, reason);
+        this.touchAgent(agentId);
+
+        logger.info(`Context updated for agent ${agentId} (version ${entry.version})`);
+        return entry;
+    }
+
+    /**
+     * List the recorded versions of an agent's context, oldest first
+     * options.limit: only the most recent versions
+     */
+    async getContextHistory(agentId, options = {}) {
+        const agent = await this.loadAgent(agentId);
+        const versions = await agent.contextHistory.list();
+        return {
+            versions: options.limit ? versions.slice(-options.limit) : versions,
+            total: versions.length
+        };
+    }
+
+    /**
+     * Line diff between two versions of an agent's context
+     * toVersion defaults to the latest version and fromVersion to the one before toVersion
+     */
+    async diffContextVersions(agentId, fromVersion = null, toVersion = null) {
+        const agent = await this.loadAgent(agentId);
+        return agent.contextHistory.diff(fromVersion, toVersion);
+    }
+
+    /**
+     * Roll an agent's context back to an earlier version
+     * The restored content is recorded as a new version, so the restore can be undone too
+     */
+    async restoreContext(agentId, version) {
+        const agent = await this.loadAgent(agentId);
+        const entry = await agent.contextHistory.restore(version);
+        this.touchAgent(agentId);
+
+        logger.info(`Context of agent ${agentId} restored from version ${version} (version ${entry.version})`);
+        return { restoredFrom: version, ...entry };
+    }
+
+    /**
+     * Read an agent's context, or one "## " section of it
+     * Returns { context, sections } for the whole file or { section, content } for one section.
+     * options.maxChars trims the whole file to that many characters, leaving out the oldest
+     * activity entries first, and adds { size, trimmed, omitted }
+     */
+    async getAgentContext(agentId, section = null, options = {}) {
+        const agent = await this.loadAgent(agentId);
+        const context = await agent.readContext();
+        const document = await agent.readContextDocument();
+
+        if (!section && options.maxChars) {
+            const view = await agent.readTrimmedContext(options.maxChars);
+            return { ...view, sections: document.listSections(), size: context.length };
+        }
+        if (!section) {
+            return { context, sections: document.listSections() };
+        }
+
+        const content = document.getSection(section);
+        if (content === null) {
+            throw new Error(`Section "${section}" not found in context of agent ${agentId}. Sections: ${document.listSections().join(', ')}`);
+        }
+        return { section, content };
+    }
+
+    /**
+     * Append to an agent's context: under a new timestamped section, or at the end of
+     * options.section (created if it does not exist yet)
+     */
+    async appendAgentContext(agentId, content, options = {}) {
+        if (!content) {
+            throw new Error('Context content is required');
+        }
+
+        const agent = await this.loadAgent(agentId);
+        let created = false;
+        if (options.section) {
+            created = await agent.appendToContextSection(options.section, content);
+        } else {
+            await agent.appendToContext(content);
+        }
+        this.touchAgent(agentId);
+
+        logger.info(`Context appended for agent ${agentId}${options.section ? ` in section "${options.section}"` : ''}`);
+        return { section: options.section || null, created };
+    }
+
+    /**
+     * Replace one "## " section of an agent's context, leaving the others untouched
+     */
+    async updateAgentContextSection(agentId, section, content) {
+        if (!section) {
+            throw new Error('Context section title is required');
+        }
+
+        const agent = await this.loadAgent(agentId);
+        const created = await agent.updateContextSection(section, content || '');
+        this.touchAgent(agentId);
+
+        logger.info(`Context section "${section}" ${created ? 'added' : 'updated'} for agent ${agentId}`);
+        return { section, created };
+    }
+
+    /**
+     * Set an agent's context size budget in characters (mcp_config settings.contextMaxChars)
+     * A context already over the new budget is rolled over right away.
+     * Returns { maxChars, size, archived } with the number of activity entries archived
+     */
+    async setContextBudget(agentId, maxChars) {
+        if (!Number.isInteger(maxChars) || maxChars < 1) {
+            throw new Error('Context budget must be a positive number of characters');
+        }
+
+        const agent = await this.loadAgent(agentId);
+        return agent.withLock(async () => {
+            const config = await agent.getMcpConfig();
+            await agent.updateMcpConfig({ ...config, settings: { ...config.settings, contextMaxChars: maxChars } });
+
+            const before = (await agent.readContextDocument()).listActivitySections().length;
+            const context = await agent.readContext();
+            if (context.length > maxChars) {
+                await agent.updateContext(context, `Rolled over to fit a budget of ${maxChars} characters`);
+            }
+            const archived = before - (await agent.readContextDocument()).listActivitySections().length;
+            this.touchAgent(agentId);
+
+            logger.info(`Context budget of agent ${agentId} set to ${maxChars} characters (${archived} entries archived)`);
+            return { maxChars, size: (await agent.readContext()).length, archived };
+        });
+    }
+
+    /**
+     * Choose which relationships a section of an agent's context is shared with
+     * audiences: relationship categories, "related" (any relationship) or "tag:<name>";
+     * an empty list stops sharing the section. Stored in mcp_config.json contextSharing.
+     */
+    async setContextSharing(agentId, section, audiences = []) {
+        if (!section) {
+            throw new Error('Context section title is required');
+        }
+        const invalid = audiences.filter(audience => !CONTEXT_AUDIENCES.includes(audience) && !/^tag:.+/.test(audience));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid context audience: ${invalid.join(', ')}. Must be one of: ${CONTEXT_AUDIENCES.join(', ')} or tag:<name>`);
+        }
+
+        const agent = await this.loadAgent(agentId);
+        return agent.withLock(async () => {
+            const config = await agent.getMcpConfig();
+            const contextSharing = { ...config.contextSharing };
+            if (audiences.length > 0) {
+                contextSharing[section] = [...new Set(audiences)];
+            } else {
+                delete contextSharing[section];
+            }
+
+            await agent.updateMcpConfig({ ...config, contextSharing });
+            this.touchAgent(agentId);
+            logger.info(`Context section "${section}" of agent ${agentId} shared with: ${audiences.join(', ') || 'nobody'}`);
+            return contextSharing;
+        });
+    }
+
+    /**
+     * Send the context sections an agent shares to the agents it shares them with
+     * options.targetAgentId: sync only this agent; options.sections: sync only these section titles
+     * Each recipient gets one CONTEXT_SYNC with the sections shared with it and their version stamps;
+     * returns { recipients: [{ agentId, status, messageId, sections, error }], delivered, failed }
+     */
+    async syncContext(agentId, options = {}) {
+        const agent = await this.loadAgent(agentId);
+        const contextSharing = (await agent.getMcpConfig()).contextSharing || {};
+        const document = await agent.readContextDocument();
+
+        // Recipient -> titles of the sections shared with it
+        const shares = new Map();
+        for (const [title, audiences] of Object.entries(contextSharing)) {
+            if (options.sections && !options.sections.includes(title)) continue;
+            if (document.getSection(title) === null) continue;
+
+            for (const audience of audiences) {
+                const members = audience.startsWith('tag:')
+                    ? await agent.relationshipManager.getGroupMembers('tag', audience.slice(4))
+                    : await agent.relationshipManager.getGroupMembers(audience);
+                for (const member of members) {
+                    if (options.targetAgentId && member !== options.targetAgentId) continue;
+                    shares.set(member, [...new Set([...(shares.get(member) || []), title])]);
+                }
+            }
+        }
+
+        if (options.targetAgentId && !shares.has(options.targetAgentId)) {
+            throw new Error(`Agent ${agentId} shares no context sections with ${options.targetAgentId}`);
+        }
+
+        const recipients = [];
+        for (const [recipientId, titles] of shares) {
+            const sections = titles.map(title => {
+                const content = document.getSection(title);
+                return { title, content, version: ContextDocument.version(content) };
+            });
+
+            try {
+                const toAgent = await this.loadAgent(recipientId);
+                const message = await this.communicationProtocol.sendTypedMessage(agent, toAgent, 'CONTEXT_SYNC', { sections });
+                recipients.push({ agentId: recipientId, status: message.delivery.status, messageId: message.id, sections: titles });
+            } catch (error) {
+                logger.warn(`Context sync from ${agentId} to ${recipientId} failed: ${error.message}`);
+                recipients.push({ agentId: recipientId, status: 'failed', sections: titles, error: error.message });
+            }
+        }
+        this.touchAgent(agentId);
+
+        const failed = recipients.filter(recipient => recipient.status === 'failed').length;
+        return { recipients, delivered: recipients.length - failed, failed };
+    }
+
+    /**
+     * Send a message of any type between agents
+     * options.replyTo: ID of a message in the sender's boxes to reply to, joining its thread
+     * options.threadId: existing thread to add the message to
+     */
+    async sendMessage(fromAgentId, toAgentId, messageType, messageData = {}, options = {}) {
+        const fromAgent = await this.loadAgent(fromAgentId);
+        const toAgent = await this.loadAgent(toAgentId);
+        const threadOptions = await this.resolveThread(fromAgent, options);
+
+        const message = await this.communicationProtocol.sendTypedMessage(fromAgent, toAgent, messageType, messageData, threadOptions);
+        this.touchAgent(fromAgentId);
+        return message;
+    }
+
+    /**
+     * Send one message to a group of agents, each receiving its own copy
+     * target: consumers, producers or bidirectional relationships of the sender, every
+     * relationship tagged options.tag, or all registered agents
+     * A recipient that rejects the message does not stop delivery to the others;
+     * returns { target, recipients: [{ agentId, status, messageId, error }], delivered, failed }
+     */
+    async broadcastMessage(fromAgentId, target, messageType, messageData = {}, options = {}) {
+        if (!BROADCAST_TARGETS.includes(target)) {
+            throw new Error(`Invalid broadcast target: ${target}. Must be one of: ${BROADCAST_TARGETS.join(', ')}`);
+        }
+        if (target === 'tag' && !options.tag) {
+            throw new Error('A tag is required to broadcast to a tag');
+        }
+
+        const fromAgent = await this.loadAgent(fromAgentId);
+        const threadOptions = await this.resolveThread(fromAgent, { threadId: options.threadId });
+        const recipientIds = target === 'all'
+            ? (await this.storage.listAgents()).filter(agentId => agentId !== fromAgentId)
+            : await fromAgent.relationshipManager.getGroupMembers(target, options.tag);
+
+        const recipients = [];
+        for (const agentId of recipientIds) {
+            try {
+                const toAgent = await this.loadAgent(agentId);
+                const message = await this.communicationProtocol.sendTypedMessage(fromAgent, toAgent, messageType, messageData, threadOptions);
+                recipients.push({ agentId, status: message.delivery.status, messageId: message.id });
+            } catch (error) {
+                logger.warn(`Broadcast from ${fromAgentId} to ${agentId} failed: ${error.message}`);
+                recipients.push({ agentId, status: 'failed', error: error.message });
+            }
+        }
+        this.touchAgent(fromAgentId);
+
+        const failed = recipients.filter(recipient => recipient.status === 'failed').length;
+        logger.info(`Broadcast ${messageType} from ${fromAgentId} to ${target}${options.tag ? ` ${options.tag}` : ''}: ${recipients.length - failed} delivered, ${failed} failed`);
+        return { target, tag: options.tag || null, recipients, delivered: recipients.length - failed, failed };
+    }
+
+    /**
+     * Subscribe an agent to a topic; a newly subscribed agent is sent the topic's retained message
+     * Returns { topic, subscribed, retained } where retained is the delivery of the retained message, if any
+     */
+    async subscribeToTopic(agentId, topicName) {
+        const agent = await this.loadAgent(agentId);
+        const { topic, subscribed } = await this.topics.subscribe(topicName, agentId);
+        this.touchAgent(agentId);
+
+        let retained = null;
+        if (subscribed && topic.retained) {
+            retained = await this.deliverPublication(topic, agent, { retained: true });
+        }
+
+        return { topic: TopicManager.summarizeTopic(topic), subscribed, retained };
+    }
+
+    /**
+     * Unsubscribe an agent from a topic
+     */
+    async unsubscribeFromTopic(agentId, topicName) {
+        await this.loadAgent(agentId);
+        const topic = await this.topics.unsubscribe(topicName, agentId);
+        this.touchAgent(agentId);
+        return { topic: TopicManager.summarizeTopic(topic) };
+    }
+
+    /**
+     * Publish a message to a topic: it becomes the topic's retained message and each subscriber
+     * other than the publisher gets its own copy, validated against the subscriber's schema
+     * Throws CommunicationProtocol.MessageValidationError, leaving the retained message alone, if the
+     * publisher's own message types do not accept the message
+     * Returns { topic, publicationId, recipients: [{ agentId, status, messageId, error }], delivered, failed }
+     */
+    async publishToTopic(fromAgentId, topicName, messageType, messageData = {}) {
+        TopicManager.assertTopicName(topicName);
+        const fromAgent = await this.loadAgent(fromAgentId);
+        await this.communicationProtocol.validateMessage(fromAgent, { type: messageType, data: messageData });
+
+        const topic = await this.topics.retain(topicName, fromAgentId, messageType, messageData);
+
+        const recipients = [];
+        for (const { agentId } of topic.subscribers) {
+            if (agentId === fromAgentId) continue;
+            try {
+                recipients.push(await this.deliverPublication(topic, await this.loadAgent(agentId)));
+            } catch (error) {
+                recipients.push({ agentId, status: 'failed', error: error.message });
+            }
+        }
+        this.touchAgent(fromAgentId);
+
+        const failed = recipients.filter(recipient => recipient.status === 'failed').length;
+        logger.info(`Topic ${topicName} publication ${topic.retained.id}: ${recipients.length - failed} delivered, ${failed} failed`);
+        return {
+            topic: TopicManager.summarizeTopic(topic),
+            publicationId: topic.retained.id,
+            recipients,
+            delivered: recipients.length - failed,
+            failed
+        };
+    }
+
+    /**
+     * Send a copy of a topic's retained message to one subscriber, reporting { agentId, status, messageId, error }
+     */
+    async deliverPublication(topic, toAgent, options = {}) {
+        const publication = topic.retained;
+        try {
+            const fromAgent = await this.loadAgent(publication.from_agent_id);
+            const message = await this.communicationProtocol.sendTypedMessage(fromAgent, toAgent, publication.type, publication.data, {
+                topic: topic.name,
+                publicationId: publication.id,
+                retained: options.retained
+            });
+            return { agentId: toAgent.agentId, status: message.delivery.status, messageId: message.id };
+        } catch (error) {
+            logger.warn(`Delivering topic ${topic.name} publication ${publication.id} to ${toAgent.agentId} failed: ${error.message}`);
+            return { agentId: toAgent.agentId, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * List the message types an agent accepts, with their payload schemas
+     */
+    async listMessageTypes(agentId) {
+        const agent = await this.loadAgent(agentId);
+        const messageTypes = await this.communicationProtocol.getMessageTypes(agent);
+
+        return Object.entries(messageTypes).map(([type, { description = '', schema, custom = false }]) => ({
+            type,
+            description,
+            custom,
+            schema
+        }));
+    }
+
+    /**
+     * Register (or replace) a custom message type an agent accepts, with a JSON Schema for its data
+     * Messages of the type are validated against the schema when sent and recorded in the agent's context
+     */
+    async registerMessageType(agentId, messageType, schema, description = '') {
+        if (!MESSAGE_TYPE_PATTERN.test(messageType || '')) {
+            throw new Error('Message type must be upper case letters, digits and underscores (e.g. DESIGN_REVIEW)');
+        }
+        if (Agent.MESSAGE_TYPES.includes(messageType)) {
+            throw new Error(`${messageType} is a built-in message type`);
+        }
+        if (!schema || schema.type !== 'object') {
+            throw new Error('Message type schema must be a JSON Schema with type "object"');
+        }
+
+        const agent = await this.loadAgent(agentId);
+        await agent.withLock(async () => {
+            const config = await agent.getMcpConfig();
+            const messageTypes = await this.communicationProtocol.getMessageTypes(agent);
+
+            await agent.updateMcpConfig({
+                ...config,
+                messageTypes: { ...messageTypes, [messageType]: { description, schema, custom: true } }
+            });
+        });
+        this.touchAgent(agentId);
+
+        logger.info(`Message type ${messageType} registered for agent ${agentId}`);
+        return { type: messageType, description, custom: true, schema };
+    }
+
+    /**
+     * Work out the thread a new message joins from its replyTo and threadId options
+     * Replying to a message with no thread starts one keyed by that message's ID
+     */
+    async resolveThread(agent, { threadId = null, replyTo = null } = {}) {
+        if (replyTo) {
+            const original = await this.communicationProtocol.readMessage(agent, replyTo, false);
+            if (!original) {
+                throw new Error(`Message ${replyTo} not found for agent ${agent.agentId}`);
+            }
+
+            const replyThreadId = CommunicationProtocol.getThreadId(original) || original.id;
+            if (threadId && threadId !== replyThreadId) {
+                throw new Error(`Message ${replyTo} belongs to thread ${replyThreadId}, not ${threadId}`);
+            }
+            return { threadId: replyThreadId, replyTo };
+        }
+
+        if (threadId) {
+            if (!await this.threads.getThread(threadId)) {
+                throw new Error(`Thread ${threadId} not found`);
+            }
+            return { threadId };
+        }
+
+        return {};
+    }
+
+    /**
+     * Get a conversation across agents with its task state changes interleaved
+     */
+    async getThread(threadId) {
+        const thread = await this.threads.getThread(threadId);
+        if (!thread) {
+            throw new Error(`Thread ${threadId} not found`);
+        }
+        return thread;
+    }
+
+    /**
+     * List messages in an agent's box (incoming by default), oldest first, as summaries
+     * filters: { box, type, fromAgentId, unread, threadId, limit }
+     */
+    async listMessages(agentId, filters = {}) {
+        const { box = 'incoming', type, fromAgentId, unread, threadId, limit } = filters;
+        const agent = await this.loadAgent(agentId);
+
+        let messages = await agent.storage.listMessages(agentId, box);
+        if (type) messages = messages.filter(message => message.type === type);
+        if (fromAgentId) messages = messages.filter(message => message.from_agent_id === fromAgentId);
+        if (typeof unread === 'boolean') messages = messages.filter(message => !message.read_at === unread);
+        if (threadId) messages = messages.filter(message => CommunicationProtocol.getThreadId(message) === threadId);
+        if (limit) messages = messages.slice(0, limit);
+
+        this.touchAgent(agentId);
+        return messages.map(message => CommunicationProtocol.summarizeMessage(message));
+    }
+
+    /**
+     * Get a full message from any of an agent's boxes
+     * Reading an incoming message marks it as read unless markRead is false
+     */
+    async getMessage(agentId, messageId, markRead = true) {
+        const agent = await this.loadAgent(agentId);
+        const message = await this.communicationProtocol.readMessage(agent, messageId, markRead);
+
+        if (!message) {
+            throw new Error(`Message ${messageId} not found for agent ${agentId}`);
+        }
+
+        this.touchAgent(agentId);
+        return message;
+    }
+
+    /**
+     * Acknowledge incoming messages, moving them to processed
+     * Returns { acknowledged, notFound, failed } - failed lists { id, error } for messages whose handler failed
+     */
+    async acknowledgeMessages(agentId, messageIds) {
+        const agent = await this.loadAgent(agentId);
+        const acknowledged = [];
+        const notFound = [];
+        const failed = [];
+
+        for (const messageId of messageIds) {
+            try {
+                const message = await this.communicationProtocol.acknowledgeMessage(agent, messageId);
+                (message ? acknowledged : notFound).push(messageId);
+            } catch (error) {
+                failed.push({ id: messageId, error: error.message });
+            }
+        }
+
+        this.touchAgent(agentId);
+        return { acknowledged, notFound, failed };
+    }
+
+    /**
+     * List messages that were moved to an agent's dead-letter box, oldest first, as summaries
+     */
+    async listDeadLetters(agentId) {
+        return this.listMessages(agentId, { box: 'dead-letter' });
+    }
+
+    /**
+     * Move dead-lettered messages back to the inbox for another round of attempts
+     * Replays every dead letter when messageIds is omitted
+     * Returns { replayed, notFound } lists of message IDs
+     */
+    async replayDeadLetters(agentId, messageIds = null) {
+        const agent = await this.loadAgent(agentId);
+        const ids = messageIds || (await agent.storage.listMessages(agentId, 'dead-letter')).map(message => message.id);
+        const replayed = [];
+        const notFound = [];
+
+        for (const messageId of ids) {
+            const message = await this.communicationProtocol.replayDeadLetter(agent, messageId);
+            (message ? replayed : notFound).push(messageId);
+        }
+
+        this.touchAgent(agentId);
+        logger.info(`Replayed ${replayed.length} dead-lettered message(s) for agent ${agentId}`);
+        return { replayed, notFound };
+    }
+
+    /**
+     * Get an agent's task counts, pending tasks and relationship counts
+     */
+    async getAgentStatus(agentId) {
+        const agent = await this.loadAgent(agentId);
+        const stats = await agent.taskQueue.getTaskStats();
+        const pendingTasks = await agent.taskQueue.getPendingTasks();
+        const relationships = await agent.getRelationships();
+
+        return {
+            agentId,
+            connected: this.connectedAgents.has(agentId),
+            tasks: stats,
+            pendingTasks: pendingTasks.map(task => task.toJSON()),
+            relationships: {
+                consumers: relationships.consumers?.length || 0,
+                producers: relationships.producers?.length || 0,
+                bidirectional: relationships.bidirectional?.length || 0,
+                optional: relationships.optional?.length || 0
+            },
+            topics: await this.topics.getSubscriptions(agentId),
+            lastActivity: this.connectedAgents.get(agentId)?.lastActivity || null
+        };
+    }
+
+    /**
+     * Get system status
+     */
+    async getSystemStatus() {
+        const agentStatuses = [];
+
+        for (const agentId of this.agents.keys()) {
+            agentStatuses.push(await this.getAgentStatus(agentId));
+        }
+
+        return {
+            timestamp: new Date().toISOString(),
+            totalAgents: this.agents.size,
+            connectedAgents: Array.from(this.connectedAgents.keys()),
+            messaging: this.communicationProtocol.getStatus(),
+            agents: agentStatuses
+        };
+    }
+
+    /**
+     * Full-text search across agents' context, tasks and received messages
+     * options: { agentId, type, tag, since, until, limit }
+     * Returns { query, total, results } ranked best first
+     */
+    async search(query, options = {}) {
+        return this.searchIndex.search(query, options);
+    }
+
+    /**
+     * Start the system (initialize communication protocol)
+     */
+    async start() {
+        await this.communicationProtocol.start();
+        logger.info('Agent Communication System started');
+    }
+
+    /**
+     * Stop the system
+     */
+    async stop() {
+        await this.communicationProtocol.stop();
+        await this.searchIndex.close();
+        logger.info('Agent Communication System stopped');
+    }
+}
+
+module.exports = AgentCommunicationSystem;
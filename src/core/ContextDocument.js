@@ -0,0 +1,130 @@
+/**
+ * ContextDocument - a markdown context split into titled sections
+ * Sections start at headings of one level ("## Title" by default); everything before the
+ * first one is the preamble. Text is kept line for line, so an unchanged document
+ * serializes back to exactly what was parsed.
+ */
+
+const crypto = require('crypto');
+
+// Title of the entries appendToContext adds, e.g. "## 2024-05-01T12:00:00.000Z"
+const ACTIVITY_TITLE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/;
+
+class ContextDocument {
+    /**
+     * Parse markdown into sections headed at the given level (2 for "## Title")
+     */
+    constructor(markdown = '', level = 2) {
+        this.level = level;
+        this.preamble = [];
+        this.sections = [];
+
+        const heading = new RegExp(`^#{${level}}\\s+(.+?)\\s*$`);
+        let current = null;
+        let inFence = false;
+
+        for (const line of markdown.split('\n')) {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+            }
+
+            const match = !inFence && line.match(heading);
+            if (match) {
+                current = { title: match[1], lines: [] };
+                this.sections.push(current);
+            } else if (current) {
+                current.lines.push(line);
+            } else {
+                this.preamble.push(line);
+            }
+        }
+    }
+
+    /**
+     * Short content hash used as a section's version stamp
+     */
+    static version(content) {
+        return crypto.createHash('sha256').update(content.trim()).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Push headings of at least the given level one level down (up to ######), so the
+     * content can be nested under a heading of that level
+     */
+    static demoteHeadings(content, level) {
+        const heading = new RegExp(`^(#{${level},5})(\\s)`, 'gm');
+        return content.replace(heading, '#$1$2');
+    }
+
+    /**
+     * Make content safe to store as a section: if it has headings of the section level,
+     * which would split it into separate sections, push its headings one level down
+     */
+    static nest(content, level = 2) {
+        return new ContextDocument(content, level).sections.length > 0
+            ? ContextDocument.demoteHeadings(content, level)
+            : content;
+    }
+
+    /**
+     * Titles of all sections, in document order
+     */
+    listSections() {
+        return this.sections.map(section => section.title);
+    }
+
+    /**
+     * Titles of the timestamped activity entries, oldest first
+     */
+    listActivitySections() {
+        return this.listSections().filter(title => ACTIVITY_TITLE_PATTERN.test(title)).sort();
+    }
+
+    /**
+     * Get a section's content without its heading, or null if there is no such section
+     */
+    getSection(title) {
+        const section = this.sections.find(s => s.title === title);
+        return section ? section.lines.join('\n').trim() : null;
+    }
+
+    /**
+     * Replace a section's content, adding the section at the end if it does not exist
+     */
+    setSection(title, content) {
+        const lines = ['', ...content.trim().split('\n'), ''];
+        const section = this.sections.find(s => s.title === title);
+        if (section) {
+            section.lines = lines;
+        } else {
+            this.sections.push({ title, lines });
+        }
+    }
+
+    /**
+     * Remove a section, returning false if there is no such section
+     */
+    removeSection(title) {
+        const index = this.sections.findIndex(s => s.title === title);
+        if (index === -1) {
+            return false;
+        }
+        this.sections.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Serialize back to markdown
+     */
+    toString() {
+        const prefix = '#'.repeat(this.level);
+        return [
+            ...this.preamble,
+            ...this.sections.flatMap(section => [`${prefix} ${section.title}`, ...section.lines])
+        ].join('\n');
+    }
+}
+
+ContextDocument.ACTIVITY_TITLE_PATTERN = ACTIVITY_TITLE_PATTERN;
+
+module.exports = ContextDocument;
@@ -0,0 +1,237 @@
+/**
+ * ContextHistory - versions of an agent's context.md
+ * Every context write is stored as a numbered version (1, 2, ...) through the agent's
+ * StorageBackend, so a bad rewrite can be inspected with a line diff and rolled back.
+ * Only the newest versions are kept (mcp_config settings.contextHistoryMaxVersions).
+ */
+
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('ContextHistory');
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Shortest edit script between two arrays of lines (Myers' algorithm)
+ * Returns [{ type: ' '|'-'|'+', text }] in order
+ */
+function diffLines(a, b) {
+    const max = a.length + b.length;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d..d are read when walking back from round d
+        trace.push(v.slice(max - d, max + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])
+                ? v[max + k + 1]
+                : v[max + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[max + k] = x;
+
+            if (x >= a.length && y >= b.length) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+    return [];
+}
+
+/**
+ * Walk the saved diagonals back from the end to recover the edit script
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && v[d + k - 1] < v[d + k + 1]) ? k + 1 : k - 1;
+        const prevX = v[d + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', text: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: '+', text: b[--y] });
+        } else {
+            ops.push({ type: '-', text: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: ' ', text: a[--x] });
+        y--;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Format an edit script as unified diff hunks
+ */
+function formatHunks(ops, context) {
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return entry;
+    });
+
+    // Merge the context windows around each change into hunks
+    const ranges = [];
+    numbered.forEach((op, index) => {
+        if (op.type === ' ') return;
+        const start = Math.max(0, index - context);
+        const end = Math.min(numbered.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    return ranges.map(({ start, end }) => {
+        const lines = numbered.slice(start, end + 1);
+        const oldCount = lines.filter(op => op.type !== '+').length;
+        const newCount = lines.filter(op => op.type !== '-').length;
+        return [
+            `@@ -${lines[0].oldLine},${oldCount} +${lines[0].newLine},${newCount} @@`,
+            ...lines.map(op => `${op.type}${op.text}`)
+        ].join('\n');
+    });
+}
+
+class ContextHistory {
+    constructor(agent) {
+        this.agent = agent;
+        this.storage = agent.storage;
+    }
+
+    /**
+     * Unified line diff between two texts, with { added, removed } line counts
+     */
+    static diff(oldText, newText, options = {}) {
+        const { fromLabel = 'a', toLabel = 'b', context = DIFF_CONTEXT_LINES } = options;
+        const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+        const hunks = formatHunks(ops, context);
+
+        return {
+            added: ops.filter(op => op.type === '+').length,
+            removed: ops.filter(op => op.type === '-').length,
+            diff: hunks.length > 0 ? [`--- ${fromLabel}`, `+++ ${toLabel}`, ...hunks].join('\n') : ''
+        };
+    }
+
+    /**
+     * List the stored versions (without content), oldest first
+     */
+    async list() {
+        return this.storage.listContextVersions(this.agent.agentId);
+    }
+
+    /**
+     * Get a version with its content, or null
+     */
+    async get(version) {
+        return this.storage.getContextVersion(this.agent.agentId, version);
+    }
+
+    /**
+     * Store content as the next version, deleting versions beyond the retention limit
+     * Callers must hold the agent lock so version numbers are not reused
+     */
+    async record(content, reason = '') {
+        const versions = await this.list();
+        const entry = {
+            version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+            timestamp: new Date().toISOString(),
+            reason: reason || null,
+            lines: content.replace(/\n$/, '').split('\n').length,
+            size: Buffer.byteLength(content, 'utf8')
+        };
+
+        await this.storage.saveContextVersion(this.agent.agentId, { ...entry, content });
+        logger.debug(`Recorded context version ${entry.version} for agent ${this.agent.agentId}`);
+
+        const pruned = await this.storage.pruneContextVersions(this.agent.agentId, await this.agent.getContextHistoryLimit());
+        if (pruned > 0) {
+            logger.debug(`Deleted ${pruned} old context version(s) of agent ${this.agent.agentId}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Record the current context as the first version if nothing has been recorded yet,
+     * so contexts written before history existed can still be restored
+     */
+    async recordBaseline() {
+        if ((await this.list()).length > 0) {
+            return null;
+        }
+
+        let content;
+        try {
+            content = await this.storage.readContext(this.agent.agentId);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        return this.record(content, 'Context before history was recorded');
+    }
+
+    /**
+     * Write an earlier version back as the current context, recorded as a new version
+     */
+    async restore(version) {
+        return this.agent.withLock(async () => {
+            const entry = await this.get(version);
+            if (!entry) {
+                throw new Error(`Context version ${version} not found for agent ${this.agent.agentId}`);
+            }
+            return this.agent.updateContext(entry.content, `Restored version ${version}`);
+        });
+    }
+
+    /**
+     * Diff two versions; toVersion defaults to the latest and fromVersion to the one before toVersion
+     */
+    async diff(fromVersion = null, toVersion = null) {
+        const versions = await this.list();
+        if (versions.length === 0) {
+            throw new Error(`Agent ${this.agent.agentId} has no context history`);
+        }
+
+        const to = toVersion ?? versions[versions.length - 1].version;
+        const from = fromVersion ?? to - 1;
+        const [before, after] = [await this.get(from), await this.get(to)];
+        for (const [version, found] of [[from, before], [to, after]]) {
+            if (!found) {
+                throw new Error(`Context version ${version} not found for agent ${this.agent.agentId}`);
+            }
+        }
+
+        return {
+            from,
+            to,
+            ...ContextHistory.diff(before.content, after.content, { fromLabel: `version ${from}`, toLabel: `version ${to}` })
+        };
+    }
+}
+
+module.exports = ContextHistory;
@@ -0,0 +1,211 @@
+/**
+ * DependencyGraph - directed "depends on" graphs built across every agent in a StorageBackend
+ * Task graphs link task references ("<agentId>:<taskId>") to the tasks they depend on;
+ * agent graphs link agents to their producers. Used to reject cycles and report deadlocks.
+ */
+
+const Task = require('./Task');
+
+/**
+ * Raised when a change would make a set of tasks wait on each other
+ */
+class DependencyCycleError extends Error {
+    constructor(message, cycle = []) {
+        super(message);
+        this.name = 'DependencyCycleError';
+        this.data = { cycle };
+    }
+}
+
+class DependencyGraph {
+    constructor() {
+        this.nodes = new Map(); // id -> node data
+        this.edges = new Map(); // id -> Set of ids it depends on
+    }
+
+    /**
+     * Add a node, merging data into any existing node
+     */
+    addNode(id, data = {}) {
+        this.nodes.set(id, { ...this.nodes.get(id), ...data });
+        if (!this.edges.has(id)) {
+            this.edges.set(id, new Set());
+        }
+    }
+
+    /**
+     * Record that "from" depends on "to"
+     */
+    addEdge(from, to) {
+        if (!this.nodes.has(from)) this.addNode(from);
+        if (!this.nodes.has(to)) this.addNode(to);
+        this.edges.get(from).add(to);
+    }
+
+    /**
+     * Find a dependency path from one node to another, or null if there is none
+     */
+    findPath(from, to) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === to) {
+                const path = [];
+                for (let node = to; node !== null; node = previous.get(node)) {
+                    path.unshift(node);
+                }
+                return path;
+            }
+
+            for (const next of this.edges.get(current) || []) {
+                if (!previous.has(next)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the cycle that adding an edge from "from" to "to" would close, or null
+     * The cycle starts and ends with "from"
+     */
+    findCycleThrough(from, to) {
+        if (from === to) {
+            return [from, from];
+        }
+
+        const path = this.findPath(to, from);
+        return path ? [from, ...path] : null;
+    }
+
+    /**
+     * Find every set of nodes that depend on each other (strongly connected components
+     * with more than one node, or a node depending on itself)
+     */
+    findCycles() {
+        // Tarjan's algorithm, iterative so long chains cannot overflow the stack
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const cycles = [];
+        let counter = 0;
+
+        for (const root of this.nodes.keys()) {
+            if (index.has(root)) continue;
+
+            const work = [{ node: root, neighbours: [...this.edges.get(root)], next: 0 }];
+            index.set(root, counter);
+            lowLink.set(root, counter++);
+            stack.push(root);
+            onStack.add(root);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+
+                if (frame.next < frame.neighbours.length) {
+                    const neighbour = frame.neighbours[frame.next++];
+                    if (!index.has(neighbour)) {
+                        index.set(neighbour, counter);
+                        lowLink.set(neighbour, counter++);
+                        stack.push(neighbour);
+                        onStack.add(neighbour);
+                        work.push({ node: neighbour, neighbours: [...this.edges.get(neighbour)], next: 0 });
+                    } else if (onStack.has(neighbour)) {
+                        lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(neighbour)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].node;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+                }
+
+                if (lowLink.get(frame.node) === index.get(frame.node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.unshift(member);
+                    } while (member !== frame.node);
+
+                    if (component.length > 1 || this.edges.get(frame.node).has(frame.node)) {
+                        cycles.push(component);
+                    }
+                }
+            }
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Build the task dependency graph for every agent
+     * options.openOnly: leave out finished tasks, which cannot be part of a deadlock
+     */
+    static async forTasks(storage, options = {}) {
+        const graph = new DependencyGraph();
+
+        for (const agentId of await storage.listAgents()) {
+            for (const queue of ['pending', 'active', 'completed']) {
+                for (const task of await storage.getTasks(agentId, queue)) {
+                    if (options.openOnly && Task.FINISHED_STATUSES.includes(task.status)) continue;
+
+                    const ref = Task.dependencyRef(agentId, task.id);
+                    graph.addNode(ref, { agentId, taskId: task.id, title: task.title, status: task.status });
+
+                    for (const dependencyRef of task.dependencies || []) {
+                        const dependency = Task.parseDependency(dependencyRef, agentId);
+                        graph.addEdge(ref, Task.dependencyRef(dependency.agentId, dependency.taskId));
+                    }
+                }
+            }
+        }
+
+        // Dependencies on finished or unknown tasks are not open nodes
+        if (options.openOnly) {
+            for (const [id, data] of graph.nodes) {
+                if (!data.taskId) {
+                    graph.nodes.delete(id);
+                    graph.edges.delete(id);
+                }
+            }
+            for (const targets of graph.edges.values()) {
+                for (const target of targets) {
+                    if (!graph.nodes.has(target)) targets.delete(target);
+                }
+            }
+        }
+
+        return graph;
+    }
+
+    /**
+     * Build the agent graph: each agent depends on its producers, and each consumer on its producer
+     */
+    static async forAgents(storage) {
+        const graph = new DependencyGraph();
+
+        for (const agentId of await storage.listAgents()) {
+            graph.addNode(agentId);
+            const relationships = await storage.getRelationships(agentId);
+
+            (relationships.producers || []).forEach(producer => graph.addEdge(agentId, producer.agentId));
+            (relationships.consumers || []).forEach(consumer => graph.addEdge(consumer.agentId, agentId));
+        }
+
+        return graph;
+    }
+}
+
+DependencyGraph.DependencyCycleError = DependencyCycleError;
+
+module.exports = DependencyGraph;
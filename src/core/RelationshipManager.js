@@ -4,6 +4,11 @@
  */
 
 const fs = require('fs').promises;
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('RelationshipManager');
+
+const RELATIONSHIP_CATEGORIES = ['consumers', 'producers', 'bidirectional', 'optional'];
 
 class RelationshipManager {
     constructor(agent) {
@@ -14,146 +19,156 @@ class RelationshipManager {
      * Add a consumer relationship (this agent produces for the consumer)
      */
     async addConsumer(consumerAgentId, relationshipType = 'direct') {
-        const relationships = await this.agent.getRelationships();
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
         
-        const existingConsumer = relationships.consumers.find(c => c.agentId === consumerAgentId);
-        if (existingConsumer) {
-            console.log(`Consumer relationship with ${consumerAgentId} already exists`);
-            return;
-        }
+            const existingConsumer = relationships.consumers.find(c => c.agentId === consumerAgentId);
+            if (existingConsumer) {
+                logger.info(`Consumer relationship with ${consumerAgentId} already exists`);
+                return;
+            }
 
-        relationships.consumers.push({
-            agentId: consumerAgentId,
-            type: relationshipType,
-            established: new Date().toISOString(),
-            status: 'active'
-        });
+            relationships.consumers.push({
+                agentId: consumerAgentId,
+                type: relationshipType,
+                established: new Date().toISOString(),
+                status: 'active'
+            });
 
-        await this.agent.updateRelationships(relationships);
-        await this.agent.appendToContext(`Added consumer relationship with ${consumerAgentId} (${relationshipType})`);
+            await this.agent.updateRelationships(relationships);
+            await this.agent.appendToContext(`Added consumer relationship with ${consumerAgentId} (${relationshipType})`);
         
-        console.log(`Agent ${this.agent.agentId} added consumer: ${consumerAgentId}`);
+            logger.info(`Agent ${this.agent.agentId} added consumer: ${consumerAgentId}`);
+        });
     }
 
     /**
      * Add a producer relationship (this agent consumes from the producer)
      */
     async addProducer(producerAgentId, relationshipType = 'direct') {
-        const relationships = await this.agent.getRelationships();
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
         
-        const existingProducer = relationships.producers.find(p => p.agentId === producerAgentId);
-        if (existingProducer) {
-            console.log(`Producer relationship with ${producerAgentId} already exists`);
-            return;
-        }
+            const existingProducer = relationships.producers.find(p => p.agentId === producerAgentId);
+            if (existingProducer) {
+                logger.info(`Producer relationship with ${producerAgentId} already exists`);
+                return;
+            }
 
-        relationships.producers.push({
-            agentId: producerAgentId,
-            type: relationshipType,
-            established: new Date().toISOString(),
-            status: 'active'
-        });
+            relationships.producers.push({
+                agentId: producerAgentId,
+                type: relationshipType,
+                established: new Date().toISOString(),
+                status: 'active'
+            });
 
-        await this.agent.updateRelationships(relationships);
-        await this.agent.appendToContext(`Added producer relationship with ${producerAgentId} (${relationshipType})`);
+            await this.agent.updateRelationships(relationships);
+            await this.agent.appendToContext(`Added producer relationship with ${producerAgentId} (${relationshipType})`);
         
-        console.log(`Agent ${this.agent.agentId} added producer: ${producerAgentId}`);
+            logger.info(`Agent ${this.agent.agentId} added producer: ${producerAgentId}`);
+        });
     }
 
     /**
      * Add a bidirectional relationship
      */
     async addBidirectionalRelationship(otherAgentId, relationshipType = 'bidirectional') {
-        const relationships = await this.agent.getRelationships();
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
         
-        const existingBidirectional = relationships.bidirectional.find(b => b.agentId === otherAgentId);
-        if (existingBidirectional) {
-            console.log(`Bidirectional relationship with ${otherAgentId} already exists`);
-            return;
-        }
+            const existingBidirectional = relationships.bidirectional.find(b => b.agentId === otherAgentId);
+            if (existingBidirectional) {
+                logger.info(`Bidirectional relationship with ${otherAgentId} already exists`);
+                return;
+            }
 
-        relationships.bidirectional.push({
-            agentId: otherAgentId,
-            type: relationshipType,
-            established: new Date().toISOString(),
-            status: 'active'
-        });
+            relationships.bidirectional.push({
+                agentId: otherAgentId,
+                type: relationshipType,
+                established: new Date().toISOString(),
+                status: 'active'
+            });
 
-        await this.agent.updateRelationships(relationships);
-        await this.agent.appendToContext(`Added bidirectional relationship with ${otherAgentId}`);
+            await this.agent.updateRelationships(relationships);
+            await this.agent.appendToContext(`Added bidirectional relationship with ${otherAgentId}`);
         
-        console.log(`Agent ${this.agent.agentId} added bidirectional relationship: ${otherAgentId}`);
+            logger.info(`Agent ${this.agent.agentId} added bidirectional relationship: ${otherAgentId}`);
+        });
     }
 
     /**
      * Add an optional relationship
      */
     async addOptionalRelationship(otherAgentId, relationshipType = 'optional') {
-        const relationships = await this.agent.getRelationships();
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
         
-        const existingOptional = relationships.optional.find(o => o.agentId === otherAgentId);
-        if (existingOptional) {
-            console.log(`Optional relationship with ${otherAgentId} already exists`);
-            return;
-        }
+            const existingOptional = relationships.optional.find(o => o.agentId === otherAgentId);
+            if (existingOptional) {
+                logger.info(`Optional relationship with ${otherAgentId} already exists`);
+                return;
+            }
 
-        relationships.optional.push({
-            agentId: otherAgentId,
-            type: relationshipType,
-            established: new Date().toISOString(),
-            status: 'active'
-        });
+            relationships.optional.push({
+                agentId: otherAgentId,
+                type: relationshipType,
+                established: new Date().toISOString(),
+                status: 'active'
+            });
 
-        await this.agent.updateRelationships(relationships);
-        await this.agent.appendToContext(`Added optional relationship with ${otherAgentId}`);
+            await this.agent.updateRelationships(relationships);
+            await this.agent.appendToContext(`Added optional relationship with ${otherAgentId}`);
         
-        console.log(`Agent ${this.agent.agentId} added optional relationship: ${otherAgentId}`);
+            logger.info(`Agent ${this.agent.agentId} added optional relationship: ${otherAgentId}`);
+        });
     }
 
     /**
      * Remove a relationship
      */
     async removeRelationship(otherAgentId) {
-        const relationships = await this.agent.getRelationships();
-        let removed = false;
-
-        // Remove from consumers
-        const consumerIndex = relationships.consumers.findIndex(c => c.agentId === otherAgentId);
-        if (consumerIndex > -1) {
-            relationships.consumers.splice(consumerIndex, 1);
-            removed = true;
-        }
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
+            let removed = false;
+
+            // Remove from consumers
+            const consumerIndex = relationships.consumers.findIndex(c => c.agentId === otherAgentId);
+            if (consumerIndex > -1) {
+                relationships.consumers.splice(consumerIndex, 1);
+                removed = true;
+            }
 
-        // Remove from producers
-        const producerIndex = relationships.producers.findIndex(p => p.agentId === otherAgentId);
-        if (producerIndex > -1) {
-            relationships.producers.splice(producerIndex, 1);
-            removed = true;
-        }
+            // Remove from producers
+            const producerIndex = relationships.producers.findIndex(p => p.agentId === otherAgentId);
+            if (producerIndex > -1) {
+                relationships.producers.splice(producerIndex, 1);
+                removed = true;
+            }
 
-        // Remove from bidirectional
-        const bidirectionalIndex = relationships.bidirectional.findIndex(b => b.agentId === otherAgentId);
-        if (bidirectionalIndex > -1) {
-            relationships.bidirectional.splice(bidirectionalIndex, 1);
-            removed = true;
-        }
+            // Remove from bidirectional
+            const bidirectionalIndex = relationships.bidirectional.findIndex(b => b.agentId === otherAgentId);
+            if (bidirectionalIndex > -1) {
+                relationships.bidirectional.splice(bidirectionalIndex, 1);
+                removed = true;
+            }
 
-        // Remove from optional
-        const optionalIndex = relationships.optional.findIndex(o => o.agentId === otherAgentId);
-        if (optionalIndex > -1) {
-            relationships.optional.splice(optionalIndex, 1);
-            removed = true;
-        }
+            // Remove from optional
+            const optionalIndex = relationships.optional.findIndex(o => o.agentId === otherAgentId);
+            if (optionalIndex > -1) {
+                relationships.optional.splice(optionalIndex, 1);
+                removed = true;
+            }
 
-        if (removed) {
-            await this.agent.updateRelationships(relationships);
-            await this.agent.appendToContext(`Removed relationship with ${otherAgentId}`);
-            console.log(`Agent ${this.agent.agentId} removed relationship with: ${otherAgentId}`);
-        } else {
-            console.log(`No relationship found with ${otherAgentId} to remove`);
-        }
+            if (removed) {
+                await this.agent.updateRelationships(relationships);
+                await this.agent.appendToContext(`Removed relationship with ${otherAgentId}`);
+                logger.info(`Agent ${this.agent.agentId} removed relationship with: ${otherAgentId}`);
+            } else {
+                logger.info(`No relationship found with ${otherAgentId} to remove`);
+            }
 
-        return removed;
+            return removed;
+        });
     }
 
     /**
@@ -240,46 +255,97 @@ class RelationshipManager {
      * Update relationship status
      */
     async updateRelationshipStatus(otherAgentId, newStatus) {
-        const relationships = await this.agent.getRelationships();
-        let updated = false;
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
+            let updated = false;
 
-        // Update in all relationship categories
-        const categories = ['consumers', 'producers', 'bidirectional', 'optional'];
+            // Update in all relationship categories
+            const categories = ['consumers', 'producers', 'bidirectional', 'optional'];
         
-        for (const category of categories) {
-            const relationship = relationships[category].find(r => r.agentId === otherAgentId);
-            if (relationship) {
-                relationship.status = newStatus;
-                relationship.lastUpdated = new Date().toISOString();
-                updated = true;
+            for (const category of categories) {
+                const relationship = relationships[category].find(r => r.agentId === otherAgentId);
+                if (relationship) {
+                    relationship.status = newStatus;
+                    relationship.lastUpdated = new Date().toISOString();
+                    updated = true;
+                }
             }
-        }
 
-        if (updated) {
-            await this.agent.updateRelationships(relationships);
-            await this.agent.appendToContext(`Updated relationship status with ${otherAgentId} to ${newStatus}`);
-            console.log(`Agent ${this.agent.agentId} updated relationship status with ${otherAgentId} to ${newStatus}`);
+            if (updated) {
+                await this.agent.updateRelationships(relationships);
+                await this.agent.appendToContext(`Updated relationship status with ${otherAgentId} to ${newStatus}`);
+                logger.info(`Agent ${this.agent.agentId} updated relationship status with ${otherAgentId} to ${newStatus}`);
+            }
+
+            return updated;
+        });
+    }
+
+    /**
+     * Add tags to every relationship with another agent
+     * Tags name ad-hoc groups of related agents (e.g. "api-clients") for broadcasts
+     */
+    async tagRelationship(otherAgentId, tags) {
+        return this.agent.withLock(async () => {
+            const relationships = await this.agent.getRelationships();
+            let updated = false;
+
+            for (const category of RELATIONSHIP_CATEGORIES) {
+                const relationship = relationships[category].find(r => r.agentId === otherAgentId);
+                if (relationship) {
+                    relationship.tags = [...new Set([...(relationship.tags || []), ...tags])];
+                    relationship.lastUpdated = new Date().toISOString();
+                    updated = true;
+                }
+            }
+
+            if (updated) {
+                await this.agent.updateRelationships(relationships);
+                logger.info(`Agent ${this.agent.agentId} tagged relationship with ${otherAgentId}: ${tags.join(', ')}`);
+            }
+
+            return updated;
+        });
+    }
+
+    /**
+     * Get the agents in a relationship group: a category (consumers, producers, bidirectional,
+     * optional), related (any category) or tag
+     * Only active relationships are included
+     */
+    async getGroupMembers(group, tag = null) {
+        const relationships = await this.agent.getRelationships();
+        const categories = group === 'tag' || group === 'related' ? RELATIONSHIP_CATEGORIES : [group];
+        const members = new Set();
+
+        for (const category of categories) {
+            for (const relationship of relationships[category] || []) {
+                if (relationship.status !== 'active') continue;
+                if (group === 'tag' && !(relationship.tags || []).includes(tag)) continue;
+                members.add(relationship.agentId);
+            }
         }
 
-        return updated;
+        return Array.from(members);
     }
 
     /**
      * Get dependency chain (agents this agent depends on, recursively)
+     * Other agents' producers are read through the shared storage backend
      */
-    async getDependencyChain(visited = new Set()) {
-        if (visited.has(this.agent.agentId)) {
+    async getDependencyChain(agentId = this.agent.agentId, visited = new Set()) {
+        if (visited.has(agentId)) {
             return []; // Avoid circular dependencies
         }
 
-        visited.add(this.agent.agentId);
-        const producers = await this.getProducers();
+        visited.add(agentId);
+        const relationships = await this.agent.storage.getRelationships(agentId);
         const dependencyChain = [];
 
-        for (const producer of producers) {
+        for (const producer of relationships.producers || []) {
+            if (visited.has(producer.agentId)) continue;
             dependencyChain.push(producer.agentId);
-            // Note: For a full recursive implementation, we'd need access to other agents
-            // This is a simplified version that shows direct dependencies
+            dependencyChain.push(...await this.getDependencyChain(producer.agentId, visited));
         }
 
         return dependencyChain;
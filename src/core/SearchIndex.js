@@ -0,0 +1,377 @@
+/**
+ * SearchIndex - ranked full-text search over what agents know
+ * Indexes each agent's context sections, task titles, descriptions and deliverables, and the
+ * payloads of the messages it received. The index is built on the first search and then kept
+ * up to date from the storage backend's change notifications, re-reading only the agents and
+ * areas (context, tasks, messages) that changed. Backends that cannot watch are re-read on every search.
+ */
+
+const ContextDocument = require('./ContextDocument');
+const StorageBackend = require('../storage/StorageBackend');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('SearchIndex');
+
+const DOCUMENT_TYPES = ['context', 'task', 'message'];
+const AREAS = ['context', 'tasks', 'messages'];
+
+// Sent messages are indexed under their recipient, so each message is indexed once
+const RECEIVED_BOXES = ['incoming', 'processed', 'dead-letter'];
+
+// BM25 ranking parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// A word in a title counts as this many occurrences
+const TITLE_WEIGHT = 2;
+
+const SNIPPET_LENGTH = 160;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const LAST_UPDATED_PATTERN = /\s*_Last updated: ([^_\n]*)_\s*$/;
+
+/**
+ * Lower case words and numbers of a text
+ */
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Keys and values of a message payload as a list of strings
+ */
+function flatten(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(flatten);
+    if (typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => [key, ...flatten(item)]);
+    }
+    return [String(value)];
+}
+
+class SearchIndex {
+    constructor(storage) {
+        this.storage = storage;
+        this.documents = new Map(); // id -> { doc, terms: Map<term, count>, length }
+        this.postings = new Map(); // term -> Set of document IDs
+        this.areas = new Map(); // "<agentId>:<area>" -> Set of document IDs
+        this.totalLength = 0;
+        this.dirty = new Map(); // agentId -> Set of areas changed since the last search
+        this.stale = true; // Everything must be re-read
+        this.watchStarted = false;
+        this.stopWatching = null;
+        this.refreshing = null;
+    }
+
+    /**
+     * Search the index
+     * options: { agentId, type, tag, since, until, limit }; agentId matches the agent a
+     * document belongs to and, for messages, the sender. since/until are ISO dates.
+     * Returns { query, total, results } with results ranked best first.
+     */
+    async search(query, options = {}) {
+        const terms = [...new Set(tokenize(query || ''))];
+        if (terms.length === 0) {
+            throw new Error('Search query must contain at least one word');
+        }
+        if (options.type && !DOCUMENT_TYPES.includes(options.type)) {
+            throw new Error(`Invalid search type: ${options.type}. Must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+        }
+        const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new Error(`Invalid limit: ${options.limit}. Must be between 1 and ${MAX_LIMIT}`);
+        }
+        const filters = { ...options };
+        for (const field of ['since', 'until']) {
+            if (!options[field]) continue;
+            const date = new Date(options[field]);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Invalid ${field} date: ${options[field]}. Use an ISO date, e.g. 2024-05-01`);
+            }
+            filters[field] = date.toISOString();
+        }
+
+        await this.refresh();
+
+        const candidates = new Set(terms.flatMap(term => Array.from(this.postings.get(term) || [])));
+        const averageLength = this.documents.size > 0 ? this.totalLength / this.documents.size : 0;
+        const scored = [];
+
+        for (const id of candidates) {
+            const entry = this.documents.get(id);
+            if (!this.matchesFilters(entry.doc, filters)) continue;
+
+            let score = 0;
+            const matched = [];
+            for (const term of terms) {
+                const count = entry.terms.get(term);
+                if (!count) continue;
+                const documentCount = this.postings.get(term).size;
+                const idf = Math.log(1 + (this.documents.size - documentCount + 0.5) / (documentCount + 0.5));
+                score += idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * entry.length / averageLength));
+                matched.push(term);
+            }
+            scored.push({ entry, score, matched });
+        }
+
+        scored.sort((a, b) => b.score - a.score || a.entry.doc.id.localeCompare(b.entry.doc.id));
+
+        return {
+            query,
+            total: scored.length,
+            results: scored.slice(0, limit).map(({ entry, score, matched }) => {
+                const { text, ...doc } = entry.doc;
+                return { ...doc, score: Math.round(score * 1000) / 1000, matched, snippet: SearchIndex.snippet(text, matched) };
+            })
+        };
+    }
+
+    /**
+     * Check a document against the search filters (since/until as ISO strings)
+     */
+    matchesFilters(doc, options) {
+        if (options.type && doc.type !== options.type) return false;
+        if (options.agentId && doc.agentId !== options.agentId && doc.fromAgentId !== options.agentId) return false;
+        if (options.tag && !doc.tags.includes(options.tag)) return false;
+        if ((options.since || options.until) && !doc.date) return false;
+        if (options.since && doc.date < options.since) return false;
+        if (options.until && doc.date > options.until) return false;
+        return true;
+    }
+
+    /**
+     * Text around the first matching word, on one line
+     */
+    static snippet(text, terms) {
+        const flat = text.replace(/\s+/g, ' ').trim();
+        const lower = flat.toLowerCase();
+        const positions = terms.map(term => lower.search(new RegExp(`(^|[^a-z0-9])${term}`)))
+            .filter(position => position !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+        const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+        const end = start + SNIPPET_LENGTH;
+
+        return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+    }
+
+    /**
+     * Record that an area of an agent's data changed (all areas if area is null)
+     */
+    markDirty(agentId, area = null) {
+        const areas = this.dirty.get(agentId) || new Set();
+        for (const changed of area ? [area] : AREAS) {
+            areas.add(changed);
+        }
+        this.dirty.set(agentId, areas);
+    }
+
+    /**
+     * Bring the index up to date; concurrent refreshes run one after another
+     */
+    async refresh() {
+        const run = (this.refreshing || Promise.resolve()).catch(() => {}).then(() => this.applyChanges());
+        this.refreshing = run;
+        return run;
+    }
+
+    /**
+     * Start watching on first use, then re-read everything or only the changed areas
+     */
+    async applyChanges() {
+        if (!this.watchStarted) {
+            this.watchStarted = true;
+            this.stopWatching = await this.storage.watchAgents(
+                (agentId, area) => this.markDirty(agentId, area),
+                error => {
+                    logger.warn(`Watching agent data failed, re-reading all agents on each search: ${error.message}`);
+                    this.stopWatching = null;
+                }
+            );
+        }
+
+        if (this.stale || !this.stopWatching) {
+            this.stale = false;
+            this.dirty.clear();
+            const agentIds = await this.storage.listAgents();
+            const indexed = new Set(Array.from(this.areas.keys()).map(key => key.slice(0, key.lastIndexOf(':'))));
+            for (const agentId of new Set([...indexed, ...agentIds])) {
+                for (const area of AREAS) {
+                    await this.indexArea(agentId, area);
+                }
+            }
+            logger.debug(`Indexed ${this.documents.size} documents of ${agentIds.length} agents`);
+            return;
+        }
+
+        const dirty = this.dirty;
+        this.dirty = new Map();
+        for (const [agentId, areas] of dirty) {
+            for (const area of areas) {
+                await this.indexArea(agentId, area);
+            }
+        }
+    }
+
+    /**
+     * Replace the documents of one area of an agent's data
+     */
+    async indexArea(agentId, area) {
+        const key = `${agentId}:${area}`;
+        for (const id of this.areas.get(key) || []) {
+            this.remove(id);
+        }
+        this.areas.delete(key);
+
+        const readers = {
+            context: () => this.readContextDocuments(agentId),
+            tasks: () => this.readTaskDocuments(agentId),
+            messages: () => this.readMessageDocuments(agentId)
+        };
+
+        let docs;
+        try {
+            docs = await readers[area]();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return; // The agent or its data no longer exists
+            }
+            throw error;
+        }
+
+        this.areas.set(key, new Set(docs.map(doc => doc.id)));
+        for (const doc of docs) {
+            this.add(doc);
+        }
+    }
+
+    /**
+     * One document per context section; the preamble is indexed as the context's title
+     */
+    async readContextDocuments(agentId) {
+        const content = await this.storage.readContext(agentId);
+        const lastUpdated = content.match(LAST_UPDATED_PATTERN)?.[1] || null;
+        const document = new ContextDocument(content.replace(LAST_UPDATED_PATTERN, '\n'));
+
+        const sections = [
+            { section: null, title: `Context of ${agentId}`, text: document.preamble.join('\n') },
+            ...document.sections.map(section => ({ section: section.title, title: section.title, text: section.lines.join('\n') }))
+        ];
+
+        return sections
+            .filter(section => section.text.trim())
+            .map((section, index) => ({
+                id: `context:${agentId}:${index}`,
+                type: 'context',
+                agentId,
+                section: section.section,
+                title: section.title,
+                tags: [],
+                date: ContextDocument.ACTIVITY_TITLE_PATTERN.test(section.section || '') ? section.section : lastUpdated,
+                text: section.text.trim()
+            }));
+    }
+
+    /**
+     * One document per task in any queue
+     */
+    async readTaskDocuments(agentId) {
+        const docs = [];
+        for (const queue of StorageBackend.TASK_QUEUES) {
+            for (const task of await this.storage.getTasks(agentId, queue)) {
+                docs.push({
+                    id: `task:${agentId}:${task.id}`,
+                    type: 'task',
+                    agentId,
+                    taskId: task.id,
+                    status: task.status,
+                    title: task.title || '',
+                    tags: task.metadata?.tags || [],
+                    date: task.updated_at || task.created_at || null,
+                    text: [task.description, ...flatten(task.deliverables)].filter(Boolean).join('\n')
+                });
+            }
+        }
+        return docs;
+    }
+
+    /**
+     * One document per received message
+     */
+    async readMessageDocuments(agentId) {
+        const docs = [];
+        for (const box of RECEIVED_BOXES) {
+            for (const message of await this.storage.listMessages(agentId, box)) {
+                docs.push({
+                    id: `message:${agentId}:${message.id}`,
+                    type: 'message',
+                    agentId,
+                    messageId: message.id,
+                    messageType: message.type,
+                    fromAgentId: message.from_agent_id,
+                    box,
+                    title: `${message.type} from ${message.from_agent_id}`,
+                    tags: message.topic ? [message.topic] : [],
+                    date: message.timestamp || null,
+                    text: flatten(message.data).join('\n')
+                });
+            }
+        }
+        return docs;
+    }
+
+    /**
+     * Add a document to the index
+     */
+    add(doc) {
+        const terms = new Map();
+        const count = (words, weight) => words.forEach(word => terms.set(word, (terms.get(word) || 0) + weight));
+        const titleWords = tokenize(doc.title);
+        const textWords = tokenize(doc.text);
+        count(titleWords, TITLE_WEIGHT);
+        count(textWords, 1);
+
+        const length = titleWords.length * TITLE_WEIGHT + textWords.length;
+        this.documents.set(doc.id, { doc, terms, length });
+        this.totalLength += length;
+        for (const term of terms.keys()) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(doc.id);
+        }
+    }
+
+    /**
+     * Remove a document from the index
+     */
+    remove(id) {
+        const entry = this.documents.get(id);
+        if (!entry) return;
+
+        for (const term of entry.terms.keys()) {
+            const ids = this.postings.get(term);
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.totalLength -= entry.length;
+        this.documents.delete(id);
+    }
+
+    /**
+     * Stop watching for changes
+     */
+    async close() {
+        if (this.stopWatching) {
+            await this.stopWatching();
+            this.stopWatching = null;
+        }
+    }
+}
+
+SearchIndex.DOCUMENT_TYPES = DOCUMENT_TYPES;
+SearchIndex.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = SearchIndex;
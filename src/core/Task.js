@@ -5,6 +5,51 @@
 
 const { v4: uuidv4 } = require('uuid');
 
+const STATUSES = ['pending', 'in_progress', 'review', 'completed', 'blocked', 'cancelled', 'failed'];
+
+// Allowed lifecycle transitions; moving a finished task back to pending reopens it
+const TRANSITIONS = {
+    pending: ['in_progress', 'blocked', 'cancelled'],
+    in_progress: ['review', 'completed', 'blocked', 'failed', 'cancelled'],
+    review: ['completed', 'in_progress', 'failed', 'cancelled'],
+    blocked: ['pending', 'in_progress', 'failed', 'cancelled'],
+    completed: ['pending'],
+    cancelled: ['pending'],
+    failed: ['pending']
+};
+
+// Statuses that must be given a reason, and the metadata field it is stored in
+const REASON_FIELDS = {
+    blocked: 'blockReason',
+    failed: 'failureReason',
+    cancelled: 'cancelReason'
+};
+
+// Queue holding tasks in each status
+const STATUS_QUEUES = {
+    pending: 'pending',
+    in_progress: 'active',
+    review: 'active',
+    blocked: 'active',
+    completed: 'completed',
+    cancelled: 'completed',
+    failed: 'completed'
+};
+
+// Statuses of tasks that have nothing left to do and no longer wait on anything
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+/**
+ * Raised when a task is moved to a status its lifecycle does not allow
+ */
+class InvalidTransitionError extends Error {
+    constructor(message, data = {}) {
+        super(message);
+        this.name = 'InvalidTransitionError';
+        this.data = data;
+    }
+}
+
 class Task {
     constructor(options = {}) {
         this.id = options.id || uuidv4();
@@ -12,13 +57,14 @@ class Task {
         this.title = options.title || '';
         this.description = options.description || '';
         this.priority = options.priority || 'medium'; // high|medium|low
-        this.status = options.status || 'pending'; // pending|in_progress|completed|blocked
+        this.status = options.status || 'pending'; // see Task.STATUSES
         this.created_at = options.created_at || new Date().toISOString();
         this.updated_at = options.updated_at || new Date().toISOString();
         this.agent_id = options.agent_id || ''; // Agent responsible for the task
         this.created_by = options.created_by || options.agent_id || ''; // Agent who created the task
         this.target_agent_id = options.target_agent_id || null;
         this.reference_task_id = options.reference_task_id || null;
+        this.parent_task_id = options.parent_task_id || null; // Task of the same agent this is a subtask of
         this.dependencies = options.dependencies || [];
         this.deliverables = options.deliverables || [];
         this.metadata = {
@@ -30,9 +76,107 @@ class Task {
     }
 
     /**
-     * Update task status and timestamp
+     * Check whether a status change is allowed by the task lifecycle
+     */
+    static canTransition(fromStatus, toStatus) {
+        return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    /**
+     * Shortest list of statuses that moves a task from one status to another through
+     * allowed transitions (excluding fromStatus), or null if there is no way
+     */
+    static transitionPath(fromStatus, toStatus) {
+        const previous = new Map([[fromStatus, null]]);
+        const queue = [fromStatus];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === toStatus) {
+                const path = [];
+                for (let status = toStatus; status !== fromStatus; status = previous.get(status)) {
+                    path.unshift(status);
+                }
+                return path;
+            }
+            for (const next of TRANSITIONS[current] || []) {
+                if (!previous.has(next)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Split a dependency reference into the owning agent and task ID
+     * References are either a task ID in the same agent or "<agentId>:<taskId>"
+     */
+    static parseDependency(ref, defaultAgentId) {
+        const separator = ref.lastIndexOf(':');
+        if (separator === -1) {
+            return { agentId: defaultAgentId, taskId: ref };
+        }
+        return { agentId: ref.slice(0, separator), taskId: ref.slice(separator + 1) };
+    }
+
+    /**
+     * Build a dependency reference to another agent's task
+     */
+    static dependencyRef(agentId, taskId) {
+        return `${agentId}:${taskId}`;
+    }
+
+    /**
+     * Qualify a dependency reference as "<agentId>:<taskId>", reading bare task IDs as tasks of defaultAgentId
+     */
+    static qualifyDependency(ref, defaultAgentId) {
+        const { agentId, taskId } = Task.parseDependency(ref, defaultAgentId);
+        return Task.dependencyRef(agentId, taskId);
+    }
+
+    /**
+     * Get the queue (pending|active|completed) that holds tasks in a status
+     */
+    static queueForStatus(status) {
+        return STATUS_QUEUES[status];
+    }
+
+    /**
+     * Move the task to a new status, enforcing the lifecycle
+     * Reasons are required for blocked, failed and cancelled
      */
-    updateStatus(newStatus) {
+    updateStatus(newStatus, reason = '') {
+        if (!STATUSES.includes(newStatus)) {
+            throw new InvalidTransitionError(
+                `Invalid task status: ${newStatus}. Must be one of: ${STATUSES.join(', ')}`,
+                { taskId: this.id, from: this.status, to: newStatus }
+            );
+        }
+
+        if (!Task.canTransition(this.status, newStatus)) {
+            const allowed = TRANSITIONS[this.status] || [];
+            throw new InvalidTransitionError(
+                `Task ${this.id} cannot move from ${this.status} to ${newStatus}. Allowed: ${allowed.join(', ') || 'none'}`,
+                { taskId: this.id, from: this.status, to: newStatus, allowed }
+            );
+        }
+
+        const reasonField = REASON_FIELDS[newStatus];
+        if (reasonField && !reason) {
+            throw new InvalidTransitionError(
+                `A reason is required to mark task ${this.id} as ${newStatus}`,
+                { taskId: this.id, from: this.status, to: newStatus }
+            );
+        }
+
+        // Reasons only describe the current status
+        Object.values(REASON_FIELDS).forEach(field => delete this.metadata[field]);
+        if (reasonField) {
+            this.metadata[reasonField] = reason;
+        }
+
         this.status = newStatus;
         this.updated_at = new Date().toISOString();
     }
@@ -121,7 +265,7 @@ class Task {
             priority: this.priority,
             agent_id: respondingAgentId,
             created_by: respondingAgentId,
-            target_agent_id: this.agent_id,
+            target_agent_id: this.created_by,
             reference_task_id: this.id,
             deliverables: responseData.deliverables || [],
             metadata: {
@@ -148,6 +292,7 @@ class Task {
             created_by: this.created_by,
             target_agent_id: this.target_agent_id,
             reference_task_id: this.reference_task_id,
+            parent_task_id: this.parent_task_id,
             dependencies: this.dependencies,
             deliverables: this.deliverables,
             metadata: this.metadata
@@ -177,8 +322,8 @@ class Task {
         if (!['high', 'medium', 'low'].includes(this.priority)) {
             errors.push('Task priority must be high, medium, or low');
         }
-        if (!['pending', 'in_progress', 'completed', 'blocked'].includes(this.status)) {
-            errors.push('Task status must be pending, in_progress, completed, or blocked');
+        if (!STATUSES.includes(this.status)) {
+            errors.push(`Task status must be one of: ${STATUSES.join(', ')}`);
         }
 
         // Validate request/response specific fields
@@ -196,4 +341,9 @@ class Task {
     }
 }
 
+Task.STATUSES = STATUSES;
+Task.TRANSITIONS = TRANSITIONS;
+Task.FINISHED_STATUSES = FINISHED_STATUSES;
+Task.InvalidTransitionError = InvalidTransitionError;
+
 module.exports = Task;
@@ -0,0 +1,193 @@
+/**
+ * TaskQuery - filters, sorting and cursor pagination over tasks from any number of agents
+ * A query is a plain object (see the constructor); list filters accept a value or an array of values.
+ * Pages are cut with keyset cursors (the sort key of the last task returned), so tasks added or
+ * removed between calls do not shift later pages.
+ */
+
+const Task = require('./Task');
+const StorageBackend = require('../storage/StorageBackend');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const SORT_FIELDS = ['priority', 'created_at', 'updated_at', 'status', 'title'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * A query value as a list: undefined stays undefined, single values become one-element lists
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Raised when a query has an invalid filter, sort, limit or cursor
+ */
+class InvalidQueryError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'InvalidQueryError';
+        this.data = { field };
+    }
+}
+
+class TaskQuery {
+    /**
+     * query: {
+     *   agentIds, queue, status, priority, tags (all must match), createdBy, targetAgentId,
+     *   createdAfter, createdBefore, updatedAfter, updatedBefore (ISO dates),
+     *   text (every word in title, description or deliverables),
+     *   sortBy (priority|created_at|updated_at|status|title), order (asc|desc), limit, cursor
+     * }
+     * Throws if a filter value is invalid
+     */
+    constructor(query = {}) {
+        this.agentIds = toList(query.agentIds);
+        this.queues = TaskQuery.assertValues('queue', toList(query.queue), StorageBackend.TASK_QUEUES);
+        this.statuses = TaskQuery.assertValues('status', toList(query.status), Task.STATUSES);
+        this.priorities = TaskQuery.assertValues('priority', toList(query.priority), PRIORITIES);
+        this.tags = toList(query.tags);
+        this.createdBy = query.createdBy || undefined;
+        this.targetAgentId = query.targetAgentId || undefined;
+        this.words = query.text ? String(query.text).toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+        this.dates = {};
+        for (const field of ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore']) {
+            if (!query[field]) continue;
+            const date = new Date(query[field]);
+            if (Number.isNaN(date.getTime())) {
+                throw new InvalidQueryError(`Invalid ${field} date: ${query[field]}. Use an ISO date, e.g. 2024-05-01`, field);
+            }
+            this.dates[field] = date.toISOString();
+        }
+
+        this.sortBy = query.sortBy || 'priority';
+        this.order = query.order || (this.sortBy === 'priority' ? 'desc' : 'asc');
+        TaskQuery.assertValues('sortBy', [this.sortBy], SORT_FIELDS);
+        TaskQuery.assertValues('order', [this.order], SORT_ORDERS);
+
+        this.limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+        if (!Number.isInteger(this.limit) || this.limit < 1 || this.limit > MAX_LIMIT) {
+            throw new InvalidQueryError(`Invalid limit: ${query.limit}. Must be between 1 and ${MAX_LIMIT}`, 'limit');
+        }
+
+        this.after = query.cursor ? this.decodeCursor(query.cursor) : null;
+    }
+
+    /**
+     * Throw unless every value is one of the allowed ones; returns the values
+     */
+    static assertValues(field, values, allowed) {
+        const invalid = (values || []).filter(value => !allowed.includes(value));
+        if (invalid.length > 0) {
+            throw new InvalidQueryError(`Invalid ${field}: ${invalid.join(', ')}. Must be one of: ${allowed.join(', ')}`, field);
+        }
+        return values;
+    }
+
+    /**
+     * Check a task (as stored, with its queue) against the filters
+     */
+    matches(task, queue) {
+        if (this.queues && !this.queues.includes(queue)) return false;
+        if (this.statuses && !this.statuses.includes(task.status)) return false;
+        if (this.priorities && !this.priorities.includes(task.priority)) return false;
+        if (this.tags && !this.tags.every(tag => (task.metadata?.tags || []).includes(tag))) return false;
+        if (this.createdBy && task.created_by !== this.createdBy) return false;
+        if (this.targetAgentId && task.target_agent_id !== this.targetAgentId) return false;
+
+        const { createdAfter, createdBefore, updatedAfter, updatedBefore } = this.dates;
+        if (createdAfter && !(task.created_at >= createdAfter)) return false;
+        if (createdBefore && !(task.created_at <= createdBefore)) return false;
+        if (updatedAfter && !(task.updated_at >= updatedAfter)) return false;
+        if (updatedBefore && !(task.updated_at <= updatedBefore)) return false;
+
+        if (this.words.length > 0) {
+            const text = [task.title, task.description, JSON.stringify(task.deliverables || [])].join('\n').toLowerCase();
+            if (!this.words.every(word => text.includes(word))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Sort key of a task: the sort field, then creation time, agent and ID to break ties
+     */
+    sortKey(task, agentId) {
+        const value = this.sortBy === 'priority' ? PRIORITY_RANK[task.priority] || 0 : task[this.sortBy] || '';
+        return [value, task.created_at || '', agentId, task.id];
+    }
+
+    /**
+     * Compare two sort keys in result order
+     */
+    compareKeys(a, b) {
+        const direction = this.order === 'desc' ? -1 : 1;
+        if (a[0] !== b[0]) {
+            return (a[0] < b[0] ? -1 : 1) * direction;
+        }
+        for (let i = 1; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Apply the query to [{ agentId, queue, task }] entries, agentId being the agent whose queue holds the task
+     * Returns { tasks, total, nextCursor } where total counts every match and nextCursor
+     * (null on the last page) fetches the page after this one
+     */
+    run(entries) {
+        const matching = entries
+            .filter(({ task, queue }) => this.matches(task, queue))
+            .map(({ agentId, queue, task }) => ({ task: { ...task, agentId, queue }, key: this.sortKey(task, agentId) }))
+            .sort((a, b) => this.compareKeys(a.key, b.key));
+
+        const remaining = this.after
+            ? matching.filter(({ key }) => this.compareKeys(key, this.after) > 0)
+            : matching;
+        const page = remaining.slice(0, this.limit);
+
+        return {
+            tasks: page.map(({ task }) => task),
+            total: matching.length,
+            nextCursor: remaining.length > page.length ? this.encodeCursor(page[page.length - 1].key) : null
+        };
+    }
+
+    /**
+     * Opaque cursor for the task after the one with this sort key
+     */
+    encodeCursor(key) {
+        return Buffer.from(JSON.stringify({ sortBy: this.sortBy, order: this.order, key })).toString('base64url');
+    }
+
+    /**
+     * Read a cursor, checking it was made for the same sort
+     */
+    decodeCursor(cursor) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+        if (!decoded || !Array.isArray(decoded.key)) {
+            throw new InvalidQueryError('Invalid cursor; pass the nextCursor of a previous result', 'cursor');
+        }
+        if (decoded.sortBy !== this.sortBy || decoded.order !== this.order) {
+            throw new InvalidQueryError(`Cursor is for results sorted by ${decoded.sortBy} ${decoded.order}, not ${this.sortBy} ${this.order}`, 'cursor');
+        }
+        return decoded.key;
+    }
+}
+
+TaskQuery.SORT_FIELDS = SORT_FIELDS;
+TaskQuery.MAX_LIMIT = MAX_LIMIT;
+TaskQuery.InvalidQueryError = InvalidQueryError;
+
+module.exports = TaskQuery;
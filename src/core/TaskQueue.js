@@ -1,75 +1,132 @@
 /**
- * TaskQueue class for managing agent task queues with file-based persistence
+ * TaskQueue class for managing agent task queues persisted through the agent's StorageBackend
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const Task = require('./Task');
+const DependencyGraph = require('./DependencyGraph');
+const TaskTree = require('./TaskTree');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('TaskQueue');
+
+// Bookkeeping fields that change with every mutation and are not worth recording
+const UNTRACKED_FIELDS = ['updated_at'];
+
+/**
+ * Deep copy of a task's fields, unaffected by later mutation of the task
+ */
+function snapshot(task) {
+    return JSON.parse(JSON.stringify(task.toJSON()));
+}
+
+/**
+ * Compare two task snapshots, returning { field: { from, to } } for changed fields
+ */
+function diffTasks(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+        if (UNTRACKED_FIELDS.includes(field)) continue;
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Check whether a task depends on another agent's task or artifact
+ * Artifacts a task uses are listed in metadata.artifacts as "<agentId>:<artifact>"
+ */
+function dependsOn(task, agentId, { taskId = null, artifact = null }) {
+    if (taskId && task.dependencies.includes(Task.dependencyRef(agentId, taskId))) {
+        return true;
+    }
+    return Boolean(artifact && (task.metadata.artifacts || []).includes(`${agentId}:${artifact}`));
+}
 
 class TaskQueue {
     constructor(agent) {
         this.agent = agent;
-        this.activeTasksPath = agent.activeTasksPath;
-        this.pendingTasksPath = agent.pendingTasksPath;
-        this.completedTasksPath = agent.completedTasksPath;
-        this.incomingRequestsPath = agent.incomingRequestsPath;
-        this.outgoingRequestsPath = agent.outgoingRequestsPath;
+        this.storage = agent.storage;
     }
 
     /**
-     * Load tasks from a specific file
+     * Load tasks from a queue (pending|active|completed)
      */
-    async loadTasks(filePath) {
-        try {
-            const content = await fs.readFile(filePath, 'utf8');
-            const tasksData = JSON.parse(content);
-            return tasksData.map(taskData => Task.fromJSON(taskData));
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return []; // File doesn't exist, return empty array
-            }
-            throw error;
-        }
+    async loadTasks(queue) {
+        const tasksData = await this.storage.getTasks(this.agent.agentId, queue);
+        return tasksData.map(taskData => Task.fromJSON(taskData));
     }
 
     /**
-     * Save tasks to a specific file
+     * Save tasks to a queue
+     * Callers that read-modify-write must hold the agent lock (see Agent.withLock)
      */
-    async saveTasks(filePath, tasks) {
+    async saveTasks(queue, tasks) {
         try {
             const tasksData = tasks.map(task => task.toJSON());
-            await fs.writeFile(filePath, JSON.stringify(tasksData, null, 2), 'utf8');
+            await this.storage.saveTasks(this.agent.agentId, queue, tasksData);
         } catch (error) {
-            console.error(`Failed to save tasks to ${filePath}:`, error);
+            logger.error(`Failed to save ${queue} tasks for agent ${this.agent.agentId}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Append an event to a task's audit trail
+     * changes maps each changed field to { from, to }
+     */
+    async recordEvent(task, action, { actor = null, changes = {}, reason = '' } = {}) {
+        const event = {
+            task_id: task.id,
+            agent_id: this.agent.agentId,
+            actor: actor || this.agent.agentId,
+            action,
+            changes,
+            reason: reason || null,
+            timestamp: new Date().toISOString()
+        };
+
+        await this.storage.appendTaskEvent(this.agent.agentId, event);
+        return event;
+    }
+
+    /**
+     * Get a task's audit trail, oldest first
+     */
+    async getTaskHistory(taskId) {
+        return this.storage.getTaskHistory(this.agent.agentId, taskId);
+    }
+
     /**
      * Get all active tasks
      */
     async getActiveTasks() {
-        return await this.loadTasks(this.activeTasksPath);
+        return await this.loadTasks('active');
     }
 
     /**
      * Get all pending tasks
      */
     async getPendingTasks() {
-        return await this.loadTasks(this.pendingTasksPath);
+        return await this.loadTasks('pending');
     }
 
     /**
      * Get all completed tasks
      */
     async getCompletedTasks() {
-        return await this.loadTasks(this.completedTasksPath);
+        return await this.loadTasks('completed');
     }
 
     /**
      * Add a new task to the pending queue
+     * options: { actor } - the agent creating the task (defaults to task.created_by)
+     * Throws DependencyGraph.DependencyCycleError if the task's dependencies lead back to it
      */
-    async addTask(task) {
+    async addTask(task, options = {}) {
         if (!(task instanceof Task)) {
             throw new Error('Task must be an instance of Task class');
         }
@@ -79,117 +136,424 @@ class TaskQueue {
             throw new Error(`Invalid task: ${validation.errors.join(', ')}`);
         }
 
-        const pendingTasks = await this.getPendingTasks();
-        pendingTasks.push(task);
-        await this.saveTasks(this.pendingTasksPath, pendingTasks);
+        return this.agent.withLock(async () => {
+            await this.assertParentOpen(task);
+            await this.assertNoDependencyCycle(task);
+
+            // A dependency that does not exist could never complete, so the task would wait forever
+            const missing = await this.getMissingDependencies(task);
+            if (missing.length > 0) {
+                throw new Error(`Task ${task.id} depends on tasks that do not exist: ${missing.join(', ')}`);
+            }
 
-        console.log(`Task ${task.id} added to pending queue for agent ${this.agent.agentId}`);
-        return task;
+            // Tasks waiting on unfinished dependencies start blocked until they complete
+            const unmet = await this.getUnmetDependencies(task);
+            if (task.status === 'pending' && unmet.length > 0) {
+                task.updateStatus('blocked', `Waiting on dependencies: ${unmet.join(', ')}`);
+                task.metadata.waitingOnDependencies = true;
+            }
+
+            const queue = Task.queueForStatus(task.status);
+            const queuedTasks = await this.loadTasks(queue);
+            queuedTasks.push(task);
+            await this.saveTasks(queue, queuedTasks);
+            await this.recordEvent(task, 'created', {
+                actor: options.actor || task.created_by,
+                changes: { status: { from: null, to: task.status } }
+            });
+
+            logger.info(`Task ${task.id} added to ${queue} queue for agent ${this.agent.agentId}`);
+
+            // e.g. a subtask that starts blocked on its dependencies blocks its parent
+            if (task.parent_task_id) {
+                await this.rollUpParent(task.parent_task_id, options.actor || task.created_by);
+            }
+            return task;
+        });
     }
 
     /**
-     * Move a task from pending to active
+     * Reject a subtask whose parent does not exist in this agent or has already finished
      */
-    async activateTask(taskId) {
-        const pendingTasks = await this.getPendingTasks();
-        const taskIndex = pendingTasks.findIndex(task => task.id === taskId);
-        
-        if (taskIndex === -1) {
-            throw new Error(`Task ${taskId} not found in pending queue`);
+    async assertParentOpen(task) {
+        if (!task.parent_task_id) {
+            return;
         }
 
-        const task = pendingTasks[taskIndex];
-        
-        // Check if task dependencies are met
-        const completedTasks = await this.getCompletedTasks();
-        const completedTaskIds = completedTasks.map(t => t.id);
-        
-        if (!task.isReady(completedTaskIds)) {
-            throw new Error(`Task ${taskId} dependencies not met`);
+        const parent = await this.getTaskById(task.parent_task_id);
+        if (!parent) {
+            throw new Error(`Parent task ${task.parent_task_id} not found for agent ${this.agent.agentId}`);
+        }
+        if (Task.FINISHED_STATUSES.includes(parent.status)) {
+            throw new Error(`Cannot add subtasks to ${parent.status} task ${parent.id}; reopen it first`);
         }
+    }
 
-        // Remove from pending
-        pendingTasks.splice(taskIndex, 1);
-        await this.saveTasks(this.pendingTasksPath, pendingTasks);
+    /**
+     * Get the direct subtasks of a task, in any queue
+     */
+    async getSubtasks(taskId) {
+        const { active, pending, completed } = await this.getAllTasks();
+        return [...pending, ...active, ...completed].filter(task => task.parent_task_id === taskId);
+    }
 
-        // Add to active
-        task.updateStatus('in_progress');
-        const activeTasks = await this.getActiveTasks();
-        activeTasks.push(task);
-        await this.saveTasks(this.activeTasksPath, activeTasks);
+    /**
+     * Move a parent task to the status its subtasks imply (see TaskTree.rollupStatus), going
+     * through intermediate statuses where the lifecycle requires them
+     * Returns the updated parent, or null if it was left alone
+     */
+    async rollUpParent(parentTaskId, actor = null) {
+        return this.agent.withLock(async () => {
+            const parent = await this.getTaskById(parentTaskId);
+            if (!parent) {
+                logger.warn(`Parent task ${parentTaskId} not found for agent ${this.agent.agentId}`);
+                return null;
+            }
 
-        console.log(`Task ${taskId} activated for agent ${this.agent.agentId}`);
-        return task;
+            const subtasks = await this.getSubtasks(parentTaskId);
+            const target = TaskTree.rollupStatus(parent, subtasks);
+            const path = target && Task.transitionPath(parent.status, target);
+            if (!path) {
+                return null;
+            }
+
+            const titles = (status) => subtasks.filter(t => t.status === status).map(t => t.title).join(', ');
+            const reasons = {
+                blocked: subtasks.some(t => t.status === 'blocked') ? `Subtasks blocked: ${titles('blocked')}` : `Subtasks failed: ${titles('failed')}`,
+                completed: 'All subtasks completed',
+                in_progress: 'Subtasks in progress',
+                pending: 'Subtasks reopened'
+            };
+            const flags = { blocked: { blockedBySubtasks: true }, completed: { completedBySubtasks: true } };
+
+            let task = parent;
+            try {
+                for (const status of path) {
+                    task = await this.transitionTask(parentTaskId, status, {
+                        actor,
+                        reason: reasons[target],
+                        metadata: status === target ? flags[target] || {} : {}
+                    });
+                }
+            } catch (error) {
+                // e.g. the parent's own dependencies are not met yet
+                if (!(error instanceof Task.InvalidTransitionError)) throw error;
+                logger.warn(`Task ${parentTaskId} not moved to ${target} for its subtasks: ${error.message}`);
+            }
+            return task;
+        });
     }
 
     /**
-     * Complete a task (move from active to completed)
+     * Reject a task whose dependencies, followed across agents, wait on the task itself
      */
-    async completeTask(taskId, deliverables = []) {
-        const activeTasks = await this.getActiveTasks();
-        const taskIndex = activeTasks.findIndex(task => task.id === taskId);
-
-        if (taskIndex === -1) {
-            throw new Error(`Task ${taskId} not found in active queue`);
+    async assertNoDependencyCycle(task) {
+        if (task.dependencies.length === 0) {
+            return;
         }
 
-        const task = activeTasks[taskIndex];
+        const graph = await DependencyGraph.forTasks(this.storage);
+        const ref = Task.dependencyRef(this.agent.agentId, task.id);
+
+        for (const dependencyRef of task.dependencies) {
+            const dependency = Task.parseDependency(dependencyRef, this.agent.agentId);
+            const cycle = graph.findCycleThrough(ref, Task.dependencyRef(dependency.agentId, dependency.taskId));
+            if (cycle) {
+                throw new DependencyGraph.DependencyCycleError(
+                    `Task ${task.id} dependencies would create a cycle: ${cycle.join(' → ')}`,
+                    cycle
+                );
+            }
+        }
+    }
 
-        // Update task with deliverables and completion status
-        task.updateStatus('completed');
-        deliverables.forEach(deliverable => task.addDeliverable(deliverable));
+    /**
+     * Replace a stored task in whichever queue holds it
+     * options: { actor, reason } recorded with the changed fields
+     */
+    async saveTask(task, options = {}) {
+        return this.agent.withLock(async () => {
+            const found = await this.findTask(task.id);
+            if (!found) {
+                throw new Error(`Task ${task.id} not found for agent ${this.agent.agentId}`);
+            }
 
-        // Remove from active
-        activeTasks.splice(taskIndex, 1);
-        await this.saveTasks(this.activeTasksPath, activeTasks);
+            const changes = diffTasks(snapshot(found.task), snapshot(task));
+            found.tasks[found.index] = task;
+            await this.saveTasks(found.queue, found.tasks);
 
-        // Add to completed
-        const completedTasks = await this.getCompletedTasks();
-        completedTasks.push(task);
-        await this.saveTasks(this.completedTasksPath, completedTasks);
+            if (Object.keys(changes).length > 0) {
+                await this.recordEvent(task, 'updated', { ...options, changes });
+            }
+            return task;
+        });
+    }
 
-        console.log(`Task ${taskId} completed for agent ${this.agent.agentId}`);
-        return task;
+    /**
+     * Find a task and the queue holding it
+     */
+    async findTask(taskId) {
+        for (const queue of ['pending', 'active', 'completed']) {
+            const tasks = await this.loadTasks(queue);
+            const index = tasks.findIndex(t => t.id === taskId);
+            if (index !== -1) {
+                return { task: tasks[index], queue, tasks, index };
+            }
+        }
+        return null;
     }
 
     /**
-     * Block a task (set status to blocked)
+     * Get the IDs of tasks that finished successfully, for this or another agent
      */
-    async blockTask(taskId, reason = '') {
-        const activeTasks = await this.getActiveTasks();
-        const task = activeTasks.find(task => task.id === taskId);
-        
-        if (!task) {
-            throw new Error(`Task ${taskId} not found in active queue`);
+    async getCompletedTaskIds(agentId = this.agent.agentId) {
+        if (agentId !== this.agent.agentId && !await this.storage.agentExists(agentId)) {
+            return [];
         }
 
-        task.updateStatus('blocked');
-        if (reason) {
-            task.metadata.blockReason = reason;
+        const completedTasks = await this.storage.getTasks(agentId, 'completed');
+        return completedTasks.filter(t => t.status === 'completed').map(t => t.id);
+    }
+
+    /**
+     * Get the dependency references of a task that have not completed
+     * References to other agents' tasks are resolved through the shared storage backend
+     */
+    async getUnmetDependencies(task) {
+        const completedByAgent = new Map();
+        const unmet = [];
+
+        for (const ref of task.dependencies) {
+            const { agentId, taskId } = Task.parseDependency(ref, this.agent.agentId);
+            if (!completedByAgent.has(agentId)) {
+                completedByAgent.set(agentId, await this.getCompletedTaskIds(agentId));
+            }
+            if (!completedByAgent.get(agentId).includes(taskId)) {
+                unmet.push(ref);
+            }
         }
 
-        await this.saveTasks(this.activeTasksPath, activeTasks);
-        console.log(`Task ${taskId} blocked for agent ${this.agent.agentId}: ${reason}`);
-        return task;
+        return unmet;
     }
 
     /**
-     * Unblock a task (set status back to in_progress)
+     * Get the dependency references of a task that do not name a task in any queue
      */
-    async unblockTask(taskId) {
-        const activeTasks = await this.getActiveTasks();
-        const task = activeTasks.find(task => task.id === taskId);
-        
-        if (!task) {
-            throw new Error(`Task ${taskId} not found in active queue`);
+    async getMissingDependencies(task) {
+        const idsByAgent = new Map();
+        const missing = [];
+
+        for (const ref of task.dependencies) {
+            const { agentId, taskId } = Task.parseDependency(ref, this.agent.agentId);
+            if (!idsByAgent.has(agentId)) {
+                const ids = new Set();
+                if (agentId === this.agent.agentId || await this.storage.agentExists(agentId)) {
+                    for (const queue of ['pending', 'active', 'completed']) {
+                        (await this.storage.getTasks(agentId, queue)).forEach(t => ids.add(t.id));
+                    }
+                }
+                idsByAgent.set(agentId, ids);
+            }
+            if (!idsByAgent.get(agentId).has(taskId)) {
+                missing.push(ref);
+            }
         }
 
-        task.updateStatus('in_progress');
-        delete task.metadata.blockReason;
+        return missing;
+    }
+
+    /**
+     * Move tasks blocked on dependencies back to pending once every dependency has completed
+     * Returns the unblocked tasks
+     */
+    async resolveDependencies(actor = null) {
+        return this.agent.withLock(async () => {
+            const unblocked = [];
+
+            for (const task of await this.getActiveTasks()) {
+                if (task.status !== 'blocked' || !task.metadata.waitingOnDependencies) continue;
+                if (task.metadata.dependencyNotifications?.length) continue;
+
+                if ((await this.getUnmetDependencies(task)).length === 0) {
+                    unblocked.push(await this.transitionTask(task.id, 'pending', { actor, reason: 'Dependencies completed' }));
+                }
+            }
+
+            return unblocked;
+        });
+    }
+
+    /**
+     * Block or re-ready open tasks that depend on a changed task or artifact of another agent
+     * change: { messageId, fromAgentId, taskId, artifact, impact: breaking|resolved, reason }
+     * A breaking change blocks each dependent task (or, if it cannot be blocked, just records the change)
+     * in metadata.dependencyNotifications; once every breaking change recorded on a task it blocked
+     * is resolved, the task returns to pending. Returns { blocked, unblocked, updated } tasks.
+     */
+    async applyDependencyChange(change) {
+        const { messageId, fromAgentId, taskId = null, artifact = null, impact, reason = null } = change;
+        const target = [taskId && `task ${taskId}`, artifact && `artifact ${artifact}`].filter(Boolean).join(', ');
+        const result = { blocked: [], unblocked: [], updated: [] };
+
+        return this.agent.withLock(async () => {
+            const openTasks = [...await this.getPendingTasks(), ...await this.getActiveTasks()];
+
+            for (const task of openTasks.filter(t => dependsOn(t, fromAgentId, { taskId, artifact }))) {
+                const notifications = task.metadata.dependencyNotifications || [];
+                const matches = n => n.from_agent_id === fromAgentId && n.task_id === taskId && n.artifact === artifact;
+
+                if (impact === 'breaking') {
+                    if (notifications.some(matches)) continue;
+                    task.metadata.dependencyNotifications = [...notifications, {
+                        message_id: messageId,
+                        from_agent_id: fromAgentId,
+                        task_id: taskId,
+                        artifact,
+                        reason,
+                        received_at: new Date().toISOString()
+                    }];
+
+                    const blockReason = `Breaking change to ${target} from ${fromAgentId} (notification ${messageId})${reason ? `: ${reason}` : ''}`;
+                    if (Task.canTransition(task.status, 'blocked')) {
+                        result.blocked.push(await this.transitionTask(task.id, 'blocked', {
+                            actor: fromAgentId,
+                            reason: blockReason,
+                            metadata: { dependencyNotifications: task.metadata.dependencyNotifications, blockedByNotification: true }
+                        }));
+                    } else {
+                        result.updated.push(await this.saveTask(task, { actor: fromAgentId, reason: blockReason }));
+                    }
+                } else if (impact === 'resolved') {
+                    if (!notifications.some(matches)) continue;
+                    task.metadata.dependencyNotifications = notifications.filter(n => !matches(n));
+
+                    const resolveReason = `Change to ${target} from ${fromAgentId} resolved (notification ${messageId})${reason ? `: ${reason}` : ''}`;
+                    // Tasks also waiting on dependencies stay blocked until those complete
+                    const ready = task.metadata.blockedByNotification ||
+                        (task.metadata.waitingOnDependencies && (await this.getUnmetDependencies(task)).length === 0);
+                    if (task.metadata.dependencyNotifications.length === 0 && task.status === 'blocked' && ready) {
+                        result.unblocked.push(await this.transitionTask(task.id, 'pending', {
+                            actor: fromAgentId,
+                            reason: resolveReason,
+                            metadata: { dependencyNotifications: [] }
+                        }));
+                    } else {
+                        result.updated.push(await this.saveTask(task, { actor: fromAgentId, reason: resolveReason }));
+                    }
+                }
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Move a task to a new lifecycle status and into the queue for that status
+     * options: { reason, deliverables, actor, metadata } - metadata fields are set with the status change
+     */
+    async transitionTask(taskId, status, options = {}) {
+        const { reason = '', deliverables = [], actor = null, metadata = {} } = options;
+
+        return this.agent.withLock(async () => {
+            const found = await this.findTask(taskId);
+            if (!found) {
+                throw new Error(`Task ${taskId} not found for agent ${this.agent.agentId}`);
+            }
+
+            const { task, queue, tasks, index } = found;
+
+            // Starting a pending or blocked task requires its dependencies to be completed
+            if (status === 'in_progress' && ['pending', 'blocked'].includes(task.status)) {
+                const unmet = await this.getUnmetDependencies(task);
+                if (unmet.length > 0) {
+                    throw new Task.InvalidTransitionError(
+                        `Task ${taskId} dependencies not met: ${unmet.join(', ')}`,
+                        { taskId, from: task.status, to: status, dependencies: unmet }
+                    );
+                }
+            }
+
+            // A parent completes only once its subtasks have finished
+            if (status === 'completed') {
+                const unfinished = TaskTree.unfinished(await this.getSubtasks(taskId));
+                if (unfinished.length > 0) {
+                    throw new Task.InvalidTransitionError(
+                        `Task ${taskId} has unfinished subtasks: ${unfinished.map(t => t.id).join(', ')}`,
+                        { taskId, from: task.status, to: status, subtasks: unfinished.map(t => t.id) }
+                    );
+                }
+            }
+
+            const before = snapshot(task);
+            task.updateStatus(status, reason);
+            Object.assign(task.metadata, metadata);
+            if (status !== 'blocked') {
+                delete task.metadata.waitingOnDependencies;
+                delete task.metadata.blockedByNotification;
+                delete task.metadata.blockedBySubtasks;
+            }
+            if (status !== 'completed') {
+                delete task.metadata.completedBySubtasks;
+            }
+            deliverables.forEach(deliverable => task.addDeliverable(deliverable));
+
+            const targetQueue = Task.queueForStatus(status);
+            if (targetQueue === queue) {
+                await this.saveTasks(queue, tasks);
+            } else {
+                tasks.splice(index, 1);
+                await this.saveTasks(queue, tasks);
+
+                const targetTasks = await this.loadTasks(targetQueue);
+                targetTasks.push(task);
+                await this.saveTasks(targetQueue, targetTasks);
+            }
+
+            await this.recordEvent(task, 'status_changed', {
+                actor,
+                reason,
+                changes: diffTasks(before, snapshot(task))
+            });
+
+            logger.info(`Task ${taskId} moved to ${status} for agent ${this.agent.agentId}${reason ? `: ${reason}` : ''}`);
+
+            // Local dependents become ready as soon as this task completes
+            if (status === 'completed') {
+                await this.resolveDependencies(actor);
+            }
+            if (task.parent_task_id) {
+                await this.rollUpParent(task.parent_task_id, actor);
+            }
+            return task;
+        });
+    }
 
-        await this.saveTasks(this.activeTasksPath, activeTasks);
-        console.log(`Task ${taskId} unblocked for agent ${this.agent.agentId}`);
-        return task;
+    /**
+     * Move a task from pending to active
+     */
+    async activateTask(taskId, actor = null) {
+        return this.transitionTask(taskId, 'in_progress', { actor });
+    }
+
+    /**
+     * Complete a task (move from active to completed)
+     */
+    async completeTask(taskId, deliverables = [], actor = null) {
+        return this.transitionTask(taskId, 'completed', { deliverables, actor });
+    }
+
+    /**
+     * Block a task (set status to blocked)
+     */
+    async blockTask(taskId, reason, actor = null) {
+        return this.transitionTask(taskId, 'blocked', { reason, actor });
+    }
+
+    /**
+     * Unblock a task (set status back to in_progress)
+     */
+    async unblockTask(taskId, actor = null) {
+        return this.transitionTask(taskId, 'in_progress', { actor });
     }
 
     /**
@@ -197,10 +561,14 @@ class TaskQueue {
      */
     async getReadyTasks() {
         const pendingTasks = await this.getPendingTasks();
-        const completedTasks = await this.getCompletedTasks();
-        const completedTaskIds = completedTasks.map(t => t.id);
+        const ready = [];
 
-        return pendingTasks.filter(task => task.isReady(completedTaskIds));
+        for (const task of pendingTasks) {
+            if ((await this.getUnmetDependencies(task)).length === 0) {
+                ready.push(task);
+            }
+        }
+        return ready;
     }
 
     /**
@@ -251,6 +619,9 @@ class TaskQueue {
             completed: tasks.completed.length,
             total: tasks.total,
             blocked: tasks.active.filter(t => t.status === 'blocked').length,
+            review: tasks.active.filter(t => t.status === 'review').length,
+            cancelled: tasks.completed.filter(t => t.status === 'cancelled').length,
+            failed: tasks.completed.filter(t => t.status === 'failed').length,
             ready: (await this.getReadyTasks()).length
         };
     }
@@ -259,18 +630,25 @@ class TaskQueue {
      * Clean up old completed tasks (keep only recent ones)
      */
     async cleanupCompletedTasks(keepCount = 100) {
-        const completedTasks = await this.getCompletedTasks();
+        return this.agent.withLock(async () => {
+            const completedTasks = await this.getCompletedTasks();
 
-        if (completedTasks.length > keepCount) {
-            // Sort by completion date (most recent first)
-            completedTasks.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+            if (completedTasks.length > keepCount) {
+                // Sort by completion date (most recent first)
+                completedTasks.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
 
-            // Keep only the most recent tasks
-            const tasksToKeep = completedTasks.slice(0, keepCount);
-            await this.saveTasks(this.completedTasksPath, tasksToKeep);
+                // Keep only the most recent tasks
+                const tasksToKeep = completedTasks.slice(0, keepCount);
+                await this.saveTasks('completed', tasksToKeep);
 
-            console.log(`Cleaned up ${completedTasks.length - keepCount} old completed tasks for agent ${this.agent.agentId}`);
-        }
+                // The audit trail outlives the task itself
+                for (const task of completedTasks.slice(keepCount)) {
+                    await this.recordEvent(task, 'removed', { reason: 'Completed task cleanup' });
+                }
+
+                logger.info(`Cleaned up ${completedTasks.length - keepCount} old completed tasks for agent ${this.agent.agentId}`);
+            }
+        });
     }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * TaskTree - subtask hierarchies of an agent's tasks
+ * A task with parent_task_id is a subtask of that task in the same agent. A parent's status
+ * follows its subtasks (see rollupStatus) and its progress is rolled up from the leaf tasks below it.
+ */
+
+const Task = require('./Task');
+
+class TaskTree {
+    /**
+     * Status the subtasks imply for their parent, or null if they imply nothing
+     * Any blocked subtask blocks the parent; once every subtask that was not cancelled has
+     * completed, so has the parent; otherwise it is in progress as soon as one subtask has started.
+     * A parent whose subtasks have all finished but some failed is blocked until those are
+     * retried or cancelled, as nothing else will move it on.
+     */
+    static deriveStatus(subtasks) {
+        if (subtasks.some(subtask => subtask.status === 'blocked')) {
+            return 'blocked';
+        }
+
+        const counted = subtasks.filter(subtask => subtask.status !== 'cancelled');
+        if (counted.length === 0) {
+            return null;
+        }
+        if (counted.every(subtask => subtask.status === 'completed')) {
+            return 'completed';
+        }
+        if (counted.every(subtask => Task.FINISHED_STATUSES.includes(subtask.status))) {
+            return 'blocked';
+        }
+        return counted.some(subtask => subtask.status !== 'pending') ? 'in_progress' : 'pending';
+    }
+
+    /**
+     * Status a parent task should move to for its subtasks, or null to leave it alone
+     * Statuses the agent chose are kept: cancelled and failed parents, parents blocked or completed
+     * for reasons other than their subtasks, and parents already in progress or review, which only
+     * move on when their subtasks block or complete them.
+     */
+    static rollupStatus(parent, subtasks) {
+        const derived = TaskTree.deriveStatus(subtasks);
+        if (!derived || derived === parent.status) {
+            return null;
+        }
+
+        switch (parent.status) {
+            case 'pending':
+                return derived;
+            case 'in_progress':
+                return ['blocked', 'completed'].includes(derived) ? derived : null;
+            case 'review':
+                return derived === 'completed' ? derived : null;
+            case 'blocked':
+                return parent.metadata.blockedBySubtasks ? derived : null;
+            case 'completed':
+                return parent.metadata.completedBySubtasks ? derived : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Subtasks that still have work left
+     */
+    static unfinished(subtasks) {
+        return subtasks.filter(subtask => !Task.FINISHED_STATUSES.includes(subtask.status));
+    }
+
+    /**
+     * Arrange plain task objects into trees
+     * Returns the root tasks (no parent, or a parent that is not in the list), each with its
+     * subtasks (oldest first) and progress: { total, completed, failed, percent } over the leaf
+     * tasks below it, not counting cancelled ones
+     */
+    static build(tasks) {
+        const byParent = new Map();
+        const ids = new Set(tasks.map(task => task.id));
+        for (const task of tasks) {
+            const parentId = task.parent_task_id && ids.has(task.parent_task_id) ? task.parent_task_id : null;
+            if (!byParent.has(parentId)) {
+                byParent.set(parentId, []);
+            }
+            byParent.get(parentId).push(task);
+        }
+
+        const toNode = (task) => {
+            const subtasks = (byParent.get(task.id) || [])
+                .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+                .map(toNode);
+
+            const progress = subtasks.length > 0
+                ? subtasks.reduce((sum, subtask) => ({
+                    total: sum.total + subtask.progress.total,
+                    completed: sum.completed + subtask.progress.completed,
+                    failed: sum.failed + subtask.progress.failed
+                }), { total: 0, completed: 0, failed: 0 })
+                : {
+                    total: task.status === 'cancelled' ? 0 : 1,
+                    completed: task.status === 'completed' ? 1 : 0,
+                    failed: task.status === 'failed' ? 1 : 0
+                };
+            progress.percent = progress.total > 0
+                ? Math.round(100 * progress.completed / progress.total)
+                : (task.status === 'completed' ? 100 : 0);
+
+            return { ...task, subtasks, progress };
+        };
+
+        return (byParent.get(null) || []).map(toNode);
+    }
+}
+
+module.exports = TaskTree;
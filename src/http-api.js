@@ -1,19 +1,27 @@
 /**
- * HTTP API wrapper for the MCP server
- * Provides REST endpoints for easier testing and integration
+ * HTTP API for the agent communication system
+ * Provides REST endpoints for easier testing and integration, backed by the
+ * same AgentCommunicationSystem service as the MCP servers
  */
 
 const express = require('express');
-const { spawn } = require('child_process');
-const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
-const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const AgentCommunicationSystem = require('./core/AgentCommunicationSystem');
+const Task = require('./core/Task');
+const DependencyGraph = require('./core/DependencyGraph');
+const TaskQuery = require('./core/TaskQuery');
+const CommunicationProtocol = require('./communication/CommunicationProtocol');
 
 class MCPHttpAPI {
-    constructor(port = 3000) {
+    /**
+     * options.system: AgentCommunicationSystem to serve (one is created if omitted)
+     */
+    constructor(port = 3000, options = {}) {
         this.port = port;
         this.app = express();
-        this.mcpClient = null;
-        this.serverProcess = null;
+        this.system = options.system || new AgentCommunicationSystem({
+            basePath: process.env.MCP_AGENTS_PATH || './agents'
+        });
+        this.server = null;
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -55,7 +63,7 @@ class MCPHttpAPI {
             res.json({
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
-                mcpConnected: this.mcpClient !== null
+                agents: this.system.agents.size
             });
         });
 
@@ -68,8 +76,23 @@ class MCPHttpAPI {
                     return res.status(400).json({ error: 'Agent ID is required' });
                 }
 
-                const response = await this.callMCP('agent/register', { agentId, capabilities });
-                res.json(response);
+                const result = await this.system.connectAgent(agentId, capabilities);
+                res.json({ success: true, agentId, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get an agent's tasks, as subtask trees with ?tree=true
+        this.app.get('/api/agents/:agentId/tasks', async (req, res) => {
+            try {
+                const { agentId } = req.params;
+                const { state } = req.query;
+
+                const tasks = req.query.tree === 'true'
+                    ? await this.system.getTaskTree(agentId, { state })
+                    : await this.system.getTasks(agentId, state);
+                res.json({ success: true, tasks });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -81,10 +104,22 @@ class MCPHttpAPI {
                 const { agentId } = req.params;
                 const task = req.body;
 
-                const response = await this.callMCP('task/create', { agentId, task });
-                res.json(response);
+                const created = await this.system.createTask(agentId, task);
+                res.json({ success: true, taskId: created.id, task: created.toJSON() });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                const statusCode = error instanceof DependencyGraph.DependencyCycleError ? 400 : 500;
+                res.status(statusCode).json({ error: error.message, ...error.data });
+            }
+        });
+
+        // Query tasks across agents; list filters take comma-separated values
+        this.app.get('/api/tasks', async (req, res) => {
+            try {
+                const result = await this.system.queryTasks(req.query);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                const statusCode = error instanceof TaskQuery.InvalidQueryError ? 400 : 500;
+                res.status(statusCode).json({ error: error.message, ...error.data });
             }
         });
 
@@ -94,8 +129,8 @@ class MCPHttpAPI {
                 const { fromAgentId, toAgentId } = req.params;
                 const taskRequest = req.body;
 
-                const response = await this.callMCP('task/request', { fromAgentId, toAgentId, taskRequest });
-                res.json(response);
+                const requestTask = await this.system.createTaskRequest(fromAgentId, toAgentId, taskRequest);
+                res.json({ success: true, requestId: requestTask.id, task: requestTask.toJSON() });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -105,10 +140,24 @@ class MCPHttpAPI {
         this.app.put('/api/agents/:agentId/tasks/:taskId', async (req, res) => {
             try {
                 const { agentId, taskId } = req.params;
-                const { status, deliverables } = req.body;
+                const { status, deliverables = [], reason = '', actorId = null } = req.body;
 
-                const response = await this.callMCP('task/update', { agentId, taskId, status, deliverables });
-                res.json(response);
+                const task = await this.system.updateTaskStatus(agentId, taskId, status, deliverables, reason, actorId);
+                res.json({ success: true, task: task.toJSON() });
+            } catch (error) {
+                // Transitions the task lifecycle rejects are client errors
+                const statusCode = error instanceof Task.InvalidTransitionError ? 400 : 500;
+                res.status(statusCode).json({ error: error.message, ...error.data });
+            }
+        });
+
+        // Get task history
+        this.app.get('/api/agents/:agentId/tasks/:taskId/history', async (req, res) => {
+            try {
+                const { agentId, taskId } = req.params;
+
+                const history = await this.system.getTaskHistory(agentId, taskId);
+                res.json({ success: true, taskId, history });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -118,10 +167,14 @@ class MCPHttpAPI {
         this.app.post('/api/agents/:agentId/relationships', async (req, res) => {
             try {
                 const { agentId } = req.params;
-                const { targetAgentId, relationshipType } = req.body;
-
-                const response = await this.callMCP('relationship/add', { agentId, targetAgentId, relationshipType });
-                res.json(response);
+                const { targetAgentId, relationshipType, tags } = req.body;
+
+                const { cycle } = await this.system.addRelationship(agentId, targetAgentId, relationshipType, { tags });
+                res.json({
+                    success: true,
+                    message: `Relationship added between ${agentId} and ${targetAgentId}`,
+                    ...(cycle && { warning: { message: `Agents now depend on each other in a cycle: ${cycle.join(' → ')}`, cycle } })
+                });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -132,8 +185,8 @@ class MCPHttpAPI {
             try {
                 const { agentId } = req.params;
 
-                const response = await this.callMCP('agent/status', { agentId });
-                res.json(response);
+                const status = await this.system.getAgentStatus(agentId);
+                res.json({ success: true, status });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -142,8 +195,8 @@ class MCPHttpAPI {
         // Get system status
         this.app.get('/api/system/status', async (req, res) => {
             try {
-                const response = await this.callMCP('agent/status', {});
-                res.json(response);
+                const status = await this.system.getSystemStatus();
+                res.json({ success: true, status });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -153,10 +206,91 @@ class MCPHttpAPI {
         this.app.put('/api/agents/:agentId/context', async (req, res) => {
             try {
                 const { agentId } = req.params;
-                const { context } = req.body;
+                const { context, reason } = req.body;
 
-                const response = await this.callMCP('context/update', { agentId, context });
-                res.json(response);
+                const entry = await this.system.updateAgentContext(agentId, context, reason);
+                res.json({ success: true, version: entry.version, message: `Context updated for agent ${agentId}` });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Read agent context, or one section with ?section=; ?maxChars= trims the whole context
+        this.app.get('/api/agents/:agentId/context', async (req, res) => {
+            try {
+                const maxChars = req.query.maxChars ? parseInt(req.query.maxChars, 10) : null;
+
+                const result = await this.system.getAgentContext(req.params.agentId, req.query.section || null, { maxChars });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Append to agent context
+        this.app.post('/api/agents/:agentId/context', async (req, res) => {
+            try {
+                const { content, section } = req.body;
+
+                const result = await this.system.appendAgentContext(req.params.agentId, content, { section });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Replace one section of agent context
+        this.app.put('/api/agents/:agentId/context/sections/:section', async (req, res) => {
+            try {
+                const { agentId, section } = req.params;
+
+                const result = await this.system.updateAgentContextSection(agentId, section, req.body.content);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // List context versions, the most recent ones with ?limit=
+        this.app.get('/api/agents/:agentId/context/history', async (req, res) => {
+            try {
+                const limit = req.query.limit ? parseInt(req.query.limit, 10) : null;
+
+                const result = await this.system.getContextHistory(req.params.agentId, { limit });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Diff two context versions (?from=&to=, latest against the one before by default)
+        this.app.get('/api/agents/:agentId/context/diff', async (req, res) => {
+            try {
+                const from = req.query.from ? parseInt(req.query.from, 10) : null;
+                const to = req.query.to ? parseInt(req.query.to, 10) : null;
+
+                const result = await this.system.diffContextVersions(req.params.agentId, from, to);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Roll agent context back to an earlier version
+        this.app.post('/api/agents/:agentId/context/restore', async (req, res) => {
+            try {
+                const result = await this.system.restoreContext(req.params.agentId, req.body.version);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Set agent context size budget
+        this.app.put('/api/agents/:agentId/context/budget', async (req, res) => {
+            try {
+                const result = await this.system.setContextBudget(req.params.agentId, req.body.maxChars);
+                res.json({ success: true, ...result });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -166,10 +300,80 @@ class MCPHttpAPI {
         this.app.post('/api/agents/:fromAgentId/messages/:toAgentId', async (req, res) => {
             try {
                 const { fromAgentId, toAgentId } = req.params;
-                const { messageType, messageData } = req.body;
+                const { messageType, messageData, threadId, replyTo } = req.body;
+
+                const message = await this.system.sendMessage(fromAgentId, toAgentId, messageType, messageData, { threadId, replyTo });
+                res.json({ success: true, messageId: message.id, threadId: message.thread_id || null });
+            } catch (error) {
+                const statusCode = error instanceof CommunicationProtocol.MessageValidationError ? 400 : 500;
+                res.status(statusCode).json({ error: error.message, ...error.data });
+            }
+        });
+
+        // Broadcast a message to a group of agents
+        this.app.post('/api/agents/:fromAgentId/broadcast', async (req, res) => {
+            try {
+                const { fromAgentId } = req.params;
+                const { target, tag, messageType, messageData, threadId } = req.body;
+
+                const broadcast = await this.system.broadcastMessage(fromAgentId, target, messageType, messageData, { tag, threadId });
+                res.json({ success: true, ...broadcast });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Subscribe to a topic
+        this.app.post('/api/topics/:topic/subscribers', async (req, res) => {
+            try {
+                const result = await this.system.subscribeToTopic(req.body.agentId, req.params.topic);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Unsubscribe from a topic
+        this.app.delete('/api/topics/:topic/subscribers/:agentId', async (req, res) => {
+            try {
+                const result = await this.system.unsubscribeFromTopic(req.params.agentId, req.params.topic);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Publish to a topic
+        this.app.post('/api/topics/:topic/messages', async (req, res) => {
+            try {
+                const { fromAgentId, messageType, messageData } = req.body;
 
-                const response = await this.callMCP('message/send', { fromAgentId, toAgentId, messageType, messageData });
-                res.json(response);
+                const publication = await this.system.publishToTopic(fromAgentId, req.params.topic, messageType, messageData);
+                res.json({ success: true, ...publication });
+            } catch (error) {
+                const statusCode = error instanceof CommunicationProtocol.MessageValidationError ? 400 : 500;
+                res.status(statusCode).json({ error: error.message });
+            }
+        });
+
+        // Search agents' context, tasks and messages
+        this.app.get('/api/search', async (req, res) => {
+            try {
+                const { q, agentId, type, tag, since, until } = req.query;
+                const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+                const result = await this.system.search(q, { agentId, type, tag, since, until, limit });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Get a conversation thread
+        this.app.get('/api/threads/:threadId', async (req, res) => {
+            try {
+                const thread = await this.system.getThread(req.params.threadId);
+                res.json({ success: true, thread });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -182,14 +386,30 @@ class MCPHttpAPI {
                 version: '1.0.0',
                 endpoints: {
                     'POST /api/agents/register': 'Register a new agent',
-                    'POST /api/agents/:agentId/tasks': 'Create a task for an agent',
+                    'GET /api/agents/:agentId/tasks': 'Get agent tasks, optionally one ?state=; subtask trees with ?tree=true',
+                    'POST /api/agents/:agentId/tasks': 'Create a task for an agent (with nested subtasks)',
                     'POST /api/agents/:fromAgentId/requests/:toAgentId': 'Send task request between agents',
                     'PUT /api/agents/:agentId/tasks/:taskId': 'Update task status',
+                    'GET /api/agents/:agentId/tasks/:taskId/history': 'Get the audit trail of a task',
+                    'GET /api/tasks': 'Query tasks across agents (filters: agentIds, queue, status, priority, tags, createdBy, targetAgentId, createdAfter, createdBefore, updatedAfter, updatedBefore, text; sortBy, order, limit, cursor)',
                     'POST /api/agents/:agentId/relationships': 'Add agent relationship',
                     'GET /api/agents/:agentId/status': 'Get agent status',
                     'GET /api/system/status': 'Get system status',
+                    'GET /api/agents/:agentId/context': 'Get agent context, or one section with ?section=; trim with ?maxChars=',
                     'PUT /api/agents/:agentId/context': 'Update agent context',
-                    'POST /api/agents/:fromAgentId/messages/:toAgentId': 'Send message between agents'
+                    'POST /api/agents/:agentId/context': 'Append to agent context',
+                    'PUT /api/agents/:agentId/context/sections/:section': 'Replace one section of agent context',
+                    'GET /api/agents/:agentId/context/history': 'List context versions, the most recent with ?limit=',
+                    'GET /api/agents/:agentId/context/diff': 'Diff two context versions with ?from=&to=',
+                    'POST /api/agents/:agentId/context/restore': 'Roll agent context back to an earlier version',
+                    'PUT /api/agents/:agentId/context/budget': 'Set agent context size budget',
+                    'POST /api/agents/:fromAgentId/messages/:toAgentId': 'Send message between agents',
+                    'POST /api/agents/:fromAgentId/broadcast': 'Send a message to a group of related agents or all agents',
+                    'POST /api/topics/:topic/subscribers': 'Subscribe an agent to a topic',
+                    'DELETE /api/topics/:topic/subscribers/:agentId': 'Unsubscribe an agent from a topic',
+                    'POST /api/topics/:topic/messages': 'Publish a message to a topic',
+                    'GET /api/threads/:threadId': 'Get a conversation thread',
+                    'GET /api/search': 'Search context, tasks and messages with ?q= (filters: agentId, type, tag, since, until, limit)'
                 }
             });
         });
@@ -200,68 +420,16 @@ class MCPHttpAPI {
         });
     }
 
-    /**
-     * Call MCP method
-     */
-    async callMCP(method, params) {
-        if (!this.mcpClient) {
-            throw new Error('MCP client not connected');
-        }
-
-        const response = await this.mcpClient.request({ method, params }, {});
-        return response;
-    }
-
-    /**
-     * Connect to MCP server
-     */
-    async connectToMCP() {
-        try {
-            // Spawn the MCP server process
-            this.serverProcess = spawn('node', ['src/mcp-server.js'], {
-                stdio: ['pipe', 'pipe', 'inherit']
-            });
-
-            // Create transport using the server process
-            const transport = new StdioClientTransport({
-                stdin: this.serverProcess.stdin,
-                stdout: this.serverProcess.stdout
-            });
-
-            // Create and connect client
-            this.mcpClient = new Client(
-                {
-                    name: 'http-api-client',
-                    version: '1.0.0',
-                },
-                {
-                    capabilities: {
-                        resources: {},
-                        tools: {},
-                        prompts: {},
-                    },
-                }
-            );
-
-            await this.mcpClient.connect(transport);
-            console.log('✅ Connected to MCP server');
-
-        } catch (error) {
-            console.error('❌ Failed to connect to MCP server:', error);
-            throw error;
-        }
-    }
-
     /**
      * Start the HTTP API server
      */
     async start() {
         try {
-            // Connect to MCP server first
-            await this.connectToMCP();
+            // Start delivering messages between agents
+            await this.system.start();
 
             // Start HTTP server
-            this.app.listen(this.port, () => {
+            this.server = this.app.listen(this.port, () => {
                 console.log(`🚀 HTTP API server started on port ${this.port}`);
                 console.log(`📖 API documentation: http://localhost:${this.port}/api/docs`);
                 console.log(`🏥 Health check: http://localhost:${this.port}/health`);
@@ -282,11 +450,9 @@ class MCPHttpAPI {
      * Stop the server
      */
     async stop() {
-        if (this.mcpClient) {
-            await this.mcpClient.close();
-        }
-        if (this.serverProcess) {
-            this.serverProcess.kill();
+        await this.system.stop();
+        if (this.server) {
+            this.server.close();
         }
     }
 }
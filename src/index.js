@@ -5,169 +5,16 @@
 const Agent = require('./core/Agent');
 const Task = require('./core/Task');
 const TaskQueue = require('./core/TaskQueue');
-const CommunicationProtocol = require('./communication/CommunicationProtocol');
-
-class AgentCommunicationSystem {
-    constructor() {
-        this.agents = new Map();
-        this.communicationProtocol = new CommunicationProtocol();
-    }
-
-    /**
-     * Register a new agent in the system or update existing one
-     */
-    async registerAgent(agentId, basePath = './agents', forceUpdate = false) {
-        if (this.agents.has(agentId)) {
-            if (!forceUpdate) {
-                console.log(`Agent ${agentId} already exists, skipping re-registration`);
-                return this.agents.get(agentId);
-            }
-
-            console.log(`Agent ${agentId} already exists, updating registration...`);
-            const existingAgent = this.agents.get(agentId);
-
-            // Re-initialize the agent to ensure it's up to date
-            await existingAgent.initialize();
-
-            // Ensure task queue is properly set up
-            if (!existingAgent.taskQueue) {
-                const taskQueue = new TaskQueue(existingAgent);
-                existingAgent.taskQueue = taskQueue;
-            }
-
-            // Re-register with communication protocol to update any handlers
-            await this.communicationProtocol.registerAgent(existingAgent, true);
-
-            console.log(`Agent ${agentId} registration updated successfully`);
-            return existingAgent;
-        }
-
-        const agent = new Agent(agentId, basePath);
-        await agent.initialize();
-
-        const taskQueue = new TaskQueue(agent);
-        agent.taskQueue = taskQueue;
-
-        this.agents.set(agentId, agent);
-
-        // Register agent with communication protocol
-        await this.communicationProtocol.registerAgent(agent);
-
-        console.log(`Agent ${agentId} registered successfully`);
-        return agent;
-    }
-
-    /**
-     * Get an agent by ID
-     */
-    getAgent(agentId) {
-        return this.agents.get(agentId);
-    }
-
-    /**
-     * Get all registered agents
-     */
-    getAllAgents() {
-        return Array.from(this.agents.values());
-    }
-
-    /**
-     * Remove an agent from the system
-     */
-    async unregisterAgent(agentId) {
-        const agent = this.agents.get(agentId);
-        if (!agent) {
-            throw new Error(`Agent ${agentId} not found`);
-        }
-
-        // Unregister from communication protocol
-        await this.communicationProtocol.unregisterAgent(agent);
-
-        this.agents.delete(agentId);
-        console.log(`Agent ${agentId} unregistered successfully`);
-    }
-
-    /**
-     * Create a task request from one agent to another
-     */
-    async createTaskRequest(fromAgentId, toAgentId, taskData) {
-        const fromAgent = this.getAgent(fromAgentId);
-        const toAgent = this.getAgent(toAgentId);
-
-        if (!fromAgent) {
-            throw new Error(`Source agent ${fromAgentId} not found`);
-        }
-        if (!toAgent) {
-            throw new Error(`Target agent ${toAgentId} not found`);
-        }
-
-        // Create request task
-        const requestTask = new Task({
-            type: 'request',
-            title: taskData.title,
-            description: taskData.description,
-            priority: taskData.priority || 'medium',
-            agent_id: toAgentId,
-            created_by: fromAgentId,
-            target_agent_id: toAgentId,
-            deliverables: taskData.deliverables || [],
-            metadata: taskData.metadata || {}
-        });
-
-        // Add to requesting agent's outgoing queue
-        await fromAgent.taskQueue.addTask(requestTask);
-
-        // Send via communication protocol
-        await this.communicationProtocol.sendTaskRequest(fromAgent, toAgent, requestTask);
-
-        console.log(`Task request ${requestTask.id} sent from ${fromAgentId} to ${toAgentId}`);
-        return requestTask;
-    }
-
-    /**
-     * Get system status
-     */
-    async getSystemStatus() {
-        const agentStatuses = [];
-        
-        for (const [agentId, agent] of this.agents) {
-            const stats = await agent.taskQueue.getTaskStats();
-            agentStatuses.push({
-                agentId,
-                ...stats
-            });
-        }
-
-        return {
-            totalAgents: this.agents.size,
-            agents: agentStatuses,
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    /**
-     * Start the system (initialize communication protocol)
-     */
-    async start() {
-        await this.communicationProtocol.start();
-        console.log('Agent Communication System started');
-    }
-
-    /**
-     * Stop the system
-     */
-    async stop() {
-        await this.communicationProtocol.stop();
-        console.log('Agent Communication System stopped');
-    }
-}
+const DependencyGraph = require('./core/DependencyGraph');
+const AgentCommunicationSystem = require('./core/AgentCommunicationSystem');
 
 // Export classes for use in other modules
 module.exports = {
     AgentCommunicationSystem,
     Agent,
     Task,
-    TaskQueue
+    TaskQueue,
+    DependencyGraph
 };
 
 // If this file is run directly, start a demo
@@ -195,6 +42,17 @@ if (require.main === module) {
                 }
             });
 
+            // Break the requested work down into subtasks
+            await system.createTask('api-agent', {
+                title: 'Implement user authentication endpoints',
+                priority: 'high',
+                subtasks: [
+                    { title: 'Login endpoint', deliverables: ['/api/auth/login'] },
+                    { title: 'Logout endpoint', deliverables: ['/api/auth/logout'] },
+                    { title: 'Registration endpoint', deliverables: ['/api/auth/register'] }
+                ]
+            });
+
             await system.createTaskRequest('api-agent', 'database-agent', {
                 title: 'Create user database schema',
                 description: 'Need database tables for user management with proper indexing',
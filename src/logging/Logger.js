@@ -0,0 +1,241 @@
+/**
+ * Logging subsystem for the Multi-Agent Communication System
+ * Never writes to stdout, which carries JSON-RPC traffic for the stdio MCP transport.
+ * Records go to stderr and/or rotating files, and can be forwarded to MCP clients.
+ */
+
+const RotatingFileSink = require('./RotatingFileSink');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+// MCP (RFC 5424) log levels mapped to the internal levels
+const MCP_LEVELS = {
+    debug: 'debug',
+    info: 'info',
+    notice: 'info',
+    warning: 'warn',
+    error: 'error',
+    critical: 'error',
+    alert: 'error',
+    emergency: 'error'
+};
+
+/**
+ * Normalize a level name, accepting MCP level names as well
+ */
+function normalizeLevel(level, fallback = 'info') {
+    if (!level) return fallback;
+    const name = String(level).toLowerCase();
+    if (LEVELS[name]) return name;
+    if (MCP_LEVELS[name]) return MCP_LEVELS[name];
+    return fallback;
+}
+
+/**
+ * Convert an internal level to the MCP level name
+ */
+function toMcpLevel(level) {
+    return level === 'warn' ? 'warning' : level;
+}
+
+/**
+ * Render log arguments into a single message string
+ */
+function formatArgs(args) {
+    return args.map(arg => {
+        if (arg instanceof Error) {
+            return arg.stack || arg.message;
+        }
+        if (typeof arg === 'object' && arg !== null) {
+            try {
+                return JSON.stringify(arg);
+            } catch {
+                return String(arg);
+            }
+        }
+        return String(arg);
+    }).join(' ');
+}
+
+class LogManager {
+    constructor(options = {}) {
+        this.level = normalizeLevel(options.level);
+        this.sinks = new Set();
+
+        const target = options.target || 'stderr';
+        if (target === 'stderr' || target === 'both') {
+            this.addSink(LogManager.stderrSink);
+        }
+        if (target === 'file' || target === 'both') {
+            this.addSink(new RotatingFileSink({
+                directory: options.logsPath,
+                maxSize: options.maxSize,
+                maxFiles: options.maxFiles
+            }).write);
+        }
+    }
+
+    /**
+     * Create the default manager from environment variables
+     */
+    static fromEnv(env = process.env) {
+        return new LogManager({
+            level: env.MCP_LOG_LEVEL,
+            target: env.MCP_LOG_TARGET,
+            logsPath: env.MCP_LOGS_PATH,
+            maxSize: parseInt(env.MCP_LOG_MAX_SIZE) || undefined,
+            maxFiles: parseInt(env.MCP_LOG_MAX_FILES) || undefined
+        });
+    }
+
+    /**
+     * Write a record to stderr
+     */
+    static stderrSink(record) {
+        process.stderr.write(`${record.timestamp} [${record.level.toUpperCase()}] [${record.logger}] ${record.message}\n`);
+    }
+
+    /**
+     * Set the minimum level written to sinks
+     */
+    setLevel(level) {
+        this.level = normalizeLevel(level, this.level);
+    }
+
+    /**
+     * Check if a level passes the manager threshold
+     */
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * Add a sink: a function receiving each log record
+     */
+    addSink(sink) {
+        this.sinks.add(sink);
+        return () => this.removeSink(sink);
+    }
+
+    /**
+     * Remove a previously added sink
+     */
+    removeSink(sink) {
+        this.sinks.delete(sink);
+    }
+
+    /**
+     * Dispatch a record to all sinks
+     * Sinks decide their own threshold; the manager level only gates local output
+     */
+    write(record) {
+        for (const sink of this.sinks) {
+            if (sink.receivesAllLevels || this.isEnabled(record.level)) {
+                try {
+                    sink(record);
+                } catch {
+                    // A failing sink must never break the caller
+                }
+            }
+        }
+    }
+
+    /**
+     * Get a named logger bound to this manager
+     */
+    getLogger(name) {
+        return new Logger(name, this);
+    }
+}
+
+class Logger {
+    constructor(name, manager) {
+        this.name = name;
+        this.manager = manager;
+    }
+
+    log(level, ...args) {
+        this.manager.write({
+            timestamp: new Date().toISOString(),
+            level,
+            logger: this.name,
+            message: formatArgs(args)
+        });
+    }
+
+    debug(...args) {
+        this.log('debug', ...args);
+    }
+
+    info(...args) {
+        this.log('info', ...args);
+    }
+
+    warn(...args) {
+        this.log('warn', ...args);
+    }
+
+    error(...args) {
+        this.log('error', ...args);
+    }
+}
+
+/**
+ * Create a sink that forwards records to an MCP client as notifications/message
+ * getClientLevel returns the level the client enabled via logging/setLevel (or null)
+ */
+function createMcpNotificationSink(getClientLevel, send) {
+    let forwarding = false;
+
+    const sink = (record) => {
+        const clientLevel = getClientLevel();
+        if (!clientLevel || forwarding) return;
+        if (LEVELS[record.level] < LEVELS[normalizeLevel(clientLevel)]) return;
+
+        // Guard against a send failure that logs and re-enters the sink
+        forwarding = true;
+        try {
+            send({
+                jsonrpc: '2.0',
+                method: 'notifications/message',
+                params: {
+                    level: toMcpLevel(record.level),
+                    logger: record.logger,
+                    data: record.message
+                }
+            });
+        } finally {
+            forwarding = false;
+        }
+    };
+
+    // The client threshold applies instead of the local MCP_LOG_LEVEL
+    sink.receivesAllLevels = true;
+    return sink;
+}
+
+const defaultManager = LogManager.fromEnv();
+
+/**
+ * Get a logger from the default, environment-configured manager
+ */
+function createLogger(name) {
+    return defaultManager.getLogger(name);
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    LogManager,
+    MCP_LEVELS,
+    createLogger,
+    createMcpNotificationSink,
+    defaultManager,
+    normalizeLevel,
+    toMcpLevel
+};
@@ -0,0 +1,68 @@
+/**
+ * Size-based rotating log file sink
+ * Writes JSON lines to <directory>/<fileName> and rotates to .1, .2, ... when maxSize is exceeded
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class RotatingFileSink {
+    constructor(options = {}) {
+        this.directory = options.directory || './logs';
+        this.fileName = options.fileName || 'agent-mcp.log';
+        this.maxSize = options.maxSize || 5 * 1024 * 1024; // 5 MB
+        this.maxFiles = options.maxFiles || 5;
+        this.filePath = path.join(this.directory, this.fileName);
+        this.currentSize = null;
+
+        // Bound so it can be registered directly as a sink function
+        this.write = this.write.bind(this);
+    }
+
+    /**
+     * Append a record, rotating first if the file would exceed maxSize
+     * Uses synchronous I/O so records stay ordered and survive a crash
+     */
+    write(record) {
+        const line = JSON.stringify(record) + '\n';
+
+        if (this.currentSize === null) {
+            fs.mkdirSync(this.directory, { recursive: true });
+            try {
+                this.currentSize = fs.statSync(this.filePath).size;
+            } catch {
+                this.currentSize = 0;
+            }
+        }
+
+        if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.maxSize) {
+            this.rotate();
+        }
+
+        fs.appendFileSync(this.filePath, line, 'utf8');
+        this.currentSize += Buffer.byteLength(line);
+    }
+
+    /**
+     * Shift agent-mcp.log -> agent-mcp.log.1 -> ... dropping the oldest file
+     */
+    rotate() {
+        if (this.maxFiles <= 1) {
+            fs.writeFileSync(this.filePath, '', 'utf8');
+        }
+
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const source = index === 1 ? this.filePath : `${this.filePath}.${index - 1}`;
+            const target = `${this.filePath}.${index}`;
+            try {
+                fs.renameSync(source, target);
+            } catch {
+                // Source might not exist yet
+            }
+        }
+
+        this.currentSize = 0;
+    }
+}
+
+module.exports = RotatingFileSink;
@@ -5,6 +5,10 @@
 
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
+const McpError = require('./mcp/McpError');
+const { createLogger } = require('./logging/Logger');
+
+const logger = createLogger('mcp-client-shared');
 
 class SharedMCPClient {
     constructor(serverUrl = 'ws://localhost:8080/mcp') {
@@ -16,6 +20,7 @@ class SharedMCPClient {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
+        this.onNotification = null; // Optional callback for MCP notifications (e.g. notifications/message)
     }
 
     /**
@@ -27,7 +32,7 @@ class SharedMCPClient {
                 this.ws = new WebSocket(this.serverUrl);
 
                 this.ws.on('open', () => {
-                    console.log('✅ Connected to shared MCP server');
+                    logger.info('✅ Connected to shared MCP server');
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
                     resolve();
@@ -38,13 +43,13 @@ class SharedMCPClient {
                 });
 
                 this.ws.on('close', () => {
-                    console.log('🔌 Disconnected from shared MCP server');
+                    logger.info('🔌 Disconnected from shared MCP server');
                     this.isConnected = false;
                     this.attemptReconnect();
                 });
 
                 this.ws.on('error', (error) => {
-                    console.error('❌ WebSocket error:', error);
+                    logger.error('❌ WebSocket error:', error);
                     if (!this.isConnected) {
                         reject(error);
                     }
@@ -69,7 +74,7 @@ class SharedMCPClient {
                 this.pendingRequests.delete(message.id);
 
                 if (message.error) {
-                    reject(new Error(message.error.message));
+                    reject(new McpError(message.error.code, message.error.message, message.error.data));
                 } else {
                     resolve(message.result);
                 }
@@ -80,7 +85,7 @@ class SharedMCPClient {
             }
 
         } catch (error) {
-            console.error('Error parsing message:', error);
+            logger.error('Error parsing message:', error);
         }
     }
 
@@ -90,16 +95,21 @@ class SharedMCPClient {
     handleNotification(message) {
         switch (message.method) {
             case 'server/welcome':
-                console.log('🎉 Server welcome:', message.params);
+                logger.info('🎉 Server welcome:', message.params);
                 break;
             case 'agent/registered':
-                console.log('📝 Agent registered:', message.params);
+                logger.info('📝 Agent registered:', message.params);
                 break;
             case 'task/created':
-                console.log('📋 Task created:', message.params);
+                logger.info('📋 Task created:', message.params);
+                break;
+            case 'notifications/message':
+                if (this.onNotification) {
+                    this.onNotification(message);
+                }
                 break;
             default:
-                console.log('📢 Server notification:', message);
+                logger.info('📢 Server notification:', message);
         }
     }
 
@@ -108,16 +118,16 @@ class SharedMCPClient {
      */
     attemptReconnect() {
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('❌ Max reconnection attempts reached');
+            logger.error('❌ Max reconnection attempts reached');
             return;
         }
 
         this.reconnectAttempts++;
-        console.log(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+        logger.info(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
 
         setTimeout(() => {
             this.connect().catch(error => {
-                console.error('Reconnection failed:', error);
+                logger.error('Reconnection failed:', error);
             });
         }, this.reconnectDelay * this.reconnectAttempts);
     }
@@ -5,6 +5,8 @@
  */
 
 const SharedMCPClient = require('./mcp-client-shared.js');
+const ToolRegistry = require('./mcp/ToolRegistry');
+const McpError = require('./mcp/McpError');
 
 // Load package.json to get project name and version
 const packageJson = require('../package.json');
@@ -12,6 +14,7 @@ const packageJson = require('../package.json');
 class MCPProxy {
     constructor(serverUrl = 'ws://localhost:8080/mcp') {
         this.client = new SharedMCPClient(serverUrl);
+        this.toolRegistry = new ToolRegistry();
         this.messageId = 1;
         this.initialized = false;
     }
@@ -21,6 +24,11 @@ class MCPProxy {
      */
     async start() {
         try {
+            // Relay server log notifications to Claude Desktop
+            this.client.onNotification = (notification) => {
+                process.stdout.write(JSON.stringify(notification) + '\n');
+            };
+
             // Connect to shared server
             await this.client.connect();
 
@@ -89,124 +97,7 @@ class MCPProxy {
                     jsonrpc: '2.0',
                     id: request.id,
                     result: {
-                        tools: [
-                            {
-                                name: 'agent-register',
-                                description: 'Register a new agent',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        capabilities: { type: 'object' }
-                                    },
-                                    required: ['agentId']
-                                }
-                            },
-                            {
-                                name: 'agent-status',
-                                description: 'Get agent or system status',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' }
-                                    }
-                                }
-                            },
-                            {
-                                name: 'task-create',
-                                description: 'Create a new task',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        task: { type: 'object' }
-                                    },
-                                    required: ['agentId', 'task']
-                                }
-                            },
-                            {
-                                name: 'task-request',
-                                description: 'Send task request between agents',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        fromAgentId: { type: 'string' },
-                                        toAgentId: { type: 'string' },
-                                        taskRequest: { type: 'object' }
-                                    },
-                                    required: ['fromAgentId', 'toAgentId', 'taskRequest']
-                                }
-                            },
-                            {
-                                name: 'task-get',
-                                description: 'Get tasks for an agent, optionally filtered by state',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        state: {
-                                            type: 'string',
-                                            enum: ['pending', 'active', 'completed'],
-                                            description: 'Filter tasks by state (optional)'
-                                        }
-                                    },
-                                    required: ['agentId']
-                                }
-                            },
-                            {
-                                name: 'task-update',
-                                description: 'Update task status',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        taskId: { type: 'string' },
-                                        status: { type: 'string' },
-                                        deliverables: { type: 'array', items: { type: 'object' } }
-                                    },
-                                    required: ['agentId', 'taskId', 'status']
-                                }
-                            },
-                            {
-                                name: 'relationship-add',
-                                description: 'Add agent relationship',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        targetAgentId: { type: 'string' },
-                                        relationshipType: { type: 'string' }
-                                    },
-                                    required: ['agentId', 'targetAgentId', 'relationshipType']
-                                }
-                            },
-                            {
-                                name: 'context-update',
-                                description: 'Update agent context',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        agentId: { type: 'string' },
-                                        context: { type: 'string' }
-                                    },
-                                    required: ['agentId', 'context']
-                                }
-                            },
-                            {
-                                name: 'message-send',
-                                description: 'Send message between agents',
-                                inputSchema: {
-                                    type: 'object',
-                                    properties: {
-                                        fromAgentId: { type: 'string' },
-                                        toAgentId: { type: 'string' },
-                                        messageType: { type: 'string' },
-                                        messageData: { type: 'object' }
-                                    },
-                                    required: ['fromAgentId', 'toAgentId', 'messageType']
-                                }
-                            }
-                        ]
+                        tools: this.toolRegistry.list()
                     }
                 };
                 process.stdout.write(JSON.stringify(response) + '\n');
@@ -233,41 +124,15 @@ class MCPProxy {
                 return;
             }
 
-            // Handle tool calls
+            // Handle tool calls: the shared server validates arguments against the
+            // same tool registry and returns MCP content results
             if (request.method === 'tools/call') {
-                const toolName = request.params.name;
-                const toolArgs = request.params.arguments || {};
-
-                // Map new tool names to old method names for backward compatibility
-                const methodMap = {
-                    'agent-register': 'agent/register',
-                    'agent-status': 'agent/status',
-                    'task-create': 'task/create',
-                    'task-request': 'task/request',
-                    'task-update': 'task/update',
-                    'relationship-add': 'relationship/add',
-                    'context-update': 'context/update',
-                    'message-send': 'message/send'
-                };
-
-                // Map tool calls to shared server methods
-                let serverMethod = methodMap[toolName] || toolName;
-                let serverParams = toolArgs;
-
-                // Forward to shared server
-                const result = await this.client.request(serverMethod, serverParams);
+                const result = await this.client.request('tools/call', request.params || {});
 
                 const response = {
                     jsonrpc: '2.0',
                     id: request.id,
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify(result, null, 2)
-                            }
-                        ]
-                    }
+                    result: result
                 };
                 process.stdout.write(JSON.stringify(response) + '\n');
                 return;
@@ -296,10 +161,7 @@ class MCPProxy {
             const errorResponse = {
                 jsonrpc: '2.0',
                 id: request && request.id ? request.id : null,
-                error: {
-                    code: -32603,
-                    message: error.message
-                }
+                error: McpError.toRpcError(error)
             };
 
             process.stdout.write(JSON.stringify(errorResponse) + '\n');
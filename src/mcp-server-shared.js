@@ -10,10 +10,14 @@ const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
 const http = require('http');
 const MCPAgentServer = require('./mcp-server.js');
+const McpError = require('./mcp/McpError');
+const { createLogger, createMcpNotificationSink, defaultManager } = require('./logging/Logger');
 
 // Load package.json to get project name and version
 const packageJson = require('../package.json');
 
+const logger = createLogger('mcp-server-shared');
+
 class SharedMCPServer {
     constructor(port = 8080) {
         this.port = port;
@@ -34,15 +38,16 @@ class SharedMCPServer {
      * Setup MCP request handlers (reusing existing logic)
      */
     setupHandlers() {
-        // Import handlers from the original MCP server
-        const originalServer = new MCPAgentServer();
+        // Import handlers from the original MCP server, using our paths so it
+        // resolves the same storage backend
+        const originalServer = new MCPAgentServer(this.basePath, this.reportsPath);
         
-        // Copy all handlers from the original server
+        // Copy all handlers, the tool registry and the domain service from the original server
         this.messageHandlers = originalServer.messageHandlers;
-        
-        // Override the base paths
-        originalServer.basePath = this.basePath;
-        originalServer.reportsPath = this.reportsPath;
+        this.toolRegistry = originalServer.toolRegistry;
+        this.system = originalServer.system;
+        this.storage = originalServer.storage;
+        this.connectedAgents = originalServer.connectedAgents;
         
         // Bind the handlers to use our shared state
         for (const [method, handler] of this.messageHandlers) {
@@ -55,21 +60,42 @@ class SharedMCPServer {
      */
     handleConnection(ws, req) {
         const clientId = uuidv4();
-        console.log(`🔗 New client connected: ${clientId}`);
+        logger.info(`🔗 New client connected: ${clientId}`);
         
-        this.connectedClients.set(clientId, {
+        const clientInfo = {
             id: clientId,
             ws: ws,
             connectedAt: new Date().toISOString(),
-            lastActivity: new Date().toISOString()
-        });
+            lastActivity: new Date().toISOString(),
+            logLevel: null // Set by logging/setLevel for this client only
+        };
+        this.connectedClients.set(clientId, clientInfo);
+
+        // Forward log records to this client once it enables logging
+        const removeLogSink = defaultManager.addSink(createMcpNotificationSink(
+            () => clientInfo.logLevel,
+            (notification) => {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify(notification));
+                }
+            }
+        ));
 
         // Handle messages from client
         ws.on('message', async (data) => {
             try {
                 const message = JSON.parse(data.toString());
                 const response = await this.handleMessage(message);
-                ws.send(JSON.stringify(response));
+
+                // Log levels are tracked per client rather than on the shared handlers
+                if (message.method === 'logging/setLevel' && !response.error) {
+                    clientInfo.logLevel = message.params.level;
+                }
+
+                // Notifications carry no id and must not receive a response
+                if (message.id !== undefined) {
+                    ws.send(JSON.stringify(response));
+                }
                 
                 // Update last activity
                 const client = this.connectedClients.get(clientId);
@@ -77,7 +103,7 @@ class SharedMCPServer {
                     client.lastActivity = new Date().toISOString();
                 }
             } catch (error) {
-                console.error('Error handling message:', error);
+                logger.error('Error handling message:', error);
                 const errorResponse = {
                     jsonrpc: '2.0',
                     id: null,
@@ -92,13 +118,15 @@ class SharedMCPServer {
 
         // Handle client disconnect
         ws.on('close', () => {
-            console.log(`🔌 Client disconnected: ${clientId}`);
+            logger.info(`🔌 Client disconnected: ${clientId}`);
+            removeLogSink();
             this.connectedClients.delete(clientId);
         });
 
         // Handle errors
         ws.on('error', (error) => {
-            console.error(`❌ Client error ${clientId}:`, error);
+            removeLogSink();
+            logger.error(`❌ Client error ${clientId}:`, error);
             this.connectedClients.delete(clientId);
         });
 
@@ -147,10 +175,7 @@ class SharedMCPServer {
             return {
                 jsonrpc: '2.0',
                 id: message.id || null,
-                error: {
-                    code: -32603,
-                    message: error.message
-                }
+                error: McpError.toRpcError(error)
             };
         }
     }
@@ -193,6 +218,9 @@ class SharedMCPServer {
         await fs.mkdir(this.basePath, { recursive: true });
         await fs.mkdir(this.reportsPath, { recursive: true });
 
+        // Deliver messages between agents through the shared message handlers
+        await this.system.start();
+
         // Create HTTP server
         this.server = http.createServer();
         
@@ -229,32 +257,31 @@ class SharedMCPServer {
 
         // Start listening
         this.server.listen(this.port, () => {
-            console.log('🚀 Shared MCP Agent Communication Server started');
-            console.log(`📡 WebSocket server listening on ws://localhost:${this.port}/mcp`);
-            console.log(`🌐 HTTP status available at http://localhost:${this.port}/status`);
-            console.log('📁 Agent data will be stored in:', path.resolve(this.basePath));
-            console.log('📊 Reports will be stored in:', path.resolve(this.reportsPath));
-            console.log('');
-            console.log('Available MCP tools (MCP-compliant names):');
-            console.log('  - agent-register: Register a new agent');
-            console.log('  - task-create: Create a new task');
-            console.log('  - task-request: Send task request between agents');
-            console.log('  - task-update: Update task status');
-            console.log('  - relationship-add: Add agent relationship');
-            console.log('  - agent-status: Get agent or system status');
-            console.log('  - context-update: Update agent context');
-            console.log('  - message-send: Send message between agents');
-            console.log('');
-            console.log('Legacy method names (still supported):');
-            console.log('  - agent/register, task/create, task/request, task/update');
-            console.log('  - relationship/add, agent/status, context/update, message/send');
-            console.log('');
-            console.log('🔗 Waiting for client connections...');
+            logger.info('🚀 Shared MCP Agent Communication Server started');
+            logger.info(`📡 WebSocket server listening on ws://localhost:${this.port}/mcp`);
+            logger.info(`🌐 HTTP status available at http://localhost:${this.port}/status`);
+            logger.info('📁 Agent data will be stored in:', path.resolve(this.basePath));
+            logger.info('🗄️  Storage backend:', this.storage.type);
+            logger.info('📊 Reports will be stored in:', path.resolve(this.reportsPath));
+            logger.info('Available MCP tools (MCP-compliant names):');
+            for (const tool of this.toolRegistry.list()) {
+                logger.info(`  - ${tool.name}: ${tool.description}`);
+            }
+            logger.info('Legacy method names (still supported):');
+            logger.info('  - agent/register, task/create, task/request, task/accept, task/decline, task/respond');
+            logger.info('  - task/update, task/history, task/dependencies, task/query');
+            logger.info('  - relationship/add, agent/status, context/get, context/update, context/append, context/section-update');
+            logger.info('  - context/history, context/diff, context/restore, context/budget');
+            logger.info('  - context/share, context/sync, message/send, message/broadcast');
+            logger.info('  - message/list, message/get, message/ack, dead-letter/list, dead-letter/replay, thread/get');
+            logger.info('  - message-type/list, message-type/register, topic/subscribe, topic/unsubscribe, topic/publish');
+            logger.info('  - search/query');
+            logger.info('🔗 Waiting for client connections...');
         });
 
         // Handle graceful shutdown
         process.on('SIGINT', () => {
-            console.log('\n🛑 Shutting down shared MCP server...');
+            logger.info('🛑 Shutting down shared MCP server...');
             this.wss.close();
             this.server.close();
             process.exit(0);
@@ -267,7 +294,7 @@ if (require.main === module) {
     const port = process.env.MCP_PORT || 8080;
     const server = new SharedMCPServer(port);
     server.start().catch(error => {
-        console.error('Failed to start shared MCP server:', error);
+        logger.error('Failed to start shared MCP server:', error);
         process.exit(1);
     });
 }
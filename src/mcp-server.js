@@ -5,11 +5,19 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const ToolRegistry = require('./mcp/ToolRegistry');
+const McpError = require('./mcp/McpError');
+const AgentCommunicationSystem = require('./core/AgentCommunicationSystem');
+const Task = require('./core/Task');
+const DependencyGraph = require('./core/DependencyGraph');
+const CommunicationProtocol = require('./communication/CommunicationProtocol');
+const { createLogger, createMcpNotificationSink, defaultManager, MCP_LEVELS } = require('./logging/Logger');
 
 // Load package.json to get project name and version
 const packageJson = require('../package.json');
 
+const logger = createLogger('mcp-server');
+
 // Simple MCP-like server implementation
 class MCPMessage {
     constructor(id, method, params = {}) {
@@ -33,13 +41,20 @@ class MCPResponse {
 }
 
 class MCPAgentServer {
-    constructor(basePath = './agents', reportsPath = './reports') {
-        this.connectedAgents = new Map();
-        this.agentTasks = new Map();
-        this.agentRelationships = new Map();
+    /**
+     * options.system: AgentCommunicationSystem to serve (one is created if omitted)
+     * options.storage: StorageBackend instance or backend options (defaults to MCP_STORAGE)
+     */
+    constructor(basePath = './agents', reportsPath = './reports', options = {}) {
         this.basePath = basePath;
         this.reportsPath = reportsPath;
+        this.system = options.system || new AgentCommunicationSystem({ basePath, storage: options.storage });
+        this.storage = this.system.storage;
+        this.connectedAgents = this.system.connectedAgents;
         this.messageHandlers = new Map();
+        this.toolRegistry = new ToolRegistry();
+        this.clientLogLevel = null; // Set by logging/setLevel; null means no log notifications
+        this.transport = null; // Function used to send notifications to the client
 
         this.setupHandlers();
     }
@@ -70,6 +85,19 @@ class MCPAgentServer {
             // No response needed for notification
             return null;
         });
+        this.messageHandlers.set('notifications/initialized', this.messageHandlers.get('initialized'));
+
+        // Handle MCP logging level changes; enables notifications/message forwarding
+        this.messageHandlers.set('logging/setLevel', async (params) => {
+            const { level } = params;
+
+            if (!level || !MCP_LEVELS[level]) {
+                throw McpError.invalidParams(`Invalid log level: ${level}. Must be one of: ${Object.keys(MCP_LEVELS).join(', ')}`);
+            }
+
+            this.clientLogLevel = level;
+            return {};
+        });
 
         // Handle agent registration
         this.messageHandlers.set('agent/register', async (params) => {
@@ -97,7 +125,27 @@ class MCPAgentServer {
                 throw new Error('Agent ID and task are required');
             }
 
-            const taskId = await this.createTask(agentId, task, createdBy);
+            let taskId;
+            try {
+                taskId = await this.createTask(agentId, task, createdBy);
+            } catch (error) {
+                // Dependencies that lead back to the task can never be met
+                if (error instanceof DependencyGraph.DependencyCycleError) {
+                    throw McpError.invalidParams(error.message, error.data);
+                }
+                throw error;
+            }
+
+            // Show the created tree when subtasks were given
+            if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+                const tree = await this.getTaskTree(agentId, { taskId });
+                return {
+                    success: true,
+                    taskId,
+                    tree,
+                    message: `Task created successfully with ${task.subtasks.length} subtask(s)`
+                };
+            }
 
             return {
                 success: true,
@@ -123,15 +171,79 @@ class MCPAgentServer {
             };
         });
 
+        // Handle accepting a task request
+        this.messageHandlers.set('task/accept', async (params) => {
+            const { agentId, requestId, note = '' } = params;
+
+            if (!agentId || !requestId) {
+                throw new Error('Agent ID and request ID are required');
+            }
+
+            const result = await this.acceptTaskRequest(agentId, requestId, note);
+
+            return {
+                success: true,
+                request: result.request,
+                responseMessageId: result.responseMessageId,
+                message: `Task request ${requestId} accepted by ${agentId}`
+            };
+        });
+
+        // Handle declining a task request
+        this.messageHandlers.set('task/decline', async (params) => {
+            const { agentId, requestId, reason } = params;
+
+            if (!agentId || !requestId || !reason) {
+                throw new Error('Agent ID, request ID, and reason are required');
+            }
+
+            const result = await this.declineTaskRequest(agentId, requestId, reason);
+
+            return {
+                success: true,
+                request: result.request,
+                responseMessageId: result.responseMessageId,
+                message: `Task request ${requestId} declined by ${agentId}`
+            };
+        });
+
+        // Handle answering a task request
+        this.messageHandlers.set('task/respond', async (params) => {
+            const { agentId, requestId, response = {} } = params;
+
+            if (!agentId || !requestId) {
+                throw new Error('Agent ID and request ID are required');
+            }
+
+            const result = await this.respondToTaskRequest(agentId, requestId, response);
+
+            return {
+                success: true,
+                request: result.request,
+                responseMessageId: result.responseMessageId,
+                responseTask: result.responseTask.toJSON(),
+                message: `Task request ${requestId} answered by ${agentId}`
+            };
+        });
+
         // Handle task status updates
         this.messageHandlers.set('task/update', async (params) => {
-            const { agentId, taskId, status, deliverables = [] } = params;
+            const { agentId, taskId, status, deliverables = [], reason = '', actorId = null } = params;
 
             if (!agentId || !taskId || !status) {
                 throw new Error('Agent ID, task ID, and status are required');
             }
 
-            const task = await this.updateTaskStatus(agentId, taskId, status, deliverables);
+            let task;
+            try {
+                task = await this.updateTaskStatus(agentId, taskId, status, deliverables, reason, actorId);
+            } catch (error) {
+                // Transitions the task lifecycle rejects are invalid parameters
+                if (error instanceof Task.InvalidTransitionError) {
+                    throw McpError.invalidParams(error.message, error.data);
+                }
+                throw error;
+            }
 
             const response = {
                 success: true,
@@ -184,18 +296,27 @@ class MCPAgentServer {
 
         // Handle relationship management
         this.messageHandlers.set('relationship/add', async (params) => {
-            const { agentId, targetAgentId, relationshipType } = params;
+            const { agentId, targetAgentId, relationshipType, tags } = params;
 
             if (!agentId || !targetAgentId || !relationshipType) {
                 throw new Error('Agent ID, target agent ID, and relationship type are required');
             }
 
-            await this.addRelationship(agentId, targetAgentId, relationshipType);
+            const { cycle } = await this.addRelationship(agentId, targetAgentId, relationshipType, { tags });
 
-            return {
+            const response = {
                 success: true,
                 message: `Relationship added between ${agentId} and ${targetAgentId}`
             };
+
+            if (cycle) {
+                response.warning = {
+                    message: `Agents now depend on each other in a cycle: ${cycle.join(' → ')}`,
+                    cycle
+                };
+            }
+
+            return response;
         });
 
         // Handle agent status queries
@@ -213,29 +334,178 @@ class MCPAgentServer {
 
         // Handle context updates
         this.messageHandlers.set('context/update', async (params) => {
-            const { agentId, context } = params;
+            const { agentId, context, reason } = params;
 
             if (!agentId || !context) {
                 throw new Error('Agent ID and context are required');
             }
 
-            await this.updateAgentContext(agentId, context);
+            const entry = await this.updateAgentContext(agentId, context, reason);
 
             return {
                 success: true,
+                version: entry.version,
                 message: `Context updated for agent ${agentId}`
             };
         });
 
+        // Handle context reads
+        this.messageHandlers.set('context/get', async (params) => {
+            const { agentId, section, maxChars } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            return { success: true, ...await this.getAgentContext(agentId, section, { maxChars }) };
+        });
+
+        // Handle context appends
+        this.messageHandlers.set('context/append', async (params) => {
+            const { agentId, content, section } = params;
+
+            if (!agentId || !content) {
+                throw new Error('Agent ID and content are required');
+            }
+
+            const result = await this.appendAgentContext(agentId, content, { section });
+
+            return {
+                success: true,
+                ...result,
+                message: section
+                    ? `Appended to section "${section}" of agent ${agentId}'s context`
+                    : `Appended to agent ${agentId}'s context`
+            };
+        });
+
+        // Handle single section updates
+        this.messageHandlers.set('context/section-update', async (params) => {
+            const { agentId, section, content } = params;
+
+            if (!agentId || !section || typeof content !== 'string') {
+                throw new Error('Agent ID, section, and content are required');
+            }
+
+            const result = await this.updateAgentContextSection(agentId, section, content);
+
+            return {
+                success: true,
+                ...result,
+                message: `Section "${section}" ${result.created ? 'added to' : 'updated in'} agent ${agentId}'s context`
+            };
+        });
+
+        // Handle context history listings
+        this.messageHandlers.set('context/history', async (params) => {
+            const { agentId, limit } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            return { success: true, ...await this.getContextHistory(agentId, { limit }) };
+        });
+
+        // Handle diffs between context versions
+        this.messageHandlers.set('context/diff', async (params) => {
+            const { agentId, fromVersion, toVersion } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            return { success: true, ...await this.diffContextVersions(agentId, fromVersion, toVersion) };
+        });
+
+        // Handle context rollbacks
+        this.messageHandlers.set('context/restore', async (params) => {
+            const { agentId, version } = params;
+
+            if (!agentId || !version) {
+                throw new Error('Agent ID and version are required');
+            }
+
+            const entry = await this.restoreContext(agentId, version);
+
+            return {
+                success: true,
+                ...entry,
+                message: `Context of agent ${agentId} restored from version ${version} as version ${entry.version}`
+            };
+        });
+
+        // Handle context size budgets
+        this.messageHandlers.set('context/budget', async (params) => {
+            const { agentId, maxChars } = params;
+
+            if (!agentId || !maxChars) {
+                throw new Error('Agent ID and maxChars are required');
+            }
+
+            const budget = await this.setContextBudget(agentId, maxChars);
+
+            return {
+                success: true,
+                ...budget,
+                message: `Context budget of agent ${agentId} set to ${maxChars} characters`
+            };
+        });
+
+        // Handle context sharing settings
+        this.messageHandlers.set('context/share', async (params) => {
+            const { agentId, section, audiences } = params;
+
+            if (!agentId || !section || !Array.isArray(audiences)) {
+                throw new Error('Agent ID, section, and audiences are required');
+            }
+
+            const contextSharing = await this.setContextSharing(agentId, section, audiences);
+
+            return {
+                success: true,
+                contextSharing,
+                message: audiences.length > 0
+                    ? `Context section "${section}" of agent ${agentId} shared with ${audiences.join(', ')}`
+                    : `Context section "${section}" of agent ${agentId} is no longer shared`
+            };
+        });
+
+        // Handle context syncs to related agents
+        this.messageHandlers.set('context/sync', async (params) => {
+            const { agentId, targetAgentId, sections } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            const sync = await this.syncContext(agentId, { targetAgentId, sections });
+
+            return {
+                success: true,
+                ...sync,
+                message: `Context of agent ${agentId} sent to ${sync.delivered} of ${sync.recipients.length} agents`
+            };
+        });
+
         // Handle message sending
         this.messageHandlers.set('message/send', async (params) => {
-            const { fromAgentId, toAgentId, messageType, messageData } = params;
+            const { fromAgentId, toAgentId, messageType, messageData, threadId, replyTo } = params;
 
             if (!fromAgentId || !toAgentId || !messageType) {
                 throw new Error('From agent ID, to agent ID, and message type are required');
             }
 
-            const messageId = await this.sendMessage(fromAgentId, toAgentId, messageType, messageData);
+            let messageId;
+            try {
+                messageId = await this.sendMessage(fromAgentId, toAgentId, messageType, messageData, { threadId, replyTo });
+            } catch (error) {
+                // Unknown types and data that does not match the type's schema are invalid parameters
+                if (error instanceof CommunicationProtocol.MessageValidationError) {
+                    throw McpError.invalidParams(error.message, error.data);
+                }
+                throw error;
+            }
 
             return {
                 success: true,
@@ -244,15 +514,228 @@ class MCPAgentServer {
             };
         });
 
+        // Handle broadcasts to relationship groups or all agents
+        this.messageHandlers.set('message/broadcast', async (params) => {
+            const { fromAgentId, target, tag, messageType, messageData, threadId } = params;
+
+            if (!fromAgentId || !target || !messageType) {
+                throw new Error('From agent ID, target, and message type are required');
+            }
+
+            const broadcast = await this.broadcastMessage(fromAgentId, target, messageType, messageData, { tag, threadId });
+
+            return {
+                success: true,
+                ...broadcast,
+                message: `Message sent from ${fromAgentId} to ${broadcast.delivered} of ${broadcast.recipients.length} agents`
+            };
+        });
+
+        // Handle topic subscriptions
+        this.messageHandlers.set('topic/subscribe', async (params) => {
+            const { agentId, topic } = params;
+
+            if (!agentId || !topic) {
+                throw new Error('Agent ID and topic are required');
+            }
+
+            const result = await this.subscribeToTopic(agentId, topic);
+
+            return {
+                success: true,
+                ...result,
+                message: result.subscribed
+                    ? `Agent ${agentId} subscribed to topic ${topic}`
+                    : `Agent ${agentId} is already subscribed to topic ${topic}`
+            };
+        });
+
+        this.messageHandlers.set('topic/unsubscribe', async (params) => {
+            const { agentId, topic } = params;
+
+            if (!agentId || !topic) {
+                throw new Error('Agent ID and topic are required');
+            }
+
+            const result = await this.unsubscribeFromTopic(agentId, topic);
+
+            return {
+                success: true,
+                ...result,
+                message: `Agent ${agentId} unsubscribed from topic ${topic}`
+            };
+        });
+
+        // Handle topic publications
+        this.messageHandlers.set('topic/publish', async (params) => {
+            const { fromAgentId, topic, messageType, messageData } = params;
+
+            if (!fromAgentId || !topic || !messageType) {
+                throw new Error('From agent ID, topic, and message type are required');
+            }
+
+            let publication;
+            try {
+                publication = await this.publishToTopic(fromAgentId, topic, messageType, messageData);
+            } catch (error) {
+                // Publications the publisher's own message types reject are invalid parameters
+                if (error instanceof CommunicationProtocol.MessageValidationError) {
+                    throw McpError.invalidParams(error.message, error.data);
+                }
+                throw error;
+            }
+
+            return {
+                success: true,
+                ...publication,
+                message: `Message published to topic ${topic} and sent to ${publication.delivered} of ${publication.recipients.length} subscribers`
+            };
+        });
+
+        // Handle message type listing
+        this.messageHandlers.set('message-type/list', async (params) => {
+            const { agentId } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            const messageTypes = await this.listMessageTypes(agentId);
+
+            return { success: true, messageTypes };
+        });
+
+        // Handle custom message type registration
+        this.messageHandlers.set('message-type/register', async (params) => {
+            const { agentId, messageType, schema, description = '' } = params;
+
+            if (!agentId || !messageType || !schema) {
+                throw new Error('Agent ID, message type, and schema are required');
+            }
+
+            const registered = await this.registerMessageType(agentId, messageType, schema, description);
+
+            return {
+                success: true,
+                messageType: registered,
+                message: `Message type ${messageType} registered for agent ${agentId}`
+            };
+        });
+
+        // Handle thread retrieval
+        this.messageHandlers.set('thread/get', async (params) => {
+            const { threadId } = params;
+
+            if (!threadId) {
+                throw new Error('Thread ID is required');
+            }
+
+            const thread = await this.getThread(threadId);
+
+            return { success: true, thread };
+        });
+
+        // Handle inbox listing
+        this.messageHandlers.set('message/list', async (params) => {
+            const { agentId, box, type, fromAgentId, unread, threadId, limit } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            const messages = await this.listMessages(agentId, { box, type, fromAgentId, unread, threadId, limit });
+
+            return {
+                success: true,
+                messages,
+                message: `${messages.length} message(s) in ${box || 'incoming'} for agent ${agentId}`
+            };
+        });
+
+        // Handle reading a single message
+        this.messageHandlers.set('message/get', async (params) => {
+            const { agentId, messageId, markRead = true } = params;
+
+            if (!agentId || !messageId) {
+                throw new Error('Agent ID and message ID are required');
+            }
+
+            const message = await this.getMessage(agentId, messageId, markRead);
+
+            return { success: true, message };
+        });
+
+        // Handle message acknowledgement
+        this.messageHandlers.set('message/ack', async (params) => {
+            const { agentId, messageIds } = params;
+
+            if (!agentId || !Array.isArray(messageIds) || messageIds.length === 0) {
+                throw new Error('Agent ID and at least one message ID are required');
+            }
+
+            const result = await this.acknowledgeMessages(agentId, messageIds);
+
+            return {
+                success: true,
+                ...result,
+                message: `${result.acknowledged.length} message(s) acknowledged for agent ${agentId}`
+            };
+        });
+
+        // Handle dead-letter listing
+        this.messageHandlers.set('dead-letter/list', async (params) => {
+            const { agentId } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            const messages = await this.listDeadLetters(agentId);
+
+            return {
+                success: true,
+                messages,
+                message: `${messages.length} dead-lettered message(s) for agent ${agentId}`
+            };
+        });
+
+        // Handle dead-letter replay
+        this.messageHandlers.set('dead-letter/replay', async (params) => {
+            const { agentId, messageIds } = params;
+
+            if (!agentId) {
+                throw new Error('Agent ID is required');
+            }
+
+            const result = await this.replayDeadLetters(agentId, messageIds);
+
+            return {
+                success: true,
+                ...result,
+                message: `${result.replayed.length} message(s) replayed for agent ${agentId}`
+            };
+        });
+
+        // Handle full-text search
+        this.messageHandlers.set('search/query', async (params) => {
+            const { query, agentId, type, tag, since, until, limit } = params;
+
+            if (!query) {
+                throw new Error('Query is required');
+            }
+
+            return { success: true, ...await this.search(query, { agentId, type, tag, since, until, limit }) };
+        });
+
         // Handle task retrieval
         this.messageHandlers.set('task/get', async (params) => {
-            const { agentId, state } = params;
+            const { agentId, state, tree = false } = params;
 
             if (!agentId) {
                 throw new Error('Agent ID is required');
             }
 
-            const tasks = await this.getTasks(agentId, state);
+            const tasks = tree ? await this.getTaskTree(agentId, { state }) : await this.getTasks(agentId, state);
 
             return {
                 success: true,
@@ -261,630 +744,405 @@ class MCPAgentServer {
             };
         });
 
-        // Handle tools/list request
-        this.messageHandlers.set('tools/list', async () => {
+        // Handle task queries across agents
+        this.messageHandlers.set('task/query', async (params) => {
+            const result = await this.queryTasks(params);
+
             return {
-                tools: [
-                    {
-                        name: 'agent-register',
-                        description: 'Register a new agent',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                capabilities: { type: 'object' },
-                                forceUpdate: { type: 'boolean' }
-                            },
-                            required: ['agentId']
-                        }
-                    },
-                    {
-                        name: 'agent-status',
-                        description: 'Get agent or system status',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' }
-                            }
-                        }
-                    },
-                    {
-                        name: 'task-create',
-                        description: 'Create a new task',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                task: { type: 'object' },
-                                createdBy: { type: 'string' }
-                            },
-                            required: ['agentId', 'task']
-                        }
-                    },
-                    {
-                        name: 'task-get',
-                        description: 'Get tasks for an agent, optionally filtered by state',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                state: {
-                                    type: 'string',
-                                    enum: ['pending', 'active', 'completed'],
-                                    description: 'Filter tasks by state (optional)'
-                                }
-                            },
-                            required: ['agentId']
-                        }
-                    },
-                    {
-                        name: 'task-request',
-                        description: 'Send task request between agents',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                fromAgentId: { type: 'string' },
-                                toAgentId: { type: 'string' },
-                                taskRequest: { type: 'object' }
-                            },
-                            required: ['fromAgentId', 'toAgentId', 'taskRequest']
-                        }
-                    },
-                    {
-                        name: 'task-update',
-                        description: 'Update task status',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                taskId: { type: 'string' },
-                                status: { type: 'string' },
-                                deliverables: { type: 'array', items: { type: 'object' } }
-                            },
-                            required: ['agentId', 'taskId', 'status']
-                        }
-                    },
-                    {
-                        name: 'relationship-add',
-                        description: 'Add agent relationship',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                targetAgentId: { type: 'string' },
-                                relationshipType: { type: 'string' }
-                            },
-                            required: ['agentId', 'targetAgentId', 'relationshipType']
-                        }
-                    },
-                    {
-                        name: 'context-update',
-                        description: 'Update agent context',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                agentId: { type: 'string' },
-                                context: { type: 'string' }
-                            },
-                            required: ['agentId', 'context']
-                        }
-                    },
-                    {
-                        name: 'message-send',
-                        description: 'Send message between agents',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                fromAgentId: { type: 'string' },
-                                toAgentId: { type: 'string' },
-                                messageType: { type: 'string' },
-                                messageData: { type: 'object' }
-                            },
-                            required: ['fromAgentId', 'toAgentId', 'messageType']
-                        }
-                    }
-                ]
+                success: true,
+                ...result,
+                message: `${result.total} task(s) found${result.nextCursor ? `, showing ${result.tasks.length}` : ''}`
             };
         });
 
-        // Add MCP-compliant tool name handlers (without slashes)
-        // These map to the existing handlers for backward compatibility
-        this.messageHandlers.set('agent-register', this.messageHandlers.get('agent/register'));
-        this.messageHandlers.set('agent-status', this.messageHandlers.get('agent/status'));
-        this.messageHandlers.set('task-create', this.messageHandlers.get('task/create'));
-        this.messageHandlers.set('task-get', this.messageHandlers.get('task/get'));
-        this.messageHandlers.set('task-request', this.messageHandlers.get('task/request'));
-        this.messageHandlers.set('task-update', this.messageHandlers.get('task/update'));
-        this.messageHandlers.set('relationship-add', this.messageHandlers.get('relationship/add'));
-        this.messageHandlers.set('context-update', this.messageHandlers.get('context/update'));
-        this.messageHandlers.set('message-send', this.messageHandlers.get('message/send'));
-    }
+        // Handle dependency chain retrieval
+        this.messageHandlers.set('task/dependencies', async (params) => {
+            const { agentId, taskId } = params;
 
-    /**
-     * Register a new agent or update existing one
-     */
-    async registerAgent(agentId, capabilities, forceUpdate = false) {
-        const isExisting = this.connectedAgents.has(agentId);
+            if (!agentId || !taskId) {
+                throw new Error('Agent ID and task ID are required');
+            }
+
+            const dependencies = await this.getTaskDependencies(agentId, taskId);
 
-        if (isExisting && !forceUpdate) {
-            console.log(`Agent ${agentId} already registered, skipping re-registration`);
             return {
-                message: `Agent ${agentId} already registered`,
-                wasUpdated: false
+                success: true,
+                dependencies,
+                message: dependencies.ready
+                    ? `Task ${taskId} has no unmet dependencies`
+                    : `Task ${taskId} is waiting on ${dependencies.blocking.length} task(s)`
             };
-        }
-
-        console.log(`${isExisting ? 'Updating' : 'Registering'} agent: ${agentId}`);
+        });
 
-        // Create agent directory structure (safe to call even if exists)
-        const agentPath = path.join(this.basePath, agentId);
-        await fs.mkdir(agentPath, { recursive: true });
-        await fs.mkdir(path.join(agentPath, 'tasks'), { recursive: true });
-        await fs.mkdir(path.join(agentPath, 'tasks', 'requests', 'incoming'), { recursive: true });
-        await fs.mkdir(path.join(agentPath, 'tasks', 'requests', 'outgoing'), { recursive: true });
+        // Handle task history retrieval
+        this.messageHandlers.set('task/history', async (params) => {
+            const { agentId, taskId } = params;
 
-        // Initialize agent files (only if they don't exist)
-        const contextPath = path.join(agentPath, 'context.md');
-        try {
-            await fs.access(contextPath);
-            // File exists, skip initialization
-        } catch {
-            // File doesn't exist, create it
-            const defaultContext = `# Agent ${agentId} Context\n\n## Current State\n- Status: Connected to MCP Server\n- Registered: ${new Date().toISOString()}\n\n## Capabilities\n${JSON.stringify(capabilities, null, 2)}\n\n## Knowledge Base\n\n## Recent Activities\n\n## Notes\n`;
-            await fs.writeFile(contextPath, defaultContext, 'utf8');
-        }
+            if (!agentId || !taskId) {
+                throw new Error('Agent ID and task ID are required');
+            }
 
-        // Initialize task files (only if they don't exist)
-        const taskFiles = [
-            { path: path.join(agentPath, 'tasks', 'active.json'), content: [] },
-            { path: path.join(agentPath, 'tasks', 'pending.json'), content: [] },
-            { path: path.join(agentPath, 'tasks', 'completed.json'), content: [] }
-        ];
+            const history = await this.getTaskHistory(agentId, taskId);
 
-        for (const file of taskFiles) {
-            try {
-                await fs.access(file.path);
-                // File exists, skip initialization
-            } catch {
-                // File doesn't exist, create it
-                await fs.writeFile(file.path, JSON.stringify(file.content, null, 2), 'utf8');
-            }
-        }
+            return {
+                success: true,
+                taskId,
+                history,
+                message: `${history.length} events recorded for task ${taskId}`
+            };
+        });
 
-        // Initialize relationships (only if file doesn't exist)
-        const relationshipsPath = path.join(agentPath, 'relationships.json');
-        try {
-            await fs.access(relationshipsPath);
-            // File exists, skip initialization
-        } catch {
-            // File doesn't exist, create it
-            const defaultRelationships = {
-                consumers: [],
-                producers: [],
-                bidirectional: [],
-                optional: []
+        // Handle tools/list request
+        this.messageHandlers.set('tools/list', async () => {
+            return {
+                tools: this.toolRegistry.list()
             };
-            await fs.writeFile(relationshipsPath, JSON.stringify(defaultRelationships, null, 2), 'utf8');
-        }
+        });
 
-        // Update MCP config
-        const mcpConfigPath = path.join(agentPath, 'mcp_config.json');
-        let mcpConfig;
+        // Handle tools/call request: validate arguments and dispatch to the tool's method
+        this.messageHandlers.set('tools/call', async (params) => {
+            const { name, arguments: toolArgs = {} } = params;
 
-        if (isExisting) {
-            // For existing agents, read current config and update capabilities
-            try {
-                const existingConfig = await fs.readFile(mcpConfigPath, 'utf8');
-                mcpConfig = JSON.parse(existingConfig);
-                mcpConfig.capabilities = capabilities;
-                mcpConfig.lastUpdated = new Date().toISOString();
-            } catch {
-                // If config file is corrupted or missing, create new one
-                mcpConfig = {
-                    agentId,
-                    capabilities,
-                    connectedAt: new Date().toISOString(),
-                    messageTypes: [
-                        "TASK_REQUEST",
-                        "TASK_RESPONSE",
-                        "STATUS_UPDATE",
-                        "DEPENDENCY_NOTIFICATION",
-                        "INTEGRATION_TEST",
-                        "COMPLETION_NOTIFICATION",
-                        "CONTEXT_SYNC"
-                    ]
-                };
+            if (!name || !this.toolRegistry.has(name)) {
+                throw McpError.invalidParams(`Unknown tool: ${name}`);
             }
-        } else {
-            // For new agents, create fresh config
-            mcpConfig = {
-                agentId,
-                capabilities,
-                connectedAt: new Date().toISOString(),
-                messageTypes: [
-                    "TASK_REQUEST",
-                    "TASK_RESPONSE",
-                    "STATUS_UPDATE",
-                    "DEPENDENCY_NOTIFICATION",
-                    "INTEGRATION_TEST",
-                    "COMPLETION_NOTIFICATION",
-                    "CONTEXT_SYNC"
-                ]
-            };
-        }
 
-        await fs.writeFile(mcpConfigPath, JSON.stringify(mcpConfig, null, 2), 'utf8');
+            this.toolRegistry.validateArguments(name, toolArgs);
 
-        // Update agent connection info
-        const existingAgent = this.connectedAgents.get(agentId);
-        this.connectedAgents.set(agentId, {
-            agentId,
-            capabilities,
-            connectedAt: existingAgent ? existingAgent.connectedAt : new Date().toISOString(),
-            lastActivity: new Date().toISOString(),
-            registrationCount: existingAgent ? (existingAgent.registrationCount || 1) + 1 : 1
+            const handler = this.messageHandlers.get(this.toolRegistry.resolveMethod(name));
+
+            try {
+                const result = await handler(toolArgs);
+                return ToolRegistry.toToolResult(result);
+            } catch (error) {
+                // Protocol errors raised by a handler are returned as JSON-RPC errors
+                if (error instanceof McpError) {
+                    throw error;
+                }
+                return ToolRegistry.toToolError(error);
+            }
         });
 
-        console.log(`Agent ${agentId} ${isExisting ? 'updated' : 'registered'} successfully`);
+        // Add MCP-compliant tool name handlers (without slashes)
+        // These map to the existing handlers for backward compatibility
+        for (const tool of this.toolRegistry.list()) {
+            this.messageHandlers.set(tool.name, this.messageHandlers.get(this.toolRegistry.resolveMethod(tool.name)));
+        }
+    }
 
-        return {
-            message: `Agent ${agentId} ${isExisting ? 'updated' : 'registered'} successfully`,
-            wasUpdated: isExisting
-        };
+    /**
+     * Register a new agent or update existing one
+     */
+    async registerAgent(agentId, capabilities, forceUpdate = false) {
+        return this.system.connectAgent(agentId, capabilities, forceUpdate);
     }
 
     /**
-     * Create a task for an agent
+     * Create a task for an agent, returning its ID
      */
     async createTask(agentId, taskData, createdBy = null) {
-        const taskId = uuidv4();
-        const task = {
-            id: taskId,
-            type: taskData.type || 'implementation',
-            title: taskData.title,
-            description: taskData.description,
-            priority: taskData.priority || 'medium',
-            status: 'pending',
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-            agent_id: agentId,
-            created_by: createdBy || taskData.created_by || agentId,
-            target_agent_id: taskData.target_agent_id || null,
-            reference_task_id: taskData.reference_task_id || null,
-            dependencies: taskData.dependencies || [],
-            deliverables: taskData.deliverables || [],
-            metadata: taskData.metadata || {}
-        };
-
-        // Add to pending tasks
-        const agentPath = path.join(this.basePath, agentId);
-        const pendingTasksPath = path.join(agentPath, 'tasks', 'pending.json');
-        
-        let pendingTasks = [];
-        try {
-            const content = await fs.readFile(pendingTasksPath, 'utf8');
-            pendingTasks = JSON.parse(content);
-        } catch (error) {
-            // File might not exist yet
-        }
+        const task = await this.system.createTask(agentId, taskData, createdBy);
+        return task.id;
+    }
+
+    /**
+     * Create a task request between agents, returning the request task ID
+     */
+    async createTaskRequest(fromAgentId, toAgentId, taskRequest) {
+        const requestTask = await this.system.createTaskRequest(fromAgentId, toAgentId, taskRequest);
+        return requestTask.id;
+    }
 
-        pendingTasks.push(task);
-        await fs.writeFile(pendingTasksPath, JSON.stringify(pendingTasks, null, 2), 'utf8');
+    /**
+     * Accept a received task request
+     */
+    async acceptTaskRequest(agentId, requestId, note = '') {
+        return this.system.acceptTaskRequest(agentId, requestId, note);
+    }
 
-        console.log(`Task ${taskId} created for agent ${agentId}`);
-        return taskId;
+    /**
+     * Decline a received task request
+     */
+    async declineTaskRequest(agentId, requestId, reason) {
+        return this.system.declineTaskRequest(agentId, requestId, reason);
     }
 
     /**
-     * Create a task request between agents
+     * Answer a received task request
      */
-    async createTaskRequest(fromAgentId, toAgentId, taskRequest) {
-        const requestId = uuidv4();
-        const message = {
-            id: requestId,
-            type: 'TASK_REQUEST',
-            timestamp: new Date().toISOString(),
-            from_agent_id: fromAgentId,
-            to_agent_id: toAgentId,
-            task_data: {
-                ...taskRequest,
-                id: uuidv4(),
-                agent_id: toAgentId,
-                created_by: fromAgentId,
-                target_agent_id: toAgentId,
-                created_at: new Date().toISOString()
-            }
-        };
-
-        // Save to outgoing for sender
-        const fromAgentPath = path.join(this.basePath, fromAgentId);
-        const outgoingPath = path.join(fromAgentPath, 'tasks', 'requests', 'outgoing', `${requestId}.json`);
-        await fs.writeFile(outgoingPath, JSON.stringify(message, null, 2), 'utf8');
-
-        // Save to incoming for receiver
-        const toAgentPath = path.join(this.basePath, toAgentId);
-        const incomingPath = path.join(toAgentPath, 'tasks', 'requests', 'incoming', `${requestId}.json`);
-        await fs.writeFile(incomingPath, JSON.stringify(message, null, 2), 'utf8');
-
-        console.log(`Task request ${requestId} sent from ${fromAgentId} to ${toAgentId}`);
-        return requestId;
+    async respondToTaskRequest(agentId, requestId, response = {}) {
+        return this.system.respondToTaskRequest(agentId, requestId, response);
     }
 
     /**
      * Update task status
      */
-    async updateTaskStatus(agentId, taskId, status, deliverables) {
-        const agentPath = path.join(this.basePath, agentId);
-        const taskFiles = ['active.json', 'pending.json', 'completed.json'];
+    async updateTaskStatus(agentId, taskId, status, deliverables = [], reason = '', actorId = null) {
+        const task = await this.system.updateTaskStatus(agentId, taskId, status, deliverables, reason, actorId);
+        return task.toJSON();
+    }
 
-        let taskFound = false;
-        let task = null;
+    /**
+     * Get the dependency chain of a task across agents
+     */
+    async getTaskDependencies(agentId, taskId) {
+        return this.system.getTaskDependencies(agentId, taskId);
+    }
 
-        // Find the task in any of the task files
-        for (const fileName of taskFiles) {
-            const filePath = path.join(agentPath, 'tasks', fileName);
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const tasks = JSON.parse(content);
-                const taskIndex = tasks.findIndex(t => t.id === taskId);
-
-                if (taskIndex !== -1) {
-                    task = tasks[taskIndex];
-                    task.status = status;
-                    task.updated_at = new Date().toISOString();
-                    if (deliverables.length > 0) {
-                        task.deliverables = [...(task.deliverables || []), ...deliverables];
-                    }
+    /**
+     * Get the audit trail of a task
+     */
+    async getTaskHistory(agentId, taskId) {
+        return this.system.getTaskHistory(agentId, taskId);
+    }
 
-                    // If status changed to completed, move to completed.json
-                    if (status === 'completed' && fileName !== 'completed.json') {
-                        tasks.splice(taskIndex, 1);
-                        await fs.writeFile(filePath, JSON.stringify(tasks, null, 2), 'utf8');
-
-                        const completedPath = path.join(agentPath, 'tasks', 'completed.json');
-                        let completedTasks = [];
-                        try {
-                            const completedContent = await fs.readFile(completedPath, 'utf8');
-                            completedTasks = JSON.parse(completedContent);
-                        } catch (error) {
-                            // File might not exist
-                        }
-                        completedTasks.push(task);
-                        await fs.writeFile(completedPath, JSON.stringify(completedTasks, null, 2), 'utf8');
-                    } else {
-                        await fs.writeFile(filePath, JSON.stringify(tasks, null, 2), 'utf8');
-                    }
+    /**
+     * Add relationship between agents
+     */
+    async addRelationship(agentId, targetAgentId, relationshipType, options = {}) {
+        return this.system.addRelationship(agentId, targetAgentId, relationshipType, options);
+    }
 
-                    taskFound = true;
-                    break;
-                }
-            } catch (error) {
-                // File might not exist
-            }
-        }
+    /**
+     * Get tasks for an agent, optionally filtered by state
+     */
+    async getTasks(agentId, state = null) {
+        return this.system.getTasks(agentId, state);
+    }
 
-        if (!taskFound) {
-            throw new Error(`Task ${taskId} not found for agent ${agentId}`);
-        }
+    /**
+     * Get an agent's tasks as subtask trees with rolled up progress
+     */
+    async getTaskTree(agentId, options = {}) {
+        return this.system.getTaskTree(agentId, options);
+    }
 
-        console.log(`Task ${taskId} status updated to ${status} for agent ${agentId}`);
-        return task; // Return the task for use in the handler
+    /**
+     * Find tasks across agents (see TaskQuery for the query fields)
+     */
+    async queryTasks(query = {}) {
+        return this.system.queryTasks(query);
     }
 
     /**
-     * Add relationship between agents
+     * Get agent status
      */
-    async addRelationship(agentId, targetAgentId, relationshipType) {
-        const agentPath = path.join(this.basePath, agentId);
-        const relationshipsPath = path.join(agentPath, 'relationships.json');
-        
-        let relationships = {
-            consumers: [],
-            producers: [],
-            bidirectional: [],
-            optional: []
-        };
+    async getAgentStatus(agentId) {
+        return this.system.getAgentStatus(agentId);
+    }
 
-        try {
-            const content = await fs.readFile(relationshipsPath, 'utf8');
-            relationships = JSON.parse(content);
-        } catch (error) {
-            // File might not exist
-        }
+    /**
+     * Get system status
+     */
+    async getSystemStatus() {
+        return this.system.getSystemStatus();
+    }
 
-        const relationship = {
-            agentId: targetAgentId,
-            type: relationshipType,
-            established: new Date().toISOString(),
-            status: 'active'
-        };
-
-        // Add to appropriate relationship category
-        if (relationshipType === 'consumer') {
-            relationships.consumers.push(relationship);
-        } else if (relationshipType === 'producer') {
-            relationships.producers.push(relationship);
-        } else if (relationshipType === 'bidirectional') {
-            relationships.bidirectional.push(relationship);
-        } else if (relationshipType === 'optional') {
-            relationships.optional.push(relationship);
-        }
+    /**
+     * Update agent context
+     */
+    async updateAgentContext(agentId, context, reason = '') {
+        return this.system.updateAgentContext(agentId, context, reason);
+    }
 
-        await fs.writeFile(relationshipsPath, JSON.stringify(relationships, null, 2), 'utf8');
-        console.log(`Relationship ${relationshipType} added between ${agentId} and ${targetAgentId}`);
+    /**
+     * Read an agent's context or one of its sections
+     * options: { maxChars }
+     */
+    async getAgentContext(agentId, section = null, options = {}) {
+        return this.system.getAgentContext(agentId, section, options);
     }
 
     /**
-     * Get tasks for an agent, optionally filtered by state
+     * Set an agent's context size budget
      */
-    async getTasks(agentId, state = null) {
-        const agentPath = path.join(this.basePath, agentId);
-        const validStates = ['pending', 'active', 'completed'];
+    async setContextBudget(agentId, maxChars) {
+        return this.system.setContextBudget(agentId, maxChars);
+    }
 
-        if (state && !validStates.includes(state)) {
-            throw new Error(`Invalid state: ${state}. Must be one of: ${validStates.join(', ')}`);
-        }
+    /**
+     * Append to an agent's context
+     * options: { section }
+     */
+    async appendAgentContext(agentId, content, options = {}) {
+        return this.system.appendAgentContext(agentId, content, options);
+    }
 
-        const results = {};
-        const statesToLoad = state ? [state] : validStates;
+    /**
+     * Replace one section of an agent's context
+     */
+    async updateAgentContextSection(agentId, section, content) {
+        return this.system.updateAgentContextSection(agentId, section, content);
+    }
 
-        for (const stateToLoad of statesToLoad) {
-            const fileName = stateToLoad === 'active' ? 'active.json' :
-                           stateToLoad === 'pending' ? 'pending.json' : 'completed.json';
-            const filePath = path.join(agentPath, 'tasks', fileName);
+    /**
+     * List the recorded versions of an agent's context
+     * options: { limit }
+     */
+    async getContextHistory(agentId, options = {}) {
+        return this.system.getContextHistory(agentId, options);
+    }
 
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const tasks = JSON.parse(content);
-                results[stateToLoad] = tasks;
-            } catch (error) {
-                // File might not exist, return empty array
-                results[stateToLoad] = [];
-            }
-        }
+    /**
+     * Diff two versions of an agent's context
+     */
+    async diffContextVersions(agentId, fromVersion = null, toVersion = null) {
+        return this.system.diffContextVersions(agentId, fromVersion, toVersion);
+    }
 
-        // If a specific state was requested, return just that array
-        if (state) {
-            return results[state];
-        }
+    /**
+     * Roll an agent's context back to an earlier version
+     */
+    async restoreContext(agentId, version) {
+        return this.system.restoreContext(agentId, version);
+    }
 
-        // Otherwise return all states
-        return results;
+    /**
+     * Choose which relationships a context section is shared with
+     */
+    async setContextSharing(agentId, section, audiences) {
+        return this.system.setContextSharing(agentId, section, audiences);
     }
 
     /**
-     * Get agent status
+     * Send shared context sections to related agents
+     * options: { targetAgentId, sections }
      */
-    async getAgentStatus(agentId) {
-        const agentPath = path.join(this.basePath, agentId);
+    async syncContext(agentId, options = {}) {
+        return this.system.syncContext(agentId, options);
+    }
 
-        // Get task counts and pending tasks
-        const taskCounts = { active: 0, pending: 0, completed: 0 };
-        const taskFiles = ['active.json', 'pending.json', 'completed.json'];
-        let pendingTasks = [];
+    /**
+     * Send message between agents, returning the message ID
+     * options: { threadId, replyTo }
+     */
+    async sendMessage(fromAgentId, toAgentId, messageType, messageData, options = {}) {
+        const message = await this.system.sendMessage(fromAgentId, toAgentId, messageType, messageData, options);
+        return message.id;
+    }
 
-        for (let i = 0; i < taskFiles.length; i++) {
-            const filePath = path.join(agentPath, 'tasks', taskFiles[i]);
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const tasks = JSON.parse(content);
-                const key = ['active', 'pending', 'completed'][i];
-                taskCounts[key] = tasks.length;
-
-                // Store pending tasks for inclusion in status
-                if (key === 'pending') {
-                    pendingTasks = tasks;
-                }
-            } catch (error) {
-                // File might not exist
-            }
-        }
+    /**
+     * Send a message to a group of agents, reporting delivery per recipient
+     * options: { tag, threadId }
+     */
+    async broadcastMessage(fromAgentId, target, messageType, messageData, options = {}) {
+        return this.system.broadcastMessage(fromAgentId, target, messageType, messageData, options);
+    }
 
-        // Get relationship counts
-        let relationshipCounts = { consumers: 0, producers: 0, bidirectional: 0, optional: 0 };
-        try {
-            const relationshipsPath = path.join(agentPath, 'relationships.json');
-            const content = await fs.readFile(relationshipsPath, 'utf8');
-            const relationships = JSON.parse(content);
-            relationshipCounts = {
-                consumers: relationships.consumers?.length || 0,
-                producers: relationships.producers?.length || 0,
-                bidirectional: relationships.bidirectional?.length || 0,
-                optional: relationships.optional?.length || 0
-            };
-        } catch (error) {
-            // File might not exist
-        }
+    /**
+     * Subscribe an agent to a topic
+     */
+    async subscribeToTopic(agentId, topic) {
+        return this.system.subscribeToTopic(agentId, topic);
+    }
 
-        return {
-            agentId,
-            connected: this.connectedAgents.has(agentId),
-            tasks: taskCounts,
-            pendingTasks: pendingTasks,
-            relationships: relationshipCounts,
-            lastActivity: this.connectedAgents.get(agentId)?.lastActivity || null
-        };
+    /**
+     * Unsubscribe an agent from a topic
+     */
+    async unsubscribeFromTopic(agentId, topic) {
+        return this.system.unsubscribeFromTopic(agentId, topic);
     }
 
     /**
-     * Get system status
+     * Publish a message to a topic's subscribers
      */
-    async getSystemStatus() {
-        const connectedAgents = Array.from(this.connectedAgents.keys());
-        const agentStatuses = [];
+    async publishToTopic(fromAgentId, topic, messageType, messageData) {
+        return this.system.publishToTopic(fromAgentId, topic, messageType, messageData);
+    }
 
-        for (const agentId of connectedAgents) {
-            const status = await this.getAgentStatus(agentId);
-            agentStatuses.push(status);
-        }
+    /**
+     * List the message types an agent accepts
+     */
+    async listMessageTypes(agentId) {
+        return this.system.listMessageTypes(agentId);
+    }
 
-        return {
-            timestamp: new Date().toISOString(),
-            totalAgents: connectedAgents.length,
-            connectedAgents: connectedAgents,
-            agents: agentStatuses
-        };
+    /**
+     * Register a custom message type for an agent
+     */
+    async registerMessageType(agentId, messageType, schema, description = '') {
+        return this.system.registerMessageType(agentId, messageType, schema, description);
     }
 
     /**
-     * Update agent context
+     * Get a conversation thread across agents
      */
-    async updateAgentContext(agentId, context) {
-        const agentPath = path.join(this.basePath, agentId);
-        const contextPath = path.join(agentPath, 'context.md');
-        
-        const timestamp = new Date().toISOString();
-        const updatedContext = `${context}\n\n_Last updated: ${timestamp}_\n`;
-        await fs.writeFile(contextPath, updatedContext, 'utf8');
-
-        // Update last activity
-        if (this.connectedAgents.has(agentId)) {
-            const agentInfo = this.connectedAgents.get(agentId);
-            agentInfo.lastActivity = timestamp;
-            this.connectedAgents.set(agentId, agentInfo);
-        }
+    async getThread(threadId) {
+        return this.system.getThread(threadId);
+    }
 
-        console.log(`Context updated for agent ${agentId}`);
+    /**
+     * List messages in an agent's inbox (or another box)
+     */
+    async listMessages(agentId, filters = {}) {
+        return this.system.listMessages(agentId, filters);
     }
 
     /**
-     * Send message between agents
+     * Read a message, marking it as read
      */
-    async sendMessage(fromAgentId, toAgentId, messageType, messageData) {
-        const messageId = uuidv4();
-        const message = {
-            id: messageId,
-            type: messageType,
-            timestamp: new Date().toISOString(),
-            from_agent_id: fromAgentId,
-            to_agent_id: toAgentId,
-            data: messageData || {}
-        };
+    async getMessage(agentId, messageId, markRead = true) {
+        return this.system.getMessage(agentId, messageId, markRead);
+    }
 
-        // Save to outgoing for sender
-        const fromAgentPath = path.join(this.basePath, fromAgentId);
-        const outgoingPath = path.join(fromAgentPath, 'tasks', 'requests', 'outgoing', `${messageId}.json`);
-        await fs.writeFile(outgoingPath, JSON.stringify(message, null, 2), 'utf8');
+    /**
+     * Acknowledge incoming messages
+     */
+    async acknowledgeMessages(agentId, messageIds) {
+        return this.system.acknowledgeMessages(agentId, messageIds);
+    }
 
-        // Save to incoming for receiver
-        const toAgentPath = path.join(this.basePath, toAgentId);
-        const incomingPath = path.join(toAgentPath, 'tasks', 'requests', 'incoming', `${messageId}.json`);
-        await fs.writeFile(incomingPath, JSON.stringify(message, null, 2), 'utf8');
+    /**
+     * List an agent's dead-lettered messages
+     */
+    async listDeadLetters(agentId) {
+        return this.system.listDeadLetters(agentId);
+    }
 
-        console.log(`Message ${messageId} (${messageType}) sent from ${fromAgentId} to ${toAgentId}`);
-        return messageId;
+    /**
+     * Move dead-lettered messages back to an agent's inbox
+     */
+    async replayDeadLetters(agentId, messageIds = null) {
+        return this.system.replayDeadLetters(agentId, messageIds);
+    }
+
+    /**
+     * Search agents' context, tasks and messages
+     * options: { agentId, type, tag, since, until, limit }
+     */
+    async search(query, options = {}) {
+        return this.system.search(query, options);
     }
 
     /**
      * Handle incoming JSON-RPC message
      */
     async handleMessage(message) {
+        let request = null;
         try {
-            const request = JSON.parse(message);
+            request = JSON.parse(message);
+        } catch (error) {
+            return new MCPResponse(null, null, {
+                code: McpError.ErrorCodes.PARSE_ERROR,
+                message: `Parse error: ${error.message}`
+            });
+        }
+
+        // JSON-RPC notifications carry no id and must not receive a response
+        const isNotification = request.id === undefined;
+
+        try {
+            if (isNotification) {
+                const handler = this.messageHandlers.get(request.method);
+                if (handler) {
+                    await handler(request.params || {});
+                }
+                return null;
+            }
 
             if (!request.method || !this.messageHandlers.has(request.method)) {
                 return new MCPResponse(request.id, null, {
-                    code: -32601,
+                    code: McpError.ErrorCodes.METHOD_NOT_FOUND,
                     message: `Method not found: ${request.method}`
                 });
             }
@@ -895,10 +1153,11 @@ class MCPAgentServer {
             return new MCPResponse(request.id, result);
 
         } catch (error) {
-            return new MCPResponse(null, null, {
-                code: -32603,
-                message: error.message
-            });
+            if (isNotification) {
+                logger.error(`Error handling notification ${request.method}:`, error);
+                return null;
+            }
+            return new MCPResponse(request.id, null, McpError.toRpcError(error));
         }
     }
 
@@ -910,27 +1169,33 @@ class MCPAgentServer {
         await fs.mkdir(this.basePath, { recursive: true });
         await fs.mkdir(this.reportsPath, { recursive: true });
 
-        console.log('🚀 MCP Agent Communication Server started');
-        console.log('📡 Listening for agent connections via MCP protocol');
-        console.log('📁 Agent data will be stored in:', path.resolve(this.basePath));
-        console.log('📊 Reports will be stored in:', path.resolve(this.reportsPath));
-        console.log('');
-        console.log('Available MCP tools (MCP-compliant names):');
-        console.log('  - agent-register: Register a new agent');
-        console.log('  - task-create: Create a new task');
-        console.log('  - task-get: Get tasks for an agent, optionally filtered by state');
-        console.log('  - task-request: Send task request between agents');
-        console.log('  - task-update: Update task status');
-        console.log('  - relationship-add: Add agent relationship');
-        console.log('  - agent-status: Get agent or system status (now includes pending tasks)');
-        console.log('  - context-update: Update agent context');
-        console.log('  - message-send: Send message between agents');
-        console.log('');
-        console.log('Legacy method names (still supported):');
-        console.log('  - agent/register, task/create, task/request, task/update');
-        console.log('  - relationship/add, agent/status, context/update, message/send');
-        console.log('');
-        console.log('Server ready for connections...');
+        // Deliver messages to this process's agents through the shared message handlers
+        await this.system.start();
+
+        logger.info('🚀 MCP Agent Communication Server started');
+        logger.info('📡 Listening for agent connections via MCP protocol');
+        logger.info('📁 Agent data will be stored in:', path.resolve(this.basePath));
+        logger.info('🗄️  Storage backend:', this.storage.type);
+        logger.info('📊 Reports will be stored in:', path.resolve(this.reportsPath));
+        logger.info('Available MCP tools (MCP-compliant names):');
+        for (const tool of this.toolRegistry.list()) {
+            logger.info(`  - ${tool.name}: ${tool.description}`);
+        }
+        logger.info('Legacy method names (still supported):');
+        logger.info('  - agent/register, task/create, task/request, task/accept, task/decline, task/respond');
+        logger.info('  - task/update, task/history, task/dependencies, task/query');
+        logger.info('  - relationship/add, agent/status, context/get, context/update, context/append, context/section-update');
+        logger.info('  - context/history, context/diff, context/restore, context/budget');
+        logger.info('  - context/share, context/sync, message/send, message/broadcast');
+        logger.info('  - message/list, message/get, message/ack, dead-letter/list, dead-letter/replay, thread/get');
+        logger.info('  - message-type/list, message-type/register, topic/subscribe, topic/unsubscribe, topic/publish');
+        logger.info('  - search/query');
+        logger.info('Server ready for connections...');
+
+        // stdout carries only JSON-RPC traffic; logs go to stderr/files and,
+        // once the client calls logging/setLevel, to notifications/message
+        this.transport = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+        defaultManager.addSink(createMcpNotificationSink(() => this.clientLogLevel, this.transport));
 
         // Handle stdin for JSON-RPC messages
         process.stdin.setEncoding('utf8');
@@ -939,7 +1204,9 @@ class MCPAgentServer {
             for (const line of lines) {
                 if (line.trim()) {
                     const response = await this.handleMessage(line);
-                    process.stdout.write(JSON.stringify(response) + '\n');
+                    if (response) {
+                        this.transport(response);
+                    }
                 }
             }
         });
@@ -953,7 +1220,7 @@ class MCPAgentServer {
 if (require.main === module) {
     const server = new MCPAgentServer();
     server.start().catch(error => {
-        console.error('Failed to start MCP server:', error);
+        logger.error('Failed to start MCP server:', error);
         process.exit(1);
     });
 }
@@ -0,0 +1,56 @@
+/**
+ * JSON-RPC error type used by the MCP servers
+ * Carries a JSON-RPC error code so transports can report it unchanged
+ */
+
+const ErrorCodes = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603
+};
+
+class McpError extends Error {
+    constructor(code, message, data = undefined) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.data = data;
+    }
+
+    /**
+     * Convert to a JSON-RPC error object
+     */
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.data !== undefined) {
+            error.data = this.data;
+        }
+        return error;
+    }
+
+    /**
+     * Convert any thrown value to a JSON-RPC error object
+     */
+    static toRpcError(error) {
+        if (error instanceof McpError) {
+            return error.toJSON();
+        }
+        return {
+            code: ErrorCodes.INTERNAL_ERROR,
+            message: error && error.message ? error.message : String(error)
+        };
+    }
+
+    /**
+     * Shorthand for an invalid-params error
+     */
+    static invalidParams(message, data) {
+        return new McpError(ErrorCodes.INVALID_PARAMS, message, data);
+    }
+}
+
+McpError.ErrorCodes = ErrorCodes;
+
+module.exports = McpError;
@@ -0,0 +1,107 @@
+/**
+ * Minimal JSON Schema validator for MCP tool arguments
+ * Supports the subset of keywords used by the tool and message schemas:
+ * type, properties, required, additionalProperties, items, enum, minLength, minimum, maximum
+ */
+
+class SchemaValidator {
+    /**
+     * Validate a value against a schema
+     * Returns { isValid, errors } in the same shape as Task.validate()
+     */
+    static validate(schema, value, valuePath = 'arguments') {
+        const errors = [];
+        SchemaValidator.validateNode(schema || {}, value, valuePath, errors);
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Recursively validate a value, collecting errors
+     */
+    static validateNode(schema, value, valuePath, errors) {
+        if (schema.type && !SchemaValidator.matchesType(schema.type, value)) {
+            const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+            errors.push(`${valuePath} must be of type ${expected}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${valuePath} must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            errors.push(`${valuePath} must be at least ${schema.minLength} characters`);
+        }
+
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                errors.push(`${valuePath} must be >= ${schema.minimum}`);
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                errors.push(`${valuePath} must be <= ${schema.maximum}`);
+            }
+        }
+
+        if (SchemaValidator.matchesType('object', value)) {
+            const properties = schema.properties || {};
+
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${valuePath}.${key} is required`);
+                }
+            }
+
+            for (const [key, propertyValue] of Object.entries(value)) {
+                if (propertyValue === undefined) continue;
+
+                if (properties[key]) {
+                    SchemaValidator.validateNode(properties[key], propertyValue, `${valuePath}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${valuePath}.${key} is not allowed`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    SchemaValidator.validateNode(schema.additionalProperties, propertyValue, `${valuePath}.${key}`, errors);
+                }
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                SchemaValidator.validateNode(schema.items, item, `${valuePath}[${index}]`, errors);
+            });
+        }
+    }
+
+    /**
+     * Check a value against a JSON Schema type (or list of types)
+     */
+    static matchesType(type, value) {
+        if (Array.isArray(type)) {
+            return type.some(t => SchemaValidator.matchesType(t, value));
+        }
+
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'null':
+                return value === null;
+            default:
+                return true;
+        }
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,111 @@
+/**
+ * ToolRegistry for the MCP servers and proxy
+ * Single source of truth for tool names, schemas and the methods that implement them
+ */
+
+const SchemaValidator = require('./SchemaValidator');
+const McpError = require('./McpError');
+const toolDefinitions = require('./toolDefinitions');
+
+class ToolRegistry {
+    constructor(tools = toolDefinitions) {
+        this.tools = new Map();
+
+        for (const tool of tools) {
+            this.register(tool);
+        }
+    }
+
+    /**
+     * Register a tool definition
+     */
+    register(tool) {
+        if (!tool.name || !tool.method) {
+            throw new Error('Tool name and method are required');
+        }
+
+        this.tools.set(tool.name, tool);
+    }
+
+    /**
+     * Check whether a tool exists
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Get a tool definition by name
+     */
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    /**
+     * Resolve a tool name to the JSON-RPC method that implements it
+     */
+    resolveMethod(name) {
+        const tool = this.get(name);
+        return tool ? tool.method : name;
+    }
+
+    /**
+     * List tools in the shape returned by tools/list
+     */
+    list() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema
+        }));
+    }
+
+    /**
+     * Validate tool arguments, throwing an invalid-params error on failure
+     */
+    validateArguments(name, args) {
+        const tool = this.get(name);
+        if (!tool) {
+            throw McpError.invalidParams(`Unknown tool: ${name}`);
+        }
+
+        const validation = SchemaValidator.validate(tool.inputSchema, args);
+        if (!validation.isValid) {
+            throw McpError.invalidParams(
+                `Invalid arguments for tool ${name}: ${validation.errors.join(', ')}`,
+                { errors: validation.errors }
+            );
+        }
+    }
+
+    /**
+     * Wrap a handler result as an MCP tool result
+     */
+    static toToolResult(result) {
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify(result, null, 2)
+                }
+            ]
+        };
+    }
+
+    /**
+     * Wrap a handler error as an MCP tool error result
+     */
+    static toToolError(error) {
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: error && error.message ? error.message : String(error)
+                }
+            ],
+            isError: true
+        };
+    }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,600 @@
+/**
+ * MCP tool definitions shared by the stdio server, the shared server and the proxy
+ * Each tool maps an MCP-compliant name to the legacy JSON-RPC method that implements it
+ */
+
+const Task = require('../core/Task');
+
+module.exports = [
+    {
+        name: 'agent-register',
+        method: 'agent/register',
+        description: 'Register a new agent',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                capabilities: { type: 'object' },
+                forceUpdate: { type: 'boolean' }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'agent-status',
+        method: 'agent/status',
+        description: 'Get agent or system status',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'task-create',
+        method: 'task/create',
+        description: 'Create a new task. Break it down with task.subtasks (tasks that may have subtasks of their own), ' +
+            'or add it under an existing task with task.parent_task_id. A parent completes when all its subtasks ' +
+            'complete and is blocked while any of them is blocked',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                task: {
+                    type: 'object',
+                    properties: {
+                        parent_task_id: { type: 'string', minLength: 1 },
+                        subtasks: { type: 'array', items: { type: 'object' } }
+                    }
+                },
+                createdBy: { type: 'string' }
+            },
+            required: ['agentId', 'task']
+        }
+    },
+    {
+        name: 'task-get',
+        method: 'task/get',
+        description: 'Get tasks for an agent, optionally filtered by state. Use task-query for other filters, ' +
+            'sorting, paging and tasks of several agents',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                state: {
+                    type: 'string',
+                    enum: ['pending', 'active', 'completed'],
+                    description: 'Filter tasks by state (optional)'
+                },
+                tree: {
+                    type: 'boolean',
+                    description: 'Return tasks as subtask trees with rolled up progress (optional)'
+                }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'task-query',
+        method: 'task/query',
+        description: 'Find tasks across all agents (or agentIds) by status, priority, tags, creator, target agent, ' +
+            'dates and text, e.g. all high priority blocked tasks. Sorted by priority unless sortBy is given; pass ' +
+            'nextCursor back as cursor for the next page',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentIds: { type: 'array', items: { type: 'string', minLength: 1 } },
+                queue: { type: ['string', 'array'], items: { type: 'string', enum: ['pending', 'active', 'completed'] } },
+                status: {
+                    type: ['string', 'array'],
+                    items: { type: 'string', enum: ['pending', 'in_progress', 'review', 'completed', 'blocked', 'cancelled', 'failed'] }
+                },
+                priority: { type: ['string', 'array'], items: { type: 'string', enum: ['high', 'medium', 'low'] } },
+                tags: { type: 'array', items: { type: 'string' }, description: 'Tasks must have every tag' },
+                createdBy: { type: 'string' },
+                targetAgentId: { type: 'string' },
+                createdAfter: { type: 'string', description: 'ISO date' },
+                createdBefore: { type: 'string', description: 'ISO date' },
+                updatedAfter: { type: 'string', description: 'ISO date' },
+                updatedBefore: { type: 'string', description: 'ISO date' },
+                text: { type: 'string', description: 'Words that must all appear in the title, description or deliverables' },
+                sortBy: { type: 'string', enum: ['priority', 'created_at', 'updated_at', 'status', 'title'] },
+                order: { type: 'string', enum: ['asc', 'desc'] },
+                limit: { type: 'integer', minimum: 1, maximum: 200 },
+                cursor: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'task-request',
+        method: 'task/request',
+        description: 'Send task request between agents. Set taskRequest.deadline (ISO date) to control when ' +
+            'an unanswered request expires; the request is tracked as open until accepted, declined, answered or expired',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                fromAgentId: { type: 'string', minLength: 1 },
+                toAgentId: { type: 'string', minLength: 1 },
+                taskRequest: { type: 'object' }
+            },
+            required: ['fromAgentId', 'toAgentId', 'taskRequest']
+        }
+    },
+    {
+        name: 'task-accept',
+        method: 'task/accept',
+        description: 'Accept a task request received by an agent, sending the requester a TASK_RESPONSE',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                requestId: { type: 'string', minLength: 1 },
+                note: { type: 'string' }
+            },
+            required: ['agentId', 'requestId']
+        }
+    },
+    {
+        name: 'task-decline',
+        method: 'task/decline',
+        description: 'Decline a task request received by an agent, cancelling its copy of the task and telling the requester why',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                requestId: { type: 'string', minLength: 1 },
+                reason: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'requestId', 'reason']
+        }
+    },
+    {
+        name: 'task-respond',
+        method: 'task/respond',
+        description: 'Answer a task request with a response (description, deliverables, metadata) sent to the requester',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                requestId: { type: 'string', minLength: 1 },
+                response: {
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string' },
+                        deliverables: { type: 'array', items: { type: 'string' } },
+                        metadata: { type: 'object' }
+                    }
+                }
+            },
+            required: ['agentId', 'requestId']
+        }
+    },
+    {
+        name: 'task-update',
+        method: 'task/update',
+        description: 'Move a task through its lifecycle: pending → in_progress → review → completed, ' +
+            'or to blocked, failed or cancelled (reason required). Set status to pending to reopen a finished task.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                taskId: { type: 'string', minLength: 1 },
+                status: { type: 'string', enum: Task.STATUSES },
+                reason: { type: 'string', description: 'Why the task is blocked, failed or cancelled' },
+                deliverables: { type: 'array', items: { type: 'string' } },
+                actorId: { type: 'string', minLength: 1, description: 'Agent making the change (defaults to agentId)' }
+            },
+            required: ['agentId', 'taskId', 'status']
+        }
+    },
+    {
+        name: 'task-dependencies',
+        method: 'task/dependencies',
+        description: 'Show the dependency chain of a task across agents and which unfinished tasks are blocking it. ' +
+            'Dependencies are task IDs in the same agent or "<agentId>:<taskId>" for another agent\'s task',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                taskId: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'taskId']
+        }
+    },
+    {
+        name: 'task-history',
+        method: 'task/history',
+        description: 'Get the audit trail of a task: who changed what and when, oldest first',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                taskId: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'taskId']
+        }
+    },
+    {
+        name: 'relationship-add',
+        method: 'relationship/add',
+        description: 'Add agent relationship',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                targetAgentId: { type: 'string', minLength: 1 },
+                relationshipType: {
+                    type: 'string',
+                    enum: ['consumer', 'producer', 'bidirectional', 'optional']
+                },
+                tags: {
+                    type: 'array',
+                    items: { type: 'string', minLength: 1 },
+                    description: 'Group names for the relationship, used as message-broadcast targets'
+                }
+            },
+            required: ['agentId', 'targetAgentId', 'relationshipType']
+        }
+    },
+    {
+        name: 'context-get',
+        method: 'context/get',
+        description: 'Read the agent\'s context.md, or only one "## " section of it. Without a section the ' +
+            'result also lists the section titles; maxChars trims it to fit, leaving out the oldest activity entries first',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                section: { type: 'string', minLength: 1, description: 'Section title, e.g. Known Issues' },
+                maxChars: { type: 'integer', minimum: 100, description: 'Character budget for the whole context' }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'context-update',
+        method: 'context/update',
+        description: 'Replace the whole agent context. Prefer context-section-update or context-append, ' +
+            'which leave the other sections untouched. Every write is kept in the context history',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                context: { type: 'string', minLength: 1 },
+                reason: { type: 'string', description: 'Why the context changed, shown in context-history' }
+            },
+            required: ['agentId', 'context']
+        }
+    },
+    {
+        name: 'context-append',
+        method: 'context/append',
+        description: 'Append to the agent\'s context: to the end of a "## " section (created if missing), ' +
+            'or under a new timestamped section when no section is given',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                content: { type: 'string', minLength: 1 },
+                section: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'content']
+        }
+    },
+    {
+        name: 'context-section-update',
+        method: 'context/section-update',
+        description: 'Replace one "## " section of the agent\'s context (created if missing), leaving the others ' +
+            'untouched. "## " headings in content are nested one level down',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                section: { type: 'string', minLength: 1 },
+                content: { type: 'string' }
+            },
+            required: ['agentId', 'section', 'content']
+        }
+    },
+    {
+        name: 'context-history',
+        method: 'context/history',
+        description: 'List the recorded versions of the agent\'s context (version, timestamp, reason, size), oldest first. ' +
+            'Every context write adds a version',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                limit: { type: 'integer', minimum: 1, description: 'Only the most recent versions' }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'context-diff',
+        method: 'context/diff',
+        description: 'Show a unified line diff between two versions of the agent\'s context. By default the latest ' +
+            'version is compared with the one before it',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                fromVersion: { type: 'integer', minimum: 1 },
+                toVersion: { type: 'integer', minimum: 1 }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'context-restore',
+        method: 'context/restore',
+        description: 'Roll the agent\'s context back to an earlier version. The restored content is recorded as a ' +
+            'new version, so a restore can be undone',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                version: { type: 'integer', minimum: 1 }
+            },
+            required: ['agentId', 'version']
+        }
+    },
+    {
+        name: 'context-budget',
+        method: 'context/budget',
+        description: 'Set the agent\'s context size budget in characters. When the context grows past it, the ' +
+            'oldest timestamped activity entries move to context.archive.md; other sections are kept',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                maxChars: { type: 'integer', minimum: 1000 }
+            },
+            required: ['agentId', 'maxChars']
+        }
+    },
+    {
+        name: 'context-share',
+        method: 'context/share',
+        description: 'Choose which relationships a "## " section of the agent\'s context is shared with by context-sync: ' +
+            'consumers, producers, bidirectional, optional, related (any) or tag:<name>. An empty list stops sharing it',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                section: { type: 'string', minLength: 1, description: 'Section title, e.g. API Contracts' },
+                audiences: { type: 'array', items: { type: 'string', minLength: 1 } }
+            },
+            required: ['agentId', 'section', 'audiences']
+        }
+    },
+    {
+        name: 'context-sync',
+        method: 'context/sync',
+        description: 'Send the agent\'s shared context sections, with version stamps, to the agents they are shared with. ' +
+            'Receivers keep them in a "Shared from <agent>" section that each sync updates in place',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                targetAgentId: { type: 'string', minLength: 1 },
+                sections: { type: 'array', items: { type: 'string', minLength: 1 } }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'message-send',
+        method: 'message/send',
+        description: 'Send message between agents. messageData must match the schema the receiving agent lists for ' +
+            'messageType (see message-type-list). Set replyTo to a message ID to reply in its thread, ' +
+            'or threadId to add the message to an existing thread',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                fromAgentId: { type: 'string', minLength: 1 },
+                toAgentId: { type: 'string', minLength: 1 },
+                messageType: { type: 'string', minLength: 1 },
+                messageData: { type: 'object' },
+                threadId: { type: 'string', minLength: 1 },
+                replyTo: { type: 'string', minLength: 1 }
+            },
+            required: ['fromAgentId', 'toAgentId', 'messageType']
+        }
+    },
+    {
+        name: 'message-broadcast',
+        method: 'message/broadcast',
+        description: 'Send one message to a group of agents: the sender\'s active consumers, producers or ' +
+            'bidirectional relationships, relationships with a tag, or all registered agents. ' +
+            'Each recipient validates messageData against its own schema; delivery status is reported per recipient',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                fromAgentId: { type: 'string', minLength: 1 },
+                target: { type: 'string', enum: ['consumers', 'producers', 'bidirectional', 'tag', 'all'] },
+                tag: { type: 'string', minLength: 1, description: 'Relationship tag, required when target is tag' },
+                messageType: { type: 'string', minLength: 1 },
+                messageData: { type: 'object' },
+                threadId: { type: 'string', minLength: 1 }
+            },
+            required: ['fromAgentId', 'target', 'messageType']
+        }
+    },
+    {
+        name: 'topic-subscribe',
+        method: 'topic/subscribe',
+        description: 'Subscribe an agent to a topic (e.g. schema-changes), creating it if needed. ' +
+            'The topic\'s last published message is sent to the new subscriber right away',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                topic: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'topic']
+        }
+    },
+    {
+        name: 'topic-unsubscribe',
+        method: 'topic/unsubscribe',
+        description: 'Unsubscribe an agent from a topic',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                topic: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId', 'topic']
+        }
+    },
+    {
+        name: 'topic-publish',
+        method: 'topic/publish',
+        description: 'Publish a message to a topic. Every subscriber gets a copy in its inbox (validated against ' +
+            'its own schema for messageType) and the message is retained for agents that subscribe later',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                fromAgentId: { type: 'string', minLength: 1 },
+                topic: { type: 'string', minLength: 1 },
+                messageType: { type: 'string', minLength: 1 },
+                messageData: { type: 'object' }
+            },
+            required: ['fromAgentId', 'topic', 'messageType']
+        }
+    },
+    {
+        name: 'message-type-list',
+        method: 'message-type/list',
+        description: 'List the message types an agent accepts, with the JSON Schema for each type\'s messageData',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'message-type-register',
+        method: 'message-type/register',
+        description: 'Register a custom message type an agent accepts, with a JSON Schema (type "object") for its messageData',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                messageType: { type: 'string', minLength: 1 },
+                schema: { type: 'object' },
+                description: { type: 'string' }
+            },
+            required: ['agentId', 'messageType', 'schema']
+        }
+    },
+    {
+        name: 'thread-get',
+        method: 'thread/get',
+        description: 'Get a conversation thread across agents: its messages in order, with the status changes ' +
+            'of tasks in the thread interleaved',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                threadId: { type: 'string', minLength: 1 }
+            },
+            required: ['threadId']
+        }
+    },
+    {
+        name: 'message-list',
+        method: 'message/list',
+        description: 'List messages in an agent\'s inbox, oldest first. Filter by type, sender, unread or thread; ' +
+            'set box to processed, outgoing or dead-letter to see acknowledged, sent or failed messages',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                box: { type: 'string', enum: ['incoming', 'processed', 'outgoing', 'dead-letter'] },
+                type: { type: 'string', minLength: 1 },
+                fromAgentId: { type: 'string', minLength: 1 },
+                unread: { type: 'boolean' },
+                threadId: { type: 'string', minLength: 1 },
+                limit: { type: 'integer', minimum: 1 }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'message-get',
+        method: 'message/get',
+        description: 'Read a message in full; incoming messages are marked as read',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                messageId: { type: 'string', minLength: 1 },
+                markRead: { type: 'boolean' }
+            },
+            required: ['agentId', 'messageId']
+        }
+    },
+    {
+        name: 'message-ack',
+        method: 'message/ack',
+        description: 'Acknowledge incoming messages once dealt with, moving them to processed',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                messageIds: { type: 'array', items: { type: 'string', minLength: 1 } }
+            },
+            required: ['agentId', 'messageIds']
+        }
+    },
+    {
+        name: 'dead-letter-list',
+        method: 'dead-letter/list',
+        description: 'List messages whose handler kept failing and were moved to the agent\'s dead-letter box, ' +
+            'with their delivery attempts and last error',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'dead-letter-replay',
+        method: 'dead-letter/replay',
+        description: 'Move dead-lettered messages back to the inbox for another round of delivery attempts; ' +
+            'replays all of them when messageIds is omitted',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                messageIds: { type: 'array', items: { type: 'string', minLength: 1 } }
+            },
+            required: ['agentId']
+        }
+    },
+    {
+        name: 'search',
+        method: 'search/query',
+        description: 'Search every agent\'s context sections, tasks (title, description, deliverables) and received ' +
+            'messages, e.g. to find which agent knows about the users table. Results are ranked best first',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1 },
+                agentId: { type: 'string', minLength: 1, description: 'Only this agent\'s data (and messages it sent)' },
+                type: { type: 'string', enum: ['context', 'task', 'message'] },
+                tag: { type: 'string', minLength: 1, description: 'Task tag or message topic' },
+                since: { type: 'string', description: 'ISO date, e.g. 2024-05-01' },
+                until: { type: 'string', description: 'ISO date' },
+                limit: { type: 'integer', minimum: 1, maximum: 100 }
+            },
+            required: ['query']
+        }
+    }
+];
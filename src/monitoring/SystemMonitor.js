@@ -5,6 +5,11 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const AtomicFile = require('../storage/AtomicFile');
+const DependencyGraph = require('../core/DependencyGraph');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('SystemMonitor');
 
 class SystemMonitor {
     constructor(agentCommunicationSystem) {
@@ -16,7 +21,8 @@ class SystemMonitor {
             systemStartTime: null,
             totalMessages: 0,
             totalTasks: 0,
-            agentMetrics: new Map()
+            agentMetrics: new Map(),
+            deadlocks: []
         };
     }
 
@@ -35,7 +41,7 @@ class SystemMonitor {
             this.collectMetrics();
         }, this.monitorIntervalMs);
 
-        console.log('System monitoring started');
+        logger.info('System monitoring started');
     }
 
     /**
@@ -52,7 +58,7 @@ class SystemMonitor {
             this.monitoringInterval = null;
         }
 
-        console.log('System monitoring stopped');
+        logger.info('System monitoring stopped');
     }
 
     /**
@@ -67,9 +73,42 @@ class SystemMonitor {
             }
 
             await this.updateSystemMetrics();
+            await this.checkDeadlocks();
         } catch (error) {
-            console.error('Error collecting metrics:', error);
+            logger.error('Error collecting metrics:', error);
+        }
+    }
+
+    /**
+     * Find sets of open tasks, across all agents, that wait on each other and can never start
+     */
+    async detectDeadlocks() {
+        const graph = await DependencyGraph.forTasks(this.system.storage, { openOnly: true });
+
+        return graph.findCycles().map(cycle => {
+            const tasks = cycle.map(ref => ({ ref, ...graph.nodes.get(ref) }));
+            return {
+                tasks,
+                agents: [...new Set(tasks.map(task => task.agentId))]
+            };
+        });
+    }
+
+    /**
+     * Record current deadlocks, logging any that were not seen on the previous check
+     */
+    async checkDeadlocks() {
+        const previous = new Set(this.metrics.deadlocks.map(deadlock => deadlock.tasks.map(t => t.ref).join(',')));
+        const deadlocks = await this.detectDeadlocks();
+
+        for (const deadlock of deadlocks) {
+            if (!previous.has(deadlock.tasks.map(t => t.ref).join(','))) {
+                logger.warn(`Deadlock between agents ${deadlock.agents.join(', ')}: ${deadlock.tasks.map(t => t.ref).join(' → ')}`);
+            }
         }
+
+        this.metrics.deadlocks = deadlocks;
+        return deadlocks;
     }
 
     /**
@@ -99,7 +138,7 @@ class SystemMonitor {
 
             this.metrics.agentMetrics.set(agentId, metrics);
         } catch (error) {
-            console.error(`Error collecting metrics for agent ${agent.agentId}:`, error);
+            logger.error(`Error collecting metrics for agent ${agent.agentId}:`, error);
         }
     }
 
@@ -114,21 +153,16 @@ class SystemMonitor {
         };
 
         try {
-            // Check if agent files exist and are accessible
-            await fs.access(agent.contextPath);
-            await fs.access(agent.activeTasksPath);
-            await fs.access(agent.pendingTasksPath);
-            await fs.access(agent.completedTasksPath);
-            await fs.access(agent.relationshipsPath);
-            await fs.access(agent.mcpConfigPath);
-
-            // Check if directories exist
-            await fs.access(agent.incomingRequestsPath);
-            await fs.access(agent.outgoingRequestsPath);
+            // Check that the agent's stored data exists and is accessible
+            const missing = await agent.storage.verifyAgent(agent.agentId);
+            if (missing.length > 0) {
+                health.status = 'unhealthy';
+                health.issues.push(...missing);
+            }
 
         } catch (error) {
             health.status = 'unhealthy';
-            health.issues.push(`File system access error: ${error.message}`);
+            health.issues.push(`Storage access error: ${error.message}`);
         }
 
         // Check for blocked tasks
@@ -161,26 +195,11 @@ class SystemMonitor {
         };
 
         try {
-            // Count incoming messages
-            const incomingFiles = await fs.readdir(agent.incomingRequestsPath);
-            stats.incoming = incomingFiles.filter(file => file.endsWith('.json')).length;
-
-            // Count processed messages
-            const processedDir = path.join(agent.incomingRequestsPath, 'processed');
-            try {
-                const processedFiles = await fs.readdir(processedDir);
-                stats.processed = processedFiles.filter(file => file.endsWith('.json')).length;
-            } catch (error) {
-                // Processed directory might not exist yet
-                stats.processed = 0;
+            for (const box of Object.keys(stats)) {
+                stats[box] = (await agent.storage.listMessages(agent.agentId, box)).length;
             }
-
-            // Count outgoing messages
-            const outgoingFiles = await fs.readdir(agent.outgoingRequestsPath);
-            stats.outgoing = outgoingFiles.filter(file => file.endsWith('.json')).length;
-
         } catch (error) {
-            console.error(`Error getting message stats for agent ${agent.agentId}:`, error);
+            logger.error(`Error getting message stats for agent ${agent.agentId}:`, error);
         }
 
         return stats;
@@ -237,6 +256,7 @@ class SystemMonitor {
             },
             totalTasks: this.metrics.totalTasks,
             totalMessages: this.metrics.totalMessages,
+            deadlocks: this.metrics.deadlocks,
             agents: agents
         };
     }
@@ -290,6 +310,7 @@ class SystemMonitor {
             },
             healthSummary: status.agentHealth,
             performance: performance,
+            deadlocks: status.deadlocks,
             agentDetails: status.agents.map(agent => ({
                 agentId: agent.agentId,
                 health: agent.health.status,
@@ -319,6 +340,15 @@ class SystemMonitor {
             });
         }
 
+        // Check for tasks that wait on each other
+        if (status.deadlocks.length > 0) {
+            recommendations.push({
+                type: 'critical',
+                message: `${status.deadlocks.length} set(s) of tasks are deadlocked on each other's dependencies; remove a dependency or cancel a task to break each cycle`,
+                agents: [...new Set(status.deadlocks.flatMap(deadlock => deadlock.agents))]
+            });
+        }
+
         // Check for agents with many blocked tasks
         const agentsWithBlockedTasks = status.agents.filter(a => 
             a.health.issues.some(issue => issue.includes('blocked tasks'))
@@ -357,9 +387,9 @@ class SystemMonitor {
         await fs.mkdir(reportsDir, { recursive: true });
         
         const reportPath = path.join(reportsDir, filename);
-        await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+        await AtomicFile.writeJson(reportPath, report);
         
-        console.log(`Monitoring report saved to ${reportPath}`);
+        logger.info(`Monitoring report saved to ${reportPath}`);
         return reportPath;
     }
 }
@@ -5,6 +5,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const AtomicFile = require('../storage/AtomicFile');
+const { getStorageBackend } = require('../storage');
 
 class MonitorDaemon {
     constructor() {
@@ -12,6 +14,7 @@ class MonitorDaemon {
         this.monitorInterval = null;
         this.intervalMs = parseInt(process.env.MCP_MONITOR_INTERVAL) || 5000;
         this.agentsPath = './agents';
+        this.storage = getStorageBackend({ basePath: this.agentsPath });
         this.reportsPath = './reports';
         this.logsPath = './logs';
     }
@@ -130,27 +133,16 @@ class MonitorDaemon {
     }
 
     /**
-     * Get list of agent directories
+     * Get list of stored agents
      */
     async getAgentDirectories() {
-        try {
-            const entries = await fs.readdir(this.agentsPath, { withFileTypes: true });
-            return entries
-                .filter(entry => entry.isDirectory())
-                .map(entry => entry.name);
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return [];
-            }
-            throw error;
-        }
+        return this.storage.listAgents();
     }
 
     /**
      * Monitor a specific agent
      */
     async monitorAgent(agentId) {
-        const agentPath = path.join(this.agentsPath, agentId);
         const agentReport = {
             agentId,
             timestamp: new Date().toISOString(),
@@ -161,37 +153,15 @@ class MonitorDaemon {
         };
 
         try {
-            // Check agent files
-            const requiredFiles = [
-                'context.md',
-                'relationships.json',
-                'mcp_config.json',
-                'tasks/active.json',
-                'tasks/pending.json',
-                'tasks/completed.json'
-            ];
-
-            for (const file of requiredFiles) {
-                const filePath = path.join(agentPath, file);
-                try {
-                    await fs.access(filePath);
-                } catch (error) {
-                    agentReport.issues.push(`Missing file: ${file}`);
-                }
-            }
+            // Check agent data
+            const missing = await this.storage.verifyAgent(agentId);
+            agentReport.issues.push(...missing);
 
             // Count tasks
             try {
-                const taskFiles = ['tasks/active.json', 'tasks/pending.json', 'tasks/completed.json'];
-                for (const taskFile of taskFiles) {
-                    const filePath = path.join(agentPath, taskFile);
-                    try {
-                        const content = await fs.readFile(filePath, 'utf8');
-                        const tasks = JSON.parse(content);
-                        agentReport.totalTasks += Array.isArray(tasks) ? tasks.length : 0;
-                    } catch (error) {
-                        // File might not exist or be invalid JSON
-                    }
+                for (const queue of ['active', 'pending', 'completed']) {
+                    const tasks = await this.storage.getTasks(agentId, queue);
+                    agentReport.totalTasks += Array.isArray(tasks) ? tasks.length : 0;
                 }
             } catch (error) {
                 agentReport.issues.push(`Error counting tasks: ${error.message}`);
@@ -199,16 +169,8 @@ class MonitorDaemon {
 
             // Count messages
             try {
-                const messagesDirs = ['tasks/requests/incoming', 'tasks/requests/outgoing'];
-                for (const messagesDir of messagesDirs) {
-                    const dirPath = path.join(agentPath, messagesDir);
-                    try {
-                        const files = await fs.readdir(dirPath);
-                        const jsonFiles = files.filter(file => file.endsWith('.json'));
-                        agentReport.totalMessages += jsonFiles.length;
-                    } catch (error) {
-                        // Directory might not exist
-                    }
+                for (const box of ['incoming', 'outgoing']) {
+                    agentReport.totalMessages += (await this.storage.listMessages(agentId, box)).length;
                 }
             } catch (error) {
                 agentReport.issues.push(`Error counting messages: ${error.message}`);
@@ -234,11 +196,11 @@ class MonitorDaemon {
             const filename = `monitor-report-${timestamp}.json`;
             const reportPath = path.join(this.reportsPath, filename);
             
-            await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+            await AtomicFile.writeJson(reportPath, report);
             
             // Also save as latest report
             const latestPath = path.join(this.reportsPath, 'latest-monitor-report.json');
-            await fs.writeFile(latestPath, JSON.stringify(report, null, 2), 'utf8');
+            await AtomicFile.writeJson(latestPath, report);
             
         } catch (error) {
             console.error('Error saving monitoring report:', error);
@@ -0,0 +1,91 @@
+/**
+ * In-process keyed mutex
+ * Queues callers per key and is re-entrant within the same async call chain.
+ * An optional acquire function adds an outer lock (e.g. a lockfile) once the
+ * caller reaches the front of the in-process queue.
+ * Waiting in the queue gives up after timeoutMs so a holder that never
+ * finishes surfaces as an error instead of hanging every later caller.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const heldLocks = new AsyncLocalStorage();
+const queues = new Map();
+
+const DEFAULT_TIMEOUT_MS = 30000; // Give up waiting for the in-process queue after this long
+
+class AsyncLock {
+    /**
+     * Run fn while holding the lock for key
+     * acquire, if given, is awaited after queueing and must return an async release function
+     * options.timeoutMs: how long to wait for earlier callers before throwing
+     */
+    static async withLock(key, fn, acquire = null, options = {}) {
+        const held = heldLocks.getStore();
+
+        // Re-entrant: the current async chain already holds this lock
+        if (held && held.has(key)) {
+            return fn();
+        }
+
+        // Queue behind other callers in this process
+        const previous = queues.get(key) || Promise.resolve();
+        let leaveQueue;
+        const turn = new Promise(resolve => { leaveQueue = resolve; });
+        const tail = previous.then(() => turn);
+        queues.set(key, tail);
+
+        try {
+            await AsyncLock.waitForTurn(key, previous, options.timeoutMs || DEFAULT_TIMEOUT_MS);
+        } catch (error) {
+            // Let later callers keep waiting on the holder, not on us
+            leaveQueue();
+            tail.then(() => {
+                if (queues.get(key) === tail) {
+                    queues.delete(key);
+                }
+            });
+            throw error;
+        }
+
+        try {
+            const release = acquire ? await acquire() : null;
+            try {
+                const nowHeld = new Set(held || []);
+                nowHeld.add(key);
+                return await heldLocks.run(nowHeld, fn);
+            } finally {
+                if (release) {
+                    await release();
+                }
+            }
+        } finally {
+            leaveQueue();
+            if (queues.get(key) === tail) {
+                queues.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Resolve once previous settles, rejecting if that takes longer than timeoutMs
+     */
+    static async waitForTurn(key, previous, timeoutMs) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(
+                `Timed out after ${timeoutMs}ms waiting for lock ${key}; it is still held by an earlier caller in this process`
+            )), timeoutMs);
+        });
+
+        try {
+            await Promise.race([previous, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+AsyncLock.DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MS;
+
+module.exports = AsyncLock;
@@ -0,0 +1,72 @@
+/**
+ * Atomic file writes for agent data
+ * Content is written to a temp file in the same directory and renamed over the
+ * target, so readers never observe a half-written file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const FileLock = require('./FileLock');
+
+class AtomicFile {
+    /**
+     * Write a file atomically via temp-file-and-rename
+     */
+    static async writeFile(filePath, content) {
+        const tempPath = path.join(
+            path.dirname(filePath),
+            `.${path.basename(filePath)}.${process.pid}.${uuidv4()}.tmp`
+        );
+
+        try {
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            try {
+                await fs.unlink(tempPath);
+            } catch {
+                // Temp file might not have been created
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write JSON atomically using the repository's 2-space formatting
+     */
+    static async writeJson(filePath, data) {
+        await AtomicFile.writeFile(filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Read and parse a JSON file, returning defaultValue if it does not exist
+     */
+    static async readJson(filePath, defaultValue = null) {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return defaultValue;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read-modify-write a JSON file under a lock
+     * The mutator may modify the value in place or return a replacement
+     */
+    static async updateJson(filePath, defaultValue, mutator, lockPath) {
+        return FileLock.withLock(lockPath || `${filePath}.lock`, async () => {
+            const current = await AtomicFile.readJson(filePath, defaultValue);
+            const returned = await mutator(current);
+            const next = returned === undefined ? current : returned;
+            await AtomicFile.writeJson(filePath, next);
+            return next;
+        });
+    }
+}
+
+module.exports = AtomicFile;
@@ -0,0 +1,130 @@
+/**
+ * Cross-process advisory file lock
+ * Uses exclusive lockfile creation (O_EXCL) with stale-lock recovery, behind an
+ * in-process AsyncLock so callers in the same process wait without polling.
+ * Locks are re-entrant within the same async call chain.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AsyncLock = require('./AsyncLock');
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: 10000, // Give up acquiring after this long
+    staleMs: 30000, // Treat locks not refreshed for this long as abandoned
+    retryMs: 20 // Base delay between acquisition attempts
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class FileLock {
+    /**
+     * Run fn while holding the lock at lockPath
+     */
+    static async withLock(lockPath, fn, options = {}) {
+        const key = path.resolve(lockPath);
+        return AsyncLock.withLock(key, fn, () => FileLock.acquire(key, options), options);
+    }
+
+    /**
+     * Acquire the lockfile, returning an async release function
+     * The lockfile's mtime is refreshed while it is held, so a lock held longer than staleMs
+     * (e.g. while message handlers run) is not taken for abandoned by other processes
+     */
+    static async acquire(lockPath, options = {}) {
+        const { timeoutMs, staleMs, retryMs } = { ...DEFAULT_OPTIONS, ...options };
+        const startedAt = Date.now();
+
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+        while (true) {
+            try {
+                const handle = await fs.open(lockPath, 'wx');
+                try {
+                    await handle.writeFile(JSON.stringify({
+                        pid: process.pid,
+                        hostname: os.hostname(),
+                        acquiredAt: new Date().toISOString()
+                    }), 'utf8');
+                } finally {
+                    await handle.close();
+                }
+
+                const heartbeat = setInterval(() => {
+                    const now = new Date();
+                    fs.utimes(lockPath, now, now).catch(() => {});
+                }, Math.max(1, Math.floor(staleMs / 3)));
+                heartbeat.unref();
+
+                return async () => {
+                    clearInterval(heartbeat);
+                    try {
+                        await fs.unlink(lockPath);
+                    } catch {
+                        // Lock might have been recovered as stale by another process
+                    }
+                };
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            if (await FileLock.isStale(lockPath, staleMs)) {
+                try {
+                    await fs.unlink(lockPath);
+                } catch {
+                    // Another process recovered it first
+                }
+                continue;
+            }
+
+            if (Date.now() - startedAt > timeoutMs) {
+                throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+            }
+
+            await sleep(retryMs + Math.floor(Math.random() * retryMs));
+        }
+    }
+
+    /**
+     * Check whether an existing lockfile was abandoned
+     * A lock is stale if its owner process on this host is gone, or if it was last refreshed more than staleMs ago
+     */
+    static async isStale(lockPath, staleMs = DEFAULT_OPTIONS.staleMs) {
+        let stats;
+        try {
+            stats = await fs.stat(lockPath);
+        } catch {
+            return false; // Lock was released in the meantime
+        }
+
+        try {
+            const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+            if (owner.hostname === os.hostname() && owner.pid && !FileLock.isProcessAlive(owner.pid)) {
+                return true;
+            }
+        } catch {
+            // Lockfile still being written or unreadable; fall back to age
+        }
+
+        return Date.now() - stats.mtimeMs > staleMs;
+    }
+
+    /**
+     * Check whether a process with the given pid exists
+     */
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+FileLock.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = FileLock;
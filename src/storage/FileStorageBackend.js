@@ -0,0 +1,470 @@
+/**
+ * File-based StorageBackend using the standard agent directory layout:
+ *
+ *   <basePath>/<agentId>/context.md
+ *   <basePath>/<agentId>/context.history/{index.jsonl,<version>.md}
+ *   <basePath>/<agentId>/context.archive.md
+ *   <basePath>/<agentId>/relationships.json
+ *   <basePath>/<agentId>/mcp_config.json
+ *   <basePath>/<agentId>/tasks/{pending,active,completed}.json
+ *   <basePath>/<agentId>/tasks/history/<taskId>.jsonl
+ *   <basePath>/<agentId>/tasks/requests/{incoming,outgoing}/<messageId>.json
+ *   <basePath>/<agentId>/tasks/requests/incoming/processed/<messageId>.json
+ *   <basePath>/<agentId>/tasks/requests/dead-letter/<messageId>.json
+ *   <basePath>/.topics/<topic>.json
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const chokidar = require('chokidar');
+const StorageBackend = require('./StorageBackend');
+const AtomicFile = require('./AtomicFile');
+const FileLock = require('./FileLock');
+const { createLogger } = require('../logging/Logger');
+
+const logger = createLogger('FileStorageBackend');
+
+class FileStorageBackend extends StorageBackend {
+    constructor(options = {}) {
+        super('file');
+        this.basePath = options.basePath || './agents';
+        this.topicsPath = path.join(this.basePath, '.topics');
+        this.events = new EventEmitter(); // Changes made through this instance, ahead of the file watcher
+    }
+
+    /**
+     * Resolve every path used for an agent
+     */
+    getPaths(agentId) {
+        const agentPath = path.join(this.basePath, agentId);
+        const tasksPath = path.join(agentPath, 'tasks');
+        const incomingPath = path.join(tasksPath, 'requests', 'incoming');
+
+        return {
+            agentPath,
+            lockPath: path.join(agentPath, '.lock'),
+            contextPath: path.join(agentPath, 'context.md'),
+            contextHistoryPath: path.join(agentPath, 'context.history'),
+            contextArchivePath: path.join(agentPath, 'context.archive.md'),
+            relationshipsPath: path.join(agentPath, 'relationships.json'),
+            mcpConfigPath: path.join(agentPath, 'mcp_config.json'),
+            tasksPath,
+            historyPath: path.join(tasksPath, 'history'),
+            queues: {
+                pending: path.join(tasksPath, 'pending.json'),
+                active: path.join(tasksPath, 'active.json'),
+                completed: path.join(tasksPath, 'completed.json')
+            },
+            boxes: {
+                incoming: incomingPath,
+                outgoing: path.join(tasksPath, 'requests', 'outgoing'),
+                processed: path.join(incomingPath, 'processed'),
+                'dead-letter': path.join(tasksPath, 'requests', 'dead-letter')
+            }
+        };
+    }
+
+    /**
+     * Check if a file exists
+     */
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async initializeAgent(agentId, defaults = {}) {
+        const paths = this.getPaths(agentId);
+
+        // Create directory structure (safe to call even if exists)
+        for (const dir of [paths.agentPath, paths.tasksPath, paths.boxes.incoming, paths.boxes.outgoing]) {
+            await fs.mkdir(dir, { recursive: true });
+        }
+
+        await this.withAgentLock(agentId, async () => {
+            if (defaults.context !== undefined && !await this.fileExists(paths.contextPath)) {
+                await AtomicFile.writeFile(paths.contextPath, defaults.context);
+            }
+
+            for (const queue of StorageBackend.TASK_QUEUES) {
+                if (!await this.fileExists(paths.queues[queue])) {
+                    await AtomicFile.writeJson(paths.queues[queue], []);
+                }
+            }
+
+            if (!await this.fileExists(paths.relationshipsPath)) {
+                await AtomicFile.writeJson(paths.relationshipsPath, defaults.relationships || StorageBackend.defaultRelationships());
+            }
+
+            if (defaults.mcpConfig !== undefined && !await this.fileExists(paths.mcpConfigPath)) {
+                await AtomicFile.writeJson(paths.mcpConfigPath, defaults.mcpConfig);
+            }
+        });
+        this.events.emit('change', agentId, null);
+    }
+
+    async agentExists(agentId) {
+        return this.fileExists(this.getPaths(agentId).agentPath);
+    }
+
+    async listAgents() {
+        try {
+            const entries = await fs.readdir(this.basePath, { withFileTypes: true });
+            // Dot directories (e.g. .topics) hold shared data, not agents
+            return entries
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+                .map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Report missing files for an agent (used by health checks)
+     */
+    async verifyAgent(agentId) {
+        const paths = this.getPaths(agentId);
+        const required = [
+            paths.contextPath,
+            paths.relationshipsPath,
+            paths.mcpConfigPath,
+            ...Object.values(paths.queues),
+            paths.boxes.incoming,
+            paths.boxes.outgoing
+        ];
+
+        const issues = [];
+        for (const filePath of required) {
+            if (!await this.fileExists(filePath)) {
+                issues.push(`Missing: ${path.relative(paths.agentPath, filePath)}`);
+            }
+        }
+        return issues;
+    }
+
+    async withAgentLock(agentId, fn) {
+        return FileLock.withLock(this.getPaths(agentId).lockPath, fn);
+    }
+
+    async getMcpConfig(agentId) {
+        return AtomicFile.readJson(this.getPaths(agentId).mcpConfigPath, null);
+    }
+
+    async saveMcpConfig(agentId, config) {
+        await this.withAgentLock(agentId, () => AtomicFile.writeJson(this.getPaths(agentId).mcpConfigPath, config));
+    }
+
+    async getTasks(agentId, queue) {
+        StorageBackend.assertQueue(queue);
+        return AtomicFile.readJson(this.getPaths(agentId).queues[queue], []);
+    }
+
+    async saveTasks(agentId, queue, tasks) {
+        StorageBackend.assertQueue(queue);
+        await this.withAgentLock(agentId, () => AtomicFile.writeJson(this.getPaths(agentId).queues[queue], tasks));
+        this.events.emit('change', agentId, 'tasks');
+    }
+
+    async appendTaskEvent(agentId, event) {
+        const { historyPath } = this.getPaths(agentId);
+        await fs.mkdir(historyPath, { recursive: true });
+        // One JSON line per event; appends never rewrite earlier entries
+        await fs.appendFile(path.join(historyPath, `${event.task_id}.jsonl`), JSON.stringify(event) + '\n', 'utf8');
+    }
+
+    async getTaskHistory(agentId, taskId) {
+        return this.readJsonLines(path.join(this.getPaths(agentId).historyPath, `${taskId}.jsonl`), `task ${taskId}`);
+    }
+
+    /**
+     * Read a JSON lines file, skipping malformed lines; a missing file has no entries
+     */
+    async readJsonLines(filePath, description) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                logger.error(`Skipping malformed history entry for ${description}:`, error);
+            }
+        }
+        return entries;
+    }
+
+    async getRelationships(agentId) {
+        return AtomicFile.readJson(this.getPaths(agentId).relationshipsPath, StorageBackend.defaultRelationships());
+    }
+
+    async saveRelationships(agentId, relationships) {
+        await this.withAgentLock(agentId, () => AtomicFile.writeJson(this.getPaths(agentId).relationshipsPath, relationships));
+    }
+
+    async readContext(agentId) {
+        return fs.readFile(this.getPaths(agentId).contextPath, 'utf8');
+    }
+
+    async writeContext(agentId, content) {
+        await this.withAgentLock(agentId, () => AtomicFile.writeFile(this.getPaths(agentId).contextPath, content));
+        this.events.emit('change', agentId, 'context');
+    }
+
+    async saveContextVersion(agentId, { content, ...entry }) {
+        const { contextHistoryPath } = this.getPaths(agentId);
+        await fs.mkdir(contextHistoryPath, { recursive: true });
+        // Content first, so every indexed version can be read back
+        await AtomicFile.writeFile(path.join(contextHistoryPath, `${entry.version}.md`), content);
+        await fs.appendFile(path.join(contextHistoryPath, 'index.jsonl'), JSON.stringify(entry) + '\n', 'utf8');
+    }
+
+    async listContextVersions(agentId) {
+        return this.readJsonLines(path.join(this.getPaths(agentId).contextHistoryPath, 'index.jsonl'), `context of agent ${agentId}`);
+    }
+
+    async getContextVersion(agentId, version) {
+        const entry = (await this.listContextVersions(agentId)).find(e => e.version === version);
+        if (!entry) {
+            return null;
+        }
+        const content = await fs.readFile(path.join(this.getPaths(agentId).contextHistoryPath, `${version}.md`), 'utf8');
+        return { ...entry, content };
+    }
+
+    async pruneContextVersions(agentId, keep) {
+        const { contextHistoryPath } = this.getPaths(agentId);
+        const entries = await this.listContextVersions(agentId);
+        if (entries.length <= keep) {
+            return 0;
+        }
+
+        // Index first, so no listed version is ever missing its content
+        const removed = entries.slice(0, entries.length - keep);
+        const kept = entries.slice(entries.length - keep);
+        await AtomicFile.writeFile(path.join(contextHistoryPath, 'index.jsonl'), kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+        for (const entry of removed) {
+            await fs.rm(path.join(contextHistoryPath, `${entry.version}.md`), { force: true });
+        }
+        return removed.length;
+    }
+
+    async appendContextArchive(agentId, content) {
+        await fs.appendFile(this.getPaths(agentId).contextArchivePath, content, 'utf8');
+    }
+
+    async readContextArchive(agentId) {
+        try {
+            return await fs.readFile(this.getPaths(agentId).contextArchivePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return '';
+            }
+            throw error;
+        }
+    }
+
+    async writeMessage(agentId, box, message) {
+        StorageBackend.assertBox(box);
+        const dir = this.getPaths(agentId).boxes[box];
+        await fs.mkdir(dir, { recursive: true });
+        await AtomicFile.writeJson(path.join(dir, `${message.id}.json`), message);
+        this.events.emit('change', agentId, 'messages');
+    }
+
+    async listMessages(agentId, box) {
+        StorageBackend.assertBox(box);
+        const dir = this.getPaths(agentId).boxes[box];
+
+        let files;
+        try {
+            files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const messages = [];
+        for (const file of files) {
+            try {
+                messages.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+            } catch (error) {
+                // Message may have been archived meanwhile, or is not valid JSON
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Error reading message file ${file} for agent ${agentId}:`, error);
+                }
+            }
+        }
+
+        return messages.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    }
+
+    async getMessage(agentId, box, messageId) {
+        StorageBackend.assertBox(box);
+        return AtomicFile.readJson(path.join(this.getPaths(agentId).boxes[box], `${messageId}.json`), null);
+    }
+
+    async moveMessage(agentId, fromBox, toBox, messageId) {
+        StorageBackend.assertBox(fromBox);
+        StorageBackend.assertBox(toBox);
+        const { boxes } = this.getPaths(agentId);
+
+        await fs.mkdir(boxes[toBox], { recursive: true });
+        try {
+            await fs.rename(path.join(boxes[fromBox], `${messageId}.json`), path.join(boxes[toBox], `${messageId}.json`));
+            this.events.emit('change', agentId, 'messages');
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async getTopic(name) {
+        return AtomicFile.readJson(path.join(this.topicsPath, `${name}.json`), null);
+    }
+
+    async saveTopic(topic) {
+        await fs.mkdir(this.topicsPath, { recursive: true });
+        await AtomicFile.writeJson(path.join(this.topicsPath, `${topic.name}.json`), topic);
+    }
+
+    async listTopics() {
+        let files;
+        try {
+            files = (await fs.readdir(this.topicsPath)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const topics = [];
+        for (const file of files.sort()) {
+            const topic = await this.getTopic(path.basename(file, '.json'));
+            if (topic) topics.push(topic);
+        }
+        return topics;
+    }
+
+    async withTopicLock(name, fn) {
+        return FileLock.withLock(path.join(this.topicsPath, `${name}.lock`), fn);
+    }
+
+    async watchMessages(agentId, onMessage, onError) {
+        const dir = this.getPaths(agentId).boxes.incoming;
+        await fs.mkdir(dir, { recursive: true });
+
+        // depth 0 keeps the nested processed/ box out of the watch
+        const watcher = chokidar.watch(dir, { depth: 0, ignoreInitial: true });
+        watcher.on('add', filePath => {
+            // Atomic writes rename hidden .tmp files into place, so only the final name counts
+            if (path.dirname(filePath) === dir && filePath.endsWith('.json')) {
+                onMessage(path.basename(filePath, '.json'));
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            watcher.once('ready', resolve);
+            watcher.once('error', reject);
+        }).catch(async error => {
+            await watcher.close();
+            throw error;
+        });
+
+        watcher.on('error', onError);
+        return () => watcher.close();
+    }
+
+    async watchAgents(onChange, onError) {
+        await fs.mkdir(this.basePath, { recursive: true });
+
+        // Locks, temp files of atomic writes and .topics/ are not agent data
+        const watcher = chokidar.watch(this.basePath, {
+            ignoreInitial: true,
+            ignored: filePath => path.basename(filePath).startsWith('.') && filePath !== this.basePath
+        });
+        const notify = filePath => {
+            const [agentId, ...rest] = path.relative(this.basePath, filePath).split(path.sep);
+            const area = FileStorageBackend.changedArea(rest);
+            if (agentId && area !== undefined) {
+                onChange(agentId, area);
+            }
+        };
+        watcher.on('add', notify);
+        watcher.on('change', notify);
+        watcher.on('unlink', notify);
+        watcher.on('addDir', notify);
+
+        await new Promise((resolve, reject) => {
+            watcher.once('ready', resolve);
+            watcher.once('error', reject);
+        }).catch(async error => {
+            await watcher.close();
+            throw error;
+        });
+
+        watcher.on('error', onError);
+
+        // Writes made in this process are reported right away; the watcher catches other processes
+        this.events.on('change', onChange);
+        return async () => {
+            this.events.off('change', onChange);
+            await watcher.close();
+        };
+    }
+
+    /**
+     * Map a path inside an agent's directory to the data area it holds:
+     * null for the directory itself, undefined for files that are not watched
+     */
+    static changedArea(parts) {
+        if (parts.length === 0) return null;
+        if (parts.length === 1 && parts[0] === 'context.md') return 'context';
+        if (parts[0] !== 'tasks') return undefined;
+        if (parts[1] === 'requests' && parts[parts.length - 1].endsWith('.json')) return 'messages';
+        if (parts.length === 2 && StorageBackend.TASK_QUEUES.includes(path.basename(parts[1], '.json'))) return 'tasks';
+        return undefined;
+    }
+
+    async archiveMessage(agentId, messageId) {
+        const { boxes } = this.getPaths(agentId);
+        const messagePath = path.join(boxes.incoming, `${messageId}.json`);
+
+        try {
+            await fs.mkdir(boxes.processed, { recursive: true });
+            await fs.rename(messagePath, path.join(boxes.processed, `${messageId}.json`));
+        } catch (error) {
+            logger.error(`Error archiving message ${messageId}:`, error);
+            // If archiving fails, just delete the original file
+            try {
+                await fs.unlink(messagePath);
+            } catch (deleteError) {
+                logger.error(`Error deleting message file:`, deleteError);
+            }
+        }
+        this.events.emit('change', agentId, 'messages');
+    }
+}
+
+module.exports = FileStorageBackend;
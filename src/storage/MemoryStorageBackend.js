@@ -0,0 +1,262 @@
+/**
+ * In-memory StorageBackend, intended for tests
+ * Values are deep-copied on the way in and out so callers cannot alias stored state.
+ */
+
+const EventEmitter = require('events');
+const StorageBackend = require('./StorageBackend');
+const AsyncLock = require('./AsyncLock');
+const { v4: uuidv4 } = require('uuid');
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class MemoryStorageBackend extends StorageBackend {
+    constructor() {
+        super('memory');
+        this.agents = new Map();
+        this.topics = new Map();
+        this.lockPrefix = `memory:${uuidv4()}:`; // Keep locks separate between instances
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    /**
+     * Get an agent's record, throwing if it was never initialized
+     */
+    getAgent(agentId) {
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            const error = new Error(`Agent ${agentId} not found in storage`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return agent;
+    }
+
+    async initializeAgent(agentId, defaults = {}) {
+        if (!this.agents.has(agentId)) {
+            this.agents.set(agentId, {
+                context: null,
+                contextHistory: [],
+                contextArchive: '',
+                mcpConfig: null,
+                relationships: null,
+                tasks: { pending: [], active: [], completed: [] },
+                history: new Map(),
+                boxes: { incoming: new Map(), outgoing: new Map(), processed: new Map(), 'dead-letter': new Map() }
+            });
+        }
+
+        const agent = this.agents.get(agentId);
+        this.events.emit('change', agentId, null);
+        if (agent.context === null && defaults.context !== undefined) {
+            agent.context = defaults.context;
+        }
+        if (agent.mcpConfig === null && defaults.mcpConfig !== undefined) {
+            agent.mcpConfig = clone(defaults.mcpConfig);
+        }
+        if (agent.relationships === null) {
+            agent.relationships = clone(defaults.relationships || StorageBackend.defaultRelationships());
+        }
+    }
+
+    async agentExists(agentId) {
+        return this.agents.has(agentId);
+    }
+
+    async listAgents() {
+        return Array.from(this.agents.keys());
+    }
+
+    async verifyAgent(agentId) {
+        if (!this.agents.has(agentId)) {
+            return ['Missing: agent record'];
+        }
+
+        const agent = this.agents.get(agentId);
+        const issues = [];
+        if (agent.context === null) issues.push('Missing: context');
+        if (agent.mcpConfig === null) issues.push('Missing: mcp config');
+        return issues;
+    }
+
+    async withAgentLock(agentId, fn) {
+        return AsyncLock.withLock(this.lockPrefix + agentId, fn);
+    }
+
+    async getMcpConfig(agentId) {
+        return this.agents.has(agentId) ? clone(this.agents.get(agentId).mcpConfig) : null;
+    }
+
+    async saveMcpConfig(agentId, config) {
+        this.getAgent(agentId).mcpConfig = clone(config);
+    }
+
+    async getTasks(agentId, queue) {
+        StorageBackend.assertQueue(queue);
+        return this.agents.has(agentId) ? clone(this.agents.get(agentId).tasks[queue]) : [];
+    }
+
+    async saveTasks(agentId, queue, tasks) {
+        StorageBackend.assertQueue(queue);
+        this.getAgent(agentId).tasks[queue] = clone(tasks);
+        this.events.emit('change', agentId, 'tasks');
+    }
+
+    async appendTaskEvent(agentId, event) {
+        const { history } = this.getAgent(agentId);
+        if (!history.has(event.task_id)) {
+            history.set(event.task_id, []);
+        }
+        history.get(event.task_id).push(clone(event));
+    }
+
+    async getTaskHistory(agentId, taskId) {
+        const agent = this.agents.get(agentId);
+        return agent ? clone(agent.history.get(taskId) || []) : [];
+    }
+
+    async getRelationships(agentId) {
+        const agent = this.agents.get(agentId);
+        return clone(agent && agent.relationships ? agent.relationships : StorageBackend.defaultRelationships());
+    }
+
+    async saveRelationships(agentId, relationships) {
+        this.getAgent(agentId).relationships = clone(relationships);
+    }
+
+    async readContext(agentId) {
+        const context = this.getAgent(agentId).context;
+        if (context === null) {
+            const error = new Error(`Context for agent ${agentId} not found`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return context;
+    }
+
+    async writeContext(agentId, content) {
+        this.getAgent(agentId).context = content;
+        this.events.emit('change', agentId, 'context');
+    }
+
+    async saveContextVersion(agentId, entry) {
+        this.getAgent(agentId).contextHistory.push(clone(entry));
+    }
+
+    async listContextVersions(agentId) {
+        const agent = this.agents.get(agentId);
+        return agent ? agent.contextHistory.map(({ content, ...entry }) => clone(entry)) : [];
+    }
+
+    async getContextVersion(agentId, version) {
+        const agent = this.agents.get(agentId);
+        const entry = agent && agent.contextHistory.find(e => e.version === version);
+        return entry ? clone(entry) : null;
+    }
+
+    async pruneContextVersions(agentId, keep) {
+        const agent = this.agents.get(agentId);
+        if (!agent || agent.contextHistory.length <= keep) {
+            return 0;
+        }
+        return agent.contextHistory.splice(0, agent.contextHistory.length - keep).length;
+    }
+
+    async appendContextArchive(agentId, content) {
+        this.getAgent(agentId).contextArchive += content;
+    }
+
+    async readContextArchive(agentId) {
+        const agent = this.agents.get(agentId);
+        return agent ? agent.contextArchive : '';
+    }
+
+    async writeMessage(agentId, box, message) {
+        StorageBackend.assertBox(box);
+        const { boxes } = this.getAgent(agentId);
+        const isNew = !boxes[box].has(message.id);
+        boxes[box].set(message.id, clone(message));
+        this.events.emit('change', agentId, 'messages');
+
+        if (box === 'incoming' && isNew) {
+            this.events.emit(`incoming:${agentId}`, message.id);
+        }
+    }
+
+    async listMessages(agentId, box) {
+        StorageBackend.assertBox(box);
+        if (!this.agents.has(agentId)) {
+            return [];
+        }
+
+        return Array.from(this.agents.get(agentId).boxes[box].values())
+            .map(clone)
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    }
+
+    async getMessage(agentId, box, messageId) {
+        StorageBackend.assertBox(box);
+        const agent = this.agents.get(agentId);
+        return agent && agent.boxes[box].has(messageId) ? clone(agent.boxes[box].get(messageId)) : null;
+    }
+
+    async moveMessage(agentId, fromBox, toBox, messageId) {
+        StorageBackend.assertBox(fromBox);
+        StorageBackend.assertBox(toBox);
+        const { boxes } = this.getAgent(agentId);
+        const message = boxes[fromBox].get(messageId);
+        if (!message) {
+            return false;
+        }
+
+        boxes[fromBox].delete(messageId);
+        boxes[toBox].set(messageId, message);
+        this.events.emit('change', agentId, 'messages');
+        if (toBox === 'incoming') {
+            this.events.emit(`incoming:${agentId}`, messageId);
+        }
+        return true;
+    }
+
+    async getTopic(name) {
+        return this.topics.has(name) ? clone(this.topics.get(name)) : null;
+    }
+
+    async saveTopic(topic) {
+        this.topics.set(topic.name, clone(topic));
+    }
+
+    async listTopics() {
+        return Array.from(this.topics.values())
+            .map(clone)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async withTopicLock(name, fn) {
+        return AsyncLock.withLock(`${this.lockPrefix}topic:${name}`, fn);
+    }
+
+    async watchMessages(agentId, onMessage) {
+        const event = `incoming:${agentId}`;
+        this.events.on(event, onMessage);
+        return () => this.events.off(event, onMessage);
+    }
+
+    async watchAgents(onChange) {
+        this.events.on('change', onChange);
+        return () => this.events.off('change', onChange);
+    }
+
+    async archiveMessage(agentId, messageId) {
+        const { boxes } = this.getAgent(agentId);
+        const message = boxes.incoming.get(messageId);
+        if (message) {
+            boxes.incoming.delete(messageId);
+            boxes.processed.set(messageId, message);
+            this.events.emit('change', agentId, 'messages');
+        }
+    }
+}
+
+module.exports = MemoryStorageBackend;
@@ -0,0 +1,315 @@
+/**
+ * Embedded SQLite StorageBackend for teams with many agents or thousands of tasks
+ * Requires the optional better-sqlite3 dependency.
+ * Agent mutations are serialized with the same cross-process lockfiles as the file backend.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageBackend = require('./StorageBackend');
+const AsyncLock = require('./AsyncLock');
+const FileLock = require('./FileLock');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS agents (
+        agent_id TEXT PRIMARY KEY,
+        context TEXT,
+        mcp_config TEXT,
+        relationships TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tasks (
+        agent_id TEXT NOT NULL,
+        queue TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        task_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (agent_id, queue, position)
+    );
+    CREATE INDEX IF NOT EXISTS tasks_by_id ON tasks (agent_id, task_id);
+    CREATE TABLE IF NOT EXISTS task_events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS task_events_by_task ON task_events (agent_id, task_id, seq);
+    CREATE TABLE IF NOT EXISTS context_versions (
+        agent_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        content TEXT NOT NULL,
+        PRIMARY KEY (agent_id, version)
+    );
+    CREATE TABLE IF NOT EXISTS context_archives (
+        agent_id TEXT PRIMARY KEY,
+        content TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+        agent_id TEXT NOT NULL,
+        box TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        timestamp TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (agent_id, box, message_id)
+    );
+    CREATE TABLE IF NOT EXISTS topics (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+`;
+
+/**
+ * Load better-sqlite3, explaining how to install it if missing
+ */
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage requires the optional dependency better-sqlite3 (npm install better-sqlite3)');
+    }
+}
+
+class SqliteStorageBackend extends StorageBackend {
+    constructor(options = {}) {
+        super('sqlite');
+        this.filename = options.filename || path.join(options.basePath || './agents', 'agents.db');
+
+        const Database = loadDriver();
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+    }
+
+    parse(value, fallback = null) {
+        return value === null || value === undefined ? fallback : JSON.parse(value);
+    }
+
+    getAgentRow(agentId) {
+        return this.db.prepare('SELECT * FROM agents WHERE agent_id = ?').get(agentId);
+    }
+
+    requireAgentRow(agentId) {
+        const row = this.getAgentRow(agentId);
+        if (!row) {
+            const error = new Error(`Agent ${agentId} not found in storage`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return row;
+    }
+
+    async initializeAgent(agentId, defaults = {}) {
+        await this.withAgentLock(agentId, async () => {
+            this.db.prepare(
+                'INSERT OR IGNORE INTO agents (agent_id, relationships, created_at) VALUES (?, ?, ?)'
+            ).run(agentId, JSON.stringify(defaults.relationships || StorageBackend.defaultRelationships()), new Date().toISOString());
+
+            if (defaults.context !== undefined) {
+                this.db.prepare('UPDATE agents SET context = ? WHERE agent_id = ? AND context IS NULL')
+                    .run(defaults.context, agentId);
+            }
+            if (defaults.mcpConfig !== undefined) {
+                this.db.prepare('UPDATE agents SET mcp_config = ? WHERE agent_id = ? AND mcp_config IS NULL')
+                    .run(JSON.stringify(defaults.mcpConfig), agentId);
+            }
+        });
+    }
+
+    async agentExists(agentId) {
+        return Boolean(this.getAgentRow(agentId));
+    }
+
+    async listAgents() {
+        return this.db.prepare('SELECT agent_id FROM agents ORDER BY agent_id').all().map(row => row.agent_id);
+    }
+
+    async verifyAgent(agentId) {
+        const row = this.getAgentRow(agentId);
+        if (!row) {
+            return ['Missing: agent record'];
+        }
+
+        const issues = [];
+        if (row.context === null) issues.push('Missing: context');
+        if (row.mcp_config === null) issues.push('Missing: mcp config');
+        return issues;
+    }
+
+    async withAgentLock(agentId, fn) {
+        if (this.filename === ':memory:') {
+            return AsyncLock.withLock(`sqlite:${this.filename}:${agentId}`, fn);
+        }
+        return FileLock.withLock(path.join(`${this.filename}.locks`, `${agentId}.lock`), fn);
+    }
+
+    async withTopicLock(name, fn) {
+        if (this.filename === ':memory:') {
+            return AsyncLock.withLock(`sqlite:${this.filename}:topic:${name}`, fn);
+        }
+        return FileLock.withLock(path.join(`${this.filename}.locks`, 'topics', `${name}.lock`), fn);
+    }
+
+    async getMcpConfig(agentId) {
+        const row = this.getAgentRow(agentId);
+        return row ? this.parse(row.mcp_config) : null;
+    }
+
+    async saveMcpConfig(agentId, config) {
+        this.requireAgentRow(agentId);
+        this.db.prepare('UPDATE agents SET mcp_config = ? WHERE agent_id = ?').run(JSON.stringify(config), agentId);
+    }
+
+    async getTasks(agentId, queue) {
+        StorageBackend.assertQueue(queue);
+        return this.db.prepare('SELECT data FROM tasks WHERE agent_id = ? AND queue = ? ORDER BY position')
+            .all(agentId, queue)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async saveTasks(agentId, queue, tasks) {
+        StorageBackend.assertQueue(queue);
+        const remove = this.db.prepare('DELETE FROM tasks WHERE agent_id = ? AND queue = ?');
+        const insert = this.db.prepare('INSERT INTO tasks (agent_id, queue, position, task_id, data) VALUES (?, ?, ?, ?, ?)');
+
+        this.db.transaction(() => {
+            remove.run(agentId, queue);
+            tasks.forEach((task, index) => insert.run(agentId, queue, index, task.id, JSON.stringify(task)));
+        })();
+    }
+
+    async appendTaskEvent(agentId, event) {
+        this.db.prepare('INSERT INTO task_events (agent_id, task_id, data) VALUES (?, ?, ?)')
+            .run(agentId, event.task_id, JSON.stringify(event));
+    }
+
+    async getTaskHistory(agentId, taskId) {
+        return this.db.prepare('SELECT data FROM task_events WHERE agent_id = ? AND task_id = ? ORDER BY seq')
+            .all(agentId, taskId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async getRelationships(agentId) {
+        const row = this.getAgentRow(agentId);
+        return row ? this.parse(row.relationships, StorageBackend.defaultRelationships()) : StorageBackend.defaultRelationships();
+    }
+
+    async saveRelationships(agentId, relationships) {
+        this.requireAgentRow(agentId);
+        this.db.prepare('UPDATE agents SET relationships = ? WHERE agent_id = ?').run(JSON.stringify(relationships), agentId);
+    }
+
+    async readContext(agentId) {
+        const row = this.requireAgentRow(agentId);
+        if (row.context === null) {
+            const error = new Error(`Context for agent ${agentId} not found`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return row.context;
+    }
+
+    async writeContext(agentId, content) {
+        this.requireAgentRow(agentId);
+        this.db.prepare('UPDATE agents SET context = ? WHERE agent_id = ?').run(content, agentId);
+    }
+
+    async saveContextVersion(agentId, { content, ...entry }) {
+        this.requireAgentRow(agentId);
+        this.db.prepare('INSERT INTO context_versions (agent_id, version, data, content) VALUES (?, ?, ?, ?)')
+            .run(agentId, entry.version, JSON.stringify(entry), content);
+    }
+
+    async listContextVersions(agentId) {
+        return this.db.prepare('SELECT data FROM context_versions WHERE agent_id = ? ORDER BY version')
+            .all(agentId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async getContextVersion(agentId, version) {
+        const row = this.db.prepare('SELECT data, content FROM context_versions WHERE agent_id = ? AND version = ?')
+            .get(agentId, version);
+        return row ? { ...JSON.parse(row.data), content: row.content } : null;
+    }
+
+    async pruneContextVersions(agentId, keep) {
+        return this.db.prepare(`DELETE FROM context_versions WHERE agent_id = ? AND version NOT IN
+            (SELECT version FROM context_versions WHERE agent_id = ? ORDER BY version DESC LIMIT ?)`)
+            .run(agentId, agentId, keep).changes;
+    }
+
+    async appendContextArchive(agentId, content) {
+        this.requireAgentRow(agentId);
+        this.db.prepare(
+            'INSERT INTO context_archives (agent_id, content) VALUES (?, ?) ' +
+            'ON CONFLICT (agent_id) DO UPDATE SET content = content || excluded.content'
+        ).run(agentId, content);
+    }
+
+    async readContextArchive(agentId) {
+        const row = this.db.prepare('SELECT content FROM context_archives WHERE agent_id = ?').get(agentId);
+        return row ? row.content : '';
+    }
+
+    async writeMessage(agentId, box, message) {
+        StorageBackend.assertBox(box);
+        this.db.prepare(
+            'INSERT OR REPLACE INTO messages (agent_id, box, message_id, timestamp, data) VALUES (?, ?, ?, ?, ?)'
+        ).run(agentId, box, message.id, message.timestamp || null, JSON.stringify(message));
+    }
+
+    async listMessages(agentId, box) {
+        StorageBackend.assertBox(box);
+        return this.db.prepare('SELECT data FROM messages WHERE agent_id = ? AND box = ? ORDER BY timestamp, message_id')
+            .all(agentId, box)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async getMessage(agentId, box, messageId) {
+        StorageBackend.assertBox(box);
+        const row = this.db.prepare('SELECT data FROM messages WHERE agent_id = ? AND box = ? AND message_id = ?')
+            .get(agentId, box, messageId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async moveMessage(agentId, fromBox, toBox, messageId) {
+        StorageBackend.assertBox(fromBox);
+        StorageBackend.assertBox(toBox);
+        const result = this.db.prepare(
+            'UPDATE OR REPLACE messages SET box = ? WHERE agent_id = ? AND box = ? AND message_id = ?'
+        ).run(toBox, agentId, fromBox, messageId);
+        return result.changes > 0;
+    }
+
+    async archiveMessage(agentId, messageId) {
+        this.db.prepare(
+            "UPDATE OR REPLACE messages SET box = 'processed' WHERE agent_id = ? AND box = 'incoming' AND message_id = ?"
+        ).run(agentId, messageId);
+    }
+
+    async getTopic(name) {
+        const row = this.db.prepare('SELECT data FROM topics WHERE name = ?').get(name);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async saveTopic(topic) {
+        this.db.prepare('INSERT OR REPLACE INTO topics (name, data) VALUES (?, ?)').run(topic.name, JSON.stringify(topic));
+    }
+
+    async listTopics() {
+        return this.db.prepare('SELECT data FROM topics ORDER BY name')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorageBackend;
@@ -0,0 +1,223 @@
+/**
+ * StorageBackend interface for agent data
+ * Repository for agents, task queues, relationships, context, messages and topics.
+ * Implementations: FileStorageBackend (default directory layout),
+ * MemoryStorageBackend (tests) and SqliteStorageBackend (large teams).
+ */
+
+const TASK_QUEUES = ['pending', 'active', 'completed'];
+const MESSAGE_BOXES = ['incoming', 'outgoing', 'processed', 'dead-letter'];
+
+class StorageBackend {
+    constructor(type) {
+        this.type = type;
+    }
+
+    /**
+     * Default relationships document for a new agent
+     */
+    static defaultRelationships() {
+        return {
+            consumers: [],
+            producers: [],
+            bidirectional: [],
+            optional: []
+        };
+    }
+
+    /**
+     * Throw if a task queue name is unknown
+     */
+    static assertQueue(queue) {
+        if (!TASK_QUEUES.includes(queue)) {
+            throw new Error(`Invalid task queue: ${queue}. Must be one of: ${TASK_QUEUES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Throw if a message box name is unknown
+     */
+    static assertBox(box) {
+        if (!MESSAGE_BOXES.includes(box)) {
+            throw new Error(`Invalid message box: ${box}. Must be one of: ${MESSAGE_BOXES.join(', ')}`);
+        }
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.constructor.name} does not implement ${method}`);
+    }
+
+    // Agents
+
+    /**
+     * Create an agent's storage, writing only the defaults that do not exist yet
+     * defaults: { context, mcpConfig, relationships }
+     */
+    async initializeAgent(agentId, defaults) { this.notImplemented('initializeAgent'); }
+
+    /**
+     * Check whether an agent has been initialized
+     */
+    async agentExists(agentId) { this.notImplemented('agentExists'); }
+
+    /**
+     * List the IDs of all stored agents
+     */
+    async listAgents() { this.notImplemented('listAgents'); }
+
+    /**
+     * Report problems with an agent's stored data (used by health checks)
+     */
+    async verifyAgent(agentId) { this.notImplemented('verifyAgent'); }
+
+    /**
+     * Run fn while holding the agent's mutation lock
+     */
+    async withAgentLock(agentId, fn) { this.notImplemented('withAgentLock'); }
+
+    async getMcpConfig(agentId) { this.notImplemented('getMcpConfig'); }
+
+    async saveMcpConfig(agentId, config) { this.notImplemented('saveMcpConfig'); }
+
+    // Tasks
+
+    /**
+     * Get the plain task objects stored in a queue (pending|active|completed)
+     */
+    async getTasks(agentId, queue) { this.notImplemented('getTasks'); }
+
+    /**
+     * Replace the contents of a queue
+     */
+    async saveTasks(agentId, queue, tasks) { this.notImplemented('saveTasks'); }
+
+    /**
+     * Append an event to a task's audit trail (event.task_id identifies the task)
+     */
+    async appendTaskEvent(agentId, event) { this.notImplemented('appendTaskEvent'); }
+
+    /**
+     * Get a task's audit trail, oldest first
+     */
+    async getTaskHistory(agentId, taskId) { this.notImplemented('getTaskHistory'); }
+
+    // Relationships
+
+    async getRelationships(agentId) { this.notImplemented('getRelationships'); }
+
+    async saveRelationships(agentId, relationships) { this.notImplemented('saveRelationships'); }
+
+    // Context
+
+    async readContext(agentId) { this.notImplemented('readContext'); }
+
+    async writeContext(agentId, content) { this.notImplemented('writeContext'); }
+
+    /**
+     * Store a version of an agent's context ({ version, timestamp, reason, lines, size, content })
+     */
+    async saveContextVersion(agentId, entry) { this.notImplemented('saveContextVersion'); }
+
+    /**
+     * List an agent's context versions without their content, oldest first
+     */
+    async listContextVersions(agentId) { this.notImplemented('listContextVersions'); }
+
+    /**
+     * Get a context version with its content, or null
+     */
+    async getContextVersion(agentId, version) { this.notImplemented('getContextVersion'); }
+
+    /**
+     * Delete all but the newest keep context versions of an agent, returning how many were deleted
+     */
+    async pruneContextVersions(agentId, keep) { this.notImplemented('pruneContextVersions'); }
+
+    /**
+     * Append entries rolled over from an agent's context to its archive
+     */
+    async appendContextArchive(agentId, content) { this.notImplemented('appendContextArchive'); }
+
+    /**
+     * Read an agent's context archive ('' if nothing has been archived)
+     */
+    async readContextArchive(agentId) { this.notImplemented('readContextArchive'); }
+
+    // Messages
+
+    /**
+     * Store a message in an agent's box (incoming|outgoing|processed|dead-letter)
+     */
+    async writeMessage(agentId, box, message) { this.notImplemented('writeMessage'); }
+
+    /**
+     * List messages in a box, oldest first
+     */
+    async listMessages(agentId, box) { this.notImplemented('listMessages'); }
+
+    /**
+     * Move a message from incoming to processed
+     */
+    async archiveMessage(agentId, messageId) { this.notImplemented('archiveMessage'); }
+
+    /**
+     * Move a message between boxes, returning false if it is not in the source box
+     */
+    async moveMessage(agentId, fromBox, toBox, messageId) { this.notImplemented('moveMessage'); }
+
+    /**
+     * Get a single message from a box, or null
+     */
+    async getMessage(agentId, box, messageId) {
+        const messages = await this.listMessages(agentId, box);
+        return messages.find(message => message.id === messageId) || null;
+    }
+
+    // Topics
+
+    /**
+     * Get a publish/subscribe topic ({ name, subscribers, retained, ... }), or null
+     */
+    async getTopic(name) { this.notImplemented('getTopic'); }
+
+    async saveTopic(topic) { this.notImplemented('saveTopic'); }
+
+    /**
+     * List all topics, ordered by name
+     */
+    async listTopics() { this.notImplemented('listTopics'); }
+
+    /**
+     * Run fn while holding a topic's mutation lock
+     */
+    async withTopicLock(name, fn) { this.notImplemented('withTopicLock'); }
+
+    /**
+     * Call onMessage(messageId) whenever a message arrives in an agent's incoming box
+     * Returns a function that stops watching, or null when the backend cannot be watched
+     * (callers poll instead). onError is called if watching fails after it has started.
+     */
+    async watchMessages(agentId, onMessage, onError) {
+        return null;
+    }
+
+    /**
+     * Watch every agent's data for changes, calling onChange(agentId, area) with area
+     * 'context', 'tasks' or 'messages' (null when the whole agent changed, e.g. was added)
+     * Returns a function that stops watching, or null if the backend cannot watch
+     * (callers re-read instead). onError is called if watching fails after it has started.
+     */
+    async watchAgents(onChange, onError) {
+        return null;
+    }
+
+    /**
+     * Release any resources held by the backend
+     */
+    async close() {}
+}
+
+StorageBackend.TASK_QUEUES = TASK_QUEUES;
+StorageBackend.MESSAGE_BOXES = MESSAGE_BOXES;
+
+module.exports = StorageBackend;
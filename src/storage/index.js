@@ -0,0 +1,77 @@
+/**
+ * Storage backend selection
+ * The backend is chosen from options.type, then the MCP_STORAGE environment variable,
+ * defaulting to the file-based directory layout.
+ */
+
+const path = require('path');
+const StorageBackend = require('./StorageBackend');
+const FileStorageBackend = require('./FileStorageBackend');
+const MemoryStorageBackend = require('./MemoryStorageBackend');
+
+const STORAGE_TYPES = ['file', 'memory', 'sqlite'];
+const sharedBackends = new Map();
+
+/**
+ * Resolve backend options from explicit options and environment variables
+ */
+function resolveStorageOptions(options = {}, env = process.env) {
+    const type = (options.type || env.MCP_STORAGE || 'file').toLowerCase();
+    if (!STORAGE_TYPES.includes(type)) {
+        throw new Error(`Invalid storage type: ${type}. Must be one of: ${STORAGE_TYPES.join(', ')}`);
+    }
+
+    const basePath = options.basePath || env.MCP_AGENTS_PATH || './agents';
+    const filename = options.filename || env.MCP_SQLITE_PATH || path.join(basePath, 'agents.db');
+
+    return { type, basePath, filename };
+}
+
+/**
+ * Create a new storage backend instance
+ */
+function createStorageBackend(options = {}) {
+    const resolved = resolveStorageOptions(options);
+
+    switch (resolved.type) {
+        case 'memory':
+            return new MemoryStorageBackend();
+        case 'sqlite': {
+            // Loaded lazily so the optional SQLite driver is only required when used
+            const SqliteStorageBackend = require('./SqliteStorageBackend');
+            return new SqliteStorageBackend({ filename: resolved.filename });
+        }
+        default:
+            return new FileStorageBackend({ basePath: resolved.basePath });
+    }
+}
+
+/**
+ * Get a backend shared by every caller using the same type and location,
+ * so agents created separately still see each other's data
+ */
+function getStorageBackend(options = {}) {
+    if (options instanceof StorageBackend) {
+        return options;
+    }
+
+    const resolved = resolveStorageOptions(options);
+    const key = resolved.type === 'sqlite'
+        ? `sqlite:${path.resolve(resolved.filename)}`
+        : `${resolved.type}:${path.resolve(resolved.basePath)}`;
+
+    if (!sharedBackends.has(key)) {
+        sharedBackends.set(key, createStorageBackend(resolved));
+    }
+    return sharedBackends.get(key);
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    StorageBackend,
+    FileStorageBackend,
+    MemoryStorageBackend,
+    createStorageBackend,
+    getStorageBackend,
+    resolveStorageOptions
+};
@@ -0,0 +1,98 @@
+/**
+ * Test that every entry point goes through the shared AgentCommunicationSystem rules
+ */
+
+const fs = require('fs').promises;
+const MCPHttpAPI = require('../src/http-api');
+const { defaultManager } = require('../src/logging/Logger');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Shared agent service', () => {
+    const testBasePath = './test-agents-service';
+    let system;
+    let callTool;
+
+    beforeEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+        ({ system, callTool } = await createTestServer({ frontend: { role: 'ui' }, api: { role: 'backend' } }, { basePath: testBasePath }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should log each MCP registration once', async () => {
+        const messages = [];
+        const removeSink = defaultManager.addSink(record => messages.push(record.message));
+        try {
+            await system.connectAgent('docs', { role: 'writer' });
+            await system.connectAgent('docs', { role: 'editor' }, true);
+        } finally {
+            removeSink();
+        }
+
+        expect(messages.filter(message => message === 'Agent docs registered successfully')).toHaveLength(1);
+        expect(messages.filter(message => message === 'Agent docs registration updated successfully')).toHaveLength(1);
+    });
+
+    test('should validate tasks created through MCP tools', async () => {
+        const result = await callTool('task-create', { agentId: 'frontend', task: { description: 'No title' } });
+
+        expect(result.isError).toBe(true);
+        expect(result.payload).toContain('Task title is required');
+    });
+
+    test('should enforce dependencies when starting a task', async () => {
+        const first = await system.createTask('api', { title: 'Schema' });
+        const second = await system.createTask('api', { title: 'Endpoints', dependencies: [first.id] });
+
+        const blocked = await callTool('task-update', { agentId: 'api', taskId: second.id, status: 'in_progress' });
+        expect(blocked.error.code).toBe(-32602);
+        expect(blocked.error.message).toContain('dependencies not met');
+
+        await callTool('task-update', { agentId: 'api', taskId: first.id, status: 'in_progress' });
+        await callTool('task-update', { agentId: 'api', taskId: first.id, status: 'completed' });
+        const started = await callTool('task-update', { agentId: 'api', taskId: second.id, status: 'in_progress' });
+        expect(started.payload.task.status).toBe('in_progress');
+    });
+
+    test('should deliver MCP task requests through the message handlers', async () => {
+        const result = await callTool('task-request', {
+            fromAgentId: 'frontend',
+            toAgentId: 'api',
+            taskRequest: { title: 'Login endpoint', description: 'POST /login' }
+        });
+
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+
+        const pending = await system.getTasks('api', 'pending');
+        expect(pending.map(task => task.id)).toEqual([result.payload.requestId]);
+        expect(await system.getAgent('api').readContext()).toContain('Received task request: Login endpoint from frontend');
+    });
+
+    test('should reject work for agents that do not exist', async () => {
+        const result = await callTool('message-send', { fromAgentId: 'frontend', toAgentId: 'ghost', messageType: 'STATUS_UPDATE' });
+
+        expect(result.isError).toBe(true);
+        expect(result.payload).toContain('Agent ghost not found');
+    });
+
+    test('should serve the same data over the HTTP API', async () => {
+        const api = new MCPHttpAPI(0, { system });
+        const server = api.app.listen(0);
+        const { port } = server.address();
+
+        try {
+            const created = await fetch(`http://127.0.0.1:${port}/api/agents/frontend/tasks`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: 'Build login form' })
+            }).then(res => res.json());
+
+            const tasks = await callTool('task-get', { agentId: 'frontend', state: 'pending' });
+            expect(tasks.payload.tasks.map(task => task.id)).toEqual([created.taskId]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Test context size budgets: rolling activity entries over to the archive and trimmed reads
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Context budget', () => {
+    let storage;
+    let system;
+    let callTool;
+
+    const appendEntries = async (count) => {
+        for (let i = 1; i <= count; i++) {
+            await callTool('context-append', { agentId: 'api', content: `Entry ${i}: ${'x'.repeat(80)}` });
+        }
+    };
+
+    beforeEach(async () => {
+        ({ storage, system, callTool } = await createTestServer(['api']));
+        await callTool('context-section-update', { agentId: 'api', section: 'Knowledge Base', content: 'Uses PostgreSQL 16' });
+    });
+
+    test('should roll the oldest activity entries over to the archive and keep curated sections', async () => {
+        const budget = await callTool('context-budget', { agentId: 'api', maxChars: 1000 });
+        expect(budget.payload).toMatchObject({ maxChars: 1000, archived: 0 });
+
+        await appendEntries(12);
+
+        const context = await storage.readContext('api');
+        const body = context.replace(/\s*_Last updated: [^_\n]*_\s*$/, '');
+        expect(body.length).toBeLessThanOrEqual(1000);
+        expect(context).toContain('## Knowledge Base\n\nUses PostgreSQL 16');
+        expect(context).toContain('Entry 12:');
+        expect(context).not.toContain('Entry 1:');
+
+        const archive = await storage.readContextArchive('api');
+        expect(archive.startsWith('# Agent api Context Archive')).toBe(true);
+        expect(archive.match(/# Agent api Context Archive/g)).toHaveLength(1);
+        expect(archive.indexOf('Entry 1:')).toBeLessThan(archive.indexOf('Entry 2:'));
+        for (let i = 1; i <= 12; i++) {
+            const inContext = context.includes(`Entry ${i}:`);
+            const inArchive = archive.includes(`Entry ${i}:`);
+            expect(inContext !== inArchive).toBe(true);
+        }
+    });
+
+    test('should roll over right away when the budget is lowered', async () => {
+        await appendEntries(12);
+        expect(await storage.readContextArchive('api')).toBe('');
+
+        const { payload } = await callTool('context-budget', { agentId: 'api', maxChars: 1000 });
+        expect(payload.archived).toBeGreaterThan(0);
+        expect((await storage.getMcpConfig('api')).settings.contextMaxChars).toBe(1000);
+        expect(await storage.readContextArchive('api')).toContain('Entry 1:');
+
+        await expect(system.setContextBudget('api', 0)).rejects.toThrow('Context budget must be a positive number of characters');
+    });
+
+    test('should return a trimmed view within the requested budget', async () => {
+        await appendEntries(6);
+
+        const { payload } = await callTool('context-get', { agentId: 'api', maxChars: 600 });
+        expect(payload.context.length).toBeLessThanOrEqual(600);
+        expect(payload).toMatchObject({ trimmed: true, size: expect.any(Number) });
+        expect(payload.size).toBeGreaterThan(600);
+        const activity = payload.sections.filter(title => /^\d{4}-/.test(title)).sort();
+        expect(payload.omitted.length).toBeGreaterThan(0);
+        expect(payload.omitted).toEqual(activity.slice(0, payload.omitted.length));
+        expect(payload.context).toContain('## Knowledge Base');
+        expect(payload.context).toContain('Entry 6:');
+        expect(payload.context).toContain(`_${payload.omitted.length} older activity entries omitted_`);
+
+        const tiny = await callTool('context-get', { agentId: 'api', maxChars: 100 });
+        expect(tiny.payload.context.length).toBeLessThanOrEqual(100);
+        expect(tiny.payload.context).toMatch(/_\[truncated\]_$/);
+
+        const whole = await callTool('context-get', { agentId: 'api', maxChars: 100000 });
+        expect(whole.payload).toMatchObject({ trimmed: false, omitted: [] });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Test recording, diffing and restoring versions of an agent's context over MCP
+ */
+
+const ContextHistory = require('../src/core/ContextHistory');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Context history', () => {
+    let system;
+    let callTool;
+
+    const readContext = async () => (await callTool('context-get', { agentId: 'api' })).payload.context;
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['api']));
+    });
+
+    test('should record each write with its reason, keeping the context from before the first one', async () => {
+        await callTool('context-section-update', { agentId: 'api', section: 'Knowledge Base', content: 'Uses PostgreSQL 16' });
+        const updated = await callTool('context-update', { agentId: 'api', context: '# Agent api Context\n\nOops', reason: 'rewrite' });
+        expect(updated.payload.version).toBe(3);
+
+        const { payload } = await callTool('context-history', { agentId: 'api' });
+        expect(payload.total).toBe(3);
+        expect(payload.versions.map(entry => [entry.version, entry.reason])).toEqual([
+            [1, 'Context before history was recorded'],
+            [2, 'Updated section "Knowledge Base"'],
+            [3, 'rewrite']
+        ]);
+        expect(payload.versions[2]).toEqual(expect.objectContaining({ timestamp: expect.any(String), lines: 5, size: expect.any(Number) }));
+
+        const latest = await callTool('context-history', { agentId: 'api', limit: 1 });
+        expect(latest.payload.versions.map(entry => entry.version)).toEqual([3]);
+    });
+
+    test('should keep only the newest versions and still restore them', async () => {
+        const api = system.getAgent('api');
+        const config = await api.getMcpConfig();
+        await api.updateMcpConfig({ ...config, settings: { ...config.settings, contextHistoryMaxVersions: 3 } });
+
+        for (const release of ['v1', 'v2', 'v3', 'v4', 'v5']) {
+            await callTool('context-section-update', { agentId: 'api', section: 'Release', content: release });
+        }
+
+        const { payload } = await callTool('context-history', { agentId: 'api' });
+        expect(payload.versions.map(entry => entry.version)).toEqual([4, 5, 6]);
+
+        const restored = await callTool('context-restore', { agentId: 'api', version: 4 });
+        expect(restored.payload.version).toBe(7);
+        expect(await readContext()).toContain('## Release\n\nv3');
+
+        const pruned = await callTool('context-restore', { agentId: 'api', version: 2 });
+        expect(pruned.isError).toBe(true);
+        expect(pruned.payload).toContain('Context version 2 not found');
+        expect((await system.storage.listContextVersions('api')).map(entry => entry.version)).toEqual([5, 6, 7]);
+    });
+
+    test('should diff the latest version against the one before it, or any two versions', async () => {
+        await callTool('context-section-update', { agentId: 'api', section: 'Notes', content: 'Deploys on Fridays' });
+        await callTool('context-section-update', { agentId: 'api', section: 'Notes', content: 'Deploys on Mondays' });
+
+        const { payload } = await callTool('context-diff', { agentId: 'api' });
+        // The "_Last updated_" stamp changes too unless both writes fall in the same millisecond
+        expect(payload).toMatchObject({ from: 2, to: 3 });
+        expect(payload.added).toBe(payload.removed);
+        expect(payload.diff).toContain('--- version 2\n+++ version 3');
+        expect(payload.diff).toContain('-Deploys on Fridays\n+Deploys on Mondays');
+
+        const since = await callTool('context-diff', { agentId: 'api', fromVersion: 1, toVersion: 3 });
+        expect(since.payload.diff).toContain(' ## Notes\n \n+Deploys on Mondays');
+
+        const missing = await callTool('context-diff', { agentId: 'api', fromVersion: 1, toVersion: 7 });
+        expect(missing.isError).toBe(true);
+        expect(missing.payload).toContain('Context version 7 not found for agent api');
+    });
+
+    test('should restore an earlier version as a new version', async () => {
+        await callTool('context-section-update', { agentId: 'api', section: 'Knowledge Base', content: 'Uses PostgreSQL 16' });
+        await callTool('context-update', { agentId: 'api', context: '# Agent api Context\n\nOops' });
+
+        const { payload } = await callTool('context-restore', { agentId: 'api', version: 2 });
+        expect(payload).toMatchObject({ restoredFrom: 2, version: 4, reason: 'Restored version 2' });
+
+        const context = await readContext();
+        expect(context).toContain('## Knowledge Base\n\nUses PostgreSQL 16');
+        expect(context).not.toContain('Oops');
+        expect(context.match(/_Last updated: /g)).toHaveLength(1);
+
+        const missing = await callTool('context-restore', { agentId: 'api', version: 12 });
+        expect(missing.isError).toBe(true);
+        expect(missing.payload).toContain('Context version 12 not found for agent api');
+    });
+
+    test('should produce minimal unified hunks', () => {
+        const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+        const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+
+        expect(ContextHistory.diff(before, after, { context: 1 })).toEqual({
+            added: 2,
+            removed: 1,
+            diff: '--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n@@ -10,1 +10,2 @@\n j\n+k'
+        });
+        expect(ContextHistory.diff(before, before)).toEqual({ added: 0, removed: 0, diff: '' });
+        expect(ContextHistory.diff('', 'x').diff).toBe('--- a\n+++ b\n@@ -1,1 +1,1 @@\n-\n+x');
+    });
+});
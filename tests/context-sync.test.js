@@ -0,0 +1,105 @@
+/**
+ * Test structured context sync between related agents
+ */
+
+const ContextDocument = require('../src/core/ContextDocument');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Context sync', () => {
+    let system;
+    let callTool;
+
+    const setSection = async (agentId, title, content) => {
+        const document = new ContextDocument(await system.getAgent(agentId).readContext());
+        document.setSection(title, content);
+        await system.updateAgentContext(agentId, document.toString());
+    };
+
+    const sync = async (args = {}) => {
+        const result = await callTool('context-sync', { agentId: 'api', ...args });
+        for (const agentId of ['web', 'db']) {
+            await system.communicationProtocol.processIncomingMessages(system.getAgent(agentId));
+        }
+        return result;
+    };
+
+    const sharedSection = async (agentId) => {
+        const document = new ContextDocument(await system.getAgent(agentId).readContext());
+        return document.getSection('Shared from api');
+    };
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['api', 'web', 'db']));
+        await system.addRelationship('api', 'web', 'consumer');
+        await system.addRelationship('api', 'db', 'producer');
+
+        await setSection('api', 'API Contracts', 'POST /login returns a token\n\n### Errors\n401 on bad credentials');
+        await setSection('api', 'Known Issues', 'Token refresh is slow');
+        await setSection('api', 'Private Notes', 'Rewrite the router');
+    });
+
+    test('should send shared sections only to the relationships they are shared with', async () => {
+        await callTool('context-share', { agentId: 'api', section: 'API Contracts', audiences: ['consumers'] });
+        await callTool('context-share', { agentId: 'api', section: 'Known Issues', audiences: ['related'] });
+
+        const { payload } = await sync();
+
+        expect(payload.recipients.map(({ agentId, sections }) => [agentId, sections])).toEqual([
+            ['web', ['API Contracts', 'Known Issues']],
+            ['db', ['Known Issues']]
+        ]);
+
+        const web = new ContextDocument(await sharedSection('web'), 3);
+        expect(web.listSections()).toEqual(['API Contracts', 'Known Issues']);
+        expect(web.getSection('API Contracts')).toMatch(/^_Version [0-9a-f]{12}, synced /);
+        expect(web.getSection('API Contracts')).toContain('#### Errors');
+        expect(await system.getAgent('web').readContext()).not.toContain('Rewrite the router');
+        expect(new ContextDocument(await sharedSection('db'), 3).listSections()).toEqual(['Known Issues']);
+    });
+
+    test('should replace shared sections in place when their version changes', async () => {
+        await callTool('context-share', { agentId: 'api', section: 'API Contracts', audiences: ['consumers'] });
+        await sync();
+        const first = await sharedSection('web');
+
+        await sync();
+        expect(await sharedSection('web')).toBe(first);
+
+        await setSection('api', 'API Contracts', 'POST /login returns a token and a refresh token');
+        await sync({ targetAgentId: 'web' });
+
+        const context = await system.getAgent('web').readContext();
+        expect(context.match(/## Shared from api/g)).toHaveLength(1);
+        expect(await sharedSection('web')).toContain('a refresh token');
+        expect(context).not.toContain('401 on bad credentials');
+        expect(context.match(/_Last updated: /g)).toHaveLength(1);
+    });
+
+    test('should validate audiences and reject syncs with nothing shared', async () => {
+        const invalid = await callTool('context-share', { agentId: 'api', section: 'API Contracts', audiences: ['everyone'] });
+        expect(invalid.payload).toContain('Invalid context audience: everyone');
+
+        await system.getAgent('api').relationshipManager.tagRelationship('db', ['storage']);
+        await callTool('context-share', { agentId: 'api', section: 'Known Issues', audiences: ['tag:storage'] });
+        expect((await sync()).payload.recipients.map(recipient => recipient.agentId)).toEqual(['db']);
+
+        await callTool('context-share', { agentId: 'api', section: 'Known Issues', audiences: [] });
+        const nothing = await sync({ targetAgentId: 'web' });
+        expect(nothing.payload).toContain('Agent api shares no context sections with web');
+    });
+});
+
+describe('ContextDocument', () => {
+    test('should round-trip markdown and ignore headings in code blocks', () => {
+        const markdown = '# Title\n\nIntro\n\n## One\nText\n```\n## Not a heading\n```\n\n## Two\nMore\n';
+        const document = new ContextDocument(markdown);
+
+        expect(document.toString()).toBe(markdown);
+        expect(document.listSections()).toEqual(['One', 'Two']);
+        expect(document.getSection('One')).toBe('Text\n```\n## Not a heading\n```');
+
+        document.setSection('Two', 'Changed');
+        document.setSection('Three', 'New');
+        expect(document.toString()).toBe('# Title\n\nIntro\n\n## One\nText\n```\n## Not a heading\n```\n\n## Two\n\nChanged\n\n## Three\n\nNew\n');
+    });
+});
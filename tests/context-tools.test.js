@@ -0,0 +1,59 @@
+/**
+ * Test reading, appending to and editing sections of an agent's context over MCP
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Context tools', () => {
+    let system;
+    let callTool;
+
+    const getSection = async (section) => (await callTool('context-get', { agentId: 'api', section })).payload.content;
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['api']));
+    });
+
+    test('should read the whole context or one section', async () => {
+        const { payload } = await callTool('context-get', { agentId: 'api' });
+        expect(payload.context).toContain('# Agent api Context');
+        expect(payload.sections).toEqual(expect.arrayContaining(['Current State', 'Knowledge Base', 'Notes']));
+
+        expect(await getSection('Current State')).toContain('- Status: Initialized');
+
+        const missing = await callTool('context-get', { agentId: 'api', section: 'Roadmap' });
+        expect(missing.isError).toBe(true);
+        expect(missing.payload).toContain('Section "Roadmap" not found in context of agent api');
+    });
+
+    test('should replace one section without touching the others', async () => {
+        const before = (await callTool('context-get', { agentId: 'api' })).payload;
+
+        const updated = await callTool('context-section-update', {
+            agentId: 'api', section: 'Knowledge Base', content: 'Uses PostgreSQL 16\n\n## Caching\nRedis for sessions'
+        });
+        expect(updated.payload).toMatchObject({ section: 'Knowledge Base', created: false });
+
+        const after = (await callTool('context-get', { agentId: 'api' })).payload;
+        expect(after.sections).toEqual(before.sections);
+        expect(await getSection('Knowledge Base')).toBe('Uses PostgreSQL 16\n\n### Caching\nRedis for sessions');
+        expect(await getSection('Current State')).toContain('- Status: Initialized');
+
+        const created = await callTool('context-section-update', { agentId: 'api', section: 'Known Issues', content: 'None yet' });
+        expect(created.payload.created).toBe(true);
+        expect((await callTool('context-get', { agentId: 'api' })).payload.sections).toContain('Known Issues');
+    });
+
+    test('should append to a section or under a timestamped heading', async () => {
+        await callTool('context-append', { agentId: 'api', section: 'Notes', content: 'Rate limit is 100 req/min' });
+        await callTool('context-append', { agentId: 'api', section: 'Notes', content: 'Auth tokens expire after 1h' });
+        expect(await getSection('Notes')).toBe('Rate limit is 100 req/min\n\nAuth tokens expire after 1h');
+
+        const appended = await callTool('context-append', { agentId: 'api', content: 'Deployed v2' });
+        expect(appended.payload).toMatchObject({ section: null, created: false });
+
+        const { payload } = await callTool('context-get', { agentId: 'api' });
+        expect(payload.context).toMatch(/## \d{4}-\d{2}-\d{2}T[^\n]+\nDeployed v2/);
+        expect(await getSection('Notes')).toBe('Rate limit is 100 req/min\n\nAuth tokens expire after 1h');
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Test dependency cycle detection for tasks and agent relationships, and deadlock reporting
+ */
+
+const SystemMonitor = require('../src/monitoring/SystemMonitor');
+const { Task, DependencyGraph } = require('../src/index');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Dependency cycles', () => {
+    let system;
+    let callTool;
+
+    const storedTask = (agentId, id, dependencies) => new Task({
+        id, title: `Task ${id}`, agent_id: agentId, dependencies
+    }).toJSON();
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['api', 'frontend', 'design']));
+    });
+
+    test('should find paths and cycles in a graph', () => {
+        const graph = new DependencyGraph();
+        graph.addEdge('a', 'b');
+        graph.addEdge('b', 'c');
+        graph.addEdge('c', 'a');
+        graph.addEdge('d', 'd');
+        graph.addEdge('e', 'a');
+
+        expect(graph.findPath('a', 'c')).toEqual(['a', 'b', 'c']);
+        expect(graph.findPath('c', 'e')).toBeNull();
+        expect(graph.findCycleThrough('e', 'x')).toBeNull();
+        expect(graph.findCycles().map(cycle => cycle.sort())).toEqual([['a', 'b', 'c'], ['d']]);
+    });
+
+    test('should reject tasks whose dependencies lead back to them across agents', async () => {
+        const api = system.getAgent('api');
+        const frontend = system.getAgent('frontend');
+
+        // Stored directly: addTask rejects dependencies on tasks that do not exist yet
+        await system.storage.saveTasks('api', 'pending', [storedTask('api', 'schema', ['frontend:form'])]);
+
+        const form = new Task({ id: 'form', title: 'Form', agent_id: 'frontend', dependencies: ['api:schema'] });
+        await expect(frontend.taskQueue.addTask(form)).rejects.toThrow(DependencyGraph.DependencyCycleError);
+        await expect(frontend.taskQueue.addTask(form)).rejects.toThrow('frontend:form → api:schema → frontend:form');
+
+        expect(await system.getTasks('frontend', 'pending')).toEqual([]);
+        expect(await system.getTasks('frontend', 'active')).toEqual([]);
+    });
+
+    test('should warn when relationships make agents depend on each other', async () => {
+        const { payload: first } = await callTool('relationship-add', { agentId: 'frontend', targetAgentId: 'api', relationshipType: 'producer' });
+        expect(first.warning).toBeUndefined();
+
+        await callTool('relationship-add', { agentId: 'api', targetAgentId: 'design', relationshipType: 'producer' });
+        const { payload: cyclic } = await callTool('relationship-add', { agentId: 'frontend', targetAgentId: 'design', relationshipType: 'consumer' });
+
+        expect(cyclic.success).toBe(true);
+        expect(cyclic.warning.cycle).toEqual(['design', 'frontend', 'api', 'design']);
+        expect(await system.getAgent('frontend').relationshipManager.getDependencyChain()).toEqual(['api', 'design']);
+    });
+
+    test('should report deadlocked tasks with the agents involved', async () => {
+        await system.storage.saveTasks('api', 'active', [storedTask('api', 'schema', ['frontend:form'])]);
+        await system.storage.saveTasks('frontend', 'pending', [
+            storedTask('frontend', 'form', ['api:schema']),
+            storedTask('frontend', 'copy', ['api:schema'])
+        ]);
+
+        const monitor = new SystemMonitor(system);
+        const [deadlock] = await monitor.checkDeadlocks();
+
+        expect(deadlock.tasks.map(task => task.ref).sort()).toEqual(['api:schema', 'frontend:form']);
+        expect(deadlock.agents.sort()).toEqual(['api', 'frontend']);
+
+        const report = await monitor.generateHealthReport();
+        expect(report.deadlocks).toHaveLength(1);
+        expect(report.recommendations[0]).toMatchObject({ type: 'critical' });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Test that dependency notifications block and re-ready the receiver's dependent tasks
+ */
+
+const { AgentCommunicationSystem } = require('../src/index');
+const { createStorageBackend } = require('../src/storage');
+
+describe('Dependency notifications', () => {
+    let system;
+
+    const notify = async (data) => {
+        const message = await system.sendMessage('db', 'api', 'DEPENDENCY_NOTIFICATION', data);
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+        return message;
+    };
+
+    const getTask = (taskId) => system.getAgent('api').taskQueue.getTaskById(taskId);
+
+    beforeEach(async () => {
+        system = new AgentCommunicationSystem({ storage: createStorageBackend({ type: 'memory' }) });
+        await system.registerAgent('db');
+        await system.registerAgent('api');
+    });
+
+    test('should block tasks that use a changed artifact until the change is resolved', async () => {
+        const users = await system.createTask('api', { title: 'Users endpoint', metadata: { artifacts: ['db:schema/users.sql'] } });
+        const orders = await system.createTask('api', { title: 'Orders endpoint', metadata: { artifacts: ['db:schema/orders.sql'] } });
+        await system.updateTaskStatus('api', users.id, 'in_progress');
+
+        const breaking = await notify({ artifact: 'schema/users.sql', impact: 'breaking', reason: 'email column renamed' });
+
+        const blocked = await getTask(users.id);
+        expect(blocked.status).toBe('blocked');
+        expect(blocked.metadata.blockReason).toBe(`Breaking change to artifact schema/users.sql from db (notification ${breaking.id}): email column renamed`);
+        expect(blocked.metadata.dependencyNotifications).toEqual([
+            expect.objectContaining({ message_id: breaking.id, from_agent_id: 'db', artifact: 'schema/users.sql' })
+        ]);
+        expect((await getTask(orders.id)).status).toBe('pending');
+        expect(await system.getAgent('api').readContext()).toContain('Blocked by breaking change from db: Users endpoint');
+
+        const history = await system.getTaskHistory('api', users.id);
+        expect(history[history.length - 1]).toMatchObject({ action: 'status_changed', actor: 'db', reason: expect.stringContaining(breaking.id) });
+
+        const resolved = await notify({ artifact: 'schema/users.sql', impact: 'resolved' });
+
+        const ready = await getTask(users.id);
+        expect(ready.status).toBe('pending');
+        expect(ready.metadata.dependencyNotifications).toEqual([]);
+        expect(ready.metadata.blockedByNotification).toBeUndefined();
+        expect((await system.getTaskHistory('api', users.id)).pop().reason).toContain(`resolved (notification ${resolved.id})`);
+    });
+
+    test('should keep tasks blocked until every breaking change is resolved', async () => {
+        const migration = await system.createTask('db', { title: 'Users migration' });
+        const task = await system.createTask('api', {
+            title: 'Users endpoint',
+            dependencies: [`db:${migration.id}`],
+            metadata: { artifacts: ['db:schema/users.sql'] }
+        });
+        expect(task.status).toBe('blocked');
+
+        await notify({ task_id: migration.id, impact: 'breaking', reason: 'Migration rewritten' });
+        await notify({ artifact: 'schema/users.sql', impact: 'breaking' });
+        expect((await getTask(task.id)).metadata.dependencyNotifications).toHaveLength(2);
+
+        // Completing the dependency does not unblock a task with outstanding breaking changes
+        await system.updateTaskStatus('db', migration.id, 'in_progress');
+        await system.updateTaskStatus('db', migration.id, 'completed');
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+        expect((await getTask(task.id)).status).toBe('blocked');
+
+        await notify({ task_id: migration.id, impact: 'resolved' });
+        expect((await getTask(task.id)).status).toBe('blocked');
+
+        await notify({ artifact: 'schema/users.sql', impact: 'resolved' });
+        expect((await getTask(task.id)).status).toBe('pending');
+    });
+
+    test('should only record changes for tasks in review and ignore informational notifications', async () => {
+        const task = await system.createTask('api', { title: 'Users endpoint', metadata: { artifacts: ['db:schema/users.sql'] } });
+        await system.updateTaskStatus('api', task.id, 'in_progress');
+
+        await notify({ artifact: 'schema/users.sql', details: { note: 'Index added' } });
+        expect((await getTask(task.id)).metadata.dependencyNotifications).toBeUndefined();
+
+        await system.updateTaskStatus('api', task.id, 'review');
+        await notify({ artifact: 'schema/users.sql', impact: 'breaking' });
+
+        const inReview = await getTask(task.id);
+        expect(inReview.status).toBe('review');
+        expect(inReview.metadata.dependencyNotifications).toHaveLength(1);
+    });
+});
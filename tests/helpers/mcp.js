@@ -0,0 +1,46 @@
+/**
+ * Helpers for tests that drive the MCP server over JSON-RPC
+ */
+
+const MCPServer = require('../../src/mcp-server');
+const { AgentCommunicationSystem } = require('../../src/index');
+const { createStorageBackend } = require('../../src/storage');
+
+/**
+ * Call an MCP tool through the server's JSON-RPC entry point
+ * Returns { error } when the request is rejected (e.g. invalid params), otherwise { isError, payload }
+ * where payload is the parsed result, or the error text when isError
+ */
+async function callTool(mcpServer, name, args) {
+    const response = await mcpServer.handleMessage(JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+    }));
+    if (response.error) {
+        return { error: response.error };
+    }
+    return {
+        isError: response.result.isError === true,
+        payload: response.result.isError ? response.result.content[0].text : JSON.parse(response.result.content[0].text)
+    };
+}
+
+/**
+ * Create an AgentCommunicationSystem with an MCP server in front of it and connect the given agents
+ * agents: array of agent IDs, or an object mapping agent IDs to their capabilities
+ * options: { storage (in-memory by default), basePath, system (more AgentCommunicationSystem options) }
+ * Returns { storage, system, mcpServer, callTool(name, args) }
+ */
+async function createTestServer(agents = [], options = {}) {
+    const { basePath = './test-agents', storage = createStorageBackend({ type: 'memory' }) } = options;
+    const system = new AgentCommunicationSystem({ basePath, storage, ...options.system });
+    const mcpServer = new MCPServer(basePath, './reports', { system });
+
+    const capabilitiesById = Array.isArray(agents) ? Object.fromEntries(agents.map(agentId => [agentId, {}])) : agents;
+    for (const [agentId, capabilities] of Object.entries(capabilitiesById)) {
+        await mcpServer.registerAgent(agentId, capabilities);
+    }
+
+    return { storage, system, mcpServer, callTool: (name, args) => callTool(mcpServer, name, args) };
+}
+
+module.exports = { callTool, createTestServer };
@@ -0,0 +1,85 @@
+/**
+ * Test the logging subsystem and MCP log notifications
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { LogManager, createMcpNotificationSink } = require('../src/logging/Logger');
+const RotatingFileSink = require('../src/logging/RotatingFileSink');
+const MCPServer = require('../src/mcp-server');
+
+describe('Logging', () => {
+    const testLogsPath = './test-logs';
+
+    afterEach(async () => {
+        await fs.rm(testLogsPath, { recursive: true, force: true });
+    });
+
+    test('should only write records at or above the configured level', () => {
+        const manager = new LogManager({ level: 'warn', target: 'none' });
+        const records = [];
+        manager.addSink(record => records.push(record));
+
+        const logger = manager.getLogger('test');
+        logger.info('ignored');
+        logger.warn('kept', { detail: 1 });
+
+        expect(records).toHaveLength(1);
+        expect(records[0].level).toBe('warn');
+        expect(records[0].logger).toBe('test');
+        expect(records[0].message).toBe('kept {"detail":1}');
+    });
+
+    test('should forward records as notifications/message once the client sets a level', () => {
+        const manager = new LogManager({ level: 'error', target: 'none' });
+        const notifications = [];
+        let clientLevel = null;
+        manager.addSink(createMcpNotificationSink(() => clientLevel, n => notifications.push(n)));
+
+        const logger = manager.getLogger('test');
+        logger.warn('before setLevel');
+        clientLevel = 'warning';
+        logger.info('below client level');
+        logger.warn('forwarded');
+
+        expect(notifications).toEqual([{
+            jsonrpc: '2.0',
+            method: 'notifications/message',
+            params: { level: 'warning', logger: 'test', data: 'forwarded' }
+        }]);
+    });
+
+    test('should rotate log files when the size limit is exceeded', async () => {
+        const sink = new RotatingFileSink({ directory: testLogsPath, maxSize: 200, maxFiles: 3 });
+
+        for (let i = 0; i < 10; i++) {
+            sink.write({ level: 'info', message: `record ${i}`.padEnd(60, '.') });
+        }
+
+        const files = (await fs.readdir(testLogsPath)).sort();
+        expect(files).toEqual(['agent-mcp.log', 'agent-mcp.log.1', 'agent-mcp.log.2']);
+
+        const current = await fs.readFile(path.join(testLogsPath, 'agent-mcp.log'), 'utf8');
+        expect(current).toContain('record 9');
+    });
+
+    test('should accept logging/setLevel and not respond to notifications', async () => {
+        const mcpServer = new MCPServer('./test-agents-logging');
+
+        const setLevel = await mcpServer.handleMessage(JSON.stringify({
+            jsonrpc: '2.0', id: 1, method: 'logging/setLevel', params: { level: 'debug' }
+        }));
+        expect(setLevel.result).toEqual({});
+        expect(mcpServer.clientLogLevel).toBe('debug');
+
+        const invalid = await mcpServer.handleMessage(JSON.stringify({
+            jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level: 'verbose' }
+        }));
+        expect(invalid.error.code).toBe(-32602);
+
+        const notification = await mcpServer.handleMessage(JSON.stringify({
+            jsonrpc: '2.0', method: 'notifications/initialized'
+        }));
+        expect(notification).toBeNull();
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Test broadcasting messages to relationship groups and all agents
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Message broadcast', () => {
+    let storage;
+    let system;
+    let callTool;
+
+    const broadcast = (args) => callTool('message-broadcast', {
+        fromAgentId: 'api', messageType: 'STATUS_UPDATE', messageData: { status: 'changed', details: { endpoint: '/login' } }, ...args
+    });
+
+    const inbox = async (agentId) => (await storage.listMessages(agentId, 'incoming')).map(message => message.from_agent_id);
+
+    beforeEach(async () => {
+        ({ storage, system, callTool } = await createTestServer(['api', 'web', 'mobile', 'db', 'docs']));
+
+        await callTool('relationship-add', { agentId: 'api', targetAgentId: 'web', relationshipType: 'consumer', tags: ['clients'] });
+        await callTool('relationship-add', { agentId: 'api', targetAgentId: 'mobile', relationshipType: 'consumer', tags: ['clients'] });
+        await callTool('relationship-add', { agentId: 'api', targetAgentId: 'db', relationshipType: 'producer' });
+        await callTool('relationship-add', { agentId: 'api', targetAgentId: 'docs', relationshipType: 'optional', tags: ['clients'] });
+    });
+
+    test('should send to every consumer with a status per recipient', async () => {
+        const { payload } = await broadcast({ target: 'consumers' });
+
+        expect(payload).toMatchObject({ target: 'consumers', delivered: 2, failed: 0 });
+        expect(payload.recipients.map(recipient => [recipient.agentId, recipient.status])).toEqual([
+            ['web', 'delivered'],
+            ['mobile', 'delivered']
+        ]);
+
+        const [message] = await storage.listMessages('web', 'incoming');
+        expect(message).toMatchObject({ id: payload.recipients[0].messageId, to_agent_id: 'web', data: { status: 'changed' } });
+        expect(await inbox('db')).toEqual([]);
+        expect(await inbox('docs')).toEqual([]);
+    });
+
+    test('should resolve tags across relationship categories and skip inactive relationships', async () => {
+        await system.getAgent('api').relationshipManager.updateRelationshipStatus('mobile', 'inactive');
+
+        const tagged = await broadcast({ target: 'tag', tag: 'clients' });
+        expect(tagged.payload.recipients.map(recipient => recipient.agentId)).toEqual(['web', 'docs']);
+
+        const producers = await broadcast({ target: 'producers' });
+        expect(producers.payload.recipients.map(recipient => recipient.agentId)).toEqual(['db']);
+
+        const missingTag = await broadcast({ target: 'tag' });
+        expect(missingTag.isError).toBe(true);
+        expect(missingTag.payload).toContain('A tag is required');
+    });
+
+    test('should report recipients that reject the message without stopping the others', async () => {
+        const config = await storage.getMcpConfig('mobile');
+        await storage.saveMcpConfig('mobile', { ...config, messageTypes: ['TASK_REQUEST'] });
+
+        const { payload } = await broadcast({ target: 'all' });
+
+        expect(payload).toMatchObject({ delivered: 3, failed: 1 });
+        expect(payload.recipients.find(recipient => recipient.agentId === 'mobile')).toMatchObject({
+            status: 'failed',
+            error: expect.stringContaining('Unknown message type STATUS_UPDATE for agent mobile')
+        });
+        expect(payload.recipients.map(recipient => recipient.agentId)).not.toContain('api');
+        expect(await inbox('docs')).toEqual(['api']);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Test delivery receipts, handler retries and the dead-letter box
+ */
+
+const CommunicationProtocol = require('../src/communication/CommunicationProtocol');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Message delivery', () => {
+    let storage;
+    let system;
+    let mcpServer;
+    let callTool;
+    let protocol;
+
+    const receipt = async (messageId) => (await storage.getMessage('frontend', 'outgoing', messageId)).delivery;
+
+    const setHandler = (type, handler) => {
+        protocol.messageHandlers.get('api')[type] = handler;
+    };
+
+    const process = () => protocol.processIncomingMessages(system.getAgent('api'));
+
+    // Types unknown to the receiver are rejected when sent, so write the message straight into the inbox
+    const deliverUnhandled = async (agentId) => {
+        const message = CommunicationProtocol.createEnvelope('frontend', agentId, 'RETIRED_EVENT', {});
+        await storage.writeMessage(agentId, 'incoming', message);
+        return message;
+    };
+
+    beforeEach(async () => {
+        ({ storage, system, mcpServer, callTool } = await createTestServer([], { system: { messaging: { retryDelayMs: 0 } } }));
+        protocol = system.communicationProtocol;
+        await system.registerAgent('frontend');
+        await system.registerAgent('api');
+    });
+
+    test('should update the sender\'s receipt as a message is delivered and processed', async () => {
+        const message = await system.sendMessage('frontend', 'api', 'STATUS_UPDATE', { status: 'ready' });
+        expect(await receipt(message.id)).toMatchObject({ status: 'delivered', attempts: 0 });
+
+        await process();
+
+        expect(await receipt(message.id)).toMatchObject({ status: 'processed', attempts: 1 });
+        expect((await storage.getMessage('api', 'processed', message.id)).delivery.processed_at).toBeTruthy();
+    });
+
+    test('should retry a failing handler until it succeeds', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('Database busy'))
+            .mockResolvedValueOnce();
+        setHandler('STATUS_UPDATE', handler);
+
+        const message = await system.sendMessage('frontend', 'api', 'STATUS_UPDATE', { status: 'ready' });
+        await process();
+
+        expect(await receipt(message.id)).toMatchObject({ status: 'delivered', attempts: 1, last_error: 'Database busy' });
+        expect(await storage.getMessage('api', 'incoming', message.id)).not.toBeNull();
+
+        await process();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(await receipt(message.id)).toMatchObject({ status: 'processed', attempts: 2 });
+    });
+
+    test('should dead-letter poison messages after the configured attempts and replay them', async () => {
+        const api = system.getAgent('api');
+        const config = await api.getMcpConfig();
+        await api.updateMcpConfig({ ...config, settings: { ...config.settings, messageRetryAttempts: 2 } });
+
+        setHandler('STATUS_UPDATE', jest.fn().mockRejectedValue(new Error('Malformed payload')));
+        const message = await system.sendMessage('frontend', 'api', 'STATUS_UPDATE', { status: 'ready' });
+
+        await process();
+        await process();
+
+        expect(await storage.listMessages('api', 'incoming')).toEqual([]);
+        expect(await receipt(message.id)).toMatchObject({ status: 'failed', attempts: 2, last_error: 'Malformed payload' });
+
+        const { payload: deadLetters } = await callTool('dead-letter-list', { agentId: 'api' });
+        expect(deadLetters.messages.map(summary => summary.id)).toEqual([message.id]);
+        expect(deadLetters.messages[0].delivery.status).toBe('failed');
+
+        setHandler('STATUS_UPDATE', jest.fn().mockResolvedValue());
+        const { payload: replay } = await callTool('dead-letter-replay', { agentId: 'api', messageIds: [message.id, 'missing'] });
+        expect(replay).toMatchObject({ replayed: [message.id], notFound: ['missing'] });
+        expect(await receipt(message.id)).toMatchObject({ status: 'delivered', attempts: 0, replays: 1 });
+
+        await process();
+
+        expect(await storage.listMessages('api', 'dead-letter')).toEqual([]);
+        expect(await receipt(message.id)).toMatchObject({ status: 'processed', attempts: 1 });
+    });
+
+    test('should dead-letter messages without a handler immediately', async () => {
+        const message = await deliverUnhandled('api');
+        await process();
+
+        const deadLetter = await storage.getMessage('api', 'dead-letter', message.id);
+        expect(deadLetter.delivery).toMatchObject({ status: 'failed', attempts: 1 });
+        expect(deadLetter.delivery.last_error).toContain('No handler found for message type RETIRED_EVENT');
+    });
+
+    test('should fail handlers that run longer than the message timeout', async () => {
+        const api = system.getAgent('api');
+        const config = await api.getMcpConfig();
+        await api.updateMcpConfig({ ...config, settings: { ...config.settings, messageTimeout: 20, messageRetryAttempts: 1 } });
+
+        setHandler('STATUS_UPDATE', () => new Promise(resolve => setTimeout(resolve, 200)));
+        const message = await system.sendMessage('frontend', 'api', 'STATUS_UPDATE', { status: 'ready' });
+        await process();
+
+        expect((await receipt(message.id)).last_error).toContain('timed out after 20ms');
+        expect(await storage.getMessage('api', 'dead-letter', message.id)).not.toBeNull();
+    });
+
+    const requestNotes = async (agent, title) => (await agent.readContext()).split(`Received task request: ${title} from frontend`).length - 1;
+
+    test('should not queue a task request twice when its handler is retried', async () => {
+        const api = system.getAgent('api');
+        jest.spyOn(api, 'appendToContext').mockRejectedValueOnce(new Error('Disk full'));
+
+        const request = await system.createTaskRequest('frontend', 'api', { title: 'Login endpoint' });
+        await process();
+        const [message] = await storage.listMessages('api', 'incoming');
+        expect(message.delivery).toMatchObject({ attempts: 1, last_error: 'Disk full' });
+
+        await process();
+
+        const pending = await storage.getTasks('api', 'pending');
+        expect(pending.filter(task => task.id === request.id)).toHaveLength(1);
+        expect(await requestNotes(api, 'Login endpoint')).toBe(1);
+        expect(await storage.listMessages('api', 'incoming')).toEqual([]);
+    });
+
+    test('should let a timed out task request handler finish before retrying it', async () => {
+        const api = system.getAgent('api');
+        const config = await api.getMcpConfig();
+        await api.updateMcpConfig({ ...config, settings: { ...config.settings, messageTimeout: 20 } });
+
+        const addTask = api.taskQueue.addTask.bind(api.taskQueue);
+        jest.spyOn(api.taskQueue, 'addTask').mockImplementationOnce(async (task) => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return addTask(task);
+        });
+
+        const request = await system.createTaskRequest('frontend', 'api', { title: 'Login endpoint' });
+        await process();
+        const [message] = await storage.listMessages('api', 'incoming');
+        expect(message.delivery.last_error).toContain('timed out after 20ms');
+
+        // The retry waits for the first attempt, which has queued the task by then
+        await storage.writeMessage('api', 'incoming', { ...message, delivery: { ...message.delivery, retry_at: null } });
+        await api.updateMcpConfig({ ...config, settings: { ...config.settings, messageTimeout: 1000 } });
+        await process();
+
+        const pending = await storage.getTasks('api', 'pending');
+        expect(pending.filter(task => task.id === request.id)).toHaveLength(1);
+        expect(api.taskQueue.addTask).toHaveBeenCalledTimes(1);
+        expect(await requestNotes(api, 'Login endpoint')).toBe(1);
+    });
+
+    test('should report messages whose handler fails when acknowledged', async () => {
+        await mcpServer.registerAgent('docs', {});
+        const message = await deliverUnhandled('docs');
+
+        const { payload: ack } = await callTool('message-ack', { agentId: 'docs', messageIds: [message.id] });
+
+        expect(ack.acknowledged).toEqual([]);
+        expect(ack.failed[0].id).toBe(message.id);
+        expect(await storage.getMessage('docs', 'dead-letter', message.id)).not.toBeNull();
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Test the inbox tools MCP agents use to receive messages
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Message inbox tools', () => {
+    let system;
+    let callTool;
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['frontend', 'api', 'docs']));
+    });
+
+    test('should list, read and acknowledge messages', async () => {
+        const { payload: request } = await callTool('task-request', {
+            fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Login endpoint' }
+        });
+        await callTool('message-send', { fromAgentId: 'docs', toAgentId: 'api', messageType: 'STATUS_UPDATE', messageData: { status: 'ready' } });
+
+        const all = await callTool('message-list', { agentId: 'api' });
+        expect(all.payload.messages.map(message => message.type)).toEqual(['TASK_REQUEST', 'STATUS_UPDATE']);
+        expect(all.payload.messages[0]).toMatchObject({ from_agent_id: 'frontend', task_id: request.requestId, title: 'Login endpoint' });
+
+        const fromDocs = await callTool('message-list', { agentId: 'api', fromAgentId: 'docs' });
+        const statusId = fromDocs.payload.messages[0].id;
+        expect(fromDocs.payload.messages).toHaveLength(1);
+
+        const read = await callTool('message-get', { agentId: 'api', messageId: statusId });
+        expect(read.payload.message).toMatchObject({ box: 'incoming', data: { status: 'ready' } });
+
+        const unread = await callTool('message-list', { agentId: 'api', unread: true });
+        expect(unread.payload.messages.map(message => message.type)).toEqual(['TASK_REQUEST']);
+
+        const ack = await callTool('message-ack', { agentId: 'api', messageIds: [statusId, 'missing'] });
+        expect(ack.payload).toMatchObject({ acknowledged: [statusId], notFound: ['missing'] });
+
+        const processed = await callTool('message-list', { agentId: 'api', box: 'processed' });
+        expect(processed.payload.messages[0].acknowledged_at).toBeTruthy();
+        expect((await callTool('message-list', { agentId: 'api' })).payload.messages).toHaveLength(1);
+    });
+
+    test('should keep handled messages in the inbox of MCP agents until acknowledged', async () => {
+        await callTool('task-request', { fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Signup endpoint' } });
+
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+
+        const [message] = (await callTool('message-list', { agentId: 'api' })).payload.messages;
+        expect(message.handled_at).toBeTruthy();
+        expect(await system.getTasks('api', 'pending')).toHaveLength(1);
+
+        await callTool('message-ack', { agentId: 'api', messageIds: [message.id] });
+        expect(await system.getTasks('api', 'pending')).toHaveLength(1);
+        expect((await callTool('message-list', { agentId: 'api' })).payload.messages).toEqual([]);
+    });
+
+    test('should handle messages acknowledged before the poller reaches them', async () => {
+        await callTool('task-request', { fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Logout endpoint' } });
+        const [message] = (await callTool('message-list', { agentId: 'api', type: 'TASK_REQUEST' })).payload.messages;
+
+        await callTool('message-ack', { agentId: 'api', messageIds: [message.id] });
+
+        const [task] = await system.getTasks('api', 'pending');
+        expect(task.title).toBe('Logout endpoint');
+    });
+
+    test('should report unknown messages', async () => {
+        const result = await callTool('message-get', { agentId: 'api', messageId: 'missing' });
+
+        expect(result.isError).toBe(true);
+        expect(result.payload).toContain('Message missing not found for agent api');
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Test conversation threads across agents
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Conversation threads', () => {
+    let system;
+    let callTool;
+
+    // Entries are ordered by timestamp, so keep each step in its own millisecond
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['frontend', 'api']));
+    });
+
+    test('should group a task request, its responses and task changes into one thread', async () => {
+        const { payload: request } = await callTool('task-request', {
+            fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Login endpoint' }
+        });
+        const requestId = request.requestId;
+
+        await tick();
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+        await tick();
+        await callTool('task-accept', { agentId: 'api', requestId });
+        await tick();
+        await callTool('task-update', { agentId: 'api', taskId: requestId, status: 'in_progress' });
+        await tick();
+        await callTool('task-respond', { agentId: 'api', requestId, response: { deliverables: ['routes/login.js'] } });
+
+        const { payload } = await callTool('thread-get', { threadId: requestId });
+        const { thread } = payload;
+
+        expect(thread.participants).toEqual(['api', 'frontend']);
+        expect(thread.tasks).toEqual([expect.objectContaining({ agent_id: 'api', id: requestId, status: 'in_progress' })]);
+        expect(thread.entries.map(entry => entry.kind === 'message'
+            ? `${entry.message.type}:${entry.message.data.state || ''}`
+            : `${entry.action}:${entry.status}`)).toEqual([
+            'TASK_REQUEST:',
+            'created:pending',
+            'TASK_RESPONSE:accepted',
+            'status_changed:in_progress',
+            'TASK_RESPONSE:answered'
+        ]);
+    });
+
+    test('should attach replies to the thread of the message they answer', async () => {
+        const first = await system.sendMessage('frontend', 'api', 'STATUS_UPDATE', { status: 'question', details: { text: 'Is the schema final?' } });
+        await tick();
+
+        const reply = await callTool('message-send', {
+            fromAgentId: 'api', toAgentId: 'frontend', messageType: 'STATUS_UPDATE', messageData: { status: 'answer', details: { text: 'Yes' } }, replyTo: first.id
+        });
+        await tick();
+        const followUp = await callTool('message-send', {
+            fromAgentId: 'frontend', toAgentId: 'api', messageType: 'STATUS_UPDATE', messageData: { status: 'done', details: { text: 'Thanks' } }, threadId: first.id
+        });
+
+        const { payload } = await callTool('thread-get', { threadId: first.id });
+        const messages = payload.thread.entries.map(entry => entry.message);
+
+        expect(messages.map(message => message.id)).toEqual([first.id, reply.payload.messageId, followUp.payload.messageId]);
+        expect(messages[1]).toMatchObject({ thread_id: first.id, in_reply_to: first.id });
+
+        const inThread = await callTool('message-list', { agentId: 'api', threadId: first.id });
+        expect(inThread.payload.messages.map(message => message.id)).toEqual([followUp.payload.messageId]);
+    });
+
+    test('should reject unknown threads and replies to unknown messages', async () => {
+        const missingThread = await callTool('thread-get', { threadId: 'missing' });
+        expect(missingThread.payload).toContain('Thread missing not found');
+
+        const badThread = await callTool('message-send', {
+            fromAgentId: 'frontend', toAgentId: 'api', messageType: 'STATUS_UPDATE', threadId: 'missing'
+        });
+        expect(badThread.payload).toContain('Thread missing not found');
+
+        const badReply = await callTool('message-send', {
+            fromAgentId: 'frontend', toAgentId: 'api', messageType: 'STATUS_UPDATE', replyTo: 'missing'
+        });
+        expect(badReply.payload).toContain('Message missing not found for agent frontend');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Test publish/subscribe topics with retained messages
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Topics', () => {
+    let storage;
+    let system;
+    let callTool;
+
+    const subscribe = (agentId, topic = 'schema-changes') => callTool('topic-subscribe', { agentId, topic });
+
+    const publish = (status, topic = 'schema-changes') => callTool('topic-publish', {
+        fromAgentId: 'api', topic, messageType: 'STATUS_UPDATE', messageData: { status, details: { table: 'users' } }
+    });
+
+    const inbox = (agentId) => storage.listMessages(agentId, 'incoming');
+
+    beforeEach(async () => {
+        ({ storage, system, callTool } = await createTestServer(['api', 'web', 'mobile']));
+    });
+
+    test('should fan publications out to every subscriber but the publisher', async () => {
+        await subscribe('web');
+        await subscribe('mobile');
+        await subscribe('api');
+
+        const { payload } = await publish('users.email added');
+
+        expect(payload).toMatchObject({ delivered: 2, failed: 0 });
+        expect(payload.recipients.map(recipient => recipient.agentId)).toEqual(['web', 'mobile']);
+        expect(payload.topic).toMatchObject({ name: 'schema-changes', subscribers: ['web', 'mobile', 'api'], published: 1 });
+
+        const [message] = await inbox('web');
+        expect(message).toMatchObject({
+            type: 'STATUS_UPDATE',
+            from_agent_id: 'api',
+            topic: 'schema-changes',
+            publication_id: payload.publicationId,
+            data: { status: 'users.email added' }
+        });
+        expect(message.retained).toBeUndefined();
+        expect(await inbox('api')).toEqual([]);
+
+        const status = await callTool('agent-status', { agentId: 'web' });
+        expect(status.payload.status.topics).toEqual(['schema-changes']);
+    });
+
+    test('should send the retained message to late subscribers', async () => {
+        await publish('v1');
+        const second = await publish('v2');
+        expect(second.payload.recipients).toEqual([]);
+
+        const { payload } = await subscribe('web');
+        expect(payload).toMatchObject({ subscribed: true, retained: { agentId: 'web', status: 'delivered' } });
+
+        const messages = await inbox('web');
+        expect(messages).toHaveLength(1);
+        expect(messages[0]).toMatchObject({ retained: true, publication_id: second.payload.publicationId, data: { status: 'v2' } });
+
+        const again = await subscribe('web');
+        expect(again.payload).toMatchObject({ subscribed: false, retained: null });
+        expect(await inbox('web')).toHaveLength(1);
+    });
+
+    test('should stop delivering after unsubscribing', async () => {
+        await subscribe('web');
+        await callTool('topic-unsubscribe', { agentId: 'web', topic: 'schema-changes' });
+        await publish('v1');
+
+        expect(await inbox('web')).toEqual([]);
+
+        const notSubscribed = await callTool('topic-unsubscribe', { agentId: 'web', topic: 'schema-changes' });
+        expect(notSubscribed.payload).toContain('Agent web is not subscribed to topic schema-changes');
+        const badName = await subscribe('web', 'Schema Changes');
+        expect(badName.payload).toContain('Invalid topic name');
+    });
+
+    test('should report subscribers that reject a publication', async () => {
+        await subscribe('web');
+        await subscribe('mobile');
+        const schema = { type: 'object', properties: { version: { type: 'string' } }, required: ['version'] };
+        for (const agentId of ['api', 'web']) {
+            await callTool('message-type-register', { agentId, messageType: 'RELEASE_NOTE', schema });
+        }
+
+        const { payload } = await callTool('topic-publish', {
+            fromAgentId: 'api', topic: 'schema-changes', messageType: 'RELEASE_NOTE', messageData: { version: '2.0.0' }
+        });
+
+        expect(payload).toMatchObject({ delivered: 1, failed: 1 });
+        expect(payload.recipients[1]).toMatchObject({ agentId: 'mobile', status: 'failed', error: expect.stringContaining('Unknown message type RELEASE_NOTE') });
+    });
+
+    test('should reject publications the publisher does not accept without replacing the retained message', async () => {
+        await publish('migrated');
+        const retainedId = (await storage.getTopic('schema-changes')).retained.id;
+
+        const unknown = await callTool('topic-publish', { fromAgentId: 'api', topic: 'schema-changes', messageType: 'BOGUS', messageData: {} });
+        expect(unknown.error.message).toContain('Unknown message type BOGUS for agent api');
+
+        const invalid = await callTool('topic-publish', { fromAgentId: 'api', topic: 'schema-changes', messageType: 'STATUS_UPDATE', messageData: {} });
+        expect(invalid.error.data.errors).toEqual(['data.status is required']);
+
+        const topic = await storage.getTopic('schema-changes');
+        expect(topic).toMatchObject({ published: 1, retained: { id: retainedId, type: 'STATUS_UPDATE' } });
+
+        // Late subscribers still get the last valid publication
+        const { payload } = await subscribe('web');
+        expect(payload.retained).toMatchObject({ status: 'delivered' });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Test message type schemas, send-time validation and custom message types
+ */
+
+const { Agent } = require('../src/index');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Message types', () => {
+    let storage;
+    let system;
+    let callTool;
+
+    const send = (messageType, messageData) => callTool('message-send', {
+        fromAgentId: 'frontend', toAgentId: 'api', messageType, messageData
+    });
+
+    beforeEach(async () => {
+        ({ storage, system, callTool } = await createTestServer(['frontend', 'api']));
+    });
+
+    test('should list a schema for every built-in type', async () => {
+        const { payload } = await callTool('message-type-list', { agentId: 'api' });
+
+        expect(payload.messageTypes.map(type => type.type)).toEqual(Agent.MESSAGE_TYPES);
+        expect(payload.messageTypes.find(type => type.type === 'STATUS_UPDATE').schema.required).toEqual(['status']);
+        expect((await storage.getMcpConfig('api')).messageTypes.TASK_REQUEST.schema.required).toEqual(['task_id', 'task']);
+    });
+
+    test('should validate message data against the receiver\'s schema when sent', async () => {
+        const invalid = await send('COMPLETION_NOTIFICATION', { task_id: 42 });
+        expect(invalid.error.code).toBe(-32602);
+        expect(invalid.error.data.errors).toEqual(['data.status is required', 'data.task_id must be of type string']);
+
+        const unknown = await send('DESIGN_REVIEW', {});
+        expect(unknown.error.code).toBe(-32602);
+        expect(unknown.error.message).toContain('Unknown message type DESIGN_REVIEW for agent api');
+
+        const valid = await send('STATUS_UPDATE', { task_id: 'task-1', status: 'in_progress' });
+        const [message] = await storage.listMessages('api', 'incoming');
+        expect(message).toMatchObject({
+            id: valid.payload.messageId,
+            type: 'STATUS_UPDATE',
+            from_agent_id: 'frontend',
+            data: { task_id: 'task-1', status: 'in_progress' }
+        });
+
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+        expect(await system.getAgent('api').readContext()).toContain('Status update for task task-1: in_progress from frontend');
+    });
+
+    test('should accept custom message types registered by the receiver', async () => {
+        const schema = {
+            type: 'object',
+            properties: { url: { type: 'string', minLength: 1 }, approved: { type: 'boolean' } },
+            required: ['url']
+        };
+
+        const builtIn = await callTool('message-type-register', { agentId: 'api', messageType: 'STATUS_UPDATE', schema });
+        expect(builtIn.payload).toContain('STATUS_UPDATE is a built-in message type');
+        const badName = await callTool('message-type-register', { agentId: 'api', messageType: 'design-review', schema });
+        expect(badName.payload).toContain('upper case letters');
+
+        const registered = await callTool('message-type-register', {
+            agentId: 'api', messageType: 'DESIGN_REVIEW', schema, description: 'Review a design document'
+        });
+        expect(registered.payload.messageType).toMatchObject({ type: 'DESIGN_REVIEW', custom: true });
+
+        const invalid = await send('DESIGN_REVIEW', { approved: true });
+        expect(invalid.error.data.errors).toEqual(['data.url is required']);
+
+        await send('DESIGN_REVIEW', { url: 'docs/login.md' });
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+
+        expect(await system.getAgent('api').readContext()).toContain('DESIGN_REVIEW from frontend: {"url":"docs/login.md"}');
+        const rejectedByFrontend = await callTool('message-send', {
+            fromAgentId: 'api', toAgentId: 'frontend', messageType: 'DESIGN_REVIEW', messageData: { url: 'docs/login.md' }
+        });
+        expect(rejectedByFrontend.error.code).toBe(-32602);
+    });
+
+    test('should keep handling messages and configs written before schemas were added', async () => {
+        const config = await storage.getMcpConfig('api');
+        await storage.saveMcpConfig('api', { ...config, messageTypes: ['STATUS_UPDATE'] });
+
+        expect((await send('STATUS_UPDATE', {})).error.data.errors).toEqual(['data.status is required']);
+        expect((await send('CONTEXT_SYNC', {})).error.message).toContain('Unknown message type CONTEXT_SYNC');
+
+        await storage.writeMessage('api', 'incoming', {
+            id: 'legacy-1',
+            type: 'STATUS_UPDATE',
+            timestamp: new Date().toISOString(),
+            from_agent_id: 'frontend',
+            to_agent_id: 'api',
+            task_id: 'task-9',
+            status: 'completed',
+            details: {}
+        });
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+
+        expect(await system.getAgent('api').readContext()).toContain('Status update for task task-9: completed from frontend');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Test event-driven message delivery and the polling fallback
+ */
+
+const fs = require('fs').promises;
+const { AgentCommunicationSystem } = require('../src/index');
+const { createStorageBackend, MemoryStorageBackend } = require('../src/storage');
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await condition()) return true;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for condition');
+};
+
+class UnwatchableStorageBackend extends MemoryStorageBackend {
+    async watchMessages() {
+        throw new Error('ENOSPC: System limit for number of file watchers reached');
+    }
+}
+
+describe('Message watching', () => {
+    const testBasePath = './test-agents-watch';
+    let system;
+
+    const deliver = async () => {
+        const producer = await system.registerAgent('producer');
+        const consumer = await system.registerAgent('consumer');
+        await system.sendMessage('producer', 'consumer', 'STATUS_UPDATE', { status: 'ready' });
+        await waitFor(async () => (await system.storage.listMessages('consumer', 'processed')).length === 1);
+        return { producer, consumer };
+    };
+
+    beforeEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        await system.stop();
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should deliver messages through file watching', async () => {
+        system = new AgentCommunicationSystem({
+            basePath: testBasePath,
+            storage: createStorageBackend({ type: 'file', basePath: testBasePath }),
+            messaging: { mode: 'watch', pollIntervalMs: 60000 }
+        });
+        await system.start();
+
+        await deliver();
+
+        const status = system.communicationProtocol.getStatus();
+        expect(status.watchedAgents.sort()).toEqual(['consumer', 'producer']);
+        expect(status.latency.count).toBe(1);
+        expect(status.latency.maxMs).toBeLessThan(1000);
+    });
+
+    test('should watch agents registered before the protocol starts', async () => {
+        system = new AgentCommunicationSystem({
+            storage: createStorageBackend({ type: 'memory' }),
+            messaging: { mode: 'watch', pollIntervalMs: 60000 }
+        });
+        await system.registerAgent('consumer');
+        await system.start();
+
+        await deliver();
+
+        expect((await system.getSystemStatus()).messaging.watchedAgents.sort()).toEqual(['consumer', 'producer']);
+    });
+
+    test('should fall back to polling when watching fails', async () => {
+        system = new AgentCommunicationSystem({
+            storage: new UnwatchableStorageBackend(),
+            messaging: { mode: 'watch', pollIntervalMs: 20 }
+        });
+        await system.start();
+
+        await deliver();
+
+        const status = system.communicationProtocol.getStatus();
+        expect(status.watchedAgents).toEqual([]);
+        expect(status.polledAgents.sort()).toEqual(['consumer', 'producer']);
+    });
+
+    test('should poll every agent in poll mode', async () => {
+        system = new AgentCommunicationSystem({
+            storage: createStorageBackend({ type: 'memory' }),
+            messaging: { mode: 'poll', pollIntervalMs: 20 }
+        });
+        await system.start();
+
+        await deliver();
+
+        expect(system.communicationProtocol.getStatus().mode).toBe('poll');
+        expect(system.communicationProtocol.getStatus().watchedAgents).toEqual([]);
+    });
+
+    test('should reject unknown modes', () => {
+        system = new AgentCommunicationSystem({ storage: createStorageBackend({ type: 'memory' }) });
+        expect(() => new AgentCommunicationSystem({ messaging: { mode: 'push' } })).toThrow('Invalid message mode: push');
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Test full-text search across agents' context, tasks and messages
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MCPHttpAPI = require('../src/http-api');
+const SearchIndex = require('../src/core/SearchIndex');
+const { AgentCommunicationSystem } = require('../src/index');
+const { createStorageBackend } = require('../src/storage');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Search', () => {
+    let system;
+    let callTool;
+
+    const search = async (args) => (await callTool('search', args)).payload;
+
+    beforeEach(async () => {
+        ({ system, callTool } = await createTestServer(['api', 'web', 'db']));
+
+        await callTool('context-section-update', {
+            agentId: 'db', section: 'Schema', content: 'The users table has id, email and password_hash columns. Users are soft deleted.'
+        });
+        await callTool('context-section-update', { agentId: 'web', section: 'Notes', content: 'Login form posts to the api' });
+        await callTool('task-create', {
+            agentId: 'api',
+            task: {
+                title: 'Add users endpoint',
+                description: 'List accounts for the admin page',
+                deliverables: ['GET /users'],
+                metadata: { tags: ['backend'] }
+            }
+        });
+        await callTool('message-send', {
+            fromAgentId: 'db', toAgentId: 'web', messageType: 'STATUS_UPDATE',
+            messageData: { status: 'migrated', details: { column: 'users.last_login' } }
+        });
+    });
+
+    afterEach(async () => {
+        await system.stop();
+    });
+
+    test('should rank the agent that knows most about the query first', async () => {
+        const result = await search({ query: 'users table' });
+
+        expect(result.total).toBe(3);
+        expect(result.results[0]).toMatchObject({
+            type: 'context', agentId: 'db', section: 'Schema', matched: ['users', 'table']
+        });
+        expect(result.results[0].snippet).toContain('The users table has id');
+        expect(result.results.map(hit => hit.type).sort()).toEqual(['context', 'message', 'task']);
+        expect(result.results.slice(1).map(hit => hit.matched)).toEqual([['users'], ['users']]);
+        expect(result.results.every((hit, index) => index === 0 || hit.score <= result.results[index - 1].score)).toBe(true);
+    });
+
+    test('should filter by agent, type, tag and date', async () => {
+        const tasks = await search({ query: 'users', type: 'task', tag: 'backend' });
+        expect(tasks.results).toHaveLength(1);
+        expect(tasks.results[0]).toMatchObject({ agentId: 'api', title: 'Add users endpoint', status: 'pending' });
+
+        const fromDb = await search({ query: 'users', agentId: 'db' });
+        expect(fromDb.results.map(hit => [hit.type, hit.agentId])).toEqual(expect.arrayContaining([
+            ['context', 'db'],
+            ['message', 'web']
+        ]));
+        expect(fromDb.results.find(hit => hit.type === 'message')).toMatchObject({ fromAgentId: 'db', messageType: 'STATUS_UPDATE' });
+
+        expect((await search({ query: 'users', since: '2999-01-01' })).total).toBe(0);
+        expect((await search({ query: 'users', until: '2999-01-01' })).total).toBe(3);
+
+        const badDate = await callTool('search', { query: 'users', since: 'yesterday' });
+        expect(badDate.isError).toBe(true);
+        expect(badDate.payload).toContain('Invalid since date: yesterday');
+    });
+
+    test('should reject limits that are not positive integers', async () => {
+        expect((await system.search('users', { limit: 2 })).results).toHaveLength(2);
+
+        for (const limit of [0, -1, 1.5, SearchIndex.MAX_LIMIT + 1]) {
+            await expect(system.search('users', { limit })).rejects.toThrow(`Invalid limit: ${limit}. Must be between 1 and 100`);
+        }
+
+        const api = new MCPHttpAPI(0, { system });
+        const server = api.app.listen(0);
+        const { port } = server.address();
+
+        try {
+            const response = await fetch(`http://127.0.0.1:${port}/api/search?q=users&limit=-1`);
+            expect(response.status).toBe(400);
+            expect((await response.json()).error).toBe('Invalid limit: -1. Must be between 1 and 100');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('should pick up changes after the first search', async () => {
+        expect((await search({ query: 'redis' })).total).toBe(0);
+
+        await callTool('context-append', { agentId: 'web', content: 'Sessions are cached in Redis' });
+        await callTool('context-section-update', { agentId: 'db', section: 'Schema', content: 'Only an accounts table now' });
+
+        const redis = await search({ query: 'redis' });
+        expect(redis.results.map(hit => hit.agentId)).toEqual(['web']);
+        expect(redis.results[0].date).toBe(redis.results[0].section);
+
+        const users = await search({ query: 'users', type: 'context' });
+        expect(users.total).toBe(0);
+    });
+});
+
+describe('Search on the file backend', () => {
+    const basePath = './test-agents-search-files';
+    let system;
+
+    beforeEach(async () => {
+        await fs.rm(basePath, { recursive: true, force: true });
+        system = new AgentCommunicationSystem({ basePath, storage: createStorageBackend({ type: 'file', basePath }) });
+        await system.registerAgent('db');
+    });
+
+    afterEach(async () => {
+        await system.stop();
+        await fs.rm(basePath, { recursive: true, force: true });
+    });
+
+    test('should find data written in this process without waiting for the file watcher', async () => {
+        expect((await system.search('invoices')).total).toBe(0);
+
+        for (const month of ['january', 'february', 'march']) {
+            await system.createTask('db', { title: `Partition ${month} invoices` });
+            expect((await system.search(month)).results[0]).toMatchObject({ type: 'task', agentId: 'db' });
+
+            await system.getAgent('db').appendToContext(`Archived ${month} payments`);
+            expect((await system.search(`${month} payments`)).results.map(hit => hit.type)).toContain('context');
+        }
+    });
+
+    // Edits from other processes only arrive through the file watcher
+    test('should index edits made directly to context.md', async () => {
+        expect((await system.search('invoices')).total).toBe(0);
+
+        const contextPath = path.join(basePath, 'db', 'context.md');
+        await fs.appendFile(contextPath, '\n## Billing\nThe invoices table is partitioned by month\n');
+
+        let result;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            result = await system.search('invoices');
+            if (result.total > 0) break;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(result.results[0]).toMatchObject({ agentId: 'db', section: 'Billing' });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Test that the MCP server and core agents behave the same on every storage backend
+ */
+
+const fs = require('fs').promises;
+const MCPServer = require('../src/mcp-server');
+const { AgentCommunicationSystem, Task } = require('../src/index');
+const { createStorageBackend, resolveStorageOptions } = require('../src/storage');
+
+const hasSqlite = (() => {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+const testBasePath = './test-agents-backends';
+
+const backends = [
+    ['file', () => createStorageBackend({ type: 'file', basePath: testBasePath })],
+    ['memory', () => createStorageBackend({ type: 'memory' })]
+];
+if (hasSqlite) {
+    backends.push(['sqlite', () => createStorageBackend({ type: 'sqlite', filename: ':memory:' })]);
+}
+
+describe.each(backends)('%s storage backend', (type, createBackend) => {
+    let storage;
+    let mcpServer;
+
+    beforeEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+        storage = createBackend();
+        mcpServer = new MCPServer(testBasePath, './reports', { storage });
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should register agents and preserve their data on re-registration', async () => {
+        await mcpServer.registerAgent('agent-a', { role: 'producer' });
+        await mcpServer.updateAgentContext('agent-a', '# Custom context');
+        await mcpServer.registerAgent('agent-a', { role: 'updated' }, true);
+
+        const config = await storage.getMcpConfig('agent-a');
+        expect(config.capabilities).toEqual({ role: 'updated' });
+        expect(config.lastUpdated).toBeDefined();
+        expect(await storage.readContext('agent-a')).toContain('# Custom context');
+        expect(await storage.listAgents()).toEqual(['agent-a']);
+        expect(await storage.verifyAgent('agent-a')).toEqual([]);
+    });
+
+    test('should move tasks between queues', async () => {
+        await mcpServer.registerAgent('agent-a', {});
+        const taskId = await mcpServer.createTask('agent-a', { title: 'Build API' });
+
+        expect((await mcpServer.getTasks('agent-a', 'pending')).map(t => t.id)).toEqual([taskId]);
+
+        await mcpServer.updateTaskStatus('agent-a', taskId, 'in_progress');
+        expect((await mcpServer.getTasks('agent-a', 'active')).map(t => t.id)).toEqual([taskId]);
+
+        await mcpServer.updateTaskStatus('agent-a', taskId, 'completed', ['api.js']);
+
+        const tasks = await mcpServer.getTasks('agent-a');
+        expect(tasks.pending).toEqual([]);
+        expect(tasks.completed[0].deliverables).toEqual(['api.js']);
+
+        const history = await mcpServer.getTaskHistory('agent-a', taskId);
+        expect(history.map(event => event.changes.status.to)).toEqual(['pending', 'in_progress', 'completed']);
+    });
+
+    test('should store relationships and messages', async () => {
+        await mcpServer.registerAgent('agent-a', {});
+        await mcpServer.registerAgent('agent-b', {});
+        await mcpServer.addRelationship('agent-a', 'agent-b', 'consumer');
+        const messageId = await mcpServer.sendMessage('agent-a', 'agent-b', 'STATUS_UPDATE', { status: 'ready' });
+
+        const status = await mcpServer.getAgentStatus('agent-a');
+        expect(status.relationships.consumers).toBe(1);
+        expect((await storage.listMessages('agent-a', 'outgoing'))[0].id).toBe(messageId);
+        expect((await storage.listMessages('agent-b', 'incoming'))[0].data).toEqual({ status: 'ready' });
+
+        await storage.archiveMessage('agent-b', messageId);
+        expect(await storage.listMessages('agent-b', 'incoming')).toEqual([]);
+        expect((await storage.listMessages('agent-b', 'processed'))[0].id).toBe(messageId);
+
+        expect(await storage.moveMessage('agent-b', 'processed', 'dead-letter', messageId)).toBe(true);
+        expect(await storage.moveMessage('agent-b', 'processed', 'dead-letter', messageId)).toBe(false);
+        expect((await storage.getMessage('agent-b', 'dead-letter', messageId)).data).toEqual({ status: 'ready' });
+    });
+
+    test('should store topics apart from agents', async () => {
+        await mcpServer.registerAgent('agent-a', {});
+        await mcpServer.subscribeToTopic('agent-a', 'release-notes');
+        await mcpServer.publishToTopic('agent-a', 'release-notes', 'STATUS_UPDATE', { status: 'v1.0.0' });
+
+        const [topic] = await storage.listTopics();
+        expect(topic).toMatchObject({ name: 'release-notes', published: 1, retained: { data: { status: 'v1.0.0' } } });
+        expect(topic.subscribers.map(subscriber => subscriber.agentId)).toEqual(['agent-a']);
+        expect(await storage.getTopic('missing')).toBeNull();
+        expect(await storage.listAgents()).toEqual(['agent-a']);
+    });
+
+    test('should keep every version of the context', async () => {
+        await mcpServer.registerAgent('agent-a', {});
+        await mcpServer.updateAgentContext('agent-a', '# Agent agent-a Context\n\n## Notes\nFirst', 'first');
+        await mcpServer.restoreContext('agent-a', 1);
+
+        const versions = await storage.listContextVersions('agent-a');
+        expect(versions.map(entry => [entry.version, entry.reason])).toEqual([
+            [1, 'Context before history was recorded'],
+            [2, 'first'],
+            [3, 'Restored version 1']
+        ]);
+        expect(versions[0].content).toBeUndefined();
+        expect((await storage.getContextVersion('agent-a', 2)).content).toContain('## Notes\nFirst');
+        expect(await storage.getContextVersion('agent-a', 9)).toBeNull();
+        expect(await storage.readContext('agent-a')).toContain('- Status: Initialized');
+
+        expect(await storage.pruneContextVersions('agent-a', 2)).toBe(1);
+        expect((await storage.listContextVersions('agent-a')).map(entry => entry.version)).toEqual([2, 3]);
+        expect(await storage.getContextVersion('agent-a', 1)).toBeNull();
+        expect((await storage.getContextVersion('agent-a', 3)).content).toContain('- Status: Initialized');
+        expect(await storage.pruneContextVersions('agent-a', 2)).toBe(0);
+    });
+
+    test('should deliver messages between core agents', async () => {
+        const system = new AgentCommunicationSystem({ storage });
+        const producer = await system.registerAgent('producer', testBasePath);
+        const consumer = await system.registerAgent('consumer', testBasePath);
+
+        await system.communicationProtocol.sendTaskRequest(producer, consumer, new Task({
+            title: 'Integrate API',
+            description: 'Use the new endpoints',
+            agent_id: 'consumer',
+            created_by: 'producer'
+        }));
+        await system.communicationProtocol.processIncomingMessages(consumer);
+
+        const pending = await consumer.taskQueue.getPendingTasks();
+        expect(pending.map(t => t.title)).toEqual(['Integrate API']);
+        expect(await storage.listMessages('consumer', 'incoming')).toEqual([]);
+        expect(await storage.listMessages('consumer', 'processed')).toHaveLength(1);
+    });
+});
+
+describe('storage backend selection', () => {
+    test('should default to the file backend', () => {
+        expect(resolveStorageOptions({}, {}).type).toBe('file');
+    });
+
+    test('should read the backend and paths from the environment', () => {
+        const options = resolveStorageOptions({}, { MCP_STORAGE: 'SQLite', MCP_AGENTS_PATH: '/data/agents' });
+        expect(options).toEqual({ type: 'sqlite', basePath: '/data/agents', filename: '/data/agents/agents.db' });
+    });
+
+    test('should reject unknown backends', () => {
+        expect(() => resolveStorageOptions({ type: 'redis' }, {})).toThrow('Invalid storage type: redis');
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Test atomic writes and cross-process locking of agent files
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const AsyncLock = require('../src/storage/AsyncLock');
+const AtomicFile = require('../src/storage/AtomicFile');
+const FileLock = require('../src/storage/FileLock');
+const MCPServer = require('../src/mcp-server');
+
+const execFileAsync = promisify(execFile);
+
+describe('Agent file storage', () => {
+    const testBasePath = './test-agents-storage';
+    const agentId = 'storage-agent';
+    const pendingPath = path.join(testBasePath, agentId, 'tasks', 'pending.json');
+
+    beforeEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should write files atomically without leaving temp files', async () => {
+        const filePath = path.join(testBasePath, 'data.json');
+        await fs.mkdir(testBasePath, { recursive: true });
+
+        await AtomicFile.writeJson(filePath, { value: 1 });
+        await AtomicFile.writeJson(filePath, { value: 2 });
+
+        expect(await AtomicFile.readJson(filePath)).toEqual({ value: 2 });
+        expect(await fs.readdir(testBasePath)).toEqual(['data.json']);
+    });
+
+    test('should not lose tasks created concurrently in one process', async () => {
+        const mcpServer = new MCPServer(testBasePath);
+        await mcpServer.registerAgent(agentId, {});
+
+        await Promise.all(Array.from({ length: 25 }, (_, i) =>
+            mcpServer.createTask(agentId, { title: `Task ${i}` })
+        ));
+
+        const tasks = JSON.parse(await fs.readFile(pendingPath, 'utf8'));
+        expect(tasks).toHaveLength(25);
+    });
+
+    test('should not lose tasks created concurrently by separate processes', async () => {
+        const mcpServer = new MCPServer(testBasePath);
+        await mcpServer.registerAgent(agentId, {});
+
+        const script = `
+            const MCPServer = require(${JSON.stringify(path.resolve('src/mcp-server.js'))});
+            const server = new MCPServer(${JSON.stringify(testBasePath)});
+            Promise.all(Array.from({ length: 10 }, (_, i) =>
+                server.createTask(${JSON.stringify(agentId)}, { title: 'Task ' + process.pid + '-' + i })
+            )).catch(error => { console.error(error); process.exit(1); });
+        `;
+        const env = { ...process.env, MCP_LOG_LEVEL: 'error' };
+
+        await Promise.all([
+            execFileAsync(process.execPath, ['-e', script], { env }),
+            execFileAsync(process.execPath, ['-e', script], { env })
+        ]);
+
+        const tasks = JSON.parse(await fs.readFile(pendingPath, 'utf8'));
+        expect(tasks).toHaveLength(20);
+    });
+
+    test('should recover a lock left behind by a dead process', async () => {
+        const lockPath = path.join(testBasePath, agentId, '.lock');
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        await fs.writeFile(lockPath, JSON.stringify({
+            pid: 999999999,
+            hostname: require('os').hostname(),
+            acquiredAt: new Date().toISOString()
+        }));
+
+        const result = await FileLock.withLock(lockPath, async () => 'acquired', { timeoutMs: 1000 });
+
+        expect(result).toBe('acquired');
+        await expect(fs.access(lockPath)).rejects.toThrow();
+    });
+
+    test('should keep a held lock fresh so other processes do not take it as stale', async () => {
+        const lockPath = path.resolve(testBasePath, 'held.lock');
+        const release = await FileLock.acquire(lockPath, { staleMs: 150 });
+
+        try {
+            await new Promise(resolve => setTimeout(resolve, 400));
+            expect(await FileLock.isStale(lockPath, 150)).toBe(false);
+        } finally {
+            await release();
+        }
+        await expect(fs.access(lockPath)).rejects.toThrow();
+    });
+
+    test('should allow re-entrant locking within the same call chain', async () => {
+        const lockPath = path.join(testBasePath, 'reentrant.lock');
+
+        const result = await FileLock.withLock(lockPath, () =>
+            FileLock.withLock(lockPath, async () => 'nested', { timeoutMs: 500 })
+        );
+
+        expect(result).toBe('nested');
+    });
+
+    test('should give up waiting for an in-process lock that is never released', async () => {
+        let release;
+        const held = AsyncLock.withLock('stuck', () => new Promise(resolve => { release = resolve; }));
+
+        await expect(AsyncLock.withLock('stuck', async () => 'late', null, { timeoutMs: 50 }))
+            .rejects.toThrow('Timed out after 50ms waiting for lock stuck');
+
+        // Callers that queued behind the timed out one still wait for the holder
+        const next = AsyncLock.withLock('stuck', async () => 'next');
+        release('done');
+
+        expect(await held).toBe('done');
+        expect(await next).toBe('next');
+    });
+});
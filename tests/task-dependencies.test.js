@@ -0,0 +1,117 @@
+/**
+ * Test cross-agent task dependencies and automatic unblocking
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Task dependencies', () => {
+    let system;
+    let mcpServer;
+    let callTool;
+
+    const complete = async (agentId, taskId) => {
+        await system.updateTaskStatus(agentId, taskId, 'in_progress');
+        await system.updateTaskStatus(agentId, taskId, 'completed');
+    };
+
+    beforeEach(async () => {
+        ({ system, mcpServer, callTool } = await createTestServer(['api', 'frontend']));
+    });
+
+    test('should block tasks until dependencies in other agents complete', async () => {
+        const endpoint = await system.createTask('api', { title: 'Login endpoint' });
+        const form = await system.createTask('frontend', { title: 'Login form', dependencies: [`api:${endpoint.id}`] });
+
+        expect(form.status).toBe('blocked');
+        expect(form.metadata.waitingOnDependencies).toBe(true);
+
+        const started = await callTool('task-update', { agentId: 'frontend', taskId: form.id, status: 'in_progress' });
+        expect(started.error.code).toBe(-32602);
+        expect(started.error.data.dependencies).toEqual([`api:${endpoint.id}`]);
+
+        await complete('api', endpoint.id);
+        const [notification] = await system.storage.listMessages('frontend', 'incoming');
+        expect(notification.type).toBe('COMPLETION_NOTIFICATION');
+        expect(notification.data.dependents).toEqual([form.id]);
+
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('frontend'));
+
+        const [ready] = await system.getTasks('frontend', 'pending');
+        expect(ready.id).toBe(form.id);
+        expect(ready.metadata.waitingOnDependencies).toBeUndefined();
+
+        const history = await system.getTaskHistory('frontend', form.id);
+        expect(history[history.length - 1]).toMatchObject({ actor: 'api', reason: 'Dependencies completed' });
+    });
+
+    test('should resolve request dependencies against the requesting agent', async () => {
+        const endpoint = await system.createTask('api', { title: 'Login endpoint' });
+        const request = await system.createTaskRequest('api', 'frontend', {
+            title: 'Login form', dependencies: [endpoint.id]
+        });
+        expect(request.dependencies).toEqual([`api:${endpoint.id}`]);
+
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('frontend'));
+        const [received] = await system.getTasks('frontend', 'active');
+        expect(received).toMatchObject({ id: request.id, status: 'blocked', dependencies: [`api:${endpoint.id}`] });
+
+        await complete('api', endpoint.id);
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('frontend'));
+
+        const [ready] = await system.getTasks('frontend', 'pending');
+        expect(ready.id).toBe(request.id);
+    });
+
+    test('should reject dependencies on tasks that do not exist', async () => {
+        await expect(system.createTask('frontend', { title: 'Form', dependencies: ['api:missing-task'] }))
+            .rejects.toThrow('depends on tasks that do not exist: api:missing-task');
+        await expect(system.createTask('frontend', { title: 'Form', dependencies: ['ghost:task'] }))
+            .rejects.toThrow('ghost:task');
+
+        expect(await system.getTasks('frontend', 'pending')).toEqual([]);
+    });
+
+    test('should unblock dependents in the same agent when a task completes', async () => {
+        const schema = await system.createTask('api', { title: 'Schema' });
+        const endpoints = await system.createTask('api', { title: 'Endpoints', dependencies: [schema.id] });
+
+        await complete('api', schema.id);
+
+        const readyTasks = await system.getAgent('api').taskQueue.getReadyTasks();
+        expect(readyTasks.map(task => task.id)).toEqual([endpoints.id]);
+        expect(await system.storage.listMessages('frontend', 'incoming')).toEqual([]);
+    });
+
+    test('should keep manually blocked tasks blocked', async () => {
+        const schema = await system.createTask('api', { title: 'Schema' });
+        const docs = await system.createTask('api', { title: 'Docs' });
+        await system.updateTaskStatus('api', docs.id, 'blocked', [], 'Waiting on review');
+
+        await complete('api', schema.id);
+
+        const [blocked] = await system.getTasks('api', 'active');
+        expect(blocked).toMatchObject({ id: docs.id, status: 'blocked' });
+    });
+
+    test('should show the blocking chain across agents', async () => {
+        const schema = await system.createTask('api', { title: 'Schema' });
+        const endpoint = await system.createTask('api', { title: 'Endpoint', dependencies: [schema.id] });
+        await mcpServer.registerAgent('design', {});
+        const mockup = await system.createTask('design', { title: 'Mockup' });
+        const form = await system.createTask('frontend', {
+            title: 'Form',
+            dependencies: [`api:${endpoint.id}`, `design:${mockup.id}`]
+        });
+
+        // A dependency removed after the task was created
+        await system.storage.saveTasks('design', 'pending', []);
+
+        const { payload } = await callTool('task-dependencies', { agentId: 'frontend', taskId: form.id });
+        const { dependencies } = payload;
+
+        expect(dependencies.ready).toBe(false);
+        expect(dependencies.dependencies[0].dependencies[0]).toMatchObject({ ref: `api:${schema.id}`, status: 'pending', met: false });
+        expect(dependencies.dependencies[1]).toMatchObject({ agentId: 'design', found: false });
+        expect(dependencies.blocking.map(node => node.ref)).toEqual([`api:${schema.id}`, `design:${mockup.id}`]);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Test the per-task audit trail
+ */
+
+const fs = require('fs').promises;
+const MCPHttpAPI = require('../src/http-api');
+const { createStorageBackend } = require('../src/storage');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Task history', () => {
+    const testBasePath = './test-agents-history';
+    let system;
+    let callTool;
+
+    beforeEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+        ({ system, callTool } = await createTestServer(['worker', 'lead'], {
+            basePath: testBasePath,
+            storage: createStorageBackend({ type: 'file', basePath: testBasePath })
+        }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should record who changed a task, what changed and why', async () => {
+        const task = await system.createTask('worker', { title: 'Write migration' }, 'lead');
+
+        await callTool('task-update', { agentId: 'worker', taskId: task.id, status: 'in_progress' });
+        await callTool('task-update', { agentId: 'worker', taskId: task.id, status: 'blocked', reason: 'Waiting on schema', actorId: 'lead' });
+
+        const { payload } = await callTool('task-history', { agentId: 'worker', taskId: task.id });
+
+        expect(payload.history.map(event => [event.action, event.actor])).toEqual([
+            ['created', 'lead'],
+            ['status_changed', 'worker'],
+            ['status_changed', 'lead']
+        ]);
+
+        const blocked = payload.history[2];
+        expect(blocked.reason).toBe('Waiting on schema');
+        expect(blocked.changes.status).toEqual({ from: 'in_progress', to: 'blocked' });
+        expect(blocked.changes.metadata.to.blockReason).toBe('Waiting on schema');
+        expect(blocked.changes.updated_at).toBeUndefined();
+    });
+
+    test('should record deliverable changes and keep history after cleanup', async () => {
+        const task = await system.createTask('worker', { title: 'Ship docs' });
+        await system.updateTaskStatus('worker', task.id, 'in_progress');
+        await system.updateTaskStatus('worker', task.id, 'completed', ['docs/README.md']);
+
+        await system.getAgent('worker').taskQueue.cleanupCompletedTasks(0);
+
+        const history = await system.getTaskHistory('worker', task.id);
+        expect(history[2].changes.deliverables).toEqual({ from: [], to: ['docs/README.md'] });
+        expect(history[3].action).toBe('removed');
+    });
+
+    test('should not record rejected transitions', async () => {
+        const task = await system.createTask('worker', { title: 'Review PR' });
+        const rejected = await callTool('task-update', { agentId: 'worker', taskId: task.id, status: 'completed' });
+        expect(rejected.error.code).toBe(-32602);
+
+        expect((await system.getTaskHistory('worker', task.id)).map(event => event.action)).toEqual(['created']);
+    });
+
+    test('should report unknown tasks', async () => {
+        const result = await callTool('task-history', { agentId: 'worker', taskId: 'missing' });
+
+        expect(result.isError).toBe(true);
+        expect(result.payload).toContain('Task missing not found');
+    });
+
+    test('should serve task history over the HTTP API', async () => {
+        const task = await system.createTask('worker', { title: 'Audit logging' });
+        const api = new MCPHttpAPI(0, { system });
+        const server = api.app.listen(0);
+        const { port } = server.address();
+
+        try {
+            const body = await fetch(`http://127.0.0.1:${port}/api/agents/worker/tasks/${task.id}/history`)
+                .then(res => res.json());
+
+            expect(body.success).toBe(true);
+            expect(body.history[0].action).toBe('created');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
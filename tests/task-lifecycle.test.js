@@ -0,0 +1,104 @@
+/**
+ * Test the task lifecycle state machine
+ */
+
+const MCPServer = require('../src/mcp-server');
+const Task = require('../src/core/Task');
+const { createStorageBackend } = require('../src/storage');
+
+describe('Task lifecycle', () => {
+    test('should only allow transitions defined by the lifecycle', () => {
+        expect(Task.canTransition('pending', 'in_progress')).toBe(true);
+        expect(Task.canTransition('in_progress', 'review')).toBe(true);
+        expect(Task.canTransition('review', 'completed')).toBe(true);
+        expect(Task.canTransition('completed', 'pending')).toBe(true);
+        expect(Task.canTransition('pending', 'completed')).toBe(false);
+        expect(Task.canTransition('completed', 'in_progress')).toBe(false);
+    });
+
+    test('should reject unknown statuses and missing reasons', () => {
+        const task = new Task({ title: 'Task', agent_id: 'agent' });
+
+        expect(() => task.updateStatus('done')).toThrow(Task.InvalidTransitionError);
+        expect(() => task.updateStatus('cancelled')).toThrow('A reason is required');
+
+        task.updateStatus('cancelled', 'No longer needed');
+        expect(task.metadata.cancelReason).toBe('No longer needed');
+
+        task.updateStatus('pending');
+        expect(task.metadata.cancelReason).toBeUndefined();
+    });
+});
+
+describe('task-update lifecycle enforcement', () => {
+    let mcpServer;
+    let taskId;
+
+    const update = async (args) => {
+        return mcpServer.handleMessage(JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'tools/call',
+            params: { name: 'task-update', arguments: { agentId: 'worker', taskId, ...args } }
+        }));
+    };
+
+    const queueOf = async (id) => {
+        const tasks = await mcpServer.getTasks('worker');
+        return Object.keys(tasks).find(queue => tasks[queue].some(task => task.id === id));
+    };
+
+    beforeEach(async () => {
+        mcpServer = new MCPServer('./test-agents-lifecycle', './reports', {
+            storage: createStorageBackend({ type: 'memory' })
+        });
+        await mcpServer.registerAgent('worker', {});
+        taskId = await mcpServer.createTask('worker', { title: 'Implement feature' });
+    });
+
+    test('should move tasks into the queue for each status', async () => {
+        await update({ status: 'in_progress' });
+        expect(await queueOf(taskId)).toBe('active');
+
+        await update({ status: 'review', deliverables: ['feature.js'] });
+        expect(await queueOf(taskId)).toBe('active');
+
+        const response = await update({ status: 'completed' });
+        expect(JSON.parse(response.result.content[0].text).task.status).toBe('completed');
+        expect(await queueOf(taskId)).toBe('completed');
+
+        await update({ status: 'pending' });
+        expect(await queueOf(taskId)).toBe('pending');
+    });
+
+    test('should record reasons for failed tasks', async () => {
+        await update({ status: 'in_progress' });
+        await update({ status: 'failed', reason: 'Upstream API removed' });
+
+        const [task] = await mcpServer.getTasks('worker', 'completed');
+        expect(task.status).toBe('failed');
+        expect(task.metadata.failureReason).toBe('Upstream API removed');
+    });
+
+    test('should return invalid params for rejected transitions', async () => {
+        const response = await update({ status: 'completed' });
+
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toContain('cannot move from pending to completed');
+        expect(response.error.data.allowed).toEqual(Task.TRANSITIONS.pending);
+    });
+
+    test('should return invalid params when a reason is missing', async () => {
+        const response = await update({ status: 'blocked' });
+
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toContain('reason is required');
+    });
+
+    test('should reject statuses outside the lifecycle', async () => {
+        const response = await update({ status: 'done' });
+
+        expect(response.error.code).toBe(-32602);
+        expect(await queueOf(taskId)).toBe('pending');
+    });
+});
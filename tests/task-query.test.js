@@ -0,0 +1,154 @@
+/**
+ * Test querying tasks across agents
+ */
+
+const MCPHttpAPI = require('../src/http-api');
+const TaskQuery = require('../src/core/TaskQuery');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Task queries', () => {
+    let system;
+    let mcpServer;
+    let callTool;
+    let createdBetween;
+
+    const query = async (args) => (await callTool('task-query', args)).payload;
+    const titles = (result) => result.tasks.map(task => task.title);
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const block = async (agentId, taskId) => {
+        await callTool('task-update', { agentId, taskId, status: 'blocked', reason: 'Waiting on review' });
+    };
+
+    beforeEach(async () => {
+        ({ system, mcpServer, callTool } = await createTestServer(['api', 'web', 'db']));
+
+        // Created a few milliseconds apart so creation order is well defined
+        const create = async (agentId, task) => {
+            await sleep(3);
+            return mcpServer.createTask(agentId, task);
+        };
+
+        const apiLogin = await create('api', {
+            title: 'Login endpoint', description: 'Issue session tokens', priority: 'high', metadata: { tags: ['auth', 'backend'] }
+        });
+        await create('api', { title: 'Rate limiting', priority: 'low', metadata: { tags: ['backend'] } });
+        await sleep(3);
+        createdBetween = new Date().toISOString();
+        const webLogin = await create('web', {
+            title: 'Login form', description: 'Posts credentials to the api', priority: 'high', metadata: { tags: ['auth'] }
+        });
+        await create('db', { title: 'Sessions table', priority: 'high', deliverables: ['sessions migration'] });
+        await create('db', { title: 'Backups', priority: 'medium' });
+
+        await block('api', apiLogin);
+        await block('web', webLogin);
+    });
+
+    afterEach(async () => {
+        await system.stop();
+    });
+
+    test('should find high priority blocked tasks across all agents', async () => {
+        const result = await query({ status: 'blocked', priority: 'high' });
+
+        expect(result.success).toBe(true);
+        expect(result.total).toBe(2);
+        expect(titles(result).sort()).toEqual(['Login endpoint', 'Login form']);
+        expect(result.tasks.map(task => [task.agentId, task.queue]).sort()).toEqual([['api', 'active'], ['web', 'active']]);
+        expect(result.nextCursor).toBeNull();
+    });
+
+    test('should limit the query to the given agents and queues', async () => {
+        expect(titles(await query({ agentIds: ['db'] })).sort()).toEqual(['Backups', 'Sessions table']);
+        expect(titles(await query({ queue: 'pending', priority: ['high', 'medium'] })).sort()).toEqual(['Backups', 'Sessions table']);
+
+        const unknown = await callTool('task-query', { agentIds: ['ghost'] });
+        expect(unknown.isError).toBe(true);
+        expect(unknown.payload).toContain('Agent ghost not found');
+    });
+
+    test('should filter by tags, text and dates', async () => {
+        expect(titles(await query({ tags: ['auth', 'backend'] }))).toEqual(['Login endpoint']);
+        expect(titles(await query({ tags: ['backend'], sortBy: 'title' }))).toEqual(['Login endpoint', 'Rate limiting']);
+        expect(titles(await query({ text: 'SESSION' })).sort()).toEqual(['Login endpoint', 'Sessions table']);
+        expect(titles(await query({ text: 'sessions migration' }))).toEqual(['Sessions table']);
+
+        const before = await query({ createdBefore: createdBetween });
+        expect(titles(before).sort()).toEqual(['Login endpoint', 'Rate limiting']);
+        const after = await query({ createdAfter: createdBetween, sortBy: 'created_at' });
+        expect(titles(after)).toEqual(['Login form', 'Sessions table', 'Backups']);
+    });
+
+    test('should sort by priority, then by the requested field and order', async () => {
+        const byPriority = await query({});
+        expect(byPriority.tasks.map(task => task.priority)).toEqual(['high', 'high', 'high', 'medium', 'low']);
+
+        expect(titles(await query({ sortBy: 'title', order: 'desc' })))
+            .toEqual(['Sessions table', 'Rate limiting', 'Login form', 'Login endpoint', 'Backups']);
+        expect(titles(await query({ sortBy: 'priority', order: 'asc' }))[0]).toBe('Rate limiting');
+    });
+
+    test('should page through results with cursors', async () => {
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+            const page = await query({ sortBy: 'created_at', limit: 2, ...(cursor ? { cursor } : {}) });
+            expect(page.total).toBe(5);
+            seen.push(...titles(page));
+            cursor = page.nextCursor;
+            pages++;
+        } while (cursor);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual(['Login endpoint', 'Rate limiting', 'Login form', 'Sessions table', 'Backups']);
+    });
+
+    test('should not shift later pages when earlier tasks are added', async () => {
+        const first = await query({ sortBy: 'title', limit: 2 });
+        expect(titles(first)).toEqual(['Backups', 'Login endpoint']);
+
+        await mcpServer.createTask('web', { title: 'Accessibility audit' });
+
+        const second = await query({ sortBy: 'title', limit: 2, cursor: first.nextCursor });
+        expect(titles(second)).toEqual(['Login form', 'Rate limiting']);
+    });
+
+    test('should reject invalid filters and cursors for another sort', async () => {
+        const invalidStatus = await system.queryTasks({ status: 'done' }).catch(error => error);
+        expect(invalidStatus.message).toContain('Invalid status: done');
+
+        await expect(system.queryTasks({ createdAfter: 'yesterday' })).rejects.toThrow('Invalid createdAfter date');
+        await expect(system.queryTasks({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+        await expect(system.queryTasks({ limit: 0 })).rejects.toThrow('Invalid limit: 0. Must be between 1 and');
+        await expect(system.queryTasks({ limit: '0' })).rejects.toThrow('Invalid limit: 0');
+
+        await expect(system.queryTasks({ agentIds: ['ghost'] })).rejects.toThrow(TaskQuery.InvalidQueryError);
+
+        const { nextCursor } = await query({ sortBy: 'title', limit: 1 });
+        const mismatch = await callTool('task-query', { sortBy: 'created_at', cursor: nextCursor });
+        expect(mismatch.isError).toBe(true);
+        expect(mismatch.payload).toContain('Cursor is for results sorted by title asc');
+    });
+
+    test('should answer invalid queries over REST with 400 and storage failures with 500', async () => {
+        const api = new MCPHttpAPI(0, { system });
+        const server = api.app.listen(0);
+        const { port } = server.address();
+        const get = (search) => fetch(`http://127.0.0.1:${port}/api/tasks?${search}`);
+
+        try {
+            const invalid = await get('limit=0');
+            expect(invalid.status).toBe(400);
+            expect(await invalid.json()).toMatchObject({ error: 'Invalid limit: 0. Must be between 1 and 200', field: 'limit' });
+
+            jest.spyOn(system.storage, 'getTasks').mockRejectedValueOnce(new Error('Disk unavailable'));
+            const failed = await get('status=pending');
+            expect(failed.status).toBe(500);
+            expect((await failed.json()).error).toBe('Disk unavailable');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
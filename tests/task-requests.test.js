@@ -0,0 +1,104 @@
+/**
+ * Test the request/response lifecycle of task requests between agents
+ */
+
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Task request lifecycle', () => {
+    let storage;
+    let system;
+    let callTool;
+
+    const requestState = async (requestId) => {
+        const outgoing = await storage.listMessages('frontend', 'outgoing');
+        return outgoing.find(message => message.data.task_id === requestId).request;
+    };
+
+    const responses = async () => {
+        const incoming = await storage.listMessages('frontend', 'incoming');
+        return incoming.filter(message => message.type === 'TASK_RESPONSE');
+    };
+
+    const sendRequest = async (taskRequest = {}) => {
+        const { payload } = await callTool('task-request', {
+            fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Login endpoint', ...taskRequest }
+        });
+        return payload.requestId;
+    };
+
+    beforeEach(async () => {
+        ({ storage, system, callTool } = await createTestServer(['frontend', 'api']));
+    });
+
+    test('should track requests from open through accepted to answered', async () => {
+        const requestId = await sendRequest();
+        expect(await requestState(requestId)).toMatchObject({ state: 'open' });
+
+        const accepted = await callTool('task-accept', { agentId: 'api', requestId, note: 'On it' });
+        expect(accepted.payload.request).toMatchObject({ state: 'accepted', responded_by: 'api' });
+
+        const answered = await callTool('task-respond', {
+            agentId: 'api', requestId, response: { description: 'POST /login is live', deliverables: ['routes/login.js'] }
+        });
+        expect(answered.payload.responseTask).toMatchObject({
+            type: 'response',
+            reference_task_id: requestId,
+            target_agent_id: 'frontend',
+            deliverables: ['routes/login.js']
+        });
+        expect(await requestState(requestId)).toMatchObject({ state: 'answered', response_task_id: answered.payload.responseTask.id });
+
+        const received = await responses();
+        expect(received.map(message => message.data.state)).toEqual(['accepted', 'answered']);
+        expect(received.every(message => message.data.reference_task_id === requestId)).toBe(true);
+
+        const again = await callTool('task-decline', { agentId: 'api', requestId, reason: 'Changed my mind' });
+        expect(again.isError).toBe(true);
+        expect(again.payload).toContain('already answered');
+    });
+
+    test('should cancel the receiver\'s task when a request is declined', async () => {
+        const requestId = await sendRequest();
+        await system.communicationProtocol.processIncomingMessages(system.getAgent('api'));
+
+        const declined = await callTool('task-decline', { agentId: 'api', requestId, reason: 'Out of scope' });
+
+        expect(declined.payload.request).toMatchObject({ state: 'declined', reason: 'Out of scope' });
+        const task = await system.getAgent('api').taskQueue.getTaskById(requestId);
+        expect(task.status).toBe('cancelled');
+        expect((await responses())[0]).toMatchObject({ data: { state: 'declined', reason: 'Out of scope' } });
+    });
+
+    test('should expire requests left unanswered past their deadline', async () => {
+        const deadline = new Date(Date.now() + 60000).toISOString();
+        const requestId = await sendRequest({ deadline });
+        expect((await requestState(requestId)).deadline).toBe(deadline);
+
+        expect(await system.communicationProtocol.expireTaskRequests()).toEqual([]);
+        const expired = await system.communicationProtocol.expireTaskRequests(Date.now() + 120000);
+
+        expect(expired).toEqual([{ requestId, fromAgentId: 'frontend', toAgentId: 'api' }]);
+        expect((await requestState(requestId)).state).toBe('expired');
+        expect((await responses())[0]).toMatchObject({
+            from_agent_id: 'system',
+            system: true,
+            data: { state: 'expired', reference_task_id: requestId, reason: expect.stringContaining(`No response from api before the deadline ${deadline}`) }
+        });
+
+        const { payload } = await callTool('message-list', { agentId: 'frontend' });
+        expect(payload.messages[0]).toMatchObject({ from_agent_id: 'system', system: true, thread_id: requestId });
+
+        const late = await callTool('task-respond', { agentId: 'api', requestId, response: {} });
+        expect(late.payload).toContain('already expired');
+    });
+
+    test('should reject unknown requests and invalid deadlines', async () => {
+        const unknown = await callTool('task-accept', { agentId: 'api', requestId: 'missing' });
+        expect(unknown.payload).toContain('Task request missing not found for agent api');
+
+        const invalid = await callTool('task-request', {
+            fromAgentId: 'frontend', toAgentId: 'api', taskRequest: { title: 'Signup', deadline: 'next week' }
+        });
+        expect(invalid.payload).toContain('deadline must be an ISO 8601 date');
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Test subtasks: nested creation, parent status rollup and task trees
+ */
+
+const Task = require('../src/core/Task');
+const TaskTree = require('../src/core/TaskTree');
+const { createTestServer } = require('./helpers/mcp');
+
+describe('Subtasks', () => {
+    let system;
+    let mcpServer;
+    let callTool;
+    let tree;
+
+    const taskOf = async (taskId) => (await system.getAgent('api').taskQueue.getTaskById(taskId));
+    const statusOf = async (taskId) => (await taskOf(taskId)).status;
+    const update = (taskId, status, reason = '') => system.updateTaskStatus('api', taskId, status, [], reason);
+
+    beforeEach(async () => {
+        ({ system, mcpServer, callTool } = await createTestServer(['api']));
+
+        const { payload } = await callTool('task-create', {
+            agentId: 'api',
+            task: {
+                title: 'Create user authentication API',
+                priority: 'high',
+                subtasks: [
+                    { title: 'Design token format' },
+                    {
+                        title: 'Implement endpoints',
+                        subtasks: [{ title: 'Login endpoint' }, { title: 'Logout endpoint' }]
+                    }
+                ]
+            }
+        });
+        tree = payload.tree;
+    });
+
+    afterEach(async () => {
+        await system.stop();
+    });
+
+    const ids = () => ({
+        root: tree.id,
+        design: tree.subtasks[0].id,
+        endpoints: tree.subtasks[1].id,
+        login: tree.subtasks[1].subtasks[0].id,
+        logout: tree.subtasks[1].subtasks[1].id
+    });
+
+    test('should create nested subtasks in one call', async () => {
+        expect(tree.title).toBe('Create user authentication API');
+        expect(tree.subtasks.map(subtask => subtask.title)).toEqual(['Design token format', 'Implement endpoints']);
+        expect(tree.subtasks[1].subtasks.map(subtask => subtask.parent_task_id)).toEqual([ids().endpoints, ids().endpoints]);
+        expect(tree.progress).toEqual({ total: 3, completed: 0, failed: 0, percent: 0 });
+
+        const { pending } = await mcpServer.getTasks('api');
+        expect(pending).toHaveLength(5);
+    });
+
+    test('should return task trees with rolled up progress', async () => {
+        const { login, design } = ids();
+        await update(login, 'in_progress');
+        await update(login, 'completed');
+
+        const { payload } = await callTool('task-get', { agentId: 'api', tree: true });
+        expect(payload.tasks).toHaveLength(1);
+
+        const [root] = payload.tasks;
+        expect(root.progress).toEqual({ total: 3, completed: 1, failed: 0, percent: 33 });
+        expect(root.subtasks[1].progress).toEqual({ total: 2, completed: 1, failed: 0, percent: 50 });
+
+        // Cancelled subtasks do not count
+        await update(design, 'cancelled', 'Use the existing format');
+        const [updated] = await mcpServer.getTaskTree('api');
+        expect(updated.progress).toEqual({ total: 2, completed: 1, failed: 0, percent: 50 });
+    });
+
+    test('should start, block and unblock parents with their subtasks', async () => {
+        const { root, endpoints, login } = ids();
+
+        await update(login, 'in_progress');
+        expect(await statusOf(endpoints)).toBe('in_progress');
+        expect(await statusOf(root)).toBe('in_progress');
+
+        await update(login, 'blocked', 'Waiting for the user schema');
+        expect(await statusOf(endpoints)).toBe('blocked');
+        expect(await statusOf(root)).toBe('blocked');
+        expect((await taskOf(root)).metadata.blockReason).toBe('Subtasks blocked: Implement endpoints');
+
+        await update(login, 'in_progress');
+        expect(await statusOf(endpoints)).toBe('in_progress');
+        expect(await statusOf(root)).toBe('in_progress');
+        expect((await taskOf(root)).metadata.blockedBySubtasks).toBeUndefined();
+    });
+
+    test('should block parents when a new subtask starts blocked on its dependencies', async () => {
+        const { root, design } = ids();
+        const review = await system.createTask('api', { title: 'Security review', parent_task_id: root, dependencies: [design] });
+
+        expect(review.status).toBe('blocked');
+        expect(await statusOf(root)).toBe('blocked');
+        expect((await taskOf(root)).metadata.blockReason).toBe('Subtasks blocked: Security review');
+
+        await update(design, 'in_progress');
+        await update(design, 'completed');
+
+        expect(await statusOf(review.id)).toBe('pending');
+        expect(await statusOf(root)).toBe('in_progress');
+    });
+
+    test('should complete parents once all their subtasks complete', async () => {
+        const { root, design, endpoints, login, logout } = ids();
+        const dependent = await mcpServer.createTask('api', { title: 'Document the API', dependencies: [root] });
+        expect(await statusOf(dependent)).toBe('blocked');
+
+        for (const taskId of [design, login, logout]) {
+            await update(taskId, 'in_progress');
+            await update(taskId, 'completed');
+        }
+
+        expect(await statusOf(endpoints)).toBe('completed');
+        expect(await statusOf(root)).toBe('completed');
+        expect(await statusOf(dependent)).toBe('pending');
+
+        const history = await system.getTaskHistory('api', root);
+        expect(history[history.length - 1].reason).toBe('All subtasks completed');
+
+        // Reopening a subtask reopens the parents it completed
+        await update(logout, 'pending');
+        expect(await statusOf(endpoints)).toBe('in_progress');
+        expect(await statusOf(root)).toBe('in_progress');
+    });
+
+    test('should block parents whose remaining subtasks failed until they are retried', async () => {
+        const { root, design, endpoints, login, logout } = ids();
+        for (const taskId of [design, login]) {
+            await update(taskId, 'in_progress');
+            await update(taskId, 'completed');
+        }
+        await update(logout, 'in_progress');
+        await update(logout, 'failed', 'Session store unavailable');
+
+        expect(await statusOf(endpoints)).toBe('blocked');
+        expect(await statusOf(root)).toBe('blocked');
+        expect((await taskOf(endpoints)).metadata.blockReason).toBe('Subtasks failed: Logout endpoint');
+
+        const [blocked] = await mcpServer.getTaskTree('api');
+        expect(blocked.progress).toEqual({ total: 3, completed: 2, failed: 1, percent: 67 });
+
+        // Retrying the failed subtask picks the parents back up
+        await update(logout, 'pending');
+        expect(await statusOf(endpoints)).toBe('in_progress');
+        expect(await statusOf(root)).toBe('in_progress');
+    });
+
+    test('should not complete a parent with unfinished subtasks', async () => {
+        const { root } = ids();
+        await update(root, 'in_progress');
+
+        await expect(update(root, 'completed')).rejects.toThrow(Task.InvalidTransitionError);
+        await expect(update(root, 'completed')).rejects.toThrow('has unfinished subtasks');
+    });
+
+    test('should leave parents the agent cancelled alone', async () => {
+        const { root, design, endpoints } = ids();
+        await update(endpoints, 'cancelled', 'Out of scope');
+
+        await update(design, 'in_progress');
+        await update(design, 'completed');
+
+        // The cancelled subtree does not hold the parent back
+        expect(await statusOf(root)).toBe('completed');
+        expect(await statusOf(endpoints)).toBe('cancelled');
+    });
+
+    test('should add subtasks under existing open tasks only', async () => {
+        const { root, design } = ids();
+
+        const { payload } = await callTool('task-create', { agentId: 'api', task: { title: 'Rotate signing keys', parent_task_id: root } });
+        const [updated] = await mcpServer.getTaskTree('api');
+        expect(updated.subtasks.map(subtask => subtask.id)).toContain(payload.taskId);
+
+        await expect(system.createTask('api', { title: 'Orphan', parent_task_id: 'missing' }))
+            .rejects.toThrow('Parent task missing not found for agent api');
+
+        await update(design, 'cancelled', 'Not needed');
+        await expect(system.createTask('api', { title: 'Late', parent_task_id: design }))
+            .rejects.toThrow(`Cannot add subtasks to cancelled task ${design}`);
+    });
+
+    test('should reject an invalid subtask before creating any task', async () => {
+        await expect(system.createTask('api', {
+            title: 'Billing',
+            subtasks: [{ title: 'Invoices', subtasks: [{ description: 'No title' }] }]
+        })).rejects.toThrow('Invalid subtask "" of "Invoices": Task title is required');
+
+        const { pending } = await mcpServer.getTasks('api');
+        expect(pending.map(task => task.title)).not.toContain('Billing');
+    });
+
+    test('should derive parent status from subtask statuses', () => {
+        const tasks = (...statuses) => statuses.map(status => ({ status }));
+
+        expect(TaskTree.deriveStatus(tasks('pending', 'pending'))).toBe('pending');
+        expect(TaskTree.deriveStatus(tasks('pending', 'review'))).toBe('in_progress');
+        expect(TaskTree.deriveStatus(tasks('completed', 'blocked'))).toBe('blocked');
+        expect(TaskTree.deriveStatus(tasks('completed', 'cancelled'))).toBe('completed');
+        expect(TaskTree.deriveStatus(tasks('in_progress', 'failed'))).toBe('in_progress');
+        expect(TaskTree.deriveStatus(tasks('completed', 'failed'))).toBe('blocked');
+        expect(TaskTree.deriveStatus(tasks('cancelled'))).toBeNull();
+
+        expect(Task.transitionPath('pending', 'completed')).toEqual(['in_progress', 'completed']);
+        expect(Task.transitionPath('completed', 'in_progress')).toEqual(['pending', 'in_progress']);
+    });
+});
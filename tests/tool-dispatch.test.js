@@ -0,0 +1,75 @@
+/**
+ * Test tools/call dispatch in the stdio MCP server
+ */
+
+const fs = require('fs').promises;
+const MCPServer = require('../src/mcp-server');
+const ToolRegistry = require('../src/mcp/ToolRegistry');
+
+describe('MCP tools/call dispatch', () => {
+    let mcpServer;
+    const testBasePath = './test-agents-tools';
+
+    const call = async (method, params, id = 1) => {
+        return mcpServer.handleMessage(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    };
+
+    beforeEach(async () => {
+        mcpServer = new MCPServer(testBasePath);
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testBasePath, { recursive: true, force: true });
+    });
+
+    test('should list tools from the shared registry', async () => {
+        const response = await call('tools/list', {});
+        const names = response.result.tools.map(tool => tool.name);
+
+        expect(names).toEqual(new ToolRegistry().list().map(tool => tool.name));
+        expect(names).toContain('task-get');
+    });
+
+    test('should dispatch a tool call and wrap the result as content', async () => {
+        const response = await call('tools/call', {
+            name: 'agent-register',
+            arguments: { agentId: 'tool-agent', capabilities: { type: 'test' } }
+        });
+
+        expect(response.id).toBe(1);
+        expect(response.result.isError).toBeUndefined();
+        expect(response.result.content[0].type).toBe('text');
+
+        const payload = JSON.parse(response.result.content[0].text);
+        expect(payload.success).toBe(true);
+        expect(payload.agentId).toBe('tool-agent');
+    });
+
+    test('should reject arguments that do not match the input schema', async () => {
+        const response = await call('tools/call', {
+            name: 'task-get',
+            arguments: { agentId: 'tool-agent', state: 'archived' }
+        }, 2);
+
+        expect(response.id).toBe(2);
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toContain('arguments.state must be one of');
+    });
+
+    test('should reject unknown tools with invalid params', async () => {
+        const response = await call('tools/call', { name: 'does-not-exist', arguments: {} });
+
+        expect(response.error.code).toBe(-32602);
+    });
+
+    test('should report handler failures as isError results', async () => {
+        const response = await call('tools/call', {
+            name: 'task-update',
+            arguments: { agentId: 'missing-agent', taskId: 'missing-task', status: 'completed' }
+        });
+
+        expect(response.result.isError).toBe(true);
+        expect(response.result.content[0].text).toContain('not found');
+    });
+});